@@ -0,0 +1,90 @@
+import { fetchPublicCalendar } from "@/lib/publicShares";
+import { calendarEvents } from "@/lib/calendarFeed";
+import { buildCalendar } from "@/lib/icalendar";
+import {
+  buildReleaseEvents,
+  loadReleaseData,
+  tracksReleases,
+} from "@/lib/releases";
+import { tmdbService } from "@/lib/tmdb";
+
+// Calendar apps poll feeds on their own schedule; cache the result for an
+// hour so refreshes don't hit TMDB for every watchlisted movie each time
+const CACHE_SECONDS = 3600;
+
+// How soon calendar apps should retry when Firestore or TMDB is unavailable
+const RETRY_SECONDS = 300;
+
+/**
+ * Answers with a temporary failure
+ * A 503 makes calendar apps keep their copy and retry, where a 404 or a feed
+ * without releases would delete those events
+ *
+ * @param {string} message - Response body
+ * @returns {Response} 503 response
+ */
+function unavailable(message) {
+  return new Response(message, {
+    status: 503,
+    headers: {
+      "Retry-After": String(RETRY_SECONDS),
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+/**
+ * Serves a user's calendar subscription feed (iCalendar)
+ * Combines release dates of their watchlisted movies in their region with
+ * their watch diary; the token in the URL is the only credential, so the
+ * feed can be added to any calendar app by URL
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context
+ * @param {Promise<Object>} context.params - Route parameters ({ token })
+ * @returns {Promise<Response>} text/calendar response, 404 for unknown
+ *   feeds, or 503 while Firestore or TMDB is unavailable
+ */
+export async function GET(request, { params }) {
+  const { token } = await params;
+  let feed;
+  try {
+    // Calendar apps like URLs ending in .ics
+    feed = await fetchPublicCalendar(token.replace(/\.ics$/, ""));
+  } catch (error) {
+    console.error("Calendar feed lookup failed:", error);
+    return unavailable("The calendar is temporarily unavailable");
+  }
+  if (!feed) {
+    return new Response("Calendar not found", { status: 404 });
+  }
+
+  // Like the in-app calendar, only movies still coming out are looked up
+  const now = Date.now();
+  const tracked = feed.watchlist.filter((movie) => tracksReleases(movie, now));
+  let releaseData;
+  try {
+    releaseData = await loadReleaseData(tracked, tmdbService);
+  } catch (error) {
+    console.error("Calendar feed release lookup failed:", error);
+    return unavailable("Release dates are temporarily unavailable");
+  }
+  const calendar = buildCalendar({
+    name: "CineTracker",
+    events: calendarEvents({
+      releaseEvents: buildReleaseEvents(tracked, releaseData, feed.region),
+      watched: feed.watched,
+      ratingScale: feed.ratingScale,
+      siteUrl: new URL(request.url).origin,
+      now,
+    }),
+  });
+
+  return new Response(calendar, {
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="cinetracker.ics"',
+      "Cache-Control": `public, max-age=0, s-maxage=${CACHE_SECONDS}`,
+    },
+  });
+}
@@ -0,0 +1,36 @@
+import {
+  DEFAULT_PROXY_RATE_LIMIT,
+  clientIp,
+  createRateLimiter,
+} from "@/lib/rateLimit";
+import { proxyTMDBRequest } from "@/lib/tmdbProxy";
+
+// Requests per minute allowed from one IP address; recorded by the build
+// (see next.config.mjs) so browsers pace themselves to the same number
+const RATE_LIMIT =
+  Number(process.env.NEXT_PUBLIC_TMDB_RATE_LIMIT) || DEFAULT_PROXY_RATE_LIMIT;
+
+// Shared by every request this server instance handles
+const limiter = createRateLimiter({ limit: RATE_LIMIT, windowMs: 60 * 1000 });
+
+/**
+ * Proxies read-only TMDB API calls from the browser
+ * The API key (TMDB_API_KEY) stays on the server; see lib/tmdbProxy for the
+ * endpoint allowlist, rate limiting and caching. In demo mode the answers
+ * come from the bundled fixtures.
+ *
+ * @param {Request} request - Incoming request
+ * @param {Object} context - Route context
+ * @param {Promise<Object>} context.params - Route parameters ({ path })
+ * @returns {Promise<Response>} TMDB response or error
+ */
+export async function GET(request, { params }) {
+  const { path } = await params;
+  return proxyTMDBRequest(request, `/${path.join("/")}`, {
+    apiKey: process.env.TMDB_API_KEY,
+    ip: clientIp(request),
+    limiter,
+    upstream: process.env.TMDB_API_URL || undefined,
+    demo: process.env.NEXT_PUBLIC_TMDB_DEMO === "true",
+  });
+}
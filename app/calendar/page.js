@@ -0,0 +1,259 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { useNotifications } from "@/hooks/useNotifications";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  AlertTriangle,
+  CalendarDays,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+import Header from "@/components/layout/Header";
+import CalendarExportCard from "@/components/calendar/CalendarExportCard";
+import { tmdbService } from "@/lib/tmdb";
+import { calendarMonth, daysUntil, upcomingEvents } from "@/lib/releases";
+import { localToday } from "@/lib/diary";
+import { formatDate, cn } from "@/lib/utils";
+
+// Colour per kind of release, shared by the grid and the list
+const KIND_STYLES = {
+  theatrical: "bg-blue-500/15 text-blue-700 dark:text-blue-300",
+  digital: "bg-emerald-500/15 text-emerald-700 dark:text-emerald-300",
+  physical: "bg-amber-500/15 text-amber-700 dark:text-amber-300",
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * CalendarPage Component
+ *
+ * "Coming soon from your watchlist": a month calendar of theatrical, digital
+ * and physical release dates of watchlisted movies in the user's region,
+ * followed by a list of everything still to come and calendar app export.
+ */
+export default function CalendarPage() {
+  const router = useRouter();
+  const { user, initialized } = useAuth();
+  const { preferences } = useWatchlist();
+  const { releaseEvents, releasesLoading } = useNotifications();
+
+  const today = localToday();
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() };
+  });
+
+  // Authentication guard
+  useEffect(() => {
+    if (!initialized) return;
+    if (!user) router.replace("/auth?mode=login");
+  }, [initialized, user, router]);
+
+  const weeks = calendarMonth(month.year, month.month, releaseEvents);
+  const upcoming = upcomingEvents(releaseEvents, today);
+  const monthLabel = new Date(month.year, month.month, 1).toLocaleDateString(
+    undefined,
+    { month: "long", year: "numeric" }
+  );
+
+  /**
+   * Moves the calendar by a number of months
+   * @param {number} delta - Months to move (negative = back)
+   */
+  const shiftMonth = (delta) => {
+    setMonth(({ year, month: m }) => {
+      const date = new Date(year, m + delta, 1);
+      return { year: date.getFullYear(), month: date.getMonth() };
+    });
+  };
+
+  return (
+    <>
+      <Header />
+      <div className="container mx-auto px-4 py-8 space-y-8">
+        <div className="flex flex-wrap items-center gap-3">
+          <CalendarDays className="h-6 w-6" />
+          <h1 className="text-3xl font-bold">Coming Soon</h1>
+          <Badge variant="secondary">{upcoming.length}</Badge>
+          <span className="text-sm text-muted-foreground">
+            Release dates from your watchlist in {preferences.region}
+          </span>
+        </div>
+
+        {/* Month grid */}
+        <Card className="gap-4 py-4">
+          <div className="flex items-center gap-2 px-4">
+            <Button
+              variant="outline"
+              size="icon"
+              aria-label="Previous month"
+              onClick={() => shiftMonth(-1)}
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <h2 className="min-w-40 text-center font-semibold">{monthLabel}</h2>
+            <Button
+              variant="outline"
+              size="icon"
+              aria-label="Next month"
+              onClick={() => shiftMonth(1)}
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                const now = new Date();
+                setMonth({ year: now.getFullYear(), month: now.getMonth() });
+              }}
+            >
+              Today
+            </Button>
+            <div className="ml-auto hidden md:flex gap-2 text-xs">
+              <span
+                className={cn("rounded px-2 py-0.5", KIND_STYLES.theatrical)}
+              >
+                In theaters
+              </span>
+              <span className={cn("rounded px-2 py-0.5", KIND_STYLES.digital)}>
+                Digital
+              </span>
+              <span className={cn("rounded px-2 py-0.5", KIND_STYLES.physical)}>
+                Blu-ray & DVD
+              </span>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-7 border-t text-xs">
+            {WEEKDAYS.map((day) => (
+              <div
+                key={day}
+                className="border-b px-2 py-1 text-center text-muted-foreground"
+              >
+                {day}
+              </div>
+            ))}
+            {weeks.flat().map((day) => (
+              <div
+                key={day.date}
+                className={cn(
+                  "min-h-24 border-b border-r p-1 [&:nth-child(7n)]:border-r-0",
+                  !day.inMonth && "bg-muted/30 text-muted-foreground"
+                )}
+              >
+                <div
+                  className={cn(
+                    "mb-1 inline-flex h-6 w-6 items-center justify-center rounded-full",
+                    day.date === today && "bg-primary text-primary-foreground"
+                  )}
+                >
+                  {day.day}
+                </div>
+                <div className="space-y-1">
+                  {day.events.map((event) => (
+                    <Link
+                      key={event.id}
+                      href={`/movie/${event.movieId}`}
+                      title={`${event.title} · ${event.label}`}
+                      className={cn(
+                        "block truncate rounded px-1 py-0.5 hover:underline",
+                        KIND_STYLES[event.kind]
+                      )}
+                    >
+                      {event.title}
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+
+        {/* Everything still to come */}
+        <section className="space-y-4">
+          <h2 className="text-2xl font-semibold">Upcoming releases</h2>
+          {releasesLoading ? (
+            <div className="space-y-3">
+              {Array.from({ length: 4 }).map((_, i) => (
+                <Skeleton key={i} className="h-20 w-full" />
+              ))}
+            </div>
+          ) : upcoming.length === 0 ? (
+            <Card className="p-6">
+              <div className="flex items-start gap-3">
+                <AlertTriangle className="h-5 w-5 text-muted-foreground mt-0.5" />
+                <div>
+                  <div className="font-medium">Nothing coming up.</div>
+                  <div className="text-sm text-muted-foreground">
+                    Add upcoming movies to your watchlist and their release
+                    dates will show up here.
+                  </div>
+                </div>
+              </div>
+            </Card>
+          ) : (
+            <ul className="space-y-3">
+              {upcoming.map((event) => {
+                const days = daysUntil(event.date, today);
+                return (
+                  <li key={event.id}>
+                    <Link href={`/movie/${event.movieId}`} className="group">
+                      <Card className="flex-row items-center gap-4 p-3 transition-colors group-hover:bg-muted/50">
+                        <div className="relative h-16 w-11 shrink-0 overflow-hidden rounded bg-muted">
+                          {event.poster_path && (
+                            <Image
+                              src={tmdbService.getPosterUrl(
+                                event.poster_path,
+                                "w92"
+                              )}
+                              alt={event.title}
+                              fill
+                              className="object-cover"
+                              sizes="44px"
+                            />
+                          )}
+                        </div>
+                        <CardContent className="flex flex-1 flex-wrap items-center gap-x-4 gap-y-1 p-0">
+                          <span className="font-medium">{event.title}</span>
+                          <span
+                            className={cn(
+                              "rounded px-2 py-0.5 text-xs",
+                              KIND_STYLES[event.kind]
+                            )}
+                          >
+                            {event.label}
+                          </span>
+                          <span className="ml-auto text-sm text-muted-foreground">
+                            {formatDate(event.date)} ·{" "}
+                            {days === 0
+                              ? "today"
+                              : days === 1
+                                ? "tomorrow"
+                                : `in ${days} days`}
+                          </span>
+                        </CardContent>
+                      </Card>
+                    </Link>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </section>
+
+        {/* .ics download and subscription link */}
+        <CalendarExportCard />
+      </div>
+    </>
+  );
+}
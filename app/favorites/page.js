@@ -1,32 +1,27 @@
 "use client";
 
-import { useEffect, useState } from "react";
+import { useEffect } from "react";
 import { useRouter } from "next/navigation";
 import { useAuth } from "@/components/auth/AuthProvider";
 import { useWatchlist } from "@/hooks/useWatchlist";
-import { tmdbService } from "@/lib/tmdb";
 import { Badge } from "@/components/ui/badge";
 import { Card } from "@/components/ui/card";
 import { Heart, AlertTriangle } from "lucide-react";
-import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
 import MovieCard from "@/components/movie/MovieCard";
 import Header from "@/components/layout/Header";
+import ShareButton from "@/components/lists/ShareButton";
 
 /**
  * Favorites page component that displays user's favorite movies
- * Requires authentication and TMDB API key to function properly
+ * Requires authentication to function properly
  */
 export default function FavoritesPage() {
   const router = useRouter();
   const { user, initialized } = useAuth();
-  const { favorites } = useWatchlist();
+  const { favorites, loading } = useWatchlist();
 
-  // Local state for storing detailed movie data
-  const [items, setItems] = useState([]);
-  const [loading, setLoading] = useState(true);
-
-  // Check if TMDB API key is configured
-  const hasApiKey = !!process.env.NEXT_PUBLIC_TMDB_API_KEY;
+  // Entries carry movie snapshots, so they render as cards directly
+  const items = favorites || [];
 
   // Authentication guard - redirect unauthenticated users to login
   useEffect(() => {
@@ -37,54 +32,6 @@ export default function FavoritesPage() {
     }
   }, [initialized, user, router]);
 
-  // Fetch detailed movie data for all favorite movie IDs
-  useEffect(() => {
-    let ignore = false; // Flag to prevent state updates if component unmounts
-
-    async function load() {
-      if (!user) return; // Only load if user is authenticated
-      setLoading(true);
-
-      try {
-        // Fetch movie details for each favorite ID in parallel
-        const results = await Promise.all(
-          (favorites || []).map(
-            async (id) => await tmdbService.getMovieDetails(id)
-          )
-        );
-
-        // Filter out any failed requests and update state
-        if (!ignore) setItems(results.filter(Boolean));
-      } catch (e) {
-        // Handle errors gracefully by showing empty list
-        if (!ignore) setItems([]);
-      } finally {
-        if (!ignore) setLoading(false);
-      }
-    }
-
-    load();
-
-    // Cleanup function to prevent memory leaks
-    return () => {
-      ignore = true;
-    };
-  }, [user, favorites]); // Re-run when user or favorites change
-
-  // Early return for missing API key configuration
-  if (!hasApiKey) {
-    return (
-      <div className="container mx-auto px-4 py-8">
-        <Alert variant="destructive">
-          <AlertTitle>TMDB API key missing</AlertTitle>
-          <AlertDescription>
-            Set NEXT_PUBLIC_TMDB_API_KEY to load your favorites.
-          </AlertDescription>
-        </Alert>
-      </div>
-    );
-  }
-
   return (
     <>
       {/* Page header with navigation */}
@@ -92,11 +39,12 @@ export default function FavoritesPage() {
 
       <div className="container mx-auto px-4 py-8">
         {/* Page title with heart icon and count badge */}
-        <div className="flex items-center gap-3 mb-6">
+        <div className="flex flex-wrap items-center gap-3 mb-6">
           <Heart className="h-6 w-6 text-red-500" />
           <h1 className="text-3xl font-bold">My Favorites</h1>
           {/* Badge showing total number of favorites */}
           <Badge variant="secondary">{items.length}</Badge>
+          <ShareButton list="favorites" title="Favorites" className="ml-auto" />
         </div>
 
         {/* Empty state message when no favorites exist */}
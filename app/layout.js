@@ -1,10 +1,17 @@
 import "./globals.css";
 import { AuthProvider } from "@/components/auth/AuthProvider";
+import { WatchlistProvider } from "@/hooks/useWatchlist";
+import { NotificationsProvider } from "@/hooks/useNotifications";
+import GuestImportDialog from "@/components/auth/GuestImportDialog";
 import { ThemeProvider } from "@/components/theme-provider";
 import { Toaster } from "@/components/ui/sonner";
 
 // Metadata for the application - appears in browser tab and search results
 export const metadata = {
+  // Base for absolute Open Graph URLs (e.g. shared list previews)
+  metadataBase: new URL(
+    process.env.NEXT_PUBLIC_SITE_URL || "http://localhost:3000"
+  ),
   title: "CineTracker",
   description: "Discover, track, and manage your entertainment",
 };
@@ -30,10 +37,18 @@ export default function RootLayout({ children }) {
         >
           {/* Authentication provider for user session management */}
           <AuthProvider>
-            {/* Main application content */}
-            {children}
-            {/* Toast notification component for user feedback */}
-            <Toaster />
+            {/* Shared list data with a single real-time subscription */}
+            <WatchlistProvider>
+              {/* Release dates and notifications for watchlisted movies */}
+              <NotificationsProvider>
+                {/* Main application content */}
+                {children}
+                {/* Offers to import lists saved before signing in */}
+                <GuestImportDialog />
+                {/* Toast notification component for user feedback */}
+                <Toaster />
+              </NotificationsProvider>
+            </WatchlistProvider>
           </AuthProvider>
         </ThemeProvider>
       </body>
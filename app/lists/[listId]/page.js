@@ -0,0 +1,228 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useParams, useRouter } from "next/navigation";
+import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import {
+  AlertTriangle,
+  ArrowDown,
+  ArrowLeft,
+  ArrowUp,
+  Library,
+  Pencil,
+  X,
+} from "lucide-react";
+import MovieCard from "@/components/movie/MovieCard";
+import Header from "@/components/layout/Header";
+import ListFormDialog from "@/components/lists/ListFormDialog";
+import ShareButton from "@/components/lists/ShareButton";
+
+/**
+ * Per-item controls under a list's movie card: note, ordering and removal
+ * The note is saved when the field loses focus (only if it changed)
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.listId - Custom list ID
+ * @param {Object} props.item - List item (movie snapshot with note)
+ * @param {number} props.index - Position in the list
+ * @param {number} props.count - Number of items in the list
+ * @returns {JSX.Element} Item controls
+ */
+function ListItemControls({ listId, item, index, count }) {
+  const { moveListItem, removeFromList, setListItemNote } = useWatchlist();
+  const [note, setNote] = useState(item.note || "");
+
+  // Pick up notes changed elsewhere (another tab or device)
+  useEffect(() => {
+    setNote(item.note || "");
+  }, [item.note]);
+
+  const onBlur = () => {
+    if (note.trim() !== (item.note || "")) {
+      setListItemNote(listId, item.id, note);
+    }
+  };
+
+  const title = item.title || `Movie #${item.id}`;
+
+  return (
+    <div className="grid gap-2">
+      <textarea
+        className="min-h-16 w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-xs dark:bg-input/30"
+        value={note}
+        maxLength={1000}
+        placeholder="Add a note…"
+        aria-label={`Note for ${title}`}
+        onChange={(e) => setNote(e.currentTarget.value)}
+        onBlur={onBlur}
+      />
+      <div className="flex items-center gap-1">
+        <Button
+          variant="ghost"
+          size="icon"
+          aria-label={`Move ${title} up`}
+          disabled={index === 0}
+          onClick={() => moveListItem(listId, item.id, index - 1)}
+        >
+          <ArrowUp className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          aria-label={`Move ${title} down`}
+          disabled={index === count - 1}
+          onClick={() => moveListItem(listId, item.id, index + 1)}
+        >
+          <ArrowDown className="h-4 w-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="ml-auto"
+          onClick={() => removeFromList(listId, item.id)}
+        >
+          <X className="mr-1 h-4 w-4" />
+          Remove
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ListPage Component
+ *
+ * Displays one custom list: its name, description and movies in their
+ * manual order, each with an editable note.
+ * Includes authentication protection, loading and not-found states.
+ */
+export default function ListPage() {
+  const router = useRouter();
+  const { listId } = useParams(); // Extract list ID from URL parameters
+  const { user, initialized } = useAuth();
+  const { lists, loading } = useWatchlist();
+  const [editing, setEditing] = useState(false);
+
+  const list = lists.find((item) => item.id === listId);
+
+  /**
+   * Authentication guard effect
+   * Redirects unauthenticated users to login page
+   */
+  useEffect(() => {
+    // Wait for auth to initialize before checking
+    if (!initialized) return;
+
+    // Redirect to login if no user is authenticated
+    if (!user) {
+      router.replace("/auth?mode=login");
+      return;
+    }
+  }, [initialized, user, router]);
+
+  return (
+    <>
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        <Link
+          href="/lists"
+          className="mb-4 inline-flex items-center text-sm text-muted-foreground hover:underline"
+        >
+          <ArrowLeft className="mr-1 h-4 w-4" />
+          All lists
+        </Link>
+
+        {/* Not-found state once lists have loaded */}
+        {!list && !loading && (
+          <Card className="p-6">
+            <div className="flex items-start gap-3">
+              <AlertTriangle className="h-5 w-5 text-muted-foreground mt-0.5" />
+              <div>
+                <div className="font-medium">List not found.</div>
+                <div className="text-sm text-muted-foreground">
+                  It may have been deleted.
+                </div>
+              </div>
+            </div>
+          </Card>
+        )}
+
+        {list && (
+          <>
+            {/* Page header with icon, name, count badge and edit button */}
+            <div className="flex flex-wrap items-center gap-3 mb-2">
+              <Library className="h-6 w-6" />
+              <h1 className="text-3xl font-bold">{list.name}</h1>
+              <Badge variant="secondary">{list.items.length}</Badge>
+              <ShareButton
+                list={list.id}
+                title={list.name}
+                className="ml-auto"
+              />
+              <Button variant="outline" onClick={() => setEditing(true)}>
+                <Pencil className="mr-2 h-4 w-4" />
+                Edit
+              </Button>
+            </div>
+            {list.description && (
+              <p className="mb-6 max-w-3xl whitespace-pre-line text-muted-foreground">
+                {list.description}
+              </p>
+            )}
+
+            {/* Empty state message when the list has no movies */}
+            {list.items.length === 0 && (
+              <Card className="mt-6 p-6">
+                <div className="flex items-start gap-3">
+                  <AlertTriangle className="h-5 w-5 text-muted-foreground mt-0.5" />
+                  <div>
+                    <div className="font-medium">This list is empty.</div>
+                    <div className="text-sm text-muted-foreground">
+                      Use &quot;Add to list…&quot; on any movie to add it here.
+                    </div>
+                  </div>
+                </div>
+              </Card>
+            )}
+          </>
+        )}
+
+        {/* Movie grid with loading skeletons or actual movie cards */}
+        <div className="mt-6 grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
+          {loading
+            ? Array.from({ length: 10 }).map((_, idx) => (
+                // Loading skeleton placeholder
+                <div
+                  key={idx}
+                  className="h-[320px] rounded-md bg-muted animate-pulse"
+                />
+              ))
+            : list?.items.map((item, idx) => (
+                <div key={item.id} className="grid content-start gap-2">
+                  <MovieCard movie={item} />
+                  <ListItemControls
+                    listId={list.id}
+                    item={item}
+                    index={idx}
+                    count={list.items.length}
+                  />
+                </div>
+              ))}
+        </div>
+      </div>
+
+      {editing && list && (
+        <ListFormDialog
+          list={list}
+          onClose={() => setEditing(false)}
+          onDeleted={() => router.push("/lists")}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,195 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Image from "next/image";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import {
+  AlertTriangle,
+  ArrowDown,
+  ArrowUp,
+  Library,
+  Pencil,
+  Plus,
+} from "lucide-react";
+import Header from "@/components/layout/Header";
+import ListFormDialog from "@/components/lists/ListFormDialog";
+import { tmdbService } from "@/lib/tmdb";
+
+// Number of posters shown in a list's collage
+const COLLAGE_SIZE = 4;
+
+/**
+ * Poster collage of a list's first few movies
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.items - List items (movie snapshots)
+ * @returns {JSX.Element} 4-up poster grid
+ */
+function PosterCollage({ items }) {
+  return (
+    <div className="grid aspect-[8/3] grid-cols-4 gap-0.5 bg-muted">
+      {Array.from({ length: COLLAGE_SIZE }).map((_, i) => {
+        const item = items[i];
+        const posterUrl = item
+          ? tmdbService.getPosterUrl(item.poster_path || "", "w185")
+          : "";
+        return (
+          <div key={item?.id ?? `empty-${i}`} className="relative bg-muted">
+            {posterUrl && (
+              <Image
+                src={posterUrl}
+                alt={item.title || ""}
+                fill
+                sizes="(max-width: 768px) 25vw, 10vw"
+                className="object-cover"
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * ListsPage Component
+ *
+ * Displays the user's custom lists in their manual order, with a poster
+ * collage, description and movie count for each.
+ * Lists can be created, edited and moved up or down.
+ * Includes authentication protection and loading states.
+ */
+export default function ListsPage() {
+  const router = useRouter();
+  const { user, initialized } = useAuth();
+  const { lists, loading, moveList } = useWatchlist();
+  const [editing, setEditing] = useState(null); // List being edited, or {} for a new list
+
+  /**
+   * Authentication guard effect
+   * Redirects unauthenticated users to login page
+   */
+  useEffect(() => {
+    // Wait for auth to initialize before checking
+    if (!initialized) return;
+
+    // Redirect to login if no user is authenticated
+    if (!user) {
+      router.replace("/auth?mode=login");
+      return;
+    }
+  }, [initialized, user, router]);
+
+  return (
+    <>
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        {/* Page header with icon, title, count badge and create button */}
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <Library className="h-6 w-6" />
+          <h1 className="text-3xl font-bold">Lists</h1>
+          <Badge variant="secondary">{lists.length}</Badge>
+          <Button className="ml-auto" onClick={() => setEditing({})}>
+            <Plus className="mr-2 h-4 w-4" />
+            New list
+          </Button>
+        </div>
+
+        {/* Empty state message when no lists exist */}
+        {lists.length === 0 && !loading ? (
+          <Card className="p-6">
+            <div className="flex items-start gap-3">
+              <AlertTriangle className="h-5 w-5 text-muted-foreground mt-0.5" />
+              <div>
+                <div className="font-medium">No lists yet.</div>
+                <div className="text-sm text-muted-foreground">
+                  Create a list, or use &quot;Add to list…&quot; on any movie.
+                </div>
+              </div>
+            </div>
+          </Card>
+        ) : null}
+
+        <div className="grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4">
+          {(loading ? Array.from({ length: 4 }) : lists).map((list, idx) =>
+            loading ? (
+              // Loading skeleton placeholder
+              <div
+                key={idx}
+                className="h-[260px] rounded-md bg-muted animate-pulse"
+              />
+            ) : (
+              <Card key={list.id} className="gap-0 overflow-hidden py-0">
+                <Link href={`/lists/${list.id}`}>
+                  <PosterCollage items={list.items} />
+                </Link>
+
+                <div className="grid gap-1 p-3">
+                  <Link
+                    href={`/lists/${list.id}`}
+                    className="font-medium line-clamp-1 hover:underline"
+                    title={list.name}
+                  >
+                    {list.name}
+                  </Link>
+                  <div className="text-xs text-muted-foreground">
+                    {list.items.length}{" "}
+                    {list.items.length === 1 ? "movie" : "movies"}
+                  </div>
+                  {list.description && (
+                    <p className="text-xs text-muted-foreground line-clamp-2">
+                      {list.description}
+                    </p>
+                  )}
+                </div>
+
+                {/* Manual ordering and edit controls */}
+                <div className="mt-auto flex items-center gap-1 p-3 pt-0">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    aria-label={`Move ${list.name} up`}
+                    disabled={idx === 0}
+                    onClick={() => moveList(list.id, idx - 1)}
+                  >
+                    <ArrowUp className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    aria-label={`Move ${list.name} down`}
+                    disabled={idx === lists.length - 1}
+                    onClick={() => moveList(list.id, idx + 1)}
+                  >
+                    <ArrowDown className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="ml-auto"
+                    aria-label={`Edit ${list.name}`}
+                    onClick={() => setEditing(list)}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                </div>
+              </Card>
+            )
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <ListFormDialog
+          list={editing.id ? editing : undefined}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </>
+  );
+}
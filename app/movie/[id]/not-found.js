@@ -0,0 +1,20 @@
+import Header from "@/components/layout/Header";
+
+/**
+ * Shown when TMDB has no movie with the requested ID
+ */
+export default function MovieNotFound() {
+  return (
+    <>
+      <Header />
+      <div className="min-h-[60vh] flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold mb-2">Movie Not Found</h1>
+          <p className="text-muted-foreground">
+            The requested movie could not be found.
+          </p>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,139 +1,144 @@
-"use client";
-
-import { useEffect, useState } from "react";
-import { useParams, useRouter } from "next/navigation";
 import Image from "next/image";
-import { Button } from "@/components/ui/button";
+import Link from "next/link";
+import { notFound } from "next/navigation";
 import { Badge } from "@/components/ui/badge";
 import { Card, CardContent } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { Skeleton } from "@/components/ui/skeleton";
-import { Star, Clock, Calendar, Heart, Plus, Check } from "lucide-react";
+import { Star, Clock, Calendar } from "lucide-react";
 import { tmdbService } from "@/lib/tmdb";
-import { useAuth } from "@/components/auth/AuthProvider";
-import { useWatchlist } from "@/hooks/useWatchlist";
-import { formatDate, formatRuntime, cn } from "@/lib/utils";
+import { nullIfNotFound } from "@/lib/tmdbErrors";
+import MovieActions from "@/components/movie/MovieActions";
+import MovieReleases from "@/components/movie/MovieReleases";
+import TrailerPlayer from "@/components/movie/TrailerPlayer";
+import MediaGallery from "@/components/movie/MediaGallery";
+import WatchProviders from "@/components/movie/WatchProviders";
+import { groupCrew, keyCrew, rankVideos } from "@/lib/movieMedia";
+import {
+  movieDescription,
+  movieJsonLd,
+  movieTitleWithYear,
+  serializeJsonLd,
+} from "@/lib/structuredData";
+import { formatDate, formatRuntime } from "@/lib/utils";
 import MovieCard from "@/components/movie/MovieCard";
 import Header from "@/components/layout/Header";
 
+// Re-render detail pages at most once an hour; TMDB details change rarely
+export const revalidate = 3600;
+
+/**
+ * No movies are rendered at build time; each page is rendered on its first
+ * request and then cached like a static page (incremental regeneration)
+ * @returns {Promise<Array>} Empty list of params
+ */
+export async function generateStaticParams() {
+  return [];
+}
+
+/**
+ * Loads a movie for the page and its metadata
+ * Both calls share one request through the TMDB service cache. Failures
+ * other than a 404 are thrown, so ISR keeps serving the last good render
+ * instead of caching a "not found" page
+ *
+ * @param {Promise<Object>} params - Route parameters ({ id })
+ * @returns {Promise<Object|null>} Movie details, or null if not found
+ */
+async function loadMovie(params) {
+  const { id } = await params;
+  if (!/^\d+$/.test(id)) return null;
+  return await nullIfNotFound(tmdbService.getMovieDetails(id));
+}
+
+/**
+ * Per-movie title, description and Open Graph/Twitter preview
+ * The backdrop is the preview image, falling back to the poster
+ *
+ * @param {Object} props - Route props
+ * @param {Promise<Object>} props.params - Route parameters ({ id })
+ * @returns {Promise<Object>} Page metadata
+ */
+export async function generateMetadata({ params }) {
+  const movie = await loadMovie(params);
+  if (!movie) notFound();
+
+  const title = movieTitleWithYear(movie);
+  const description = movieDescription(movie);
+  const image = movie.backdrop_path
+    ? {
+        url: tmdbService.getImageUrl(movie.backdrop_path, "w1280"),
+        width: 1280,
+        height: 720,
+        alt: movie.title,
+      }
+    : tmdbService.getPosterUrl(movie.poster_path);
+
+  return {
+    title: `${title} · CineTracker`,
+    description,
+    alternates: { canonical: `/movie/${movie.id}` },
+    openGraph: {
+      title,
+      description,
+      type: "video.movie",
+      siteName: "CineTracker",
+      url: `/movie/${movie.id}`,
+      images: image ? [image] : undefined,
+      releaseDate: movie.release_date || undefined,
+    },
+    twitter: {
+      card: image ? "summary_large_image" : "summary",
+      title,
+      description,
+      images: image ? [image] : undefined,
+    },
+  };
+}
+
 /**
  * Movie detail page component that displays comprehensive information about a specific movie
  * including poster, backdrop, cast, similar movies, reviews, and user interaction buttons
+ *
+ * Rendered on the server so shared links and crawlers get the full page;
+ * the list and rating controls are client components
  */
-export default function MovieDetailPage() {
-  const { id } = useParams(); // Extract movie ID from URL parameters
-  const router = useRouter();
-  const { user } = useAuth();
-
-  // Destructure watchlist and favorites functionality
-  const {
-    isInWatchlist,
-    isFavorite,
-    addToWatchlist,
-    removeFromWatchlist,
-    addToFavorites,
-    removeFromFavorites,
-  } = useWatchlist();
-
-  // Local state for movie data and loading states
-  const [movie, setMovie] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [err, setErr] = useState(null);
-
-  // Fetch movie details when component mounts or ID changes
-  useEffect(() => {
-    let ignore = false; // Flag to prevent state updates after component unmount
-
-    async function load() {
-      if (!id) return; // Exit early if no movie ID provided
-
-      setLoading(true);
-      setErr(null);
-
-      try {
-        // Fetch comprehensive movie data including cast, similar movies, and reviews
-        const data = await tmdbService.getMovieDetails(id);
-
-        if (!ignore) {
-          if (data) {
-            setMovie(data);
-          } else {
-            setErr("Movie not found");
-          }
-        }
-      } catch (e) {
-        // Handle API errors gracefully
-        if (!ignore) setErr("Failed to load movie details");
-      } finally {
-        if (!ignore) setLoading(false);
-      }
-    }
-
-    load();
-
-    // Cleanup function to prevent memory leaks
-    return () => {
-      ignore = true;
-    };
-  }, [id]);
-
-  // Loading state with skeleton placeholders
-  if (loading) {
-    return (
-      <>
-        <Header />
-        <div className="container mx-auto px-4 py-8">
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-            {/* Poster skeleton */}
-            <div className="lg:col-span-1">
-              <Skeleton className="aspect-[2/3] w-full rounded-lg" />
-            </div>
-            {/* Movie info skeleton */}
-            <div className="lg:col-span-2 space-y-4">
-              <Skeleton className="h-8 w-3/4" />
-              <Skeleton className="h-4 w-1/2" />
-              <div className="flex gap-2">
-                <Skeleton className="h-6 w-16" />
-                <Skeleton className="h-6 w-16" />
-                <Skeleton className="h-6 w-16" />
-              </div>
-              <Skeleton className="h-20 w-full" />
-              <div className="flex gap-2">
-                <Skeleton className="h-10 w-32" />
-                <Skeleton className="h-10 w-32" />
-              </div>
-            </div>
-          </div>
-        </div>
-      </>
-    );
-  }
-
-  // Error state when movie not found or API fails
-  if (err || !movie) {
-    return (
-      <>
-        <Header />
-        <div className="min-h-[60vh] flex items-center justify-center">
-          <div className="text-center">
-            <h1 className="text-2xl font-bold mb-2">Movie Not Found</h1>
-            <p className="text-muted-foreground">
-              {err || "The requested movie could not be found."}
-            </p>
-          </div>
-        </div>
-      </>
-    );
-  }
+export default async function MovieDetailPage({ params }) {
+  const movie = await loadMovie(params);
+  if (!movie) notFound();
 
   // Generate optimized image URLs for poster and backdrop
   const posterUrl = tmdbService.getImageUrl(movie.poster_path, "w500");
   const backdropUrl = tmdbService.getImageUrl(movie.backdrop_path, "w1280");
 
+  // Crew and videos derived from the appended credits/videos
+  const crewRoles = keyCrew(movie.credits?.crew);
+  const crewDepartments = groupCrew(movie.credits?.crew);
+  const videos = rankVideos(movie.videos?.results);
+
+  // Only the fields list entries store are sent to the client controls
+  const listMovie = {
+    id: movie.id,
+    title: movie.title,
+    poster_path: movie.poster_path,
+    release_date: movie.release_date,
+    genres: movie.genres,
+    runtime: movie.runtime,
+    vote_average: movie.vote_average,
+  };
+
+  // schema.org Movie data for search engines
+  const siteUrl = process.env.NEXT_PUBLIC_SITE_URL || "http://localhost:3000";
+  const jsonLd = movieJsonLd(movie, `${siteUrl}/movie/${movie.id}`);
+
   return (
     <div className="min-h-screen bg-background">
       <Header />
 
+      <script
+        type="application/ld+json"
+        dangerouslySetInnerHTML={{ __html: serializeJsonLd(jsonLd) }}
+      />
+
       {/* Hero backdrop section with overlay */}
       {backdropUrl && (
         <div className="relative h-96 overflow-hidden">
@@ -223,48 +228,36 @@ export default function MovieDetailPage() {
                 </div>
               </div>
 
-              {/* User action buttons (only for authenticated users) */}
-              {user && (
-                <div className="flex flex-wrap gap-2 mb-6">
-                  {/* Watchlist toggle button */}
-                  <Button
-                    onClick={() =>
-                      isInWatchlist(movie.id)
-                        ? removeFromWatchlist(movie.id)
-                        : addToWatchlist(movie.id)
-                    }
-                    variant={isInWatchlist(movie.id) ? "default" : "outline"}
-                  >
-                    {isInWatchlist(movie.id) ? (
-                      <Check className="mr-2 h-4 w-4" />
-                    ) : (
-                      <Plus className="mr-2 h-4 w-4" />
-                    )}
-                    {isInWatchlist(movie.id)
-                      ? "In Watchlist"
-                      : "Add to Watchlist"}
-                  </Button>
-
-                  {/* Favorites toggle button */}
-                  <Button
-                    onClick={() =>
-                      isFavorite(movie.id)
-                        ? removeFromFavorites(movie.id)
-                        : addToFavorites(movie.id)
-                    }
-                    variant={isFavorite(movie.id) ? "default" : "outline"}
-                  >
-                    <Heart
-                      className={cn(
-                        "mr-2 h-4 w-4",
-                        isFavorite(movie.id) && "fill-current" // Fill heart when favorited
-                      )}
-                    />
-                    {isFavorite(movie.id) ? "Favorited" : "Add to Favorites"}
-                  </Button>
-                </div>
+              {/* Release dates in the user's region */}
+              <MovieReleases releaseDates={movie.release_dates} />
+
+              {/* Key crew: director, writers, composer, cinematographer */}
+              {crewRoles.length > 0 && (
+                <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 mb-6 text-sm">
+                  {crewRoles.map((role) => (
+                    <div key={role.label}>
+                      <dt className="text-muted-foreground">{role.label}</dt>
+                      <dd className="font-medium">
+                        {role.people.map((person, i) => (
+                          <span key={person.id}>
+                            {i > 0 && ", "}
+                            <Link
+                              href={`/person/${person.id}`}
+                              className="hover:underline"
+                            >
+                              {person.name}
+                            </Link>
+                          </span>
+                        ))}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
               )}
 
+              {/* Watchlist, favorites, diary, lists and rating */}
+              <MovieActions movie={listMovie} />
+
               {/* Movie overview section */}
               <div className="space-y-4">
                 <h2 className="text-xl font-semibold">Overview</h2>
@@ -272,15 +265,30 @@ export default function MovieDetailPage() {
                   {movie.overview || "No overview available."}
                 </p>
               </div>
+
+              {/* Stream/rent/buy options in the user's region */}
+              <div className="mt-6">
+                <WatchProviders movieId={movie.id} />
+              </div>
             </div>
           </div>
         </div>
 
-        {/* Tabbed content section for cast, similar movies, and reviews */}
+        {/* Trailer, preferring the official YouTube trailer */}
+        {videos.length > 0 && (
+          <section className="mt-12 space-y-4">
+            <h2 className="text-2xl font-semibold">Trailer</h2>
+            <TrailerPlayer videos={videos} title={movie.title} />
+          </section>
+        )}
+
+        {/* Tabbed content section for cast, crew, images, similar movies, and reviews */}
         <div className="mt-12">
           <Tabs defaultValue="cast" className="w-full">
             <TabsList>
               <TabsTrigger value="cast">Cast</TabsTrigger>
+              <TabsTrigger value="crew">Crew</TabsTrigger>
+              <TabsTrigger value="images">Images</TabsTrigger>
               <TabsTrigger value="similar">Similar Movies</TabsTrigger>
               <TabsTrigger value="reviews">Reviews</TabsTrigger>
             </TabsList>
@@ -289,37 +297,95 @@ export default function MovieDetailPage() {
             <TabsContent value="cast" className="space-y-4">
               <h3 className="text-xl font-semibold">Cast</h3>
               <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
-                {/* Display first 12 cast members */}
+                {/* Display first 12 cast members, linking to their person pages */}
                 {movie.credits?.cast?.slice(0, 12).map((person) => (
-                  <Card key={person.id} className="overflow-hidden">
-                    {/* Actor profile image */}
-                    <div className="relative aspect-[2/3]">
-                      <Image
-                        src={
-                          tmdbService.getProfileUrl(person.profile_path) ||
-                          "/placeholder.svg?height=300&width=200&query=person" ||
-                          "/placeholder.svg"
-                        }
-                        alt={person.name}
-                        fill
-                        className="object-cover"
-                        sizes="(max-width: 768px) 50vw, (max-width: 1200px) 25vw, 16vw"
-                      />
-                    </div>
-                    {/* Actor name and character */}
-                    <CardContent className="p-3">
-                      <h4 className="font-semibold text-sm line-clamp-1">
-                        {person.name}
-                      </h4>
-                      <p className="text-xs text-muted-foreground line-clamp-1">
-                        {person.character}
-                      </p>
-                    </CardContent>
-                  </Card>
+                  <Link
+                    key={person.id}
+                    href={`/person/${person.id}`}
+                    className="group"
+                  >
+                    <Card className="h-full overflow-hidden transition-colors group-hover:bg-muted/50">
+                      {/* Actor profile image */}
+                      <div className="relative aspect-[2/3]">
+                        <Image
+                          src={
+                            tmdbService.getProfileUrl(person.profile_path) ||
+                            "/placeholder.svg?height=300&width=200&query=person" ||
+                            "/placeholder.svg"
+                          }
+                          alt={person.name}
+                          fill
+                          className="object-cover"
+                          sizes="(max-width: 768px) 50vw, (max-width: 1200px) 25vw, 16vw"
+                        />
+                      </div>
+                      {/* Actor name and character */}
+                      <CardContent className="p-3">
+                        <h4 className="font-semibold text-sm line-clamp-1">
+                          {person.name}
+                        </h4>
+                        <p className="text-xs text-muted-foreground line-clamp-1">
+                          {person.character}
+                        </p>
+                      </CardContent>
+                    </Card>
+                  </Link>
                 ))}
               </div>
             </TabsContent>
 
+            {/* Crew tab content, grouped by department */}
+            <TabsContent value="crew" className="space-y-6">
+              <h3 className="text-xl font-semibold">Crew</h3>
+              {crewDepartments.length ? (
+                crewDepartments.map(({ department, people }) => (
+                  <div key={department} className="space-y-2">
+                    <h4 className="font-semibold">{department}</h4>
+                    <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                      {people.map((person) => (
+                        <li key={person.id}>
+                          <Link
+                            href={`/person/${person.id}`}
+                            className="flex items-center gap-3 rounded-md p-2 hover:bg-muted/50"
+                          >
+                            <div className="relative h-12 w-12 shrink-0 overflow-hidden rounded-full bg-muted">
+                              {person.profile_path && (
+                                <Image
+                                  src={tmdbService.getProfileUrl(
+                                    person.profile_path
+                                  )}
+                                  alt={person.name}
+                                  fill
+                                  className="object-cover"
+                                  sizes="48px"
+                                />
+                              )}
+                            </div>
+                            <div className="min-w-0">
+                              <p className="text-sm font-medium line-clamp-1">
+                                {person.name}
+                              </p>
+                              <p className="text-xs text-muted-foreground line-clamp-1">
+                                {person.jobs.join(", ")}
+                              </p>
+                            </div>
+                          </Link>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))
+              ) : (
+                <p className="text-muted-foreground">No crew listed.</p>
+              )}
+            </TabsContent>
+
+            {/* Images tab content: backdrops and posters with a lightbox */}
+            <TabsContent value="images" className="space-y-4">
+              <h3 className="text-xl font-semibold">Images</h3>
+              <MediaGallery images={movie.images} title={movie.title} />
+            </TabsContent>
+
             {/* Similar movies tab content */}
             <TabsContent value="similar" className="space-y-4">
               <h3 className="text-xl font-semibold">Similar Movies</h3>
@@ -1,12 +1,18 @@
 "use client";
 
 import dynamic from "next/dynamic";
-import { useState } from "react";
+import { Suspense, useMemo, useState } from "react";
 import { useAuth } from "@/components/auth/AuthProvider";
 import Header from "@/components/layout/Header";
 import { Button } from "@/components/ui/button";
 import { Film } from "lucide-react";
-import { useRouter } from "next/navigation";
+import { useRouter, useSearchParams } from "next/navigation";
+import FilterPanel from "@/components/movie/FilterPanel";
+import {
+  filtersFromSearchParams,
+  filtersToSearchParams,
+  DEFAULT_FILTERS,
+} from "@/lib/discover";
 
 // Dynamically import MovieGrid component to improve initial page load performance
 // Shows skeleton loading state while the component loads
@@ -27,32 +33,51 @@ const MovieGrid = dynamic(() => import("@/components/movie/MovieGrid"), {
 });
 
 /**
- * Main page component for CineTracker application
- * Shows different content based on user authentication status:
- * - Landing page with hero section for unauthenticated users
- * - Movie search and browse interface for authenticated users
- *
- * @returns {JSX.Element} The main page component
+ * Home content component that uses useSearchParams
+ * Separated to be wrapped in Suspense boundary
  */
-export default function Page() {
+function HomeContent() {
   // Get authentication state from context
   const { user, loading } = useAuth();
   const router = useRouter();
+  const searchParams = useSearchParams();
 
-  // Local state for search functionality
-  const [query, setQuery] = useState(""); // Current input value
-  const [submittedQuery, setSubmittedQuery] = useState(""); // Query submitted for search
+  // Discover filters live in the URL so filtered views can be bookmarked and shared
+  const filters = useMemo(
+    () => filtersFromSearchParams(searchParams),
+    [searchParams]
+  );
+
+  // Submitted search query is also kept in the URL so it survives navigating
+  // to a detail page and back
+  const submittedQuery = searchParams.get("q") || "";
+  const [query, setQuery] = useState(submittedQuery); // Current input value
 
   // Navigation handlers for authentication routes
   const goRegister = () => router.push("/auth?mode=register");
   const goLogin = () => router.push("/auth?mode=login");
 
+  /**
+   * Writes the search query and filters to the URL, replacing the current history entry
+   * @param {string} q - Submitted search query
+   * @param {Object} nextFilters - Filters to apply
+   */
+  const updateUrl = (q, nextFilters) => {
+    const params = filtersToSearchParams(nextFilters);
+    if (q) params.set("q", q);
+    const qs = params.toString();
+    router.replace(qs ? `/?${qs}` : "/", { scroll: false });
+  };
+
   // Handle search form submission
   const onSearch = (e) => {
     e.preventDefault();
-    setSubmittedQuery(query.trim()); // Trim whitespace and update search query
+    updateUrl(query.trim(), filters); // Trim whitespace and update search query
   };
 
+  // Apply new filters while keeping the current search
+  const onFiltersChange = (next) => updateUrl(submittedQuery, next);
+
   return (
     <div className="min-h-[100dvh] flex flex-col">
       {/* Global navigation header */}
@@ -157,8 +182,19 @@ export default function Page() {
                 </svg>
               </form>
 
-              {/* Movie grid - only render when not loading auth state */}
-              {!loading && <MovieGrid searchQuery={submittedQuery} />}
+              {/* Filter panel beside the movie grid */}
+              <div className="grid gap-6 lg:grid-cols-[280px_1fr] items-start">
+                <FilterPanel filters={filters} onChange={onFiltersChange} />
+
+                {/* Movie grid - only render when not loading auth state */}
+                {!loading && (
+                  <MovieGrid
+                    searchQuery={submittedQuery}
+                    filters={filters}
+                    onResetFilters={() => onFiltersChange(DEFAULT_FILTERS)}
+                  />
+                )}
+              </div>
             </div>
           </section>
         )}
@@ -174,3 +210,25 @@ export default function Page() {
     </div>
   );
 }
+
+/**
+ * Main page component for CineTracker application
+ * Shows different content based on user authentication status:
+ * - Landing page with hero section for unauthenticated users
+ * - Movie search and browse interface for authenticated users
+ *
+ * @returns {JSX.Element} The main page component
+ */
+export default function Page() {
+  return (
+    <Suspense
+      fallback={
+        <div className="min-h-[100dvh] flex flex-col">
+          <Header />
+        </div>
+      }
+    >
+      <HomeContent />
+    </Suspense>
+  );
+}
@@ -0,0 +1,566 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { useParams } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent } from "@/components/ui/card";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  Cake,
+  Check,
+  ExternalLink,
+  Eye,
+  Heart,
+  ListPlus,
+  MapPin,
+  Star,
+  Tv,
+} from "lucide-react";
+import { tmdbService } from "@/lib/tmdb";
+import { isAbortError } from "@/lib/tmdbErrors";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import {
+  DEPARTMENTS,
+  FILMOGRAPHY_SORTS,
+  buildFilmography,
+  countByDepartment,
+  filmographyView,
+  knownFor,
+  personAge,
+} from "@/lib/filmography";
+import { formatDate } from "@/lib/utils";
+import Header from "@/components/layout/Header";
+import LoadError from "@/components/layout/LoadError";
+
+// Biography length shown before "Read more"
+const BIO_PREVIEW_LENGTH = 600;
+
+// Number of profile photos shown
+const PHOTO_LIMIT = 8;
+
+// External profiles linked from the page, keyed by TMDB external_ids field
+const EXTERNAL_LINKS = [
+  {
+    field: "imdb_id",
+    label: "IMDb",
+    url: (id) => `https://www.imdb.com/name/${id}`,
+  },
+  {
+    field: "instagram_id",
+    label: "Instagram",
+    url: (id) => `https://www.instagram.com/${id}`,
+  },
+  { field: "twitter_id", label: "X", url: (id) => `https://x.com/${id}` },
+  {
+    field: "facebook_id",
+    label: "Facebook",
+    url: (id) => `https://www.facebook.com/${id}`,
+  },
+  {
+    field: "wikidata_id",
+    label: "Wikidata",
+    url: (id) => `https://www.wikidata.org/wiki/${id}`,
+  },
+];
+
+/**
+ * Returns the detail page path of a credit
+ * @param {Object} entry - Filmography entry
+ * @returns {string} Movie or TV show path
+ */
+function creditPath(entry) {
+  return entry.media_type === "tv" ? `/tv/${entry.id}` : `/movie/${entry.id}`;
+}
+
+/**
+ * Badges showing where a title already is in the user's lists
+ * @param {Object} props - Component props
+ * @param {Object} props.entry - Filmography entry
+ * @returns {JSX.Element|null} Status badges
+ */
+function ListStatus({ entry }) {
+  const { isInWatchlist, isInWatched, isFavorite, isFollowing, lists } =
+    useWatchlist();
+
+  if (entry.media_type === "tv") {
+    return isFollowing(entry.id) ? (
+      <Badge variant="secondary">
+        <Tv className="h-3 w-3" />
+        Following
+      </Badge>
+    ) : null;
+  }
+
+  const listCount = lists.filter((list) =>
+    list.items.some((item) => item.id === entry.id)
+  ).length;
+
+  return (
+    <>
+      {isInWatched(entry.id) && (
+        <Badge variant="secondary">
+          <Check className="h-3 w-3" />
+          Watched
+        </Badge>
+      )}
+      {isInWatchlist(entry.id) && (
+        <Badge variant="secondary">
+          <ListPlus className="h-3 w-3" />
+          Watchlist
+        </Badge>
+      )}
+      {isFavorite(entry.id) && (
+        <Badge variant="secondary">
+          <Heart className="h-3 w-3" />
+          Favorite
+        </Badge>
+      )}
+      {listCount > 0 && (
+        <Badge variant="outline">
+          In {listCount} {listCount === 1 ? "list" : "lists"}
+        </Badge>
+      )}
+    </>
+  );
+}
+
+/**
+ * Single filmography row: year, poster, title, roles, rating and list status
+ * @param {Object} props - Component props
+ * @param {Object} props.entry - Filmography entry
+ * @returns {JSX.Element} Filmography row
+ */
+function FilmographyRow({ entry }) {
+  const posterUrl = tmdbService.getPosterUrl(entry.poster_path || "", "w92");
+
+  return (
+    <li className="flex items-start gap-3 py-3">
+      <div className="w-12 shrink-0 text-sm text-muted-foreground tabular-nums">
+        {entry.year || "TBA"}
+      </div>
+
+      <Link
+        href={creditPath(entry)}
+        className="relative h-16 w-11 shrink-0 overflow-hidden rounded bg-muted"
+      >
+        {posterUrl && (
+          <Image
+            src={posterUrl}
+            alt={entry.title}
+            fill
+            sizes="44px"
+            className="object-cover"
+          />
+        )}
+      </Link>
+
+      <div className="min-w-0 flex-1">
+        <div className="flex flex-wrap items-center gap-2">
+          <Link
+            href={creditPath(entry)}
+            className="font-medium hover:underline"
+          >
+            {entry.title}
+          </Link>
+          {entry.media_type === "tv" && <Badge variant="outline">TV</Badge>}
+          <ListStatus entry={entry} />
+        </div>
+        {entry.roles.length > 0 && (
+          <p className="text-sm text-muted-foreground line-clamp-1">
+            {entry.department === "Acting" ? "as " : ""}
+            {entry.roles.join(", ")}
+          </p>
+        )}
+      </div>
+
+      {entry.vote_count > 0 && (
+        <div className="flex shrink-0 items-center gap-1 text-sm">
+          <Star className="h-4 w-4 fill-yellow-400 text-yellow-400" />
+          {entry.vote_average.toFixed(1)}
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Person detail page: biography, known-for titles, photos and a filterable,
+ * sortable filmography with list status and a bulk "add unseen to watchlist"
+ * action
+ */
+export default function PersonPage() {
+  const { id } = useParams(); // Extract person ID from URL parameters
+  const { isInWatched, isInWatchlist, addManyToWatchlist } = useWatchlist();
+
+  const [person, setPerson] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState(null); // TMDB error, if loading failed
+  const [attempt, setAttempt] = useState(0); // Bumped to retry loading
+  const [bioExpanded, setBioExpanded] = useState(false);
+  const [department, setDepartment] = useState(""); // "" shows every department
+  const [sort, setSort] = useState("year");
+  const [adding, setAdding] = useState(false);
+
+  // Fetch person details when component mounts or ID changes
+  useEffect(() => {
+    // Cancels the request when the page unmounts or the ID changes
+    const controller = new AbortController();
+
+    async function load() {
+      if (!id) return;
+
+      setLoading(true);
+      setErr(null);
+      try {
+        const data = await tmdbService.getPersonDetails(id, {
+          signal: controller.signal,
+        });
+        if (controller.signal.aborted) return;
+        setPerson(data);
+        // Start on the department the person is known for when it has a filter
+        setDepartment(
+          DEPARTMENTS.includes(data.known_for_department)
+            ? data.known_for_department
+            : ""
+        );
+      } catch (e) {
+        if (!isAbortError(e)) setErr(e);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+
+    return () => controller.abort();
+  }, [id, attempt]);
+
+  const filmography = useMemo(
+    () => buildFilmography(person?.combined_credits),
+    [person]
+  );
+  const counts = useMemo(() => countByDepartment(filmography), [filmography]);
+  const view = useMemo(
+    () => filmographyView(filmography, { department, sort }),
+    [filmography, department, sort]
+  );
+  const highlights = useMemo(
+    () => knownFor(filmography, person?.known_for_department),
+    [filmography, person]
+  );
+
+  // Movies in the current view that aren't watched or on the watchlist yet
+  const unseen = [
+    ...new Map(
+      view
+        .filter(
+          (entry) =>
+            entry.media_type === "movie" &&
+            !isInWatched(entry.id) &&
+            !isInWatchlist(entry.id)
+        )
+        .map((entry) => [entry.id, entry])
+    ).values(),
+  ];
+
+  const onAddUnseen = async () => {
+    setAdding(true);
+    await addManyToWatchlist(
+      unseen.map((entry) => ({ ...entry, release_date: entry.date }))
+    );
+    setAdding(false);
+  };
+
+  // Loading state with skeleton placeholders
+  if (loading) {
+    return (
+      <>
+        <Header />
+        <div className="container mx-auto px-4 py-8">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-1">
+              <Skeleton className="aspect-[2/3] w-full rounded-lg" />
+            </div>
+            <div className="lg:col-span-2 space-y-4">
+              <Skeleton className="h-8 w-1/2" />
+              <Skeleton className="h-4 w-1/3" />
+              <Skeleton className="h-40 w-full" />
+            </div>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  // Error state when person not found or API fails
+  if (err || !person) {
+    return (
+      <>
+        <Header />
+        <LoadError
+          error={err}
+          notFoundTitle="Person Not Found"
+          subject="person details"
+          onRetry={() => setAttempt((n) => n + 1)}
+        />
+      </>
+    );
+  }
+
+  const profileUrl = tmdbService.getProfileUrl(person.profile_path, "h632");
+  const age = personAge(person.birthday, person.deathday);
+  const biography = person.biography || "";
+  const longBio = biography.length > BIO_PREVIEW_LENGTH;
+  const photos = (person.images?.profiles || []).slice(0, PHOTO_LIMIT);
+  const externalIds = person.external_ids || {};
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+
+      <div className="container mx-auto px-4 py-8">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Profile photo and personal details */}
+          <div className="lg:col-span-1 space-y-4">
+            <Card className="overflow-hidden py-0">
+              <div className="relative aspect-[2/3] bg-muted">
+                {profileUrl && (
+                  <Image
+                    src={profileUrl}
+                    alt={person.name}
+                    fill
+                    className="object-cover"
+                    sizes="(max-width: 1024px) 100vw, 33vw"
+                    priority
+                  />
+                )}
+              </div>
+            </Card>
+
+            <div className="space-y-2 text-sm">
+              {person.known_for_department && (
+                <div>
+                  <span className="text-muted-foreground">Known for: </span>
+                  {person.known_for_department}
+                </div>
+              )}
+              {person.birthday && (
+                <div className="flex items-center gap-2">
+                  <Cake className="h-4 w-4" />
+                  <span>
+                    {formatDate(person.birthday)}
+                    {person.deathday ? ` – ${formatDate(person.deathday)}` : ""}
+                    {age !== null &&
+                      ` (${person.deathday ? "aged " : ""}${age})`}
+                  </span>
+                </div>
+              )}
+              {person.place_of_birth && (
+                <div className="flex items-center gap-2">
+                  <MapPin className="h-4 w-4" />
+                  <span>{person.place_of_birth}</span>
+                </div>
+              )}
+              <div className="flex flex-wrap gap-2 pt-2">
+                {EXTERNAL_LINKS.filter((link) => externalIds[link.field]).map(
+                  (link) => (
+                    <Button
+                      key={link.field}
+                      variant="outline"
+                      size="sm"
+                      asChild
+                    >
+                      <a
+                        href={link.url(externalIds[link.field])}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {link.label}
+                        <ExternalLink className="ml-1 h-3 w-3" />
+                      </a>
+                    </Button>
+                  )
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Name, biography, known-for titles and photos */}
+          <div className="lg:col-span-2 space-y-8">
+            <div>
+              <h1 className="text-3xl md:text-4xl font-bold mb-4">
+                {person.name}
+              </h1>
+              <h2 className="text-xl font-semibold mb-2">Biography</h2>
+              <p className="text-muted-foreground leading-relaxed whitespace-pre-line">
+                {!biography
+                  ? "No biography available."
+                  : longBio && !bioExpanded
+                    ? `${biography.slice(0, BIO_PREVIEW_LENGTH).trimEnd()}…`
+                    : biography}
+              </p>
+              {longBio && (
+                <Button
+                  variant="link"
+                  className="px-0"
+                  onClick={() => setBioExpanded((v) => !v)}
+                >
+                  {bioExpanded ? "Show less" : "Read more"}
+                </Button>
+              )}
+            </div>
+
+            {highlights.length > 0 && (
+              <section>
+                <h2 className="text-xl font-semibold mb-3">Known For</h2>
+                <div className="grid grid-cols-3 sm:grid-cols-4 gap-3">
+                  {highlights.map((entry) => {
+                    const posterUrl = tmdbService.getPosterUrl(
+                      entry.poster_path || "",
+                      "w185"
+                    );
+                    return (
+                      <Link
+                        key={`${entry.media_type}-${entry.id}`}
+                        href={creditPath(entry)}
+                        className="group grid gap-1"
+                      >
+                        <div className="relative aspect-[2/3] overflow-hidden rounded-md bg-muted">
+                          {posterUrl && (
+                            <Image
+                              src={posterUrl}
+                              alt={entry.title}
+                              fill
+                              sizes="(max-width: 768px) 33vw, 12vw"
+                              className="object-cover"
+                            />
+                          )}
+                        </div>
+                        <span className="text-sm line-clamp-1 group-hover:underline">
+                          {entry.title}
+                        </span>
+                      </Link>
+                    );
+                  })}
+                </div>
+              </section>
+            )}
+
+            {photos.length > 1 && (
+              <section>
+                <h2 className="text-xl font-semibold mb-3">Photos</h2>
+                <div className="grid grid-cols-4 sm:grid-cols-8 gap-2">
+                  {photos.map((photo) => (
+                    <a
+                      key={photo.file_path}
+                      href={tmdbService.getImageUrl(
+                        photo.file_path,
+                        "original"
+                      )}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="relative aspect-[2/3] overflow-hidden rounded bg-muted"
+                    >
+                      <Image
+                        src={tmdbService.getProfileUrl(photo.file_path)}
+                        alt={`${person.name} photo`}
+                        fill
+                        sizes="(max-width: 640px) 25vw, 10vw"
+                        className="object-cover"
+                      />
+                    </a>
+                  ))}
+                </div>
+              </section>
+            )}
+          </div>
+        </div>
+
+        {/* Filmography with department filters, sorting and bulk action */}
+        <section className="mt-12">
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <h2 className="text-2xl font-bold mr-2">Filmography</h2>
+            <div
+              className="flex flex-wrap gap-1"
+              role="group"
+              aria-label="Department"
+            >
+              {[
+                { value: "", label: "All", count: filmography.length },
+                ...DEPARTMENTS.map((d) => ({
+                  value: d,
+                  label: d,
+                  count: counts[d] || 0,
+                })),
+              ]
+                .filter((option) => option.value === "" || option.count > 0)
+                .map((option) => (
+                  <Button
+                    key={option.label}
+                    size="sm"
+                    variant={
+                      department === option.value ? "default" : "outline"
+                    }
+                    aria-pressed={department === option.value}
+                    onClick={() => setDepartment(option.value)}
+                  >
+                    {option.label} ({option.count})
+                  </Button>
+                ))}
+            </div>
+
+            <label className="ml-auto flex items-center gap-2 text-sm">
+              <span className="text-muted-foreground">Sort by</span>
+              <select
+                className="h-8 rounded-md border border-input bg-transparent px-2 text-sm shadow-xs dark:bg-input/30"
+                value={sort}
+                onChange={(e) => setSort(e.currentTarget.value)}
+              >
+                {FILMOGRAPHY_SORTS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={adding || unseen.length === 0}
+              onClick={onAddUnseen}
+              title="Adds movies in this view that you haven't watched"
+            >
+              <Eye className="mr-2 h-4 w-4" />
+              {unseen.length
+                ? `Add ${unseen.length} unseen to watchlist`
+                : "Nothing unseen to add"}
+            </Button>
+          </div>
+
+          {view.length ? (
+            <Card className="py-0">
+              <CardContent className="px-4">
+                <ul className="divide-y">
+                  {view.map((entry) => (
+                    <FilmographyRow
+                      key={`${entry.media_type}-${entry.id}-${entry.department}`}
+                      entry={entry}
+                    />
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          ) : (
+            <p className="text-muted-foreground">
+              No credits in this department.
+            </p>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
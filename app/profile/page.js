@@ -14,6 +14,10 @@ import { Sun, Moon, Check } from "lucide-react";
 import { useWatchlist } from "@/hooks/useWatchlist";
 import { useToast } from "@/hooks/use-toast";
 import Header from "@/components/layout/Header";
+import ImportExportCard from "@/components/profile/ImportExportCard";
+import PreferencesCard from "@/components/profile/PreferencesCard";
+import StreamingServicesCard from "@/components/profile/StreamingServicesCard";
+import StatsDashboard from "@/components/profile/StatsDashboard";
 
 /**
  * Profile page component that allows users to view and edit their personal information,
@@ -119,6 +123,7 @@ export default function ProfilePage() {
             watchlist: [],
             watched: [],
             favorites: [],
+            shows: {},
           },
           { merge: true } // Don't overwrite existing fields
         );
@@ -381,6 +386,18 @@ export default function ProfilePage() {
               </div>
             </CardContent>
           </Card>
+
+          {/* Charts and totals built from the watched list */}
+          <StatsDashboard className="lg:col-span-3" />
+
+          {/* Display settings (rating scale) */}
+          <PreferencesCard className="lg:col-span-3" />
+
+          {/* Country and subscribed streaming services */}
+          <StreamingServicesCard className="lg:col-span-3" />
+
+          {/* List import and export */}
+          <ImportExportCard className="lg:col-span-3" />
         </div>
       </div>
     </>
@@ -0,0 +1,69 @@
+import { ImageResponse } from "next/og";
+import { tmdbService } from "@/lib/tmdb";
+import { fetchPublicShare } from "@/lib/publicShares";
+import { shareHeading } from "@/lib/shares";
+
+// Number of posters in the preview collage
+const COLLAGE_SIZE = 5;
+
+export const alt = "Poster collage of a shared CineTracker list";
+export const size = { width: 1200, height: 630 };
+export const contentType = "image/png";
+
+/**
+ * Open Graph preview for a shared list: the list title over a row of the
+ * first few posters
+ *
+ * @param {Object} props - Route props
+ * @param {Promise<Object>} props.params - Route parameters ({ token })
+ * @returns {Promise<ImageResponse>} 1200×630 PNG
+ */
+export default async function Image({ params }) {
+  const { token } = await params;
+  const share = await fetchPublicShare(token);
+  const posters = (share?.items || [])
+    .map((item) => tmdbService.getPosterUrl(item.poster_path || "", "w342"))
+    .filter(Boolean)
+    .slice(0, COLLAGE_SIZE);
+
+  return new ImageResponse(
+    <div
+      style={{
+        width: "100%",
+        height: "100%",
+        display: "flex",
+        flexDirection: "column",
+        justifyContent: "space-between",
+        padding: 48,
+        background: "#0a0a0a",
+        color: "#fafafa",
+      }}
+    >
+      <div style={{ display: "flex", gap: 16 }}>
+        {posters.map((src) => (
+          <img
+            key={src}
+            src={src}
+            alt=""
+            width={208}
+            height={312}
+            style={{ borderRadius: 12, objectFit: "cover" }}
+          />
+        ))}
+      </div>
+      <div style={{ display: "flex", flexDirection: "column" }}>
+        <div style={{ fontSize: 56, fontWeight: 700 }}>
+          {share ? shareHeading(share) : "CineTracker"}
+        </div>
+        <div style={{ fontSize: 28, color: "#a3a3a3" }}>
+          {share
+            ? `${share.count} ${share.count === 1 ? "movie" : "movies"}${
+                share.ownerName ? ` · shared by ${share.ownerName}` : ""
+              } · CineTracker`
+            : "Discover, track, and manage your entertainment"}
+        </div>
+      </div>
+    </div>,
+    size
+  );
+}
@@ -0,0 +1,150 @@
+import Image from "next/image";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { Badge } from "@/components/ui/badge";
+import { Card } from "@/components/ui/card";
+import { Globe, Quote, Star } from "lucide-react";
+import Header from "@/components/layout/Header";
+import { tmdbService } from "@/lib/tmdb";
+import { shareHeading } from "@/lib/shares";
+import { fetchPublicShare } from "@/lib/publicShares";
+
+// Re-render shared pages at most once a minute (matches the share fetch cache)
+export const revalidate = 60;
+
+/**
+ * Open Graph and Twitter metadata so shared links preview well
+ * The poster collage image comes from opengraph-image.js in this folder
+ *
+ * @param {Object} props - Route props
+ * @param {Promise<Object>} props.params - Route parameters ({ token })
+ * @returns {Promise<Object>} Page metadata
+ */
+export async function generateMetadata({ params }) {
+  const { token } = await params;
+  const share = await fetchPublicShare(token);
+  if (!share) return { title: "List not found · CineTracker" };
+
+  const heading = shareHeading(share);
+  const description =
+    share.description ||
+    `${share.count} ${share.count === 1 ? "movie" : "movies"}${
+      share.ownerName ? ` shared by ${share.ownerName}` : ""
+    } on CineTracker.`;
+
+  return {
+    title: `${heading} · CineTracker`,
+    description,
+    openGraph: {
+      title: heading,
+      description,
+      type: "website",
+      siteName: "CineTracker",
+    },
+    twitter: { card: "summary_large_image", title: heading, description },
+  };
+}
+
+/**
+ * SharedListPage Component
+ *
+ * Read-only public view of a shared watchlist, favorites list or custom list.
+ * Rendered on the server from the share's public copy, so it works without
+ * signing in and never exposes the owner's other data.
+ */
+export default async function SharedListPage({ params }) {
+  const { token } = await params;
+  const share = await fetchPublicShare(token);
+  if (!share) notFound();
+
+  return (
+    <>
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        {/* Page header with title, owner and count */}
+        <div className="flex flex-wrap items-center gap-3 mb-2">
+          <Globe className="h-6 w-6" />
+          <h1 className="text-3xl font-bold">{shareHeading(share)}</h1>
+          <Badge variant="secondary">{share.count}</Badge>
+        </div>
+        <p className="mb-6 text-sm text-muted-foreground">
+          {share.ownerName
+            ? `Shared by ${share.ownerName}`
+            : "Shared on CineTracker"}
+          {share.count > share.items.length &&
+            ` · showing the first ${share.items.length}`}
+        </p>
+        {share.description && (
+          <p className="mb-6 max-w-3xl whitespace-pre-line text-muted-foreground">
+            {share.description}
+          </p>
+        )}
+
+        {share.items.length === 0 && (
+          <Card className="p-6 text-sm text-muted-foreground">
+            This list is empty.
+          </Card>
+        )}
+
+        {/* Read-only movie grid */}
+        <ol className="grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
+          {share.items.map((item) => {
+            const posterUrl = tmdbService.getPosterUrl(
+              item.poster_path || "",
+              "w342"
+            );
+            const title = item.title || `Movie #${item.id}`;
+            return (
+              <li key={item.id}>
+                <Card className="h-full gap-0 overflow-hidden py-0">
+                  <Link href={`/movie/${item.id}`} className="relative block">
+                    <div className="relative w-full aspect-[2/3] bg-muted">
+                      {posterUrl && (
+                        <Image
+                          src={posterUrl}
+                          alt={title}
+                          fill
+                          sizes="(max-width: 768px) 50vw, 20vw"
+                          className="object-cover"
+                        />
+                      )}
+                      {item.vote_average > 0 && (
+                        <div className="absolute top-2 right-2">
+                          <Badge
+                            variant="secondary"
+                            className="bg-background/80 backdrop-blur"
+                          >
+                            <Star className="h-3 w-3 mr-1 text-yellow-500" />
+                            {Math.round(item.vote_average * 10) / 10}
+                          </Badge>
+                        </div>
+                      )}
+                    </div>
+                  </Link>
+                  <div className="p-3 grid gap-1">
+                    <Link
+                      href={`/movie/${item.id}`}
+                      className="font-medium line-clamp-1 hover:underline"
+                      title={title}
+                    >
+                      {title}
+                    </Link>
+                    <div className="text-xs text-muted-foreground">
+                      {item.release_date || "Unknown date"}
+                    </div>
+                    {item.note && (
+                      <div className="flex items-start gap-1 text-xs text-primary">
+                        <Quote className="mt-0.5 h-3 w-3 shrink-0" />
+                        <span className="line-clamp-3">{item.note}</span>
+                      </div>
+                    )}
+                  </div>
+                </Card>
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+    </>
+  );
+}
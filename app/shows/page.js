@@ -0,0 +1,227 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { tmdbService } from "@/lib/tmdb";
+import { isAbortError, nullIfNotFound } from "@/lib/tmdbErrors";
+import { getNextEpisode, getShowProgress, formatEpisodeCode } from "@/lib/tv";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Tv, AlertTriangle, PlayCircle } from "lucide-react";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import Header from "@/components/layout/Header";
+import TMDBErrorAlert from "@/components/layout/TMDBErrorAlert";
+
+/**
+ * ShowsPage Component
+ *
+ * Displays the TV shows a user follows with their episode progress
+ * and the next episode to watch for each one.
+ */
+export default function ShowsPage() {
+  const router = useRouter();
+  const { user, initialized } = useAuth();
+  const { shows } = useWatchlist();
+
+  // State for storing show details fetched from TMDB API
+  const [items, setItems] = useState([]);
+  // Loading state for API requests
+  const [loading, setLoading] = useState(true);
+  // TMDB error when show details couldn't be loaded
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0); // Bumped to retry loading
+
+  // Demo fixtures don't include TV shows
+  const isDemo = tmdbService.isDemo();
+
+  /**
+   * Authentication guard effect
+   * Redirects unauthenticated users to login page
+   */
+  useEffect(() => {
+    if (!initialized) return;
+
+    if (!user) {
+      router.replace("/auth?mode=login");
+      return;
+    }
+  }, [initialized, user, router]);
+
+  /**
+   * Data loading effect
+   * Fetches show details (season episode counts) for each followed show
+   */
+  useEffect(() => {
+    // Cancels outstanding requests on unmount or when the shows change
+    const controller = new AbortController();
+
+    async function load() {
+      if (!user) return;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const results = await Promise.all(
+          (shows || []).map(async (entry) => {
+            // Shows removed from TMDB are skipped
+            const details = await nullIfNotFound(
+              tmdbService.getTvDetails(entry.id, { signal: controller.signal })
+            );
+            // Attach the user's progress entry to the show details
+            return details ? { ...details, _progress: entry } : null;
+          })
+        );
+
+        if (!controller.signal.aborted) setItems(results.filter(Boolean));
+      } catch (e) {
+        if (!isAbortError(e)) {
+          setItems([]);
+          setError(e);
+        }
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+
+    return () => controller.abort();
+  }, [user, shows, attempt]);
+
+  return (
+    <>
+      <Header />
+      <div className="container mx-auto px-4 py-8">
+        {/* Page header with icon, title, and count badge */}
+        <div className="flex items-center gap-3 mb-6">
+          <Tv className="h-6 w-6" />
+          <h1 className="text-3xl font-bold">My Shows</h1>
+          <Badge variant="secondary">{items.length}</Badge>
+        </div>
+
+        {/* Demo mode explains why followed shows don't appear */}
+        {isDemo && (
+          <Alert className="mb-6">
+            <AlertTitle>Demo data</AlertTitle>
+            <AlertDescription>
+              The demo data only includes movies. Set TMDB_API_KEY to track your
+              shows.
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {/* Why show details are missing, when TMDB couldn't provide them */}
+        {error && !loading && (
+          <TMDBErrorAlert
+            error={error}
+            subject="your shows"
+            onRetry={() => setAttempt((n) => n + 1)}
+            className="mb-6"
+          />
+        )}
+
+        {/* Empty state message when no shows are followed */}
+        {items.length === 0 && !loading && !error ? (
+          <Card className="p-6">
+            <div className="flex items-start gap-3">
+              <AlertTriangle className="h-5 w-5 text-muted-foreground mt-0.5" />
+              <div>
+                <div className="font-medium">
+                  You aren&apos;t following any shows.
+                </div>
+                <div className="text-sm text-muted-foreground">
+                  Follow a TV show to track your episode progress here.
+                </div>
+              </div>
+            </div>
+          </Card>
+        ) : null}
+
+        {/* Show progress list with loading skeletons */}
+        <div className="grid gap-4 md:grid-cols-2">
+          {(loading ? Array.from({ length: 4 }) : items).map((show, idx) =>
+            loading ? (
+              <div
+                key={idx}
+                className="h-[140px] rounded-md bg-muted animate-pulse"
+              />
+            ) : (
+              <ShowProgressCard key={show.id} show={show} />
+            )
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+/**
+ * ShowProgressCard component shows a followed show's poster, progress bar
+ * and the next unwatched episode
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.show - TV show details with attached _progress entry
+ * @returns {JSX.Element} Card linking to the show's detail page
+ */
+function ShowProgressCard({ show }) {
+  const episodes = show._progress?.episodes || [];
+  const progress = getShowProgress(show, episodes);
+  const next = getNextEpisode(show, episodes);
+  const posterUrl = tmdbService.getPosterUrl(show.poster_path, "w185");
+
+  return (
+    <Card className="overflow-hidden">
+      <CardContent className="p-0 flex">
+        <Link href={`/tv/${show.id}`} className="relative w-24 shrink-0">
+          <div className="relative w-full aspect-[2/3] bg-muted">
+            {posterUrl && (
+              <Image
+                src={posterUrl}
+                alt={show.name}
+                fill
+                sizes="96px"
+                className="object-cover"
+              />
+            )}
+          </div>
+        </Link>
+
+        <div className="p-4 flex-1 min-w-0 space-y-2">
+          <Link
+            href={`/tv/${show.id}`}
+            className="font-medium line-clamp-1 hover:underline"
+          >
+            {show.name}
+          </Link>
+
+          {/* Progress bar across aired regular episodes */}
+          <div className="h-2 w-full rounded-full bg-muted overflow-hidden">
+            <div
+              className="h-full bg-primary"
+              style={{ width: `${progress.percent}%` }}
+            />
+          </div>
+          <div className="text-xs text-muted-foreground">
+            {progress.watched} of {progress.total} episodes watched
+          </div>
+
+          {/* Next episode to watch */}
+          <div className="flex items-center gap-1 text-sm">
+            <PlayCircle className="h-4 w-4" />
+            {next
+              ? `Next up: ${formatEpisodeCode(
+                  next.season_number,
+                  next.episode_number
+                )}`
+              : "All caught up"}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,503 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useParams } from "next/navigation";
+import Image from "next/image";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent } from "@/components/ui/card";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Star, Calendar, Tv, Check, Eye, PlayCircle } from "lucide-react";
+import { tmdbService } from "@/lib/tmdb";
+import { isAbortError } from "@/lib/tmdbErrors";
+import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { formatDate } from "@/lib/utils";
+import {
+  getRegularSeasons,
+  getNextEpisode,
+  getShowProgress,
+  formatEpisodeCode,
+  hasAired,
+} from "@/lib/tv";
+import MovieCard from "@/components/movie/MovieCard";
+import Header from "@/components/layout/Header";
+import LoadError from "@/components/layout/LoadError";
+
+/**
+ * TV show detail page component that displays show information, season and
+ * episode lists, and lets signed-in users track which episodes they've watched
+ */
+export default function TvDetailPage() {
+  const { id } = useParams(); // Extract show ID from URL parameters
+  const { user } = useAuth();
+
+  // Destructure TV progress functionality
+  const {
+    isFollowing,
+    followShow,
+    unfollowShow,
+    getWatchedEpisodes,
+    isEpisodeWatched,
+    toggleEpisodeWatched,
+    markSeasonWatched,
+    unmarkSeasonWatched,
+  } = useWatchlist();
+
+  // Local state for show data and loading states
+  const [show, setShow] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState(null); // TMDB error, if loading failed
+  const [attempt, setAttempt] = useState(0); // Bumped to retry loading
+
+  // Season browser state
+  const [seasonNumber, setSeasonNumber] = useState(null);
+  const [season, setSeason] = useState(null);
+  const [seasonLoading, setSeasonLoading] = useState(false);
+
+  // Fetch show details when component mounts or ID changes
+  useEffect(() => {
+    // Cancels the request when the page unmounts or the ID changes
+    const controller = new AbortController();
+
+    async function load() {
+      if (!id) return;
+
+      setLoading(true);
+      setErr(null);
+
+      try {
+        const data = await tmdbService.getTvDetails(id, {
+          signal: controller.signal,
+        });
+        if (controller.signal.aborted) return;
+        setShow(data);
+        // Open the first regular season by default
+        setSeasonNumber(getRegularSeasons(data)[0]?.season_number ?? null);
+      } catch (e) {
+        if (!isAbortError(e)) setErr(e);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+
+    return () => controller.abort();
+  }, [id, attempt]);
+
+  // Fetch the episode list whenever a different season is selected
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function loadSeason() {
+      if (!id || seasonNumber === null) return;
+
+      setSeasonLoading(true);
+
+      try {
+        const data = await tmdbService.getTvSeason(id, seasonNumber, {
+          signal: controller.signal,
+        });
+        if (!controller.signal.aborted) setSeason(data);
+      } catch (e) {
+        if (!isAbortError(e)) setSeason(null);
+      } finally {
+        if (!controller.signal.aborted) setSeasonLoading(false);
+      }
+    }
+
+    loadSeason();
+
+    return () => controller.abort();
+  }, [id, seasonNumber]);
+
+  // Loading state with skeleton placeholders
+  if (loading) {
+    return (
+      <>
+        <Header />
+        <div className="container mx-auto px-4 py-8">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-1">
+              <Skeleton className="aspect-[2/3] w-full rounded-lg" />
+            </div>
+            <div className="lg:col-span-2 space-y-4">
+              <Skeleton className="h-8 w-3/4" />
+              <Skeleton className="h-4 w-1/2" />
+              <Skeleton className="h-20 w-full" />
+              <Skeleton className="h-10 w-32" />
+            </div>
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  // Error state when show not found or API fails
+  if (err || !show) {
+    return (
+      <>
+        <Header />
+        <LoadError
+          error={err}
+          notFoundTitle="Show Not Found"
+          subject="show details"
+          onRetry={() => setAttempt((n) => n + 1)}
+        />
+      </>
+    );
+  }
+
+  // Route params are strings, but list entries use TMDB's numeric IDs
+  const showId = show.id;
+  const following = isFollowing(showId);
+  const watchedEpisodes = getWatchedEpisodes(showId);
+  const progress = getShowProgress(show, watchedEpisodes);
+  const nextEpisode = getNextEpisode(show, watchedEpisodes);
+
+  // Episodes of the selected season that have aired and can be marked watched
+  const airedEpisodes = (season?.episodes || []).filter((ep) =>
+    hasAired(show, ep.season_number, ep.episode_number)
+  );
+  const seasonComplete =
+    airedEpisodes.length > 0 &&
+    airedEpisodes.every((ep) =>
+      isEpisodeWatched(showId, ep.season_number, ep.episode_number)
+    );
+
+  const posterUrl = tmdbService.getImageUrl(show.poster_path, "w500");
+  const backdropUrl = tmdbService.getImageUrl(show.backdrop_path, "w1280");
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+
+      {/* Hero backdrop section with overlay */}
+      {backdropUrl && (
+        <div className="relative h-96 overflow-hidden">
+          <Image
+            src={backdropUrl}
+            alt={show.name}
+            fill
+            className="object-cover"
+            sizes="100vw"
+            priority
+          />
+          <div className="absolute inset-0 bg-black/60" />
+        </div>
+      )}
+
+      <div className="container mx-auto px-4 py-8">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 -mt-48 relative z-10">
+          {/* Show poster column */}
+          <div className="lg:col-span-1">
+            <Card className="overflow-hidden">
+              <div className="relative aspect-[2/3]">
+                <Image
+                  src={
+                    posterUrl ||
+                    "/placeholder.svg?height=750&width=500&query=tv-poster"
+                  }
+                  alt={show.name}
+                  fill
+                  className="object-cover"
+                  sizes="(max-width: 1024px) 100vw, 33vw"
+                />
+              </div>
+            </Card>
+          </div>
+
+          {/* Show information column */}
+          <div className="lg:col-span-2 space-y-6">
+            <div className="bg-background/95 backdrop-blur rounded-lg p-6">
+              <h1 className="text-3xl md:text-4xl font-bold mb-2">
+                {show.name}
+              </h1>
+
+              {show.tagline && (
+                <p className="text-lg text-muted-foreground italic mb-4">
+                  &quot;{show.tagline}&quot;
+                </p>
+              )}
+
+              {/* Genre badges */}
+              <div className="flex flex-wrap gap-2 mb-4">
+                {show.genres?.map((g) => (
+                  <Badge key={g.id} variant="secondary">
+                    {g.name}
+                  </Badge>
+                ))}
+              </div>
+
+              {/* Show metadata: rating, seasons, first air date */}
+              <div className="flex flex-wrap items-center gap-4 mb-4">
+                <div className="flex items-center gap-1">
+                  <Star className="h-5 w-5 fill-yellow-400 text-yellow-400" />
+                  <span className="font-semibold">
+                    {show.vote_average?.toFixed(1)}
+                  </span>
+                  <span className="text-muted-foreground">
+                    ({show.vote_count?.toLocaleString()} votes)
+                  </span>
+                </div>
+
+                <div className="flex items-center gap-1">
+                  <Tv className="h-4 w-4" />
+                  <span>
+                    {show.number_of_seasons} seasons · {show.number_of_episodes}{" "}
+                    episodes
+                  </span>
+                </div>
+
+                <div className="flex items-center gap-1">
+                  <Calendar className="h-4 w-4" />
+                  <span>{formatDate(show.first_air_date)}</span>
+                </div>
+              </div>
+
+              {/* Follow button and progress (only for authenticated users) */}
+              {user && (
+                <div className="space-y-3 mb-6">
+                  <Button
+                    onClick={() =>
+                      following ? unfollowShow(showId) : followShow(showId)
+                    }
+                    variant={following ? "default" : "outline"}
+                  >
+                    {following ? (
+                      <Check className="mr-2 h-4 w-4" />
+                    ) : (
+                      <Tv className="mr-2 h-4 w-4" />
+                    )}
+                    {following ? "Following" : "Follow Show"}
+                  </Button>
+
+                  {following && (
+                    <div className="space-y-1">
+                      {/* Progress bar across all aired regular episodes */}
+                      <div className="h-2 w-full rounded-full bg-muted overflow-hidden">
+                        <div
+                          className="h-full bg-primary"
+                          style={{ width: `${progress.percent}%` }}
+                        />
+                      </div>
+                      <div className="flex items-center justify-between text-sm text-muted-foreground">
+                        <span>
+                          {progress.watched} of {progress.total} episodes
+                          watched
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <PlayCircle className="h-4 w-4" />
+                          {nextEpisode
+                            ? `Next: ${formatEpisodeCode(
+                                nextEpisode.season_number,
+                                nextEpisode.episode_number
+                              )}`
+                            : "All caught up"}
+                        </span>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="space-y-4">
+                <h2 className="text-xl font-semibold">Overview</h2>
+                <p className="text-muted-foreground leading-relaxed">
+                  {show.overview || "No overview available."}
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Tabbed content section for seasons, cast and similar shows */}
+        <div className="mt-12">
+          <Tabs defaultValue="seasons" className="w-full">
+            <TabsList>
+              <TabsTrigger value="seasons">Seasons</TabsTrigger>
+              <TabsTrigger value="cast">Cast</TabsTrigger>
+              <TabsTrigger value="similar">Similar Shows</TabsTrigger>
+            </TabsList>
+
+            {/* Seasons tab content */}
+            <TabsContent value="seasons" className="space-y-4">
+              {/* Season selector */}
+              <div className="flex flex-wrap gap-2">
+                {getRegularSeasons(show).map((s) => (
+                  <Button
+                    key={s.season_number}
+                    size="sm"
+                    variant={
+                      s.season_number === seasonNumber ? "default" : "outline"
+                    }
+                    aria-pressed={s.season_number === seasonNumber}
+                    onClick={() => setSeasonNumber(s.season_number)}
+                  >
+                    Season {s.season_number}
+                  </Button>
+                ))}
+              </div>
+
+              {seasonLoading ? (
+                <div className="space-y-2">
+                  {Array.from({ length: 5 }).map((_, i) => (
+                    <Skeleton key={i} className="h-16 w-full" />
+                  ))}
+                </div>
+              ) : season ? (
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-xl font-semibold">{season.name}</h3>
+                    {/* Bulk season toggle */}
+                    {user && airedEpisodes.length > 0 && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() =>
+                          seasonComplete
+                            ? unmarkSeasonWatched(showId, season.season_number)
+                            : markSeasonWatched(
+                                showId,
+                                season.season_number,
+                                airedEpisodes.map((ep) => ep.episode_number)
+                              )
+                        }
+                      >
+                        {seasonComplete
+                          ? "Mark season unwatched"
+                          : "Mark season watched"}
+                      </Button>
+                    )}
+                  </div>
+
+                  {/* Episode list */}
+                  {season.episodes?.map((ep) => {
+                    const epWatched = isEpisodeWatched(
+                      showId,
+                      ep.season_number,
+                      ep.episode_number
+                    );
+                    const aired = hasAired(
+                      show,
+                      ep.season_number,
+                      ep.episode_number
+                    );
+
+                    return (
+                      <Card key={ep.id}>
+                        <CardContent className="p-4 flex items-start gap-4">
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-2">
+                              <Badge variant="secondary">
+                                {formatEpisodeCode(
+                                  ep.season_number,
+                                  ep.episode_number
+                                )}
+                              </Badge>
+                              <h4 className="font-semibold line-clamp-1">
+                                {ep.name}
+                              </h4>
+                            </div>
+                            <p className="text-xs text-muted-foreground mt-1">
+                              {formatDate(ep.air_date)}
+                            </p>
+                            <p className="text-sm text-muted-foreground line-clamp-2 mt-1">
+                              {ep.overview}
+                            </p>
+                          </div>
+
+                          {/* Per-episode watched toggle */}
+                          {user && aired && (
+                            <Button
+                              size="icon"
+                              variant={epWatched ? "default" : "outline"}
+                              title={
+                                epWatched ? "Unmark Watched" : "Mark as Watched"
+                              }
+                              aria-pressed={epWatched}
+                              onClick={() =>
+                                toggleEpisodeWatched(
+                                  showId,
+                                  ep.season_number,
+                                  ep.episode_number
+                                )
+                              }
+                            >
+                              {epWatched ? (
+                                <Check className="h-4 w-4" />
+                              ) : (
+                                <Eye className="h-4 w-4" />
+                              )}
+                            </Button>
+                          )}
+                        </CardContent>
+                      </Card>
+                    );
+                  })}
+                </div>
+              ) : (
+                <p className="text-muted-foreground">No episodes available.</p>
+              )}
+            </TabsContent>
+
+            {/* Cast tab content */}
+            <TabsContent value="cast" className="space-y-4">
+              <h3 className="text-xl font-semibold">Cast</h3>
+              <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
+                {show.credits?.cast?.slice(0, 12).map((person) => (
+                  <Link
+                    key={person.id}
+                    href={`/person/${person.id}`}
+                    className="group"
+                  >
+                    <Card className="h-full overflow-hidden transition-colors group-hover:bg-muted/50">
+                      <div className="relative aspect-[2/3]">
+                        <Image
+                          src={
+                            tmdbService.getProfileUrl(person.profile_path) ||
+                            "/placeholder.svg?height=300&width=200&query=person"
+                          }
+                          alt={person.name}
+                          fill
+                          className="object-cover"
+                          sizes="(max-width: 768px) 50vw, (max-width: 1200px) 25vw, 16vw"
+                        />
+                      </div>
+                      <CardContent className="p-3">
+                        <h4 className="font-semibold text-sm line-clamp-1">
+                          {person.name}
+                        </h4>
+                        <p className="text-xs text-muted-foreground line-clamp-1">
+                          {person.character}
+                        </p>
+                      </CardContent>
+                    </Card>
+                  </Link>
+                ))}
+              </div>
+            </TabsContent>
+
+            {/* Similar shows tab content */}
+            <TabsContent value="similar" className="space-y-4">
+              <h3 className="text-xl font-semibold">Similar Shows</h3>
+              {show.similar?.results?.length ? (
+                <div className="grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
+                  {/* TMDB omits media_type here, so tag results for MovieCard */}
+                  {show.similar.results.slice(0, 10).map((s) => (
+                    <MovieCard key={s.id} movie={{ ...s, media_type: "tv" }} />
+                  ))}
+                </div>
+              ) : (
+                <p className="text-muted-foreground">No similar shows found.</p>
+              )}
+            </TabsContent>
+          </Tabs>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,41 +1,124 @@
 "use client";
 
 import { useEffect, useMemo, useState } from "react";
+import Image from "next/image";
+import Link from "next/link";
 import { useRouter } from "next/navigation";
 import { useAuth } from "@/components/auth/AuthProvider";
 import { useWatchlist } from "@/hooks/useWatchlist";
-import { tmdbService } from "@/lib/tmdb";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
-import { Eye, AlertTriangle } from "lucide-react";
-import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Eye, AlertTriangle, Pencil, Repeat } from "lucide-react";
 import MovieCard from "@/components/movie/MovieCard";
+import LogViewingDialog from "@/components/movie/LogViewingDialog";
 import Header from "@/components/layout/Header";
+import { tmdbService } from "@/lib/tmdb";
+import { VIEWING_FORMATS, buildDiary } from "@/lib/diary";
+import { formatRating } from "@/lib/ratings";
+
+// Display labels for viewing formats, keyed by value
+const FORMAT_LABELS = Object.fromEntries(
+  VIEWING_FORMATS.map((f) => [f.value, f.label])
+);
+
+/**
+ * Single diary row: day, poster thumbnail, title and viewing details
+ * @param {Object} props - Component props
+ * @param {Object} props.entry - Watched entry (movie snapshot)
+ * @param {Object} props.viewing - Viewing to display
+ * @param {string} props.ratingScale - Scale ratings are shown on
+ * @param {Function} props.onEdit - Opens the edit dialog for this viewing
+ * @returns {JSX.Element} Diary row
+ */
+function DiaryRow({ entry, viewing, ratingScale, onEdit }) {
+  const posterUrl = tmdbService.getPosterUrl(entry.poster_path || "", "w92");
+  const title = entry.title || `Movie #${entry.id}`;
+
+  return (
+    <li className="flex items-start gap-3 py-3">
+      {/* Day of month */}
+      <div className="w-8 shrink-0 text-center text-lg font-semibold tabular-nums">
+        {Number(viewing.date.slice(8, 10))}
+      </div>
+
+      <Link
+        href={`/movie/${entry.id}`}
+        className="relative h-16 w-11 shrink-0 overflow-hidden rounded bg-muted"
+      >
+        {posterUrl && (
+          <Image
+            src={posterUrl}
+            alt={title}
+            fill
+            sizes="44px"
+            className="object-cover"
+          />
+        )}
+      </Link>
+
+      <div className="min-w-0 flex-1">
+        <div className="flex flex-wrap items-center gap-2">
+          <Link
+            href={`/movie/${entry.id}`}
+            className="font-medium hover:underline"
+          >
+            {title}
+          </Link>
+          {viewing.rating > 0 && (
+            <span className="text-sm">
+              {formatRating(viewing.rating, ratingScale)}
+            </span>
+          )}
+          {viewing.rewatch && (
+            <Repeat
+              className="h-4 w-4 text-muted-foreground"
+              aria-label="Rewatch"
+            />
+          )}
+          {viewing.format && (
+            <Badge variant="outline">{FORMAT_LABELS[viewing.format]}</Badge>
+          )}
+        </div>
+        {viewing.note && (
+          <p className="mt-1 whitespace-pre-line text-sm text-muted-foreground">
+            {viewing.note}
+          </p>
+        )}
+      </div>
+
+      <Button
+        type="button"
+        variant="ghost"
+        size="icon"
+        aria-label={`Edit viewing of ${title}`}
+        onClick={onEdit}
+      >
+        <Pencil className="h-4 w-4" />
+      </Button>
+    </li>
+  );
+}
 
 /**
  * WatchedPage Component
  *
- * Displays a user's watched movies in a grid layout, sorted by date watched.
+ * Displays a user's watch diary (every viewing, grouped by month) and their
+ * watched movies in a grid layout, sorted by date watched.
  * Includes authentication protection and loading states.
  */
 export default function WatchedPage() {
   const router = useRouter();
   const { user, initialized } = useAuth();
-  const { watched } = useWatchlist();
-
-  // State for storing movie details fetched from TMDB API
-  const [items, setItems] = useState([]);
-  // Loading state for API requests
-  const [loading, setLoading] = useState(true);
-
-  // Check if TMDB API key is configured
-  const hasApiKey = !!process.env.NEXT_PUBLIC_TMDB_API_KEY;
+  const { watched, loading, preferences } = useWatchlist();
+  const [editing, setEditing] = useState(null); // { entry, viewing } being edited
 
   /**
    * Sort watched items by dateWatched in descending order (newest first)
    * Uses useMemo to prevent unnecessary recalculations
    */
-  const sorted = useMemo(() => {
+  const items = useMemo(() => {
     return [...(watched || [])].sort((a, b) => {
       const ad = new Date(a.dateWatched || 0).getTime();
       const bd = new Date(b.dateWatched || 0).getTime();
@@ -43,6 +126,9 @@ export default function WatchedPage() {
     });
   }, [watched]);
 
+  // Diary month groups, newest first
+  const diary = useMemo(() => buildDiary(watched || []), [watched]);
+
   /**
    * Authentication guard effect
    * Redirects unauthenticated users to login page
@@ -58,68 +144,6 @@ export default function WatchedPage() {
     }
   }, [initialized, user, router]);
 
-  /**
-   * Data loading effect
-   * Fetches detailed movie information from TMDB API for each watched item
-   */
-  useEffect(() => {
-    let ignore = false; // Flag to prevent state updates after component unmount
-
-    async function load() {
-      // Don't load if user is not authenticated
-      if (!user) return;
-
-      setLoading(true);
-
-      try {
-        // Fetch movie details for each watched item in parallel
-        const results = await Promise.all(
-          (sorted || []).map(async (w) => {
-            const details = await tmdbService.getMovieDetails(w.id);
-            // Attach watched metadata to movie details
-            return details ? { ...details, _watchedMeta: w } : null;
-          })
-        );
-
-        // Only update state if component is still mounted
-        if (!ignore) setItems(results.filter(Boolean)); // Filter out null results
-      } catch {
-        // Handle errors by setting empty array
-        if (!ignore) setItems([]);
-      } finally {
-        // Always stop loading state
-        if (!ignore) setLoading(false);
-      }
-    }
-
-    load();
-
-    // Cleanup function to prevent memory leaks
-    return () => {
-      ignore = true;
-    };
-  }, [user, sorted]);
-
-  /**
-   * Early return for missing API key
-   * Shows error message when TMDB API key is not configured
-   */
-  if (!hasApiKey) {
-    return (
-      <>
-        <Header />
-        <div className="container mx-auto px-4 py-8">
-          <Alert variant="destructive">
-            <AlertTitle>TMDB API key missing</AlertTitle>
-            <AlertDescription>
-              Set NEXT_PUBLIC_TMDB_API_KEY to load your watched items.
-            </AlertDescription>
-          </Alert>
-        </div>
-      </>
-    );
-  }
-
   return (
     <>
       <Header />
@@ -146,22 +170,61 @@ export default function WatchedPage() {
           </Card>
         ) : null}
 
-        {/* Movie grid with loading skeletons or actual movie cards */}
-        <div className="grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
-          {(loading ? Array.from({ length: 10 }) : items).map((m, idx) =>
-            loading ? (
-              // Loading skeleton placeholder
-              <div
-                key={idx}
-                className="h-[320px] rounded-md bg-muted animate-pulse"
-              />
-            ) : (
-              // Actual movie card component
-              <MovieCard key={m.id} movie={m} />
-            )
-          )}
-        </div>
+        <Tabs defaultValue="diary">
+          <TabsList className="mb-6">
+            <TabsTrigger value="diary">Diary</TabsTrigger>
+            <TabsTrigger value="films">Films</TabsTrigger>
+          </TabsList>
+
+          {/* Diary: every viewing grouped by month */}
+          <TabsContent value="diary" className="space-y-6">
+            {diary.map((group) => (
+              <section key={group.month}>
+                <h2 className="border-b pb-2 text-lg font-semibold">
+                  {group.label}
+                </h2>
+                <ul className="divide-y">
+                  {group.items.map(({ entry, viewing }) => (
+                    <DiaryRow
+                      key={`${entry.id}-${viewing.id}`}
+                      entry={entry}
+                      viewing={viewing}
+                      ratingScale={preferences.ratingScale}
+                      onEdit={() => setEditing({ entry, viewing })}
+                    />
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </TabsContent>
+
+          <TabsContent value="films">
+            {/* Movie grid with loading skeletons or actual movie cards */}
+            <div className="grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
+              {(loading ? Array.from({ length: 10 }) : items).map((m, idx) =>
+                loading ? (
+                  // Loading skeleton placeholder
+                  <div
+                    key={idx}
+                    className="h-[320px] rounded-md bg-muted animate-pulse"
+                  />
+                ) : (
+                  // Actual movie card component
+                  <MovieCard key={m.id} movie={m} />
+                )
+              )}
+            </div>
+          </TabsContent>
+        </Tabs>
       </div>
+
+      {editing && (
+        <LogViewingDialog
+          movie={editing.entry}
+          viewing={editing.viewing}
+          onClose={() => setEditing(null)}
+        />
+      )}
     </>
   );
 }
@@ -2,35 +2,77 @@
 
 import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
+import Link from "next/link";
 import { useAuth } from "@/components/auth/AuthProvider";
 import { useWatchlist } from "@/hooks/useWatchlist";
-import { tmdbService } from "@/lib/tmdb";
 import { Card } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
 import MovieCard from "@/components/movie/MovieCard";
-import { List, AlertTriangle } from "lucide-react";
-import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { List, AlertTriangle, Tv } from "lucide-react";
 import Header from "@/components/layout/Header";
+import ShareButton from "@/components/lists/ShareButton";
+import { tmdbService } from "@/lib/tmdb";
+import { findOnServices } from "@/lib/watchProviders";
+import { isAbortError } from "@/lib/tmdbErrors";
+import TMDBErrorAlert from "@/components/layout/TMDBErrorAlert";
 
 /**
  * WatchlistPage Component
  *
  * Displays a user's movie watchlist in a grid layout.
  * Shows movies that have been added to watch later but haven't been watched yet.
+ * Can be narrowed to movies included with the user's streaming services.
  * Includes authentication protection and loading states.
  */
 export default function WatchlistPage() {
   const router = useRouter();
   const { user, initialized } = useAuth();
-  const { watchlist } = useWatchlist();
-
-  // State for storing detailed movie information fetched from TMDB API
-  const [items, setItems] = useState([]);
-  // Loading state to show skeletons while fetching data
-  const [loading, setLoading] = useState(true);
-
-  // Check if TMDB API key is properly configured in environment variables
-  const hasApiKey = !!process.env.NEXT_PUBLIC_TMDB_API_KEY;
+  const { watchlist, preferences, loading } = useWatchlist();
+  const { region, providers } = preferences;
+
+  // "Available on my services" filter; availability is looked up per movie
+  const [onMyServices, setOnMyServices] = useState(false);
+  const [availability, setAvailability] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [checkError, setCheckError] = useState(null); // Failed availability check
+  const [attempt, setAttempt] = useState(0); // Bumped to retry the check
+
+  // Entries carry movie snapshots, so they render as cards directly
+  const all = watchlist || [];
+  const items =
+    onMyServices && providers.length && availability
+      ? all.filter((m) => availability[m.id]?.length)
+      : all;
+
+  // Re-check availability when the filter is on and the list or services change
+  const idsKey = all.map((m) => m.id).join(",");
+  const servicesKey = `${region}:${providers.join(",")}`;
+  useEffect(() => {
+    if (!onMyServices || !providers.length) {
+      // A check cancelled by turning the filter off never finishes
+      setChecking(false);
+      return;
+    }
+    // Cancels the lookups when the filter is turned off or the page unmounts
+    const controller = new AbortController();
+    setChecking(true);
+    setCheckError(null);
+    findOnServices(all, region, providers, tmdbService, {
+      signal: controller.signal,
+    })
+      .then((found) => {
+        if (!controller.signal.aborted) setAvailability(found);
+      })
+      .catch((e) => {
+        if (!isAbortError(e)) setCheckError(e);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setChecking(false);
+      });
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [onMyServices, idsKey, servicesKey, attempt]);
 
   /**
    * Authentication guard effect
@@ -48,83 +90,57 @@ export default function WatchlistPage() {
     }
   }, [initialized, user, router]);
 
-  /**
-   * Data loading effect
-   * Fetches detailed movie information for each item in the user's watchlist
-   * Transforms movie IDs into full movie objects with details from TMDB API
-   */
-  useEffect(() => {
-    let ignore = false; // Cleanup flag to prevent state updates after unmount
-
-    async function load() {
-      // Skip loading if user is not authenticated
-      if (!user) return;
-
-      setLoading(true);
-
-      try {
-        // Fetch movie details for each watchlist item ID in parallel
-        // This transforms an array of IDs into an array of movie objects
-        const results = await Promise.all(
-          (watchlist || []).map(
-            async (id) => await tmdbService.getMovieDetails(id)
-          )
-        );
-
-        // Only update state if component is still mounted
-        // Filter out any null/undefined results from failed API calls
-        if (!ignore) setItems(results.filter(Boolean));
-      } catch (e) {
-        // Handle API errors gracefully by showing empty state
-        if (!ignore) setItems([]);
-      } finally {
-        // Always stop loading indicator
-        if (!ignore) setLoading(false);
-      }
-    }
-
-    load();
-
-    // Cleanup function prevents memory leaks and race conditions
-    return () => {
-      ignore = true;
-    };
-  }, [user, watchlist]); // Re-run when user changes or watchlist is updated
-
-  /**
-   * Early return for missing API key configuration
-   * Shows error message when TMDB API key is not set up
-   */
-  if (!hasApiKey) {
-    return (
-      <>
-        <Header />
-        <div className="container mx-auto px-4 py-8">
-          <Alert variant="destructive">
-            <AlertTitle>TMDB API key missing</AlertTitle>
-            <AlertDescription>
-              Set NEXT_PUBLIC_TMDB_API_KEY to load your watchlist details.
-            </AlertDescription>
-          </Alert>
-        </div>
-      </>
-    );
-  }
-
   return (
     <>
       <Header />
       <div className="container mx-auto px-4 py-8">
         {/* Page header with list icon, title, and item count badge */}
-        <div className="flex items-center gap-3 mb-6">
+        <div className="flex flex-wrap items-center gap-3 mb-6">
           <List className="h-6 w-6" />
           <h1 className="text-3xl font-bold">My Watchlist</h1>
           {/* Badge shows current number of items in watchlist */}
           <Badge variant="secondary">{items.length}</Badge>
+          <div className="ml-auto flex flex-wrap gap-2">
+            <Button
+              variant={onMyServices ? "default" : "outline"}
+              aria-pressed={onMyServices}
+              disabled={!providers.length}
+              title={
+                providers.length
+                  ? undefined
+                  : "Choose your streaming services on the profile page"
+              }
+              onClick={() => setOnMyServices((on) => !on)}
+            >
+              <Tv className="mr-2 h-4 w-4" />
+              {checking ? "Checking…" : "On my services"}
+            </Button>
+            <ShareButton list="watchlist" title="Watchlist" />
+          </div>
         </div>
 
+        {/* Hint for users who haven't picked services yet */}
+        {!providers.length && all.length > 0 && !loading ? (
+          <p className="mb-4 text-sm text-muted-foreground">
+            <Link href="/profile" className="underline">
+              Add your streaming services
+            </Link>{" "}
+            to see which of these you can watch right now.
+          </p>
+        ) : null}
+
+        {/* The services filter couldn't check availability */}
+        {onMyServices && checkError && !checking ? (
+          <TMDBErrorAlert
+            error={checkError}
+            subject="streaming availability"
+            onRetry={() => setAttempt((n) => n + 1)}
+            className="mb-4"
+          />
+        ) : null}
+
         {/* Empty state card - shown when user has no items in watchlist */}
-        {items.length === 0 && !loading ? (
+        {all.length === 0 && !loading ? (
           <Card className="p-6">
             <div className="flex items-start gap-3">
               <AlertTriangle className="h-5 w-5 text-muted-foreground mt-0.5" />
@@ -138,6 +154,23 @@ export default function WatchlistPage() {
           </Card>
         ) : null}
 
+        {/* Filter matched nothing */}
+        {all.length > 0 && items.length === 0 && !checking ? (
+          <Card className="p-6">
+            <div className="flex items-start gap-3">
+              <AlertTriangle className="h-5 w-5 text-muted-foreground mt-0.5" />
+              <div>
+                <div className="font-medium">
+                  Nothing here is on your services in {region}.
+                </div>
+                <div className="text-sm text-muted-foreground">
+                  Turn off the filter or add more services on your profile.
+                </div>
+              </div>
+            </div>
+          </Card>
+        ) : null}
+
         {/* Responsive grid layout for movies */}
         {/* Shows loading skeletons during data fetch, then actual movie cards */}
         <div className="grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
@@ -67,7 +67,7 @@ export function AuthProvider({ children }) {
 
   /**
    * Ensures a user document exists in Firestore for the given user ID
-   * Creates default user data structure (watchlist, watched, favorites) if document doesn't exist
+   * Creates default user data structure (watchlist, watched, favorites, shows) if document doesn't exist
    * This is called automatically when a user signs in or registers
    *
    * @param {string} uid - Firebase user ID
@@ -85,7 +85,7 @@ export function AuthProvider({ children }) {
       if (!snap.exists()) {
         await setDoc(
           ref,
-          { watchlist: [], watched: [], favorites: [] }, // Default empty arrays for user lists
+          { watchlist: [], watched: [], favorites: [], shows: {} }, // Default empty lists; shows is keyed by show ID
           { merge: true } // Merge with existing data (won't overwrite if doc exists)
         );
       }
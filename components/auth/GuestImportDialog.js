@@ -0,0 +1,174 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Upload } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { planListMerge } from "@/lib/listMerge";
+import { formatRating } from "@/lib/ratings";
+
+// Number of titles listed per list before collapsing into "and N more"
+const PREVIEW_LIMIT = 5;
+
+// Display labels for the imported lists
+const LIST_LABELS = {
+  watchlist: "Watchlist",
+  watched: "Watched",
+  favorites: "Favorites",
+};
+
+/**
+ * GuestImportDialog offers to move lists saved while signed out into the
+ * account the user just signed in to
+ * Shows a preview of what will be imported (already present movies are
+ * skipped) and leaves the local copy untouched unless the import succeeds
+ *
+ * @returns {JSX.Element|null} Modal import prompt, or null when there's nothing to import
+ */
+export default function GuestImportDialog() {
+  const {
+    watchlist,
+    watched,
+    favorites,
+    shows,
+    lists,
+    guestData,
+    preferences,
+    importGuestData,
+    dismissGuestImport,
+  } = useWatchlist();
+  const [importing, setImporting] = useState(false);
+
+  // Preview of the merge against the account's current lists
+  const plan = useMemo(
+    () =>
+      guestData
+        ? planListMerge(
+            { watchlist, watched, favorites, shows, lists },
+            guestData
+          )
+        : null,
+    [guestData, watchlist, watched, favorites, shows, lists]
+  );
+
+  if (!plan) return null;
+
+  const onImport = async () => {
+    setImporting(true);
+    await importGuestData();
+    setImporting(false);
+  };
+
+  const episodeCount = plan.items.shows.reduce(
+    (sum, show) => sum + show.episodes.length,
+    0
+  );
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="guest-import-title"
+    >
+      <Card className="w-full max-w-md max-h-[85dvh] overflow-y-auto">
+        <CardHeader>
+          <CardTitle id="guest-import-title">
+            Import your lists from this device?
+          </CardTitle>
+          <CardDescription>
+            {plan.total > 0
+              ? "You saved these before signing in. Movies already in your account are kept; new viewings are added to your diary."
+              : "Everything saved on this device is already in your account."}
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent className="grid gap-4 text-sm">
+          {/* Per-list preview of the titles that will be added */}
+          {Object.entries(LIST_LABELS).map(([list, label]) => {
+            const entries = plan.items[list];
+            if (entries.length === 0) return null;
+
+            return (
+              <div key={list}>
+                <div className="font-medium">
+                  {label} ({entries.length})
+                </div>
+                <ul className="text-muted-foreground">
+                  {entries.slice(0, PREVIEW_LIMIT).map((entry) => (
+                    <li key={entry.id} className="truncate">
+                      {entry.title || `Movie #${entry.id}`}
+                      {list === "watched" && entry.rating > 0
+                        ? ` — ${formatRating(entry.rating, preferences.ratingScale)}`
+                        : ""}
+                    </li>
+                  ))}
+                  {entries.length > PREVIEW_LIMIT && (
+                    <li>and {entries.length - PREVIEW_LIMIT} more</li>
+                  )}
+                </ul>
+              </div>
+            );
+          })}
+
+          {/* Custom lists, with the number of movies each one adds */}
+          {plan.items.lists.length > 0 && (
+            <div>
+              <div className="font-medium">
+                Custom lists ({plan.items.lists.length})
+              </div>
+              <ul className="text-muted-foreground">
+                {plan.items.lists.map((list) => (
+                  <li key={list.id} className="truncate">
+                    {list.name} — {list.items.length}{" "}
+                    {list.items.length === 1 ? "movie" : "movies"}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Show progress summary (shows are stored by ID only) */}
+          {plan.items.shows.length > 0 && (
+            <div>
+              <div className="font-medium">
+                Shows ({plan.items.shows.length})
+              </div>
+              <p className="text-muted-foreground">
+                {episodeCount} watched{" "}
+                {episodeCount === 1 ? "episode" : "episodes"}
+              </p>
+            </div>
+          )}
+        </CardContent>
+
+        <CardFooter className="flex justify-end gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={dismissGuestImport}
+            disabled={importing}
+          >
+            Not now
+          </Button>
+          <Button type="button" onClick={onImport} disabled={importing}>
+            <Upload className="mr-2 h-4 w-4" />
+            {importing
+              ? "Importing..."
+              : plan.total > 0
+                ? `Import ${plan.total}`
+                : "Clear local copy"}
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
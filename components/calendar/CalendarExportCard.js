@@ -0,0 +1,174 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { CalendarPlus, Copy, Download, Link2, Lock } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { useNotifications } from "@/hooks/useNotifications";
+import { useToast } from "@/hooks/use-toast";
+import { buildCalendar } from "@/lib/icalendar";
+import { calendarEvents, calendarPath } from "@/lib/calendarFeed";
+import { downloadFile } from "@/lib/importExport";
+
+/**
+ * CalendarExportCard exports watchlist release dates and the watch diary to
+ * calendar apps, either as a one-off .ics download or as a subscription link
+ * that calendar apps refresh on their own
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes for the card
+ * @returns {JSX.Element} Calendar export card
+ */
+export default function CalendarExportCard({ className }) {
+  const {
+    watched,
+    preferences,
+    calendarFeedToken,
+    enableCalendarFeed,
+    disableCalendarFeed,
+  } = useWatchlist();
+  const { releaseEvents, releasesLoading } = useNotifications();
+  const { toast } = useToast();
+  const [saving, setSaving] = useState(false);
+  const [origin, setOrigin] = useState("");
+
+  // The feed URL needs the site origin, which is only known in the browser
+  useEffect(() => setOrigin(window.location.origin), []);
+
+  const url = calendarFeedToken
+    ? `${origin}${calendarPath(calendarFeedToken)}`
+    : "";
+
+  const onDownload = () => {
+    const calendar = buildCalendar({
+      name: "CineTracker",
+      events: calendarEvents({
+        releaseEvents,
+        watched,
+        ratingScale: preferences.ratingScale,
+        siteUrl: origin,
+      }),
+    });
+    downloadFile("cinetracker.ics", calendar, "text/calendar");
+  };
+
+  const onEnable = async () => {
+    setSaving(true);
+    await enableCalendarFeed();
+    setSaving(false);
+  };
+
+  const onDisable = async () => {
+    setSaving(true);
+    await disableCalendarFeed();
+    setSaving(false);
+  };
+
+  const onCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast({ title: "Link copied" });
+    } catch {
+      toast({
+        title: "Couldn't copy the link",
+        description: "Select the link and copy it manually.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Add to your calendar</CardTitle>
+        <CardDescription>
+          Release dates of your watchlist and every movie in your diary, as
+          all-day events. Importing again updates events instead of duplicating
+          them.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-4 text-sm">
+        <div>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={onDownload}
+            disabled={releasesLoading}
+          >
+            <Download className="mr-2 h-4 w-4" />
+            Download .ics
+          </Button>
+        </div>
+
+        {calendarFeedToken ? (
+          <div className="grid gap-2">
+            <div className="flex items-center gap-2 font-medium">
+              <Link2 className="h-4 w-4" />
+              Subscription link
+            </div>
+            <div className="flex gap-2">
+              <Input
+                readOnly
+                value={url}
+                aria-label="Calendar subscription link"
+                onFocus={(e) => e.currentTarget.select()}
+              />
+              <Button
+                type="button"
+                variant="outline"
+                size="icon"
+                title="Copy link"
+                onClick={onCopy}
+              >
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" size="sm" asChild>
+                <a href={url.replace(/^https?:/, "webcal:")}>
+                  <CalendarPlus className="mr-2 h-4 w-4" />
+                  Open in calendar app
+                </a>
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={onDisable}
+                disabled={saving}
+              >
+                <Lock className="mr-2 h-4 w-4" />
+                Disable link
+              </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Anyone with this link can see your watchlist titles and the dates
+              and ratings in your diary (not your notes).
+            </p>
+          </div>
+        ) : (
+          <div className="grid gap-2">
+            <div>
+              <Button type="button" onClick={onEnable} disabled={saving}>
+                <Link2 className="mr-2 h-4 w-4" />
+                {saving ? "Creating..." : "Create subscription link"}
+              </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">
+              Subscribed calendars pick up new releases and viewings
+              automatically.
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
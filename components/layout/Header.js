@@ -1,9 +1,13 @@
 "use client";
 
 import Link from "next/link";
-import { Clapperboard, LogOut } from "lucide-react";
+import { Clapperboard, CloudOff, LogOut } from "lucide-react";
 import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
+import NotificationBell from "@/components/layout/NotificationBell";
+import { tmdbService } from "@/lib/tmdb";
 
 /**
  * Header component provides global navigation for the CineTracker application
@@ -11,12 +15,17 @@ import { Button } from "@/components/ui/button";
  * - Shows brand logo/name for all users
  * - Shows navigation menu and sign out button for authenticated users
  * - Shows minimal layout for unauthenticated users
+ * - Shows how many list changes are still waiting to sync to the server
+ * - Shows release notifications for watchlisted movies
+ * - Shows a badge when movie data comes from the demo fixtures
  *
  * @returns {JSX.Element} The application header with conditional navigation
  */
 export default function Header() {
   // Get current user and signOut function from authentication context
   const { user, signOut } = useAuth();
+  // Number of offline changes not yet written to Firestore
+  const { pendingCount } = useWatchlist();
 
   return (
     <header className="border-b">
@@ -28,10 +37,32 @@ export default function Header() {
           <span className="hidden sm:inline">CineTracker</span>
         </Link>
 
+        {/* Demo mode badge - movie data is bundled sample data, not TMDB */}
+        {tmdbService.isDemo() && (
+          <Badge
+            variant="outline"
+            title="Showing bundled sample data. Set TMDB_API_KEY for live TMDB data."
+          >
+            Demo data
+          </Badge>
+        )}
+
         {/* Conditional navigation based on authentication status */}
         {user ? (
           // Navigation for authenticated users
           <nav className="ml-auto flex items-center gap-2">
+            {/* Pending sync indicator - only while offline changes are queued */}
+            {pendingCount > 0 && (
+              <span
+                className="inline-flex items-center gap-1 rounded-md px-2 py-1 text-xs text-amber-600 dark:text-amber-400"
+                title="Changes saved on this device, waiting to sync"
+                aria-live="polite"
+              >
+                <CloudOff className="h-4 w-4" />
+                {pendingCount} pending
+              </span>
+            )}
+
             {/* Main navigation links - hidden on mobile to prevent crowding */}
             <Link
               href="/watchlist"
@@ -51,6 +82,24 @@ export default function Header() {
             >
               Watched
             </Link>
+            <Link
+              href="/shows"
+              className="hidden sm:inline-flex items-center rounded-md px-3 py-2 text-sm hover:bg-neutral-100 dark:hover:bg-neutral-800"
+            >
+              Shows
+            </Link>
+            <Link
+              href="/lists"
+              className="hidden sm:inline-flex items-center rounded-md px-3 py-2 text-sm hover:bg-neutral-100 dark:hover:bg-neutral-800"
+            >
+              Lists
+            </Link>
+            <Link
+              href="/calendar"
+              className="hidden sm:inline-flex items-center rounded-md px-3 py-2 text-sm hover:bg-neutral-100 dark:hover:bg-neutral-800"
+            >
+              Calendar
+            </Link>
             <Link
               href="/profile"
               className="hidden sm:inline-flex items-center rounded-md px-3 py-2 text-sm hover:bg-neutral-100 dark:hover:bg-neutral-800"
@@ -58,6 +107,9 @@ export default function Header() {
               Profile
             </Link>
 
+            {/* Release notifications */}
+            <NotificationBell />
+
             {/* Sign out button - always visible for authenticated users */}
             <Button type="button" variant="outline" size="sm" onClick={signOut}>
               <LogOut className="mr-2 h-4 w-4" />
@@ -0,0 +1,44 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { RotateCw } from "lucide-react";
+import { TMDB_ERROR_CODES, describeTMDBError } from "@/lib/tmdbErrors";
+
+/**
+ * LoadError Component
+ *
+ * Full-page message for a detail page whose TMDB data failed to load.
+ * A 404 reads as "not found"; rate limits, outages and network problems get
+ * their own explanation and a retry button.
+ *
+ * @param {Object} props - Component props
+ * @param {Error|null} props.error - Failed request's error (null if the page has no data)
+ * @param {string} props.notFoundTitle - Heading when the item doesn't exist
+ * @param {string} props.subject - What was being loaded, e.g. "show details"
+ * @param {Function} [props.onRetry] - Loads the page data again
+ * @returns {JSX.Element} Centered error message
+ */
+export default function LoadError({ error, notFoundTitle, subject, onRetry }) {
+  const notFound = !error || error.code === TMDB_ERROR_CODES.NOT_FOUND;
+  const { title, description } = describeTMDBError(
+    notFound ? { code: TMDB_ERROR_CODES.NOT_FOUND } : error,
+    subject
+  );
+
+  return (
+    <div className="min-h-[60vh] flex items-center justify-center">
+      <div className="text-center">
+        <h1 className="text-2xl font-bold mb-2">
+          {notFound ? notFoundTitle : title}
+        </h1>
+        <p className="text-muted-foreground">{description}</p>
+        {!notFound && error.retryable && onRetry && (
+          <Button variant="outline" className="mt-4" onClick={onRetry}>
+            <RotateCw className="mr-2 h-4 w-4" />
+            Try again
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
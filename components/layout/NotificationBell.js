@@ -0,0 +1,141 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { Bell, BellRing } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useNotifications } from "@/hooks/useNotifications";
+import { cn } from "@/lib/utils";
+
+/**
+ * NotificationBell shows unread release notifications in the header, with a
+ * panel listing recent ones and a prompt to turn on browser notifications
+ *
+ * @returns {JSX.Element} Bell button with dropdown panel
+ */
+export default function NotificationBell() {
+  const {
+    notifications,
+    unreadCount,
+    permission,
+    requestPermission,
+    markAllRead,
+    clearNotifications,
+  } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const panelRef = useRef(null);
+
+  // Close when clicking outside the panel or pressing Escape
+  useEffect(() => {
+    if (!open) return;
+    const onPointerDown = (e) => {
+      if (!panelRef.current?.contains(e.target)) setOpen(false);
+    };
+    const onKeyDown = (e) => e.key === "Escape" && setOpen(false);
+    document.addEventListener("pointerdown", onPointerDown);
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("pointerdown", onPointerDown);
+      document.removeEventListener("keydown", onKeyDown);
+    };
+  }, [open]);
+
+  /**
+   * Opens or closes the panel; opening marks everything as read
+   */
+  const toggle = () => {
+    if (!open && unreadCount > 0) markAllRead();
+    setOpen(!open);
+  };
+
+  return (
+    <div ref={panelRef} className="relative">
+      <Button
+        type="button"
+        variant="ghost"
+        size="icon"
+        onClick={toggle}
+        aria-expanded={open}
+        aria-label={
+          unreadCount
+            ? `Notifications (${unreadCount} unread)`
+            : "Notifications"
+        }
+      >
+        {unreadCount ? (
+          <BellRing className="h-4 w-4" />
+        ) : (
+          <Bell className="h-4 w-4" />
+        )}
+        {unreadCount > 0 && (
+          <span className="absolute -right-0.5 -top-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-primary px-1 text-[10px] text-primary-foreground">
+            {unreadCount}
+          </span>
+        )}
+      </Button>
+
+      {open && (
+        <div className="absolute right-0 top-full z-50 mt-2 w-80 rounded-md border bg-background shadow-lg">
+          <div className="flex items-center justify-between border-b px-3 py-2">
+            <span className="text-sm font-medium">Notifications</span>
+            <Link
+              href="/calendar"
+              className="text-xs underline"
+              onClick={() => setOpen(false)}
+            >
+              Release calendar
+            </Link>
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-3 py-6 text-center text-sm text-muted-foreground">
+              We&apos;ll let you know when something on your watchlist comes
+              out.
+            </p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto">
+              {notifications.map((item) => (
+                <li key={item.id}>
+                  <Link
+                    href={item.href}
+                    className={cn(
+                      "block px-3 py-2 text-sm hover:bg-muted/50",
+                      !item.read && "bg-muted/30"
+                    )}
+                    onClick={() => setOpen(false)}
+                  >
+                    <div className="font-medium">{item.title}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {item.body} · {new Date(item.at).toLocaleDateString()}
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex items-center justify-between gap-2 border-t px-3 py-2">
+            {permission === "default" ? (
+              <Button size="sm" variant="outline" onClick={requestPermission}>
+                Enable browser alerts
+              </Button>
+            ) : (
+              <span className="text-xs text-muted-foreground">
+                {permission === "granted"
+                  ? "Browser alerts on"
+                  : permission === "denied"
+                    ? "Browser alerts blocked"
+                    : ""}
+              </span>
+            )}
+            {notifications.length > 0 && (
+              <Button size="sm" variant="ghost" onClick={clearNotifications}>
+                Clear
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
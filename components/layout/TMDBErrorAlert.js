@@ -0,0 +1,46 @@
+"use client";
+
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import { AlertTriangle, RotateCw } from "lucide-react";
+import { describeTMDBError } from "@/lib/tmdbErrors";
+
+/**
+ * TMDBErrorAlert Component
+ *
+ * Inline alert for a failed TMDB request in a list or grid, explaining the
+ * failure (bad key, rate limit, outage, offline...) instead of showing an
+ * empty list. Offers a retry when trying again could help.
+ *
+ * @param {Object} props - Component props
+ * @param {Error} props.error - Failed request's error
+ * @param {string} props.subject - What was being loaded, e.g. "your shows"
+ * @param {Function} [props.onRetry] - Runs the request again
+ * @param {string} [props.className] - Additional CSS classes
+ * @returns {JSX.Element} Destructive alert
+ */
+export default function TMDBErrorAlert({ error, subject, onRetry, className }) {
+  const { title, description } = describeTMDBError(error, subject);
+
+  return (
+    <Alert variant="destructive" className={className}>
+      <AlertTriangle className="h-4 w-4" />
+      <AlertTitle>{title}</AlertTitle>
+      <AlertDescription>
+        <p>{description}</p>
+        {error?.retryable && onRetry && (
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            className="mt-2"
+            onClick={onRetry}
+          >
+            <RotateCw className="mr-2 h-4 w-4" />
+            Try again
+          </Button>
+        )}
+      </AlertDescription>
+    </Alert>
+  );
+}
@@ -0,0 +1,40 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { FolderPlus } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import AddToListDialog from "./AddToListDialog";
+
+/**
+ * AddToListButton opens the "Add to list" dialog for a movie
+ * Highlighted when the movie is in at least one custom list
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - Movie data (needs id and title)
+ * @param {boolean} props.iconOnly - Render a compact icon button (for cards)
+ * @returns {JSX.Element} Button with its dialog
+ */
+export default function AddToListButton({ movie, iconOnly = false }) {
+  const { lists } = useWatchlist();
+  const [open, setOpen] = useState(false);
+  const listed = lists.some((list) =>
+    list.items.some((item) => item.id === movie.id)
+  );
+
+  return (
+    <>
+      <Button
+        variant={listed ? "default" : "outline"}
+        size={iconOnly ? "icon" : "default"}
+        title="Add to list…"
+        aria-haspopup="dialog"
+        onClick={() => setOpen(true)}
+      >
+        <FolderPlus className={iconOnly ? "h-4 w-4" : "mr-2 h-4 w-4"} />
+        {!iconOnly && "Add to list…"}
+      </Button>
+      {open && <AddToListDialog movie={movie} onClose={() => setOpen(false)} />}
+    </>
+  );
+}
@@ -0,0 +1,127 @@
+"use client";
+
+import { useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Plus } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { LIST_NAME_MAX } from "@/lib/customLists";
+
+/**
+ * AddToListDialog toggles a movie's membership in the user's custom lists
+ * Each checkbox saves straight away; a new list can be created inline and
+ * starts with the movie in it
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - Movie data (needs id and title)
+ * @param {Function} props.onClose - Called when the dialog should close
+ * @returns {JSX.Element} Modal list picker
+ */
+export default function AddToListDialog({ movie, onClose }) {
+  const { lists, addToList, removeFromList, createList } = useWatchlist();
+  const [name, setName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Adds the movie to a list or removes it
+   * @param {Object} list - Custom list
+   * @param {boolean} checked - Whether the movie should be in the list
+   */
+  const onToggle = async (list, checked) => {
+    setSaving(true);
+    if (checked) await addToList(list.id, movie);
+    else await removeFromList(list.id, movie.id);
+    setSaving(false);
+  };
+
+  /**
+   * Creates a list containing the movie
+   * @param {Event} e - Form submit event
+   */
+  const onCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    await createList(name, "", movie);
+    setName("");
+    setSaving(false);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="add-to-list-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <Card className="w-full max-w-sm max-h-[85dvh] overflow-y-auto">
+        <CardHeader>
+          <CardTitle id="add-to-list-title">Add to list</CardTitle>
+          <CardDescription>{movie.title || movie.name}</CardDescription>
+        </CardHeader>
+
+        <CardContent className="grid gap-4 text-sm">
+          {/* Existing lists, checked when the movie is already in them */}
+          {lists.length > 0 ? (
+            <ul className="grid gap-2">
+              {lists.map((list) => (
+                <li key={list.id}>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={list.items.some((item) => item.id === movie.id)}
+                      disabled={saving}
+                      onChange={(e) => onToggle(list, e.currentTarget.checked)}
+                    />
+                    <span className="min-w-0 flex-1 truncate">{list.name}</span>
+                    <span className="text-xs text-muted-foreground tabular-nums">
+                      {list.items.length}
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-muted-foreground">
+              You don&apos;t have any lists yet.
+            </p>
+          )}
+
+          {/* Inline list creation */}
+          <form onSubmit={onCreate} className="flex gap-2">
+            <Input
+              value={name}
+              maxLength={LIST_NAME_MAX}
+              placeholder="New list…"
+              aria-label="New list name"
+              onChange={(e) => setName(e.currentTarget.value)}
+            />
+            <Button
+              type="submit"
+              variant="outline"
+              disabled={saving || !name.trim()}
+            >
+              <Plus className="mr-2 h-4 w-4" />
+              Create
+            </Button>
+          </form>
+        </CardContent>
+
+        <CardFooter className="flex justify-end">
+          <Button type="button" onClick={onClose}>
+            Done
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
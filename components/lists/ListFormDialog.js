@@ -0,0 +1,140 @@
+"use client";
+
+import { useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Trash2 } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { LIST_DESCRIPTION_MAX, LIST_NAME_MAX } from "@/lib/customLists";
+
+// Shared styling for textareas so they match the Input component
+const fieldClassName =
+  "w-full rounded-md border border-input bg-transparent px-3 text-sm shadow-xs dark:bg-input/30";
+
+/**
+ * ListFormDialog creates a custom list or edits one (name and description)
+ * Editing also offers deleting the list, behind a confirmation step
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.list - List to edit; omit to create a new one
+ * @param {Function} props.onClose - Called when the dialog should close
+ * @param {Function} props.onDeleted - Called after the list was deleted
+ * @returns {JSX.Element} Modal list form
+ */
+export default function ListFormDialog({ list, onClose, onDeleted }) {
+  const { createList, updateList, deleteList } = useWatchlist();
+  const [name, setName] = useState(list?.name || "");
+  const [description, setDescription] = useState(list?.description || "");
+  const [confirming, setConfirming] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Saves the list and closes the dialog
+   * @param {Event} e - Form submit event
+   */
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    if (list) await updateList(list.id, { name, description });
+    else await createList(name, description);
+    setSaving(false);
+    onClose();
+  };
+
+  const onDelete = async () => {
+    setSaving(true);
+    await deleteList(list.id);
+    setSaving(false);
+    onClose();
+    onDeleted?.();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="list-form-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <Card className="w-full max-w-md max-h-[85dvh] overflow-y-auto">
+        <form onSubmit={onSubmit}>
+          <CardHeader>
+            <CardTitle id="list-form-title">
+              {list ? "Edit list" : "New list"}
+            </CardTitle>
+          </CardHeader>
+
+          <CardContent className="grid gap-4 py-4 text-sm">
+            <label className="grid gap-1">
+              <span className="font-medium">Name</span>
+              <Input
+                value={name}
+                maxLength={LIST_NAME_MAX}
+                required
+                placeholder="Best of the 90s"
+                onChange={(e) => setName(e.currentTarget.value)}
+              />
+            </label>
+
+            <label className="grid gap-1">
+              <span className="font-medium">Description</span>
+              <textarea
+                className={`${fieldClassName} min-h-20 py-2`}
+                value={description}
+                maxLength={LIST_DESCRIPTION_MAX}
+                placeholder="What ties these movies together?"
+                onChange={(e) => setDescription(e.currentTarget.value)}
+              />
+            </label>
+
+            {confirming && (
+              <p className="text-destructive">
+                Delete &quot;{list.name}&quot; and its {list.items.length}{" "}
+                {list.items.length === 1 ? "movie" : "movies"}? Movies stay in
+                your other lists.
+              </p>
+            )}
+          </CardContent>
+
+          <CardFooter className="flex justify-between gap-2">
+            {list ? (
+              <Button
+                type="button"
+                variant={confirming ? "destructive" : "ghost"}
+                onClick={confirming ? onDelete : () => setConfirming(true)}
+                disabled={saving}
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                {confirming ? "Confirm delete" : "Delete"}
+              </Button>
+            ) : (
+              <span />
+            )}
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving || !name.trim()}>
+                {saving ? "Saving..." : list ? "Save" : "Create"}
+              </Button>
+            </div>
+          </CardFooter>
+        </form>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Globe, Share2 } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import ShareDialog from "./ShareDialog";
+
+/**
+ * ShareButton opens the sharing settings of a list
+ * Shows "Public" while the list has a public link
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.list - 'watchlist', 'favorites' or a custom list ID
+ * @param {string} props.title - List name shown in the dialog
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Button with its dialog
+ */
+export default function ShareButton({ list, title, className }) {
+  const { getShareToken } = useWatchlist();
+  const [open, setOpen] = useState(false);
+  const shared = Boolean(getShareToken(list));
+
+  return (
+    <>
+      <Button
+        variant="outline"
+        className={className}
+        aria-haspopup="dialog"
+        onClick={() => setOpen(true)}
+      >
+        {shared ? (
+          <Globe className="mr-2 h-4 w-4" />
+        ) : (
+          <Share2 className="mr-2 h-4 w-4" />
+        )}
+        {shared ? "Public" : "Share"}
+      </Button>
+      {open && (
+        <ShareDialog list={list} title={title} onClose={() => setOpen(false)} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,152 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Copy, ExternalLink, Globe, Lock } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { useToast } from "@/hooks/use-toast";
+import { sharePath } from "@/lib/shares";
+
+/**
+ * ShareDialog turns a list's public link on or off and lets the user copy it
+ * The public page is a read-only copy that follows later edits; the rest of
+ * the profile (other lists, diary, personal details) stays private
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.list - 'watchlist', 'favorites' or a custom list ID
+ * @param {string} props.title - List name shown in the dialog
+ * @param {Function} props.onClose - Called when the dialog should close
+ * @returns {JSX.Element} Modal sharing settings
+ */
+export default function ShareDialog({ list, title, onClose }) {
+  const { getShareToken, shareList, unshareList } = useWatchlist();
+  const { toast } = useToast();
+  const [saving, setSaving] = useState(false);
+
+  const token = getShareToken(list);
+  const url = token ? `${window.location.origin}${sharePath(token)}` : "";
+
+  const onShare = async () => {
+    setSaving(true);
+    await shareList(list);
+    setSaving(false);
+  };
+
+  const onUnshare = async () => {
+    setSaving(true);
+    await unshareList(list);
+    setSaving(false);
+  };
+
+  const onCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast({ title: "Link copied" });
+    } catch {
+      toast({
+        title: "Couldn't copy the link",
+        description: "Select the link and copy it manually.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="share-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <Card className="w-full max-w-md max-h-[85dvh] overflow-y-auto">
+        <CardHeader>
+          <CardTitle id="share-title">Share &quot;{title}&quot;</CardTitle>
+          <CardDescription>
+            {token
+              ? "Anyone with this link can view the list. It stays up to date as you edit."
+              : "Create a read-only link anyone can open, even without an account. Your other lists and profile details stay private."}
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent className="grid gap-3 text-sm">
+          <div className="flex items-center gap-2 font-medium">
+            {token ? (
+              <>
+                <Globe className="h-4 w-4" />
+                Public link is on
+              </>
+            ) : (
+              <>
+                <Lock className="h-4 w-4" />
+                Private
+              </>
+            )}
+          </div>
+
+          {token && (
+            <div className="flex gap-2">
+              <Input
+                readOnly
+                value={url}
+                aria-label="Public link"
+                onFocus={(e) => e.currentTarget.select()}
+              />
+              <Button
+                type="button"
+                variant="outline"
+                size="icon"
+                title="Copy link"
+                onClick={onCopy}
+              >
+                <Copy className="h-4 w-4" />
+              </Button>
+              <Button variant="outline" size="icon" title="Open" asChild>
+                <Link href={sharePath(token)} target="_blank">
+                  <ExternalLink className="h-4 w-4" />
+                </Link>
+              </Button>
+            </div>
+          )}
+
+          <p className="text-xs text-muted-foreground">
+            The page shows the list&apos;s movies and notes, and your profile
+            name if you&apos;ve set one.
+          </p>
+        </CardContent>
+
+        <CardFooter className="flex justify-between gap-2">
+          {token ? (
+            <Button
+              type="button"
+              variant="ghost"
+              onClick={onUnshare}
+              disabled={saving}
+            >
+              <Lock className="mr-2 h-4 w-4" />
+              Make private
+            </Button>
+          ) : (
+            <Button type="button" onClick={onShare} disabled={saving}>
+              <Globe className="mr-2 h-4 w-4" />
+              {saving ? "Creating..." : "Create public link"}
+            </Button>
+          )}
+          <Button type="button" variant="outline" onClick={onClose}>
+            Done
+          </Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
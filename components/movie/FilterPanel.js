@@ -0,0 +1,254 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { SlidersHorizontal, RotateCcw } from "lucide-react";
+import { tmdbService } from "@/lib/tmdb";
+import { DEFAULT_FILTERS, SORT_OPTIONS } from "@/lib/discover";
+
+// Original languages offered in the filter dropdown (ISO 639-1 codes)
+const LANGUAGES = [
+  { value: "", label: "Any language" },
+  { value: "en", label: "English" },
+  { value: "fr", label: "French" },
+  { value: "es", label: "Spanish" },
+  { value: "de", label: "German" },
+  { value: "it", label: "Italian" },
+  { value: "ja", label: "Japanese" },
+  { value: "ko", label: "Korean" },
+  { value: "zh", label: "Chinese" },
+  { value: "hi", label: "Hindi" },
+  { value: "tl", label: "Tagalog" },
+];
+
+// Shared styling for native selects so they match the Input component
+const selectClassName =
+  "h-9 w-full rounded-md border border-input bg-transparent px-3 text-sm shadow-xs dark:bg-input/30";
+
+/**
+ * FilterPanel component lets users narrow the movie grid by genre, release year,
+ * rating, runtime, language and sort order
+ * Edits are kept in a local draft and only applied on submit to avoid a
+ * request per keystroke
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Currently applied filters (see DEFAULT_FILTERS)
+ * @param {Function} props.onChange - Called with the new filters when applied or reset
+ * @returns {JSX.Element} Filter form card
+ */
+export default function FilterPanel({ filters, onChange }) {
+  const [draft, setDraft] = useState(filters); // Unapplied filter edits
+  const [genres, setGenres] = useState([]); // Genre options from TMDB
+
+  // Keep the draft in sync when filters change from outside (e.g. back button)
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  // Load genre options once on mount
+  useEffect(() => {
+    const controller = new AbortController();
+
+    tmdbService
+      .getMovieGenres({ signal: controller.signal })
+      .then((data) => {
+        if (!controller.signal.aborted) setGenres(data?.genres || []);
+      })
+      // Genre chips stay empty; the movie grid explains TMDB failures
+      .catch(() => {});
+
+    return () => controller.abort();
+  }, []);
+
+  /**
+   * Updates a single draft field
+   * @param {string} key - Filter field name
+   * @param {any} value - New value
+   */
+  const setField = (key, value) =>
+    setDraft((prev) => ({ ...prev, [key]: value }));
+
+  /**
+   * Adds or removes a genre from the draft selection
+   * @param {number} id - TMDB genre ID
+   */
+  const toggleGenre = (id) =>
+    setDraft((prev) => ({
+      ...prev,
+      genres: prev.genres.includes(id)
+        ? prev.genres.filter((g) => g !== id)
+        : [...prev.genres, id],
+    }));
+
+  // Apply the draft filters
+  const onSubmit = (e) => {
+    e.preventDefault();
+    onChange(draft);
+  };
+
+  // Clear every filter back to its default
+  const onReset = () => {
+    setDraft(DEFAULT_FILTERS);
+    onChange(DEFAULT_FILTERS);
+  };
+
+  return (
+    <Card className="gap-4 py-4">
+      <CardHeader className="px-4">
+        <CardTitle className="flex items-center gap-2 text-base">
+          <SlidersHorizontal className="h-4 w-4" />
+          Filters
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="px-4">
+        <form className="grid gap-4" onSubmit={onSubmit}>
+          {/* Genre toggles */}
+          <fieldset className="grid gap-2">
+            <legend className="text-sm text-muted-foreground mb-2">
+              Genres
+            </legend>
+            <div className="flex flex-wrap gap-1">
+              {genres.map((g) => {
+                const active = draft.genres.includes(g.id);
+                return (
+                  <Button
+                    key={g.id}
+                    type="button"
+                    size="sm"
+                    variant={active ? "default" : "outline"}
+                    aria-pressed={active}
+                    onClick={() => toggleGenre(g.id)}
+                  >
+                    {g.name}
+                  </Button>
+                );
+              })}
+            </div>
+          </fieldset>
+
+          {/* Release year range */}
+          <div className="grid gap-2">
+            <span className="text-sm text-muted-foreground">Release year</span>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                min={1874}
+                placeholder="From"
+                aria-label="Release year from"
+                value={draft.yearFrom}
+                onChange={(e) => setField("yearFrom", e.currentTarget.value)}
+              />
+              <Input
+                type="number"
+                min={1874}
+                placeholder="To"
+                aria-label="Release year to"
+                value={draft.yearTo}
+                onChange={(e) => setField("yearTo", e.currentTarget.value)}
+              />
+            </div>
+          </div>
+
+          {/* Minimum rating */}
+          <div className="grid gap-2">
+            <label
+              className="text-sm text-muted-foreground"
+              htmlFor="minRating"
+            >
+              Minimum rating
+            </label>
+            <select
+              id="minRating"
+              className={selectClassName}
+              value={draft.minRating}
+              onChange={(e) => setField("minRating", e.currentTarget.value)}
+            >
+              <option value="">Any rating</option>
+              {[5, 6, 7, 8, 9].map((r) => (
+                <option key={r} value={r}>
+                  {r}+
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Runtime range */}
+          <div className="grid gap-2">
+            <span className="text-sm text-muted-foreground">
+              Runtime (minutes)
+            </span>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                min={0}
+                placeholder="Min"
+                aria-label="Minimum runtime"
+                value={draft.runtimeMin}
+                onChange={(e) => setField("runtimeMin", e.currentTarget.value)}
+              />
+              <Input
+                type="number"
+                min={0}
+                placeholder="Max"
+                aria-label="Maximum runtime"
+                value={draft.runtimeMax}
+                onChange={(e) => setField("runtimeMax", e.currentTarget.value)}
+              />
+            </div>
+          </div>
+
+          {/* Original language */}
+          <div className="grid gap-2">
+            <label className="text-sm text-muted-foreground" htmlFor="language">
+              Original language
+            </label>
+            <select
+              id="language"
+              className={selectClassName}
+              value={draft.language}
+              onChange={(e) => setField("language", e.currentTarget.value)}
+            >
+              {LANGUAGES.map((l) => (
+                <option key={l.value} value={l.value}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Sort order */}
+          <div className="grid gap-2">
+            <label className="text-sm text-muted-foreground" htmlFor="sortBy">
+              Sort by
+            </label>
+            <select
+              id="sortBy"
+              className={selectClassName}
+              value={draft.sortBy}
+              onChange={(e) => setField("sortBy", e.currentTarget.value)}
+            >
+              {SORT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Apply / reset actions */}
+          <div className="flex gap-2">
+            <Button type="submit" className="flex-1">
+              Apply
+            </Button>
+            <Button type="button" variant="outline" onClick={onReset}>
+              <RotateCcw className="h-4 w-4" />
+              Reset
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,97 @@
+"use client";
+
+import { useEffect } from "react";
+import Image from "next/image";
+import { Button } from "@/components/ui/button";
+import { ChevronLeft, ChevronRight, X } from "lucide-react";
+import { tmdbService } from "@/lib/tmdb";
+
+/**
+ * ImageLightbox shows one TMDB image full screen with previous/next controls
+ * Arrow keys move between images and Escape closes it
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.images - TMDB images ({ file_path })
+ * @param {number} props.index - Index of the image shown
+ * @param {Function} props.onIndexChange - Called with the new index
+ * @param {Function} props.onClose - Called when the lightbox should close
+ * @param {string} props.label - Accessible name, e.g. "Heat backdrops"
+ * @returns {JSX.Element} Full-screen image viewer
+ */
+export default function ImageLightbox({
+  images,
+  index,
+  onIndexChange,
+  onClose,
+  label,
+}) {
+  const image = images[index];
+  const count = images.length;
+
+  // Keyboard navigation
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+      if (e.key === "ArrowLeft") onIndexChange((index - 1 + count) % count);
+      if (e.key === "ArrowRight") onIndexChange((index + 1) % count);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [index, count, onIndexChange, onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-label={label}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div className="relative h-[85vh] w-full max-w-6xl">
+        <Image
+          src={tmdbService.getImageUrl(image.file_path, "original")}
+          alt={`${label} ${index + 1} of ${count}`}
+          fill
+          sizes="100vw"
+          className="object-contain"
+        />
+      </div>
+
+      <Button
+        variant="secondary"
+        size="icon"
+        className="absolute right-4 top-4"
+        aria-label="Close"
+        onClick={onClose}
+      >
+        <X className="h-4 w-4" />
+      </Button>
+
+      {count > 1 && (
+        <>
+          <Button
+            variant="secondary"
+            size="icon"
+            className="absolute left-4 top-1/2 -translate-y-1/2"
+            aria-label="Previous image"
+            onClick={() => onIndexChange((index - 1 + count) % count)}
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="secondary"
+            size="icon"
+            className="absolute right-4 top-1/2 -translate-y-1/2"
+            aria-label="Next image"
+            onClick={() => onIndexChange((index + 1) % count)}
+          >
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+          <div className="absolute bottom-4 left-1/2 -translate-x-1/2 text-sm text-white tabular-nums">
+            {index + 1} / {count}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
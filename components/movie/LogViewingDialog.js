@@ -0,0 +1,176 @@
+"use client";
+
+import { useState } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Trash2 } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { VIEWING_FORMATS, getViewings, localToday } from "@/lib/diary";
+import RatingInput from "./RatingInput";
+
+// Shared styling for native selects/textareas so they match the Input component
+const fieldClassName =
+  "w-full rounded-md border border-input bg-transparent px-3 text-sm shadow-xs dark:bg-input/30";
+
+/**
+ * LogViewingDialog logs a new viewing of a movie or edits an existing one
+ * New viewings default to today and are marked as rewatches when the movie
+ * has been logged before
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - Movie data or watched entry (needs id and title)
+ * @param {Object} props.viewing - Viewing to edit; omit to log a new one
+ * @param {Function} props.onClose - Called when the dialog should close
+ * @returns {JSX.Element} Modal viewing form
+ */
+export default function LogViewingDialog({ movie, viewing, onClose }) {
+  const { watched, preferences, logViewing, updateViewing, removeViewing } =
+    useWatchlist();
+  const previous = getViewings(watched.find((item) => item.id === movie.id));
+
+  // Form state, seeded from the viewing being edited
+  const [date, setDate] = useState(viewing?.date || localToday());
+  const [rating, setRating] = useState(viewing?.rating || 0);
+  const [format, setFormat] = useState(viewing?.format || "");
+  const [rewatch, setRewatch] = useState(
+    viewing ? viewing.rewatch : previous.length > 0
+  );
+  const [note, setNote] = useState(viewing?.note || "");
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Saves the viewing and closes the dialog
+   * @param {Event} e - Form submit event
+   */
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const details = { date, rating, format, rewatch, note: note.trim() };
+    if (viewing) await updateViewing(movie.id, viewing.id, details);
+    else await logViewing(movie, details);
+    setSaving(false);
+    onClose();
+  };
+
+  const onDelete = async () => {
+    setSaving(true);
+    await removeViewing(movie.id, viewing.id);
+    setSaving(false);
+    onClose();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="log-viewing-title"
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <Card className="w-full max-w-md max-h-[85dvh] overflow-y-auto">
+        <form onSubmit={onSubmit}>
+          <CardHeader>
+            <CardTitle id="log-viewing-title">
+              {viewing ? "Edit viewing" : "Log viewing"}
+            </CardTitle>
+            <CardDescription>{movie.title}</CardDescription>
+          </CardHeader>
+
+          <CardContent className="grid gap-4 py-4 text-sm">
+            <label className="grid gap-1">
+              <span className="font-medium">Date watched</span>
+              <Input
+                type="date"
+                value={date}
+                max={localToday()}
+                required
+                onChange={(e) => setDate(e.currentTarget.value)}
+              />
+            </label>
+
+            <div className="grid gap-1">
+              <span className="font-medium">Rating</span>
+              <RatingInput
+                value={rating}
+                scale={preferences.ratingScale}
+                onChange={setRating}
+              />
+            </div>
+
+            <label className="grid gap-1">
+              <span className="font-medium">Where</span>
+              <select
+                className={`${fieldClassName} h-9`}
+                value={format}
+                onChange={(e) => setFormat(e.currentTarget.value)}
+              >
+                {VIEWING_FORMATS.map((f) => (
+                  <option key={f.value} value={f.value}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rewatch}
+                onChange={(e) => setRewatch(e.currentTarget.checked)}
+              />
+              <span>I&apos;d seen it before (rewatch)</span>
+            </label>
+
+            <label className="grid gap-1">
+              <span className="font-medium">Note</span>
+              <textarea
+                className={`${fieldClassName} min-h-20 py-2`}
+                value={note}
+                maxLength={1000}
+                placeholder="Who you watched with, what stood out…"
+                onChange={(e) => setNote(e.currentTarget.value)}
+              />
+            </label>
+          </CardContent>
+
+          <CardFooter className="flex justify-between gap-2">
+            {viewing ? (
+              <Button
+                type="button"
+                variant="ghost"
+                onClick={onDelete}
+                disabled={saving}
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete
+              </Button>
+            ) : (
+              <span />
+            )}
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving ? "Saving..." : "Save"}
+              </Button>
+            </div>
+          </CardFooter>
+        </form>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+"use client";
+
+import { useState } from "react";
+import Image from "next/image";
+import { Button } from "@/components/ui/button";
+import ImageLightbox from "@/components/movie/ImageLightbox";
+import { tmdbService } from "@/lib/tmdb";
+
+// Thumbnails shown per kind before "Show all"
+const GALLERY_LIMIT = 18;
+
+/**
+ * MediaGallery shows a movie's backdrops and posters as thumbnails; clicking
+ * one opens it in the lightbox
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.images - TMDB images ({ backdrops, posters })
+ * @param {string} props.title - Movie title, for accessible labels
+ * @returns {JSX.Element} Image gallery
+ */
+export default function MediaGallery({ images, title }) {
+  const kinds = [
+    { value: "backdrops", label: "Backdrops", aspect: "aspect-video" },
+    { value: "posters", label: "Posters", aspect: "aspect-[2/3]" },
+  ].filter((kind) => images?.[kind.value]?.length);
+
+  const [kind, setKind] = useState(kinds[0]?.value);
+  const [showAll, setShowAll] = useState(false);
+  const [open, setOpen] = useState(null); // Index shown in the lightbox
+
+  if (kinds.length === 0) {
+    return <p className="text-muted-foreground">No images available.</p>;
+  }
+
+  const current = kinds.find((item) => item.value === kind) || kinds[0];
+  const list = images[current.value];
+  const shown = showAll ? list : list.slice(0, GALLERY_LIMIT);
+
+  /**
+   * Switches between backdrops and posters
+   * @param {string} value - Image kind
+   */
+  const selectKind = (value) => {
+    setKind(value);
+    setShowAll(false);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        {kinds.map((item) => (
+          <Button
+            key={item.value}
+            size="sm"
+            variant={item.value === current.value ? "default" : "outline"}
+            onClick={() => selectKind(item.value)}
+          >
+            {item.label} ({images[item.value].length})
+          </Button>
+        ))}
+      </div>
+
+      <div
+        className={
+          current.value === "posters"
+            ? "grid grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-3"
+            : "grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3"
+        }
+      >
+        {shown.map((image, i) => (
+          <button
+            key={image.file_path}
+            type="button"
+            className={`relative ${current.aspect} overflow-hidden rounded-md bg-muted`}
+            onClick={() => setOpen(i)}
+            aria-label={`Open ${current.label.toLowerCase()} ${i + 1}`}
+          >
+            <Image
+              src={tmdbService.getImageUrl(
+                image.file_path,
+                current.value === "posters" ? "w342" : "w780"
+              )}
+              alt=""
+              fill
+              className="object-cover transition-transform hover:scale-105"
+              sizes="(max-width: 768px) 50vw, 25vw"
+            />
+          </button>
+        ))}
+      </div>
+
+      {list.length > shown.length && (
+        <Button variant="outline" onClick={() => setShowAll(true)}>
+          Show all {list.length}
+        </Button>
+      )}
+
+      {open !== null && (
+        <ImageLightbox
+          images={list}
+          index={open}
+          onIndexChange={setOpen}
+          onClose={() => setOpen(null)}
+          label={`${title} ${current.label.toLowerCase()}`}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Heart, Plus, Check, Eye } from "lucide-react";
+import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import LogViewingDialog from "@/components/movie/LogViewingDialog";
+import AddToListButton from "@/components/lists/AddToListButton";
+import RatingInput from "@/components/movie/RatingInput";
+import { getViewings } from "@/lib/diary";
+import { cn } from "@/lib/utils";
+
+/**
+ * MovieActions Component
+ *
+ * Watchlist, favorites, diary, custom list and rating controls of the movie
+ * detail page. The page itself is rendered on the server; these controls
+ * depend on the signed-in user, so they render in the browser.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - Movie fields stored in list snapshots
+ * @returns {JSX.Element|null} Action buttons and rating, or null when signed out
+ */
+export default function MovieActions({ movie }) {
+  const { user } = useAuth();
+  const {
+    isInWatchlist,
+    isFavorite,
+    addToWatchlist,
+    removeFromWatchlist,
+    addToFavorites,
+    removeFromFavorites,
+    watched,
+    preferences,
+    logViewing,
+    updateWatchedRating,
+  } = useWatchlist();
+  const [logging, setLogging] = useState(false); // Log viewing dialog open
+
+  // User actions are only available to authenticated users
+  if (!user) return null;
+
+  // Number of logged viewings of this movie, and the user's rating
+  const watchedEntry = watched.find((item) => item.id === movie.id);
+  const viewingCount = getViewings(watchedEntry).length;
+
+  return (
+    <>
+      {logging && (
+        <LogViewingDialog movie={movie} onClose={() => setLogging(false)} />
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {/* Watchlist toggle button */}
+        <Button
+          onClick={() =>
+            isInWatchlist(movie.id)
+              ? removeFromWatchlist(movie.id)
+              : addToWatchlist(movie)
+          }
+          variant={isInWatchlist(movie.id) ? "default" : "outline"}
+        >
+          {isInWatchlist(movie.id) ? (
+            <Check className="mr-2 h-4 w-4" />
+          ) : (
+            <Plus className="mr-2 h-4 w-4" />
+          )}
+          {isInWatchlist(movie.id) ? "In Watchlist" : "Add to Watchlist"}
+        </Button>
+
+        {/* Favorites toggle button */}
+        <Button
+          onClick={() =>
+            isFavorite(movie.id)
+              ? removeFromFavorites(movie.id)
+              : addToFavorites(movie)
+          }
+          variant={isFavorite(movie.id) ? "default" : "outline"}
+        >
+          <Heart
+            className={cn(
+              "mr-2 h-4 w-4",
+              isFavorite(movie.id) && "fill-current" // Fill heart when favorited
+            )}
+          />
+          {isFavorite(movie.id) ? "Favorited" : "Add to Favorites"}
+        </Button>
+
+        {/* Diary button; shows how many times the movie was logged */}
+        <Button
+          onClick={() => setLogging(true)}
+          variant={viewingCount > 0 ? "default" : "outline"}
+        >
+          <Eye className="mr-2 h-4 w-4" />
+          {viewingCount > 0
+            ? `Watched ×${viewingCount} · Log again`
+            : "Log viewing"}
+        </Button>
+
+        {/* Custom list picker */}
+        <AddToListButton movie={movie} />
+      </div>
+
+      {/* User rating; rating an unwatched movie logs a viewing today */}
+      <div className="flex items-center gap-3 mb-6">
+        <span className="text-sm text-muted-foreground">Your rating</span>
+        <RatingInput
+          value={watchedEntry?.rating || 0}
+          scale={preferences.ratingScale}
+          onChange={(rating) =>
+            watchedEntry
+              ? updateWatchedRating(movie.id, rating)
+              : rating && logViewing(movie, { rating })
+          }
+        />
+      </div>
+    </>
+  );
+}
@@ -5,21 +5,26 @@ import Link from "next/link";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardFooter } from "@/components/ui/card";
-import { Heart, ListPlus, Check, Star, Eye } from "lucide-react";
+import { Heart, ListPlus, Check, Star, Eye, Tv, Sparkles } from "lucide-react";
 import { useWatchlist } from "@/hooks/useWatchlist";
 import { tmdbService } from "@/lib/tmdb";
+import RatingInput from "./RatingInput";
+import AddToListButton from "@/components/lists/AddToListButton";
 import { truncateText } from "@/lib/utils";
 
 /**
  * MovieCard component displays individual movie/TV show information and user interaction buttons
  * Handles poster display, rating, title, overview, and user list management (favorites, watchlist, watched)
+ * Watched movies get a rating control on the user's chosen scale, and movies
+ * can be added to custom lists
  * Works with both movies and TV shows from TMDB API
  *
  * @param {Object} props - Component props
  * @param {Object} props.movie - Movie/TV show data from TMDB API (defaults to empty object)
+ * @param {string} props.note - Optional line explaining why the movie is shown (e.g. a recommendation reason)
  * @returns {JSX.Element} Interactive movie card with poster, details, and action buttons
  */
-export default function MovieCard({ movie = {} }) {
+export default function MovieCard({ movie = {}, note }) {
   // Get watchlist management functions and state from custom hook
   const {
     isFavorite,
@@ -31,6 +36,12 @@ export default function MovieCard({ movie = {} }) {
     isInWatched,
     addToWatched,
     removeFromWatched,
+    updateWatchedRating,
+    watched: watchedList,
+    preferences,
+    isFollowing,
+    followShow,
+    unfollowShow,
   } = useWatchlist();
 
   // Extract and normalize movie data (handles both movie and TV show objects)
@@ -48,15 +59,21 @@ export default function MovieCard({ movie = {} }) {
   const fav = isFavorite(movie.id);
   const inList = isInWatchlist(movie.id);
   const watched = isInWatched(movie.id);
+  const userRating = watched
+    ? watchedList.find((item) => item.id === movie.id)?.rating || 0
+    : 0;
 
   // Generate appropriate detail page URL based on media type
-  const detailPath =
-    movie.media_type === "tv" ? `/tv/${movie.id}` : `/movie/${movie.id}`;
+  const isTv = movie.media_type === "tv";
+  const detailPath = isTv ? `/tv/${movie.id}` : `/movie/${movie.id}`;
+
+  // TV shows are tracked by episode progress rather than the movie lists
+  const following = isTv && isFollowing(movie.id);
 
   return (
     <Card className="overflow-hidden flex flex-col">
       {/* Main card content - poster and movie information */}
-      <CardContent className="p-0">
+      <CardContent className="relative p-0">
         {/* Poster image section - clickable link to detail page */}
         <Link href={detailPath} className="relative block">
           <div className="relative w-full aspect-[2/3] bg-muted">
@@ -93,6 +110,13 @@ export default function MovieCard({ movie = {} }) {
           </div>
         </Link>
 
+        {/* Custom list picker overlay (kept outside the link) */}
+        {!isTv && (
+          <div className="absolute top-2 left-2 rounded-md bg-background/80 backdrop-blur">
+            <AddToListButton movie={movie} iconOnly />
+          </div>
+        )}
+
         {/* Movie details section - title, date, overview */}
         <div className="p-3 grid gap-1">
           {/* Movie title - clickable link with hover effect */}
@@ -113,58 +137,95 @@ export default function MovieCard({ movie = {} }) {
           <div className="text-xs text-muted-foreground line-clamp-2">
             {truncateText(movie.overview || "", 100)}
           </div>
+
+          {/* Why this movie is shown (e.g. "Because you rated Heat 9/10") */}
+          {note && (
+            <div className="flex items-start gap-1 text-xs text-primary">
+              <Sparkles className="mt-0.5 h-3 w-3 shrink-0" />
+              <span className="line-clamp-2">{note}</span>
+            </div>
+          )}
+
+          {/* User's own rating, once the movie is marked as watched */}
+          {watched && !isTv && (
+            <RatingInput
+              size="sm"
+              className="mt-1"
+              value={userRating}
+              scale={preferences.ratingScale}
+              onChange={(rating) => updateWatchedRating(movie.id, rating)}
+            />
+          )}
         </div>
       </CardContent>
 
-      {/* Action buttons section - favorites, watchlist, watched status */}
-      <CardFooter className="mt-auto p-3 pt-0 flex items-center justify-between gap-2">
-        {/* Favorites button - toggles favorite status */}
-        <Button
-          variant={fav ? "default" : "outline"} // Visual state indicates current status
-          size="sm"
-          onClick={() =>
-            fav ? removeFromFavorites(movie.id) : addToFavorites(movie.id)
-          }
-          aria-pressed={fav} // Accessibility: indicates current pressed state
-        >
-          <Heart className={`mr-2 h-4 w-4 ${fav ? "fill-current" : ""}`} />
-          {fav ? "Favorited" : "Favorite"}
-        </Button>
-
-        {/* Icon-only action buttons group */}
-        <div className="flex items-center gap-2">
-          {/* Watchlist toggle button */}
+      {/* TV shows get a single follow toggle that feeds My Shows progress */}
+      {isTv ? (
+        <CardFooter className="mt-auto p-3 pt-0">
           <Button
-            variant={inList ? "default" : "outline"}
-            size="icon"
-            title={inList ? "Remove from Watchlist" : "Add to Watchlist"} // Tooltip text
-            aria-pressed={inList}
+            variant={following ? "default" : "outline"}
+            size="sm"
+            className="w-full"
             onClick={() =>
-              inList ? removeFromWatchlist(movie.id) : addToWatchlist(movie.id)
+              following ? unfollowShow(movie.id) : followShow(movie.id)
             }
+            aria-pressed={following}
           >
-            <ListPlus className="h-4 w-4" />
+            <Tv className="mr-2 h-4 w-4" />
+            {following ? "Following" : "Follow show"}
           </Button>
-
-          {/* Watched status toggle button */}
+        </CardFooter>
+      ) : (
+        /* Action buttons section - favorites, watchlist, watched status */
+        <CardFooter className="mt-auto p-3 pt-0 flex items-center justify-between gap-2">
+          {/* Favorites button - toggles favorite status */}
           <Button
-            variant={watched ? "default" : "outline"}
-            size="icon"
-            title={watched ? "Unmark Watched" : "Mark as Watched"}
-            aria-pressed={watched}
+            variant={fav ? "default" : "outline"} // Visual state indicates current status
+            size="sm"
             onClick={() =>
-              watched ? removeFromWatched(movie.id) : addToWatched(movie.id)
+              fav ? removeFromFavorites(movie.id) : addToFavorites(movie)
             }
+            aria-pressed={fav} // Accessibility: indicates current pressed state
           >
-            {/* Dynamic icon based on watched status */}
-            {watched ? (
-              <Check className="h-4 w-4" /> // Checkmark when watched
-            ) : (
-              <Eye className="h-4 w-4" /> // Eye icon when not watched
-            )}
+            <Heart className={`mr-2 h-4 w-4 ${fav ? "fill-current" : ""}`} />
+            {fav ? "Favorited" : "Favorite"}
           </Button>
-        </div>
-      </CardFooter>
+
+          {/* Icon-only action buttons group */}
+          <div className="flex items-center gap-2">
+            {/* Watchlist toggle button */}
+            <Button
+              variant={inList ? "default" : "outline"}
+              size="icon"
+              title={inList ? "Remove from Watchlist" : "Add to Watchlist"} // Tooltip text
+              aria-pressed={inList}
+              onClick={() =>
+                inList ? removeFromWatchlist(movie.id) : addToWatchlist(movie)
+              }
+            >
+              <ListPlus className="h-4 w-4" />
+            </Button>
+
+            {/* Watched status toggle button */}
+            <Button
+              variant={watched ? "default" : "outline"}
+              size="icon"
+              title={watched ? "Unmark Watched" : "Mark as Watched"}
+              aria-pressed={watched}
+              onClick={() =>
+                watched ? removeFromWatched(movie.id) : addToWatched(movie)
+              }
+            >
+              {/* Dynamic icon based on watched status */}
+              {watched ? (
+                <Check className="h-4 w-4" /> // Checkmark when watched
+              ) : (
+                <Eye className="h-4 w-4" /> // Eye icon when not watched
+              )}
+            </Button>
+          </div>
+        </CardFooter>
+      )}
     </Card>
   );
 }
@@ -1,146 +1,283 @@
 "use client";
 
 import dynamic from "next/dynamic";
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { tmdbService } from "@/lib/tmdb";
+import {
+  DEFAULT_FILTERS,
+  filtersToSearchParams,
+  hasActiveFilters,
+} from "@/lib/discover";
+import {
+  HIGH_RATING,
+  getRecommendations,
+  pickSeeds,
+} from "@/lib/recommendations";
+import { formatRating } from "@/lib/ratings";
 import MovieCard from "./MovieCard";
+import { useInfiniteMovies } from "@/hooks/useInfiniteMovies";
+import { useWatchlist } from "@/hooks/useWatchlist";
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
-import { Film } from "lucide-react";
+import TMDBErrorAlert from "@/components/layout/TMDBErrorAlert";
+import { Film, Sparkles, Tv } from "lucide-react";
+
+// sessionStorage key for the last selected category
+const CATEGORY_STORAGE_KEY = "cinetracker-grid-category";
 
 /**
  * MovieGrid component displays a grid of movies with category filtering and search functionality
- * Handles different movie categories (popular, top rated, upcoming, now playing) and search results
+ * Handles different movie categories (popular, top rated, upcoming, now playing), personal
+ * "For You" picks built from the user's lists, movies included with the user's streaming
+ * services, filtered discover results and search results
  * Includes loading states, error handling, and responsive grid layout
  *
  * @param {Object} props - Component props
  * @param {string} props.searchQuery - Search query string (defaults to empty string)
+ * @param {Object} props.filters - Discover filters (see DEFAULT_FILTERS in lib/discover)
+ * @param {Function} props.onResetFilters - Clears filters when a category is picked
  * @returns {JSX.Element} Grid of movie cards with category filters and search results
  */
-export default function MovieGrid({ searchQuery = "" }) {
-  // State management for movie data and UI
-  const [category, setCategory] = useState("popular"); // Current selected category
-  const [loading, setLoading] = useState(false); // Loading state for API requests
-  const [movies, setMovies] = useState([]); // Array of movie data from TMDB
-  const [error, setError] = useState(null); // Error message for failed API requests
-
-  // Check if TMDB API key is configured
-  const hasApiKey = !!process.env.NEXT_PUBLIC_TMDB_API_KEY;
-
-  // Determine active category based on search query presence
-  // Search takes priority over category selection
+export default function MovieGrid({
+  searchQuery = "",
+  filters = DEFAULT_FILTERS,
+  onResetFilters,
+}) {
+  // Selected category survives navigation so returning from a detail page
+  // lands back on the same list
+  const [category, setCategory] = useState(
+    () =>
+      (typeof window !== "undefined" &&
+        sessionStorage.getItem(CATEGORY_STORAGE_KEY)) ||
+      "popular"
+  );
+
+  // User lists feed the "For You" recommendations
+  const {
+    watchlist,
+    watched,
+    favorites,
+    preferences,
+    loading: listsLoading,
+  } = useWatchlist();
+
+  // Recommendations are rebuilt when the titles they're seeded from change
+  const seedKey = useMemo(
+    () =>
+      pickSeeds({ watched, favorites })
+        .map((seed) => seed.id)
+        .join(","),
+    [watched, favorites]
+  );
+
+  // Streaming services for the "On My Services" category
+  const servicesKey = `${preferences.region}:${preferences.providers.join("|")}`;
+  const hasServices = preferences.providers.length > 0;
+
+  // Serialized filters give the fetch effect a stable dependency
+  const filterKey = filtersToSearchParams(filters).toString();
+
+  // Determine active category based on search query and filter presence
+  // Search takes priority over filters, which take priority over category selection
   const activeCategory = useMemo(() => {
     if (searchQuery.trim().length > 0) return "search";
+    if (filterKey) return "discover";
+    // Fall back if the user removed all their services
+    if (category === "my_services" && !hasServices) return "popular";
     return category;
-  }, [searchQuery, category]);
+  }, [searchQuery, filterKey, category, hasServices]);
 
-  // Fetch movie data when category or search query changes
-  useEffect(() => {
-    let ignore = false; // Flag to prevent state updates after component unmount
-
-    const fetchData = async () => {
-      setLoading(true);
-      setError(null);
-
-      try {
-        let data = null;
-
-        // Route to appropriate TMDB service method based on active category
-        if (activeCategory === "search") {
-          data = await tmdbService.searchMovies(searchQuery, 1);
-        } else if (activeCategory === "popular") {
-          data = await tmdbService.getPopularMovies(1);
-        } else if (activeCategory === "top_rated") {
-          data = await tmdbService.getTopRatedMovies(1);
-        } else if (activeCategory === "upcoming") {
-          data = await tmdbService.getUpcomingMovies(1);
-        } else if (activeCategory === "now_playing") {
-          data = await tmdbService.getNowPlayingMovies(1);
+  // Key identifying the current result set for pagination and scroll restore
+  const listKey =
+    activeCategory === "search"
+      ? `search:${searchQuery.trim()}`
+      : activeCategory === "discover"
+        ? `discover:${filterKey}`
+        : activeCategory === "for_you"
+          ? `for_you:${listsLoading ? "loading" : seedKey}`
+          : activeCategory === "my_services"
+            ? `my_services:${servicesKey}`
+            : activeCategory;
+
+  /**
+   * Fetches one page of the active result set
+   * Routes to the appropriate TMDB service method based on active category
+   * @param {number} page - Page number to fetch
+   * @param {AbortSignal} signal - Cancels the request when the result set changes
+   * @returns {Promise<Object|null>} TMDB list response
+   */
+  const fetchPage = (page, signal) => {
+    const options = { signal };
+    if (activeCategory === "search") {
+      return tmdbService.searchMovies(searchQuery, page, undefined, options);
+    } else if (activeCategory === "discover") {
+      return tmdbService.discoverMovies(filters, page, options);
+    } else if (activeCategory === "popular") {
+      return tmdbService.getPopularMovies(page, options);
+    } else if (activeCategory === "top_rated") {
+      return tmdbService.getTopRatedMovies(page, options);
+    } else if (activeCategory === "upcoming") {
+      return tmdbService.getUpcomingMovies(page, options);
+    } else if (activeCategory === "now_playing") {
+      return tmdbService.getNowPlayingMovies(page, options);
+    } else if (activeCategory === "my_services") {
+      return tmdbService.discoverByProviders(
+        preferences.providers,
+        preferences.region,
+        page,
+        options
+      );
+    } else if (activeCategory === "for_you") {
+      // Picks are computed in one go, so they form a single page
+      if (listsLoading || !seedKey) return null;
+      return getRecommendations(
+        { watchlist, watched, favorites },
+        tmdbService,
+        {
+          ratingScale: preferences.ratingScale,
+          signal,
         }
+      ).then((results) => ({
+        results,
+        total_pages: 1,
+        total_results: results.length,
+      }));
+    }
+    return null;
+  };
 
-        // Only update state if component is still mounted
-        if (!ignore) setMovies(data?.results || []);
-      } catch (e) {
-        // Handle API errors with user-friendly messages
-        if (!ignore) setError(e?.message || "Failed to load movies");
-      } finally {
-        // Reset loading state regardless of success/failure
-        if (!ignore) setLoading(false);
-      }
-    };
-
-    fetchData();
-
-    // Cleanup function to prevent memory leaks and race conditions
-    return () => {
-      ignore = true;
-    };
-  }, [activeCategory, searchQuery]);
-
-  // Early return if TMDB API key is not configured
-  if (!hasApiKey) {
-    return (
-      <div className="container mx-auto">
-        <Alert variant="destructive" className="mt-4">
-          <AlertTitle>TMDB API key missing</AlertTitle>
-          <AlertDescription>
-            Set NEXT_PUBLIC_TMDB_API_KEY in your environment to enable movie
-            loading.
-          </AlertDescription>
-        </Alert>
-      </div>
+  // Paginated results, deduplicated across pages
+  const {
+    movies,
+    totalResults,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    retry,
+  } = useInfiniteMovies(listKey, fetchPage);
+
+  // Sentinel element below the grid that triggers the next page when visible
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || !hasMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "600px" } // Start loading before the user hits the bottom
     );
-  }
+    observer.observe(el);
+
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
+
+  /**
+   * Switches category, dropping any discover filters so the category shows
+   * @param {string} value - Category to show
+   */
+  const selectCategory = (value) => {
+    setCategory(value);
+    sessionStorage.setItem(CATEGORY_STORAGE_KEY, value);
+    if (hasActiveFilters(filters) && onResetFilters) onResetFilters();
+  };
 
   return (
     <div className="container mx-auto">
       {/* Category filter buttons and results counter */}
       <div className="flex flex-wrap items-center gap-2 mb-4">
         {/* Category filter buttons */}
+        <CategoryButton
+          value="for_you"
+          active={activeCategory === "for_you"}
+          onClick={() => selectCategory("for_you")}
+        >
+          <Sparkles className="mr-1 h-4 w-4" />
+          For You
+        </CategoryButton>
         <CategoryButton
           value="popular"
-          active={category === "popular"}
-          onClick={() => setCategory("popular")}
+          active={activeCategory === "popular"}
+          onClick={() => selectCategory("popular")}
         >
           Popular
         </CategoryButton>
         <CategoryButton
           value="top_rated"
-          active={category === "top_rated"}
-          onClick={() => setCategory("top_rated")}
+          active={activeCategory === "top_rated"}
+          onClick={() => selectCategory("top_rated")}
         >
           Top Rated
         </CategoryButton>
         <CategoryButton
           value="upcoming"
-          active={category === "upcoming"}
-          onClick={() => setCategory("upcoming")}
+          active={activeCategory === "upcoming"}
+          onClick={() => selectCategory("upcoming")}
         >
           Upcoming
         </CategoryButton>
         <CategoryButton
           value="now_playing"
-          active={category === "now_playing"}
-          onClick={() => setCategory("now_playing")}
+          active={activeCategory === "now_playing"}
+          onClick={() => selectCategory("now_playing")}
         >
           Now Playing
         </CategoryButton>
+        {hasServices && (
+          <CategoryButton
+            value="my_services"
+            active={activeCategory === "my_services"}
+            onClick={() => selectCategory("my_services")}
+          >
+            <Tv className="mr-1 h-4 w-4" />
+            On My Services
+          </CategoryButton>
+        )}
 
         {/* Results counter - positioned on the right */}
         <div className="ml-auto inline-flex items-center gap-2 text-sm text-muted-foreground">
           <Film className="h-4 w-4" />
-          <span>{movies?.length || 0} results</span>
+          <span>{totalResults.toLocaleString()} results</span>
         </div>
       </div>
 
-      {/* Error alert - shown when API requests fail */}
+      {/* Error alert - explains why API requests failed (bad key, rate limit, outage...) */}
       {error && (
-        <Alert variant="destructive" className="mb-4">
-          <AlertTitle>Error</AlertTitle>
-          <AlertDescription>{error}</AlertDescription>
-        </Alert>
+        <TMDBErrorAlert
+          error={error}
+          subject={
+            activeCategory === "search"
+              ? "search results"
+              : activeCategory === "for_you"
+                ? "recommendations"
+                : "movies"
+          }
+          onRetry={retry}
+          className="mb-4"
+        />
       )}
 
+      {/* "For You" has nothing to go on until the user rates or favorites something */}
+      {activeCategory === "for_you" &&
+        !loading &&
+        !error &&
+        !listsLoading &&
+        movies.length === 0 && (
+          <Alert className="mb-4">
+            <Sparkles className="h-4 w-4" />
+            <AlertTitle>No recommendations yet</AlertTitle>
+            <AlertDescription>
+              {seedKey
+                ? "We couldn't find new movies to suggest. Rate or favorite a few more to widen the search."
+                : `Rate movies ${formatRating(HIGH_RATING, preferences.ratingScale)} or higher, or add favorites, and picks based on them will appear here.`}
+            </AlertDescription>
+          </Alert>
+        )}
+
       {/* Responsive movie grid with loading skeletons */}
       <div className="grid gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
         {/* Conditional rendering: skeleton placeholders during loading, movie cards when loaded */}
@@ -153,10 +290,23 @@ export default function MovieGrid({ searchQuery = "" }) {
             />
           ) : (
             // Actual movie card component
-            <MovieCard key={m.id} movie={m} />
+            <MovieCard key={m.id} movie={m} note={m.reason} />
           )
         )}
       </div>
+
+      {/* Infinite scroll sentinel and explicit fallback control */}
+      <div ref={sentinelRef} className="flex justify-center py-6">
+        {loadingMore ? (
+          <span className="text-sm text-muted-foreground">
+            Loading more movies...
+          </span>
+        ) : hasMore && !loading ? (
+          <Button type="button" variant="outline" onClick={loadMore}>
+            Load more
+          </Button>
+        ) : null}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,42 @@
+"use client";
+
+import { Badge } from "@/components/ui/badge";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { regionReleases } from "@/lib/releases";
+import { formatDate } from "@/lib/utils";
+
+/**
+ * MovieReleases Component
+ *
+ * Theatrical, digital and physical release dates of a movie in the user's
+ * region. The region is a user preference, so this renders in the browser.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.releaseDates - TMDB release_dates response
+ * @returns {JSX.Element|null} Release badges, or null without dates
+ */
+export default function MovieReleases({ releaseDates }) {
+  const { preferences } = useWatchlist();
+  const releases = regionReleases(releaseDates, preferences.region);
+
+  if (releases.length === 0) return null;
+
+  return (
+    <div className="mb-6 space-y-2">
+      <h2 className="text-sm text-muted-foreground">
+        Releases in {preferences.region}
+      </h2>
+      <ul className="flex flex-wrap gap-2">
+        {releases.map((release) => (
+          <li key={`${release.kind}-${release.date}-${release.note}`}>
+            <Badge variant="outline">
+              {release.label}: {formatDate(release.date)}
+              {release.note && ` (${release.note})`}
+              {release.certification && ` · ${release.certification}`}
+            </Badge>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+"use client";
+
+import { useState } from "react";
+import { Star, ThumbsDown, ThumbsUp } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { formatRating, fromScale, toScale } from "@/lib/ratings";
+
+// Icon and text sizes per component size
+const SIZES = {
+  sm: { icon: "h-4 w-4", text: "text-xs", point: "h-5 min-w-5" },
+  default: { icon: "h-6 w-6", text: "text-sm", point: "h-7 min-w-7" },
+};
+
+/**
+ * Five stars that can be filled in halves
+ * @param {Object} props - Component props
+ * @param {number} props.value - Stars (0-5 in halves)
+ * @param {Function} props.onPick - Called with the picked number of stars
+ * @param {string} props.iconClass - Icon size classes
+ * @returns {JSX.Element} Star buttons
+ */
+function StarScale({ value, onPick, iconClass }) {
+  const [hover, setHover] = useState(0); // Previewed stars while pointing
+  const shown = hover || value;
+
+  return (
+    <div className="flex" onMouseLeave={() => setHover(0)}>
+      {[1, 2, 3, 4, 5].map((n) => {
+        const fill = Math.min(1, Math.max(0, shown - (n - 1))); // 0, 0.5 or 1
+        return (
+          <span key={n} className="relative inline-flex">
+            <Star className={cn(iconClass, "text-muted-foreground")} />
+            {fill > 0 && (
+              <span
+                className="absolute inset-y-0 left-0 overflow-hidden"
+                style={{ width: `${fill * 100}%` }}
+              >
+                <Star
+                  className={cn(iconClass, "fill-yellow-400 text-yellow-400")}
+                />
+              </span>
+            )}
+            {/* Left and right halves pick n - 0.5 and n stars */}
+            {[n - 0.5, n].map((stars, half) => (
+              <button
+                key={stars}
+                type="button"
+                className={cn(
+                  "absolute inset-y-0 w-1/2 cursor-pointer",
+                  half ? "right-0" : "left-0"
+                )}
+                aria-label={`${stars} ${stars === 1 ? "star" : "stars"}`}
+                aria-pressed={value === stars}
+                onMouseEnter={() => setHover(stars)}
+                onFocus={() => setHover(stars)}
+                onBlur={() => setHover(0)}
+                onClick={() => onPick(stars)}
+              />
+            ))}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * RatingInput lets users rate a movie on the scale chosen in their profile
+ * Values in and out are stored 0-10 ratings; picking the current rating
+ * again clears it
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.value - Stored rating (0-10, 0 = unrated)
+ * @param {Function} props.onChange - Called with the new stored rating
+ * @param {string} props.scale - Rating scale ("stars" | "points" | "thumbs")
+ * @param {string} props.size - "sm" for cards, "default" elsewhere
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Rating control
+ */
+export default function RatingInput({
+  value = 0,
+  onChange,
+  scale,
+  size = "default",
+  className,
+}) {
+  const sizes = SIZES[size] || SIZES.default;
+  const current = toScale(value, scale);
+
+  // Picking the current value again clears the rating
+  const pick = (picked) =>
+    onChange(picked === current ? 0 : fromScale(picked, scale));
+
+  return (
+    <div
+      role="group"
+      aria-label={
+        value ? `Your rating: ${formatRating(value, scale)}` : "Rate this movie"
+      }
+      className={cn("flex items-center gap-1", className)}
+    >
+      {scale === "thumbs" ? (
+        [
+          { thumbs: 1, Icon: ThumbsUp, label: "Thumbs up" },
+          { thumbs: -1, Icon: ThumbsDown, label: "Thumbs down" },
+        ].map(({ thumbs, Icon, label }) => (
+          <button
+            key={thumbs}
+            type="button"
+            className={cn(
+              "rounded-md p-1 transition-colors hover:bg-accent",
+              current === thumbs
+                ? "text-primary"
+                : "text-muted-foreground hover:text-foreground"
+            )}
+            aria-label={label}
+            aria-pressed={current === thumbs}
+            onClick={() => pick(thumbs)}
+          >
+            <Icon
+              className={cn(sizes.icon, current === thumbs && "fill-current")}
+            />
+          </button>
+        ))
+      ) : scale === "points" ? (
+        <div className="flex flex-wrap gap-0.5">
+          {Array.from({ length: 10 }, (_, i) => i + 1).map((n) => (
+            <button
+              key={n}
+              type="button"
+              className={cn(
+                "rounded px-1 font-medium tabular-nums transition-colors",
+                sizes.point,
+                sizes.text,
+                n <= current
+                  ? "bg-primary text-primary-foreground"
+                  : "bg-muted text-muted-foreground hover:bg-accent"
+              )}
+              aria-label={`${n} out of 10`}
+              aria-pressed={n === current}
+              onClick={() => pick(n)}
+            >
+              {n}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <StarScale value={current} onPick={pick} iconClass={sizes.icon} />
+      )}
+    </div>
+  );
+}
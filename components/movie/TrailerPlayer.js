@@ -0,0 +1,109 @@
+"use client";
+
+import { useState } from "react";
+import Image from "next/image";
+import { PlayCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { youtubeEmbedUrl, youtubeThumbnailUrl } from "@/lib/movieMedia";
+
+// Number of extra videos offered below the player
+const MORE_VIDEOS_LIMIT = 8;
+
+/**
+ * TrailerPlayer shows a movie's best trailer with a list of its other videos
+ * The YouTube player is only loaded once the user presses play, so the page
+ * doesn't pull in YouTube until it's wanted
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.videos - YouTube videos, best first (see rankVideos)
+ * @param {string} props.title - Movie title, for accessible labels
+ * @returns {JSX.Element} Video player with video picker
+ */
+export default function TrailerPlayer({ videos, title }) {
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const video = videos[index];
+
+  /**
+   * Switches to another video and starts it
+   * @param {number} next - Video index
+   */
+  const play = (next) => {
+    setIndex(next);
+    setPlaying(true);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="relative aspect-video w-full overflow-hidden rounded-lg bg-black">
+        {playing ? (
+          <iframe
+            key={video.key}
+            src={youtubeEmbedUrl(video.key, true)}
+            title={`${title}: ${video.name}`}
+            className="absolute inset-0 h-full w-full"
+            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+            allowFullScreen
+          />
+        ) : (
+          <button
+            type="button"
+            className="group absolute inset-0"
+            onClick={() => setPlaying(true)}
+            aria-label={`Play ${video.name}`}
+          >
+            <Image
+              src={youtubeThumbnailUrl(video.key)}
+              alt=""
+              fill
+              sizes="(max-width: 1024px) 100vw, 66vw"
+              className="object-cover opacity-80 transition-opacity group-hover:opacity-100"
+            />
+            <PlayCircle className="absolute left-1/2 top-1/2 h-16 w-16 -translate-x-1/2 -translate-y-1/2 text-white drop-shadow-lg" />
+          </button>
+        )}
+      </div>
+
+      <div className="text-sm">
+        <span className="font-medium">{video.name}</span>
+        <span className="text-muted-foreground">
+          {" "}
+          · {video.type}
+          {video.official ? " · Official" : ""}
+        </span>
+      </div>
+
+      {/* Other videos */}
+      {videos.length > 1 && (
+        <ul className="flex gap-3 overflow-x-auto pb-2">
+          {videos.slice(0, MORE_VIDEOS_LIMIT + 1).map((item, i) => (
+            <li key={item.key} className="w-40 shrink-0">
+              <button
+                type="button"
+                className="grid w-full gap-1 text-left"
+                onClick={() => play(i)}
+                aria-current={i === index}
+              >
+                <div
+                  className={cn(
+                    "relative aspect-video overflow-hidden rounded bg-muted",
+                    i === index && "ring-2 ring-primary"
+                  )}
+                >
+                  <Image
+                    src={youtubeThumbnailUrl(item.key)}
+                    alt=""
+                    fill
+                    sizes="160px"
+                    className="object-cover"
+                  />
+                </div>
+                <span className="text-xs line-clamp-2">{item.name}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Image from "next/image";
+import Link from "next/link";
+import { Badge } from "@/components/ui/badge";
+import { Tv } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { tmdbService } from "@/lib/tmdb";
+import { describeTMDBError, isAbortError } from "@/lib/tmdbErrors";
+import {
+  PROVIDER_KINDS,
+  matchingServices,
+  providersForRegion,
+} from "@/lib/watchProviders";
+import { cn } from "@/lib/utils";
+
+/**
+ * WatchProviders shows where a movie can be streamed, rented or bought in the
+ * user's region, highlighting the services they subscribe to
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.movieId - TMDB movie ID
+ * @returns {JSX.Element} Where-to-watch section
+ */
+export default function WatchProviders({ movieId }) {
+  const { preferences } = useWatchlist();
+  const { region, providers: myServices } = preferences;
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    tmdbService
+      .getWatchProviders(movieId, { signal: controller.signal })
+      .then(setData)
+      .catch((e) => {
+        if (!isAbortError(e)) setError(e);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [movieId]);
+
+  const available = providersForRegion(data, region);
+  const onMyServices = matchingServices(available, myServices);
+  const kinds = PROVIDER_KINDS.filter(
+    ({ value }) => available?.[value]?.length
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="text-xl font-semibold">Where to watch</h2>
+        <Badge variant="outline">{region}</Badge>
+        {onMyServices.length > 0 && (
+          <Badge>
+            <Tv className="mr-1 h-3 w-3" />
+            On {onMyServices.map((p) => p.provider_name).join(", ")}
+          </Badge>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-muted-foreground">Checking availability…</p>
+      ) : error ? (
+        <p className="text-sm text-muted-foreground">
+          {describeTMDBError(error, "streaming options").description}
+        </p>
+      ) : kinds.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          Not available to stream, rent or buy in this country.{" "}
+          <Link href="/profile" className="underline">
+            Change country
+          </Link>
+        </p>
+      ) : (
+        <>
+          <dl className="space-y-2">
+            {kinds.map(({ value, label }) => (
+              <div key={value} className="flex items-start gap-3">
+                <dt className="w-20 shrink-0 pt-1.5 text-sm text-muted-foreground">
+                  {label}
+                </dt>
+                <dd className="flex flex-wrap gap-2">
+                  {available[value].map((provider) => (
+                    <Image
+                      key={provider.provider_id}
+                      src={tmdbService.getImageUrl(provider.logo_path, "w92")}
+                      alt={provider.provider_name}
+                      title={provider.provider_name}
+                      width={36}
+                      height={36}
+                      className={cn(
+                        "rounded-md",
+                        myServices.includes(provider.provider_id) &&
+                          "ring-2 ring-primary ring-offset-2 ring-offset-background"
+                      )}
+                    />
+                  ))}
+                </dd>
+              </div>
+            ))}
+          </dl>
+          {/* TMDB requires crediting JustWatch for this data */}
+          <p className="text-xs text-muted-foreground">
+            Availability by JustWatch.
+            {available.link && (
+              <>
+                {" "}
+                <a
+                  href={available.link}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="underline"
+                >
+                  See all options
+                </a>
+              </>
+            )}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
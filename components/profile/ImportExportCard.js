@@ -0,0 +1,229 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Download, Upload } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { tmdbService } from "@/lib/tmdb";
+import {
+  buildCsvExport,
+  buildJsonExport,
+  downloadFile,
+  matchImportRows,
+  parseImportFile,
+  retryFailedMatches,
+  toImportLists,
+} from "@/lib/importExport";
+import ImportReview from "./ImportReview";
+
+/**
+ * ImportExportCard lets users back up their lists and bring in history from
+ * other services
+ * Exports CineTracker JSON (full backup) or CSV; imports CineTracker,
+ * Letterboxd and IMDb files, matches them to TMDB and shows a review screen
+ * before anything is written
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes for the card
+ * @returns {JSX.Element} Import/export card
+ */
+export default function ImportExportCard({ className }) {
+  const {
+    watchlist,
+    watched,
+    favorites,
+    shows,
+    lists,
+    preferences,
+    importEntries,
+  } = useWatchlist();
+  const fileInput = useRef(null);
+
+  // Import flow state: idle -> matching -> review -> idle
+  const [stage, setStage] = useState("idle");
+  const [parsed, setParsed] = useState(null); // { format, rows, shows, lists } from the file
+  const [results, setResults] = useState([]); // Match results under review
+  const [progress, setProgress] = useState(0); // Rows matched so far
+  const [error, setError] = useState("");
+  const [importing, setImporting] = useState(false);
+  const [retrying, setRetrying] = useState(false); // Matching failed rows again
+
+  // File name stem with today's date, e.g. cinetracker-2026-01-31
+  const exportName = () =>
+    `cinetracker-${new Date().toISOString().split("T")[0]}`;
+
+  const exportJson = () =>
+    downloadFile(
+      `${exportName()}.json`,
+      buildJsonExport({ watchlist, watched, favorites, shows, lists }),
+      "application/json"
+    );
+
+  const exportCsv = () =>
+    downloadFile(
+      `${exportName()}.csv`,
+      buildCsvExport({ watchlist, watched, favorites }),
+      "text/csv"
+    );
+
+  /**
+   * Parses the chosen file and matches its rows against TMDB
+   * @param {Event} e - File input change event
+   */
+  const onFileChange = async (e) => {
+    const file = e.currentTarget.files?.[0];
+    e.currentTarget.value = ""; // Allow choosing the same file again
+    if (!file) return;
+
+    setError("");
+    try {
+      const data = parseImportFile(file.name, await file.text());
+      if (
+        data.rows.length === 0 &&
+        data.shows.length === 0 &&
+        data.lists.length === 0
+      ) {
+        throw new Error("The file doesn't contain any movies.");
+      }
+
+      setParsed(data);
+      setProgress(0);
+      setStage("matching");
+      setResults(await matchImportRows(data.rows, tmdbService, setProgress));
+      setStage("review");
+    } catch (err) {
+      // Lookup failures are per row (see matchImportRows); this is the file
+      setError(err.message || "Failed to read the file.");
+      setStage("idle");
+    }
+  };
+
+  /**
+   * Sets (or clears) the movie chosen for an ambiguous row
+   * @param {number} index - Result index
+   * @param {Object|null} movie - Chosen TMDB movie, or null to skip
+   */
+  const onChoose = (index, movie) =>
+    setResults((prev) =>
+      prev.map((r, i) => (i === index ? { ...r, movie } : r))
+    );
+
+  /**
+   * Looks up the rows whose match failed again, keeping the rest of the review
+   */
+  const onRetryFailed = async () => {
+    setError("");
+    setRetrying(true);
+    try {
+      setResults(await retryFailedMatches(results, tmdbService));
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  /**
+   * Writes the reviewed rows to the user's lists
+   * A failed write keeps the review open so the user can try again
+   */
+  const onConfirm = async () => {
+    setError("");
+    setImporting(true);
+    try {
+      await importEntries(toImportLists(results, parsed.shows, parsed.lists));
+      onCancel();
+    } catch (err) {
+      setError(err.message || "Failed to save the import.");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const onCancel = () => {
+    setStage("idle");
+    setParsed(null);
+    setResults([]);
+  };
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Import &amp; Export</CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-4">
+        {/* Export buttons */}
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-muted-foreground mr-2">
+            Export your lists
+          </span>
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={exportJson}
+          >
+            <Download className="mr-2 h-4 w-4" />
+            JSON
+          </Button>
+          <Button type="button" variant="outline" size="sm" onClick={exportCsv}>
+            <Download className="mr-2 h-4 w-4" />
+            CSV
+          </Button>
+        </div>
+
+        {/* Import file picker */}
+        {stage === "idle" && (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-muted-foreground mr-2">
+              Import from CineTracker, Letterboxd or IMDb
+            </span>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              className="hidden"
+              onChange={onFileChange}
+            />
+            <Button
+              type="button"
+              size="sm"
+              onClick={() => fileInput.current?.click()}
+            >
+              <Upload className="mr-2 h-4 w-4" />
+              Choose file
+            </Button>
+          </div>
+        )}
+
+        {stage === "matching" && (
+          <p className="text-sm text-muted-foreground" aria-live="polite">
+            Matching titles with TMDB… {progress} of {parsed.rows.length}
+          </p>
+        )}
+
+        {stage === "review" && (
+          <ImportReview
+            format={parsed.format}
+            results={results}
+            showCount={parsed.shows.length}
+            listCount={parsed.lists.length}
+            ratingScale={preferences.ratingScale}
+            onChoose={onChoose}
+            onConfirm={onConfirm}
+            onCancel={onCancel}
+            onRetryFailed={onRetryFailed}
+            importing={importing}
+            retrying={retrying}
+          />
+        )}
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,222 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { formatRating } from "@/lib/ratings";
+import { describeTMDBError } from "@/lib/tmdbErrors";
+import { RotateCw } from "lucide-react";
+
+// Shared styling for native selects so they match the Input component
+const selectClassName =
+  "h-9 w-full rounded-md border border-input bg-transparent px-3 text-sm shadow-xs dark:bg-input/30";
+
+// Display labels for the target lists
+const LIST_LABELS = {
+  watchlist: "Watchlist",
+  watched: "Watched",
+  favorites: "Favorites",
+};
+
+/**
+ * Formats a movie as "Title (Year)"
+ * @param {Object} movie - TMDB movie or import row
+ * @returns {string} Display label
+ */
+function movieLabel(movie) {
+  const year = movie.year || (movie.release_date || "").slice(0, 4);
+  return year ? `${movie.title} (${year})` : movie.title;
+}
+
+/**
+ * ImportReview lists the outcome of matching an import file against TMDB
+ * before anything is written: ambiguous rows get a picker, unmatched and
+ * skipped rows are listed so the user knows what will be left out, and rows
+ * whose lookup failed can be matched again
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.format - Detected file format label
+ * @param {Array<Object>} props.results - Match results from matchImportRows
+ * @param {number} props.showCount - Number of TV shows in the file (JSON only)
+ * @param {number} props.listCount - Number of custom lists in the file (JSON only)
+ * @param {string} props.ratingScale - Scale ratings are shown on
+ * @param {Function} props.onChoose - Called with (index, movie|null) when a candidate is picked
+ * @param {Function} props.onConfirm - Imports the rows that have a movie
+ * @param {Function} props.onCancel - Discards the import
+ * @param {Function} props.onRetryFailed - Matches the failed rows again
+ * @param {boolean} props.importing - Whether the import is being written
+ * @param {boolean} props.retrying - Whether failed rows are being matched again
+ * @returns {JSX.Element} Review screen
+ */
+export default function ImportReview({
+  format,
+  results,
+  showCount = 0,
+  listCount = 0,
+  ratingScale,
+  onChoose,
+  onConfirm,
+  onCancel,
+  onRetryFailed,
+  importing,
+  retrying,
+}) {
+  const withIndex = results.map((result, index) => ({ ...result, index }));
+  const matched = withIndex.filter((r) => r.status === "matched");
+  const ambiguous = withIndex.filter((r) => r.status === "ambiguous");
+  const unmatched = withIndex.filter((r) => r.status === "unmatched");
+  const skipped = withIndex.filter((r) => r.status === "skipped");
+  const failed = withIndex.filter((r) => r.status === "failed");
+  const importCount =
+    results.filter((r) => r.movie).length + showCount + listCount;
+
+  return (
+    <div className="grid gap-4 text-sm">
+      {/* Summary of the match results */}
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">{format}</span>
+        <Badge variant="secondary">{matched.length} matched</Badge>
+        {ambiguous.length > 0 && (
+          <Badge variant="outline">{ambiguous.length} need review</Badge>
+        )}
+        {unmatched.length > 0 && (
+          <Badge variant="destructive">{unmatched.length} not found</Badge>
+        )}
+        {skipped.length > 0 && (
+          <Badge variant="outline">{skipped.length} skipped</Badge>
+        )}
+        {failed.length > 0 && (
+          <Badge variant="destructive">{failed.length} failed</Badge>
+        )}
+        {showCount > 0 && <Badge variant="secondary">{showCount} shows</Badge>}
+        {listCount > 0 && (
+          <Badge variant="secondary">
+            {listCount} {listCount === 1 ? "list" : "lists"}
+          </Badge>
+        )}
+      </div>
+
+      {/* Ambiguous rows: pick the right movie or skip */}
+      {ambiguous.length > 0 && (
+        <div className="grid gap-2">
+          <div className="font-medium">Choose the right movie</div>
+          {ambiguous.map((r) => (
+            <div
+              key={r.index}
+              className="grid gap-1 sm:grid-cols-[1fr_1fr] sm:items-center"
+            >
+              <span className="truncate">
+                {movieLabel(r)}{" "}
+                <span className="text-muted-foreground">
+                  · line {r.line} · {LIST_LABELS[r.list]}
+                </span>
+              </span>
+              <select
+                className={selectClassName}
+                aria-label={`Match for ${movieLabel(r)}`}
+                value={r.movie?.id ?? ""}
+                onChange={(e) => {
+                  const id = Number(e.currentTarget.value);
+                  onChoose(
+                    r.index,
+                    r.candidates.find((m) => m.id === id) || null
+                  );
+                }}
+              >
+                <option value="">Skip this row</option>
+                {r.candidates.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {movieLabel(m)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Rows whose TMDB lookup failed; matching them again may work */}
+      {failed.length > 0 && (
+        <div className="grid gap-2">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="font-medium">
+              Couldn&apos;t look up {failed.length}{" "}
+              {failed.length === 1 ? "row" : "rows"}
+            </span>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={onRetryFailed}
+              disabled={retrying || importing}
+            >
+              <RotateCw className="mr-2 h-4 w-4" />
+              {retrying ? "Retrying..." : "Try again"}
+            </Button>
+          </div>
+          <ul className="grid gap-1 text-muted-foreground">
+            {failed.map((r) => (
+              <li key={r.index}>
+                Line {r.line}: {movieLabel(r)} —{" "}
+                {describeTMDBError(r.error).title}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Rows that will be left out */}
+      {unmatched.length + skipped.length > 0 && (
+        <details>
+          <summary className="cursor-pointer font-medium">
+            Not imported ({unmatched.length + skipped.length})
+          </summary>
+          <ul className="mt-2 grid gap-1 text-muted-foreground">
+            {[...unmatched, ...skipped].map((r) => (
+              <li key={r.index}>
+                Line {r.line}: {movieLabel(r)} —{" "}
+                {r.skipReason || "no TMDB match"}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {/* Matched rows, collapsed by default */}
+      {matched.length > 0 && (
+        <details>
+          <summary className="cursor-pointer font-medium">
+            Matched ({matched.length})
+          </summary>
+          <ul className="mt-2 grid gap-1 text-muted-foreground">
+            {matched.map((r) => (
+              <li key={r.index} className="truncate">
+                {movieLabel(r)} → {movieLabel(r.movie)} · {LIST_LABELS[r.list]}
+                {r.rating > 0
+                  ? ` · ${formatRating(r.rating, ratingScale)}`
+                  : ""}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onCancel}
+          disabled={importing || retrying}
+        >
+          Cancel
+        </Button>
+        <Button
+          type="button"
+          onClick={onConfirm}
+          disabled={importing || retrying || importCount === 0}
+        >
+          {importing ? "Importing..." : `Import ${importCount}`}
+        </Button>
+      </div>
+    </div>
+  );
+}
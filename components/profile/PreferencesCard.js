@@ -0,0 +1,61 @@
+"use client";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { RATING_SCALES } from "@/lib/ratings";
+import RatingInput from "@/components/movie/RatingInput";
+
+// Sample rating shown next to each scale option (8/10)
+const SAMPLE_RATING = 8;
+
+/**
+ * PreferencesCard holds display settings stored with the user's lists
+ * Changing the rating scale only changes how ratings are shown and entered;
+ * stored ratings stay on the 0-10 scale
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes for the card
+ * @returns {JSX.Element} Preferences card
+ */
+export default function PreferencesCard({ className }) {
+  const { preferences, updatePreferences } = useWatchlist();
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Preferences</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <fieldset className="grid gap-3">
+          <legend className="mb-3 text-sm text-muted-foreground">
+            Rating scale
+          </legend>
+          {RATING_SCALES.map((scale) => (
+            <label
+              key={scale.value}
+              className="flex flex-wrap items-center gap-3 text-sm"
+            >
+              <input
+                type="radio"
+                name="ratingScale"
+                value={scale.value}
+                checked={preferences.ratingScale === scale.value}
+                onChange={() => updatePreferences({ ratingScale: scale.value })}
+              />
+              <span className="min-w-48">{scale.label}</span>
+              {/* Read-only preview of the scale */}
+              <span inert>
+                <RatingInput
+                  size="sm"
+                  value={SAMPLE_RATING}
+                  scale={scale.value}
+                  onChange={() => {}}
+                />
+              </span>
+            </label>
+          ))}
+        </fieldset>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,93 @@
+"use client";
+
+import { cn } from "@/lib/utils";
+
+/**
+ * Horizontal bar chart for ranked counts (genres, decades, people)
+ * Bars use theme colors so the chart works in light and dark mode
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{key: string|number, label?: string, count: number}>} props.items - Rows to chart
+ * @param {string} props.unit - Unit for screen readers and tooltips (e.g. "films")
+ * @param {number} props.max - Value of a full bar (defaults to the largest count)
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Bar list
+ */
+export function BarList({ items, unit = "films", max, className }) {
+  const full = max || Math.max(1, ...items.map((item) => item.count));
+
+  return (
+    <ul className={cn("grid gap-2 text-sm", className)}>
+      {items.map((item) => (
+        <li
+          key={item.key}
+          className="grid grid-cols-[minmax(0,8rem)_1fr_2.5rem] items-center gap-2"
+        >
+          <span className="truncate" title={item.label ?? item.key}>
+            {item.label ?? item.key}
+          </span>
+          <span className="h-2.5 rounded-full bg-muted" aria-hidden="true">
+            <span
+              className="block h-full rounded-full bg-primary"
+              style={{ width: `${(item.count / full) * 100}%` }}
+            />
+          </span>
+          <span className="text-right tabular-nums text-muted-foreground">
+            {item.count}
+            <span className="sr-only"> {unit}</span>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Vertical column chart for counts over time (months, years)
+ *
+ * @param {Object} props - Component props
+ * @param {Array<{key: string, count: number}>} props.items - Columns in display order
+ * @param {Function} props.formatLabel - Turns a key into the axis label
+ * @param {string} props.unit - Unit for screen readers and tooltips
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} Column chart
+ */
+export function ColumnChart({
+  items,
+  formatLabel = (key) => key,
+  unit = "films",
+  className,
+}) {
+  const max = Math.max(1, ...items.map((item) => item.count));
+
+  return (
+    <ul className={cn("flex h-40 items-end gap-1", className)}>
+      {items.map((item) => (
+        <li
+          key={item.key}
+          className="flex h-full min-w-0 flex-1 flex-col items-center justify-end gap-1"
+          title={`${formatLabel(item.key)}: ${item.count} ${unit}`}
+        >
+          <span className="text-xs tabular-nums text-muted-foreground">
+            {item.count || ""}
+          </span>
+          <span
+            className="flex w-full flex-1 items-end justify-center"
+            aria-hidden="true"
+          >
+            <span
+              className="w-full max-w-8 rounded-t bg-primary"
+              style={{ height: `${(item.count / max) * 100}%` }}
+            />
+          </span>
+          <span className="w-full truncate text-center text-xs text-muted-foreground">
+            {formatLabel(item.key)}
+            <span className="sr-only">
+              : {item.count} {unit}
+            </span>
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,288 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { tmdbService } from "@/lib/tmdb";
+import { nullIfNotFound } from "@/lib/tmdbErrors";
+import { buildStats } from "@/lib/stats";
+import { formatRating } from "@/lib/ratings";
+import { BarList, ColumnChart } from "./StatsCharts";
+
+// Number of credit lookups run at once
+const CREDITS_BATCH_SIZE = 4;
+
+/**
+ * Formats a YYYY-MM month key as a short axis label ("Jan")
+ * @param {string} month - Month key
+ * @returns {string} Month abbreviation
+ */
+function shortMonth(month) {
+  const [year, m] = month.split("-").map(Number);
+  return new Date(year, m - 1, 1).toLocaleDateString("en-US", {
+    month: "short",
+  });
+}
+
+/**
+ * Formats a YYYY-MM-DD date for display ("Mar 4, 2026")
+ * @param {string} date - Date string
+ * @returns {string} Readable date
+ */
+function shortDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+/**
+ * Small headline number with a caption
+ * @param {Object} props - Component props
+ * @param {string} props.label - What the number is
+ * @param {string|number} props.value - Headline value
+ * @param {string} props.hint - Optional detail under the value
+ * @returns {JSX.Element} Stat tile
+ */
+function StatTile({ label, value, hint }) {
+  return (
+    <div className="rounded-lg border p-4">
+      <div className="text-sm text-muted-foreground">{label}</div>
+      <div className="text-2xl font-bold tabular-nums">{value}</div>
+      {hint && <div className="text-xs text-muted-foreground">{hint}</div>}
+    </div>
+  );
+}
+
+/**
+ * Titled chart section with an empty-state message
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading
+ * @param {boolean} props.empty - Whether there's nothing to chart
+ * @param {string} props.emptyText - Message shown when empty
+ * @param {React.ReactNode} props.children - Chart
+ * @returns {JSX.Element} Chart section
+ */
+function Section({ title, empty, emptyText = "Nothing yet.", children }) {
+  return (
+    <section className="grid content-start gap-3">
+      <h3 className="font-semibold">{title}</h3>
+      {empty ? (
+        <p className="text-sm text-muted-foreground">{emptyText}</p>
+      ) : (
+        children
+      )}
+    </section>
+  );
+}
+
+/**
+ * StatsDashboard summarizes the user's viewing history: time spent,
+ * activity over time, taste (genres, decades, people) and how their ratings
+ * compare with TMDB's
+ * Credits are fetched per watched film (cached by the TMDB service) to find
+ * the most-watched directors and actors
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes for the card
+ * @returns {JSX.Element} Stats dashboard card
+ */
+export default function StatsDashboard({ className }) {
+  const { watched, preferences } = useWatchlist();
+  const [credits, setCredits] = useState(() => new Map());
+  const [genreNames, setGenreNames] = useState(() => new Map());
+
+  // Load genre names once
+  useEffect(() => {
+    const controller = new AbortController();
+    tmdbService
+      .getMovieGenres({ signal: controller.signal })
+      .then((data) => {
+        if (!controller.signal.aborted && data?.genres) {
+          setGenreNames(new Map(data.genres.map((g) => [g.id, g.name])));
+        }
+      })
+      // Stats still render; genres just go unnamed
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  // Fetch credits for watched films that don't have them yet
+  const watchedIds = watched.map((entry) => entry.id).join(",");
+  useEffect(() => {
+    const controller = new AbortController();
+    const missing = watched
+      .map((entry) => entry.id)
+      .filter((id) => !credits.has(id));
+    if (missing.length === 0) return;
+
+    (async () => {
+      for (let i = 0; i < missing.length; i += CREDITS_BATCH_SIZE) {
+        const batch = missing.slice(i, i + CREDITS_BATCH_SIZE);
+        const results = await Promise.all(
+          batch.map((id) =>
+            nullIfNotFound(
+              tmdbService.getMovieCredits(id, { signal: controller.signal })
+            )
+          )
+        );
+        if (controller.signal.aborted) return;
+
+        setCredits((prev) => {
+          const next = new Map(prev);
+          // Films without credits are stored empty so they aren't refetched
+          batch.forEach((id, idx) => next.set(id, results[idx] || {}));
+          return next;
+        });
+      }
+    })().catch(() => {
+      // Cancelled or TMDB unavailable; people stats use what was loaded
+    });
+
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [watchedIds]);
+
+  const stats = useMemo(
+    () => buildStats(watched, { credits, genreNames }),
+    [watched, credits, genreNames]
+  );
+
+  const hours = Math.round(stats.minutes / 60);
+  const { ratings, streak } = stats;
+  const ratingGap = ratings.count ? ratings.user - ratings.tmdb : 0;
+  const loadingCredits = stats.creditsLoaded < stats.films;
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Viewing Stats</CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-8">
+        {/* Headline numbers */}
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+          <StatTile
+            label="Films watched"
+            value={stats.films}
+            hint={
+              stats.viewings > stats.films
+                ? `${stats.viewings} viewings incl. rewatches`
+                : undefined
+            }
+          />
+          <StatTile
+            label="Hours watched"
+            value={hours.toLocaleString("en-US")}
+            hint={
+              stats.missingRuntime
+                ? `${stats.missingRuntime} without a known runtime`
+                : undefined
+            }
+          />
+          <StatTile
+            label="Longest streak"
+            value={`${streak.days} ${streak.days === 1 ? "day" : "days"}`}
+            hint={
+              streak.days > 1
+                ? `${shortDate(streak.start)} – ${shortDate(streak.end)}`
+                : undefined
+            }
+          />
+          <StatTile
+            label="Your average rating"
+            value={ratings.count ? ratings.user.toFixed(1) : "–"}
+            hint={
+              ratings.count
+                ? `${formatRating(ratings.user, preferences.ratingScale)} · TMDB ${ratings.tmdb.toFixed(1)}`
+                : "Rate films to compare with TMDB"
+            }
+          />
+        </div>
+
+        <div className="grid gap-8 md:grid-cols-2">
+          <Section
+            title="Films per month"
+            empty={stats.viewings === 0}
+            emptyText="Log a viewing to see your activity."
+          >
+            <ColumnChart
+              items={stats.perMonth}
+              formatLabel={shortMonth}
+              unit="viewings"
+            />
+          </Section>
+
+          <Section title="Films per year" empty={stats.perYear.length === 0}>
+            <ColumnChart items={stats.perYear.slice(-12)} unit="viewings" />
+          </Section>
+
+          <Section title="Genres" empty={stats.genres.length === 0}>
+            <BarList items={stats.genres} />
+          </Section>
+
+          <Section title="Decades" empty={stats.decades.length === 0}>
+            <BarList items={stats.decades} />
+          </Section>
+
+          {/* User vs TMDB average, both out of 10 */}
+          <Section
+            title="You vs TMDB"
+            empty={ratings.count === 0}
+            emptyText="Rate some watched films to compare your taste with TMDB."
+          >
+            <BarList
+              unit="out of 10"
+              max={10}
+              items={[
+                {
+                  key: "you",
+                  label: "You",
+                  count: Math.round(ratings.user * 10) / 10,
+                },
+                {
+                  key: "tmdb",
+                  label: "TMDB",
+                  count: Math.round(ratings.tmdb * 10) / 10,
+                },
+              ]}
+            />
+            <p className="text-sm text-muted-foreground">
+              Across {ratings.count} rated{" "}
+              {ratings.count === 1 ? "film" : "films"}, you rate{" "}
+              {Math.abs(ratingGap) < 0.1
+                ? "about the same as"
+                : `${Math.abs(ratingGap).toFixed(1)} points ${
+                    ratingGap > 0 ? "higher" : "lower"
+                  } than`}{" "}
+              TMDB users.
+            </p>
+          </Section>
+
+          <div className="grid content-start gap-8 sm:grid-cols-2">
+            <Section
+              title="Top directors"
+              empty={stats.directors.length === 0}
+              emptyText={loadingCredits ? "Loading credits…" : "Nothing yet."}
+            >
+              <BarList items={stats.directors} />
+            </Section>
+            <Section
+              title="Top actors"
+              empty={stats.actors.length === 0}
+              emptyText={loadingCredits ? "Loading credits…" : "Nothing yet."}
+            >
+              <BarList items={stats.actors} />
+            </Section>
+          </div>
+        </div>
+
+        {loadingCredits && stats.creditsLoaded > 0 && (
+          <p className="text-xs text-muted-foreground" aria-live="polite">
+            Loading credits… {stats.creditsLoaded} of {stats.films} films
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
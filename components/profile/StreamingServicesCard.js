@@ -0,0 +1,189 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Image from "next/image";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Check } from "lucide-react";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { tmdbService } from "@/lib/tmdb";
+import { isAbortError } from "@/lib/tmdbErrors";
+import TMDBErrorAlert from "@/components/layout/TMDBErrorAlert";
+import { sortProviders } from "@/lib/watchProviders";
+import { cn } from "@/lib/utils";
+
+// Services listed before "Show all" when not searching
+const PROVIDER_LIMIT = 24;
+
+/**
+ * StreamingServicesCard lets the user pick their country and the streaming
+ * services they subscribe to; both drive where-to-watch info, the watchlist
+ * "on my services" filter and the "On My Services" browse mode
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes for the card
+ * @returns {JSX.Element} Streaming services card
+ */
+export default function StreamingServicesCard({ className }) {
+  const { preferences, updatePreferences } = useWatchlist();
+  const { region, providers: selected } = preferences;
+
+  const [regions, setRegions] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null); // Failed service list request
+  const [attempt, setAttempt] = useState(0); // Bumped to retry loading
+  const [query, setQuery] = useState("");
+  const [showAll, setShowAll] = useState(false);
+
+  // Regions only need loading once
+  useEffect(() => {
+    const controller = new AbortController();
+    tmdbService
+      .getProviderRegions({ signal: controller.signal })
+      .then((data) => {
+        if (controller.signal.aborted || !data?.results) return;
+        setRegions(
+          [...data.results].sort((a, b) =>
+            a.english_name.localeCompare(b.english_name)
+          )
+        );
+      })
+      // The region picker keeps the current region; the service list
+      // below reports the failure
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  // Services differ per region
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    tmdbService
+      .getProviderList(region, { signal: controller.signal })
+      .then((data) => {
+        if (!controller.signal.aborted) setCatalogue(data?.results || []);
+      })
+      .catch((e) => {
+        if (!isAbortError(e)) setError(e);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [region, attempt]);
+
+  /**
+   * Adds or removes a service from the user's subscriptions
+   * @param {number} id - TMDB provider ID
+   */
+  const toggle = (id) => {
+    updatePreferences({
+      providers: selected.includes(id)
+        ? selected.filter((other) => other !== id)
+        : [...selected, id],
+    });
+  };
+
+  const term = query.trim().toLowerCase();
+  const sorted = sortProviders(catalogue, region, selected).filter(
+    (provider) => !term || provider.provider_name.toLowerCase().includes(term)
+  );
+  const shown =
+    showAll || term
+      ? sorted
+      : sorted.slice(0, Math.max(PROVIDER_LIMIT, selected.length));
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle>Streaming services</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="grid gap-1 text-sm">
+            <span className="text-muted-foreground">Country</span>
+            <select
+              className="h-9 rounded-md border bg-background px-3 text-sm"
+              value={region}
+              onChange={(e) => updatePreferences({ region: e.target.value })}
+            >
+              {/* Keep the saved region selectable while the list loads */}
+              {!regions.some((r) => r.iso_3166_1 === region) && (
+                <option value={region}>{region}</option>
+              )}
+              {regions.map((r) => (
+                <option key={r.iso_3166_1} value={r.iso_3166_1}>
+                  {r.english_name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <Input
+            className="max-w-xs"
+            placeholder="Search services…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            aria-label="Search streaming services"
+          />
+          <span className="text-sm text-muted-foreground">
+            {selected.length} selected
+          </span>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-muted-foreground">Loading services…</p>
+        ) : error ? (
+          <TMDBErrorAlert
+            error={error}
+            subject="streaming services"
+            onRetry={() => setAttempt((n) => n + 1)}
+          />
+        ) : sorted.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No services found for this country.
+          </p>
+        ) : (
+          <ul className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2">
+            {shown.map((provider) => {
+              const active = selected.includes(provider.provider_id);
+              return (
+                <li key={provider.provider_id}>
+                  <button
+                    type="button"
+                    className={cn(
+                      "flex w-full items-center gap-2 rounded-md border p-2 text-left text-sm transition-colors hover:bg-muted/50",
+                      active && "border-primary bg-muted"
+                    )}
+                    aria-pressed={active}
+                    onClick={() => toggle(provider.provider_id)}
+                  >
+                    <Image
+                      src={tmdbService.getImageUrl(provider.logo_path, "w92")}
+                      alt=""
+                      width={28}
+                      height={28}
+                      className="rounded"
+                    />
+                    <span className="flex-1 line-clamp-1">
+                      {provider.provider_name}
+                    </span>
+                    {active && <Check className="h-4 w-4 shrink-0" />}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {!loading && shown.length < sorted.length && (
+          <Button variant="outline" size="sm" onClick={() => setShowAll(true)}>
+            Show all {sorted.length}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
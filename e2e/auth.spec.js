@@ -0,0 +1,49 @@
+import { expect, signUp, test } from "./fixtures";
+
+test.describe("authentication", () => {
+  test("guests see the landing page", async ({ page }) => {
+    await page.goto("/");
+
+    await expect(
+      page.getByRole("button", { name: "Get started" })
+    ).toBeVisible();
+    await expect(page.getByPlaceholder("Search movies...")).toBeHidden();
+  });
+
+  test("registers, signs out and logs back in", async ({ page }) => {
+    const { email, password } = await signUp(page);
+
+    await page.getByRole("button", { name: "Sign out" }).click();
+    await expect(
+      page.getByRole("button", { name: "Get started" })
+    ).toBeVisible();
+
+    await page.getByRole("button", { name: "Log in" }).click();
+    await expect(page).toHaveURL("/auth?mode=login");
+    await page.getByLabel("Email").fill(email);
+    await page.getByLabel("Password").fill(password);
+    await page.getByRole("button", { name: "Log in", exact: true }).click();
+
+    await expect(page).toHaveURL("/");
+    await expect(page.getByRole("button", { name: "Sign out" })).toBeVisible();
+  });
+
+  test("rejects a wrong password", async ({ page }) => {
+    const { email } = await signUp(page);
+    await page.getByRole("button", { name: "Sign out" }).click();
+
+    await page.goto("/auth?mode=login");
+    await page.getByLabel("Email").fill(email);
+    await page.getByLabel("Password").fill("not-the-password");
+    await page.getByRole("button", { name: "Log in", exact: true }).click();
+
+    await expect(page.getByText("Authentication failed")).toBeVisible();
+    await expect(page).toHaveURL("/auth?mode=login");
+  });
+
+  test("sends guests on private pages to log in", async ({ page }) => {
+    await page.goto("/watchlist");
+
+    await expect(page).toHaveURL("/auth?mode=login");
+  });
+});
@@ -0,0 +1,41 @@
+import { test as base, expect } from "@playwright/test";
+
+// The app server and the Firebase emulators; everything else is blocked
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1"]);
+
+/**
+ * Playwright test with the network cut off outside this machine
+ * A stray request to TMDB, Google or a CDN fails the same way it would
+ * offline instead of quietly depending on the internet
+ */
+export const test = base.extend({
+  context: async ({ context }, use) => {
+    await context.route(
+      (url) => !LOCAL_HOSTS.has(url.hostname),
+      (route) => route.abort("internetdisconnected")
+    );
+    await use(context);
+  },
+});
+
+export { expect };
+
+/**
+ * Creates a new account through the sign-up form and waits for the home page
+ * @param {import("@playwright/test").Page} page - Browser page
+ * @returns {Promise<{email: string, password: string}>} New account's credentials
+ */
+export async function signUp(page) {
+  const email = `e2e-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+  const password = "password123";
+
+  await page.goto("/auth?mode=register");
+  await page.getByLabel("Email").fill(email);
+  await page.getByLabel("Password", { exact: true }).fill(password);
+  await page.getByLabel("Confirm password").fill(password);
+  await page.getByRole("button", { name: "Sign up", exact: true }).click();
+
+  await expect(page).toHaveURL("/");
+  await expect(page.getByPlaceholder("Search movies...")).toBeVisible();
+  return { email, password };
+}
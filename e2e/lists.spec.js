@@ -0,0 +1,67 @@
+import { expect, signUp, test } from "./fixtures";
+
+/**
+ * Searches the demo catalogue from the home page
+ * @param {import("@playwright/test").Page} page - Browser page
+ * @param {string} query - Search text
+ */
+async function search(page, query) {
+  await page.getByPlaceholder("Search movies...").fill(query);
+  await page.getByPlaceholder("Search movies...").press("Enter");
+  await expect(page.getByText("1 results")).toBeVisible();
+}
+
+test.describe("movie lists", () => {
+  test.beforeEach(async ({ page }) => {
+    await signUp(page);
+    await search(page, "Inception");
+  });
+
+  test("adds a movie to the watchlist and removes it", async ({ page }) => {
+    await page.getByTitle("Add to Watchlist").click();
+    await expect(page.getByTitle("Remove from Watchlist")).toBeVisible();
+
+    await page.getByRole("link", { name: "Watchlist", exact: true }).click();
+    await expect(
+      page.getByRole("heading", { name: "My Watchlist" })
+    ).toBeVisible();
+    await expect(page.getByTitle("Inception")).toBeVisible();
+
+    // Saved to Firestore, not just held in memory
+    await page.reload();
+    await expect(page.getByTitle("Inception")).toBeVisible();
+
+    await page.getByTitle("Remove from Watchlist").click();
+    await expect(page.getByTitle("Inception")).toBeHidden();
+  });
+
+  test("marks a movie as watched and rates it", async ({ page }) => {
+    await page.getByTitle("Mark as Watched").click();
+    await page.getByRole("button", { name: "4.5 stars" }).click();
+    await expect(
+      page.getByRole("group", { name: /Your rating/ })
+    ).toBeVisible();
+
+    await page.getByRole("link", { name: "Watched", exact: true }).click();
+    await expect(
+      page.getByRole("heading", { name: "Watched", exact: true })
+    ).toBeVisible();
+    await expect(page.getByTitle("Inception")).toBeVisible();
+    await expect(
+      page.getByRole("button", { name: "4.5 stars" })
+    ).toHaveAttribute("aria-pressed", "true");
+  });
+
+  test("favorites a movie", async ({ page }) => {
+    await page.getByRole("button", { name: "Favorite", exact: true }).click();
+    await expect(
+      page.getByRole("button", { name: "Favorited" })
+    ).toHaveAttribute("aria-pressed", "true");
+
+    await page.getByRole("link", { name: "Favorites", exact: true }).click();
+    await expect(
+      page.getByRole("heading", { name: "My Favorites" })
+    ).toBeVisible();
+    await expect(page.getByTitle("Inception")).toBeVisible();
+  });
+});
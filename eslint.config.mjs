@@ -9,6 +9,13 @@ const compat = new FlatCompat({
   baseDirectory: __dirname,
 });
 
-const eslintConfig = [...compat.extends("next/core-web-vitals")];
+const eslintConfig = [
+  ...compat.extends("next/core-web-vitals"),
+  {
+    // Playwright fixtures receive a `use` callback that isn't a React hook
+    files: ["e2e/**/*.js"],
+    rules: { "react-hooks/rules-of-hooks": "off" },
+  },
+];
 
 export default eslintConfig;
@@ -0,0 +1,198 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { debounce } from "@/lib/utils";
+import { isAbortError } from "@/lib/tmdbErrors";
+
+// sessionStorage key prefix for remembered grid state
+const STORAGE_PREFIX = "cinetracker-grid:";
+
+/**
+ * Reads remembered grid state for a result set from sessionStorage
+ * @param {string} key - Result set key (category, search or filters)
+ * @returns {Object|null} Saved state or null if missing/unreadable
+ */
+function readSaved(key) {
+  try {
+    const saved = sessionStorage.getItem(STORAGE_PREFIX + key);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merges a new page of results into the existing list, dropping duplicate IDs
+ * TMDB pages shift as popularity changes, so the same movie can appear twice
+ * @param {Array<Object>} existing - Movies already loaded
+ * @param {Array<Object>} incoming - Movies from the newly loaded page
+ * @returns {Array<Object>} Combined list with unique IDs
+ */
+function mergeUnique(existing, incoming) {
+  const seen = new Set(existing.map((m) => m.id));
+  return [
+    ...existing,
+    ...incoming.filter((m) => !seen.has(m.id) && seen.add(m.id)),
+  ];
+}
+
+/**
+ * Custom hook for paginated TMDB result lists with infinite loading
+ * Remembers loaded pages and scroll position per result set in sessionStorage,
+ * so returning from a detail page restores the grid where the user left it
+ *
+ * Requests for a result set are cancelled when the key changes or the
+ * component unmounts
+ *
+ * @param {string} key - Unique key for the current result set; changing it resets the list
+ * @param {Function} fetchPage - Async function (page, signal) => TMDB list response
+ * @returns {Object} Movies, totals, loading state, the last error (a
+ *   TMDBError for TMDB failures), and loadMore/retry functions
+ */
+export function useInfiniteMovies(key, fetchPage) {
+  const [state, setState] = useState({
+    movies: [], // Unique movies across all loaded pages
+    page: 0, // Last page loaded
+    totalPages: 0, // Total pages reported by TMDB
+    totalResults: 0, // Total results reported by TMDB
+  });
+  const [loading, setLoading] = useState(false); // Loading the first page
+  const [loadingMore, setLoadingMore] = useState(false); // Loading a later page
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0); // Bumped to retry the first page
+
+  // Refs let callbacks see the latest values without re-subscribing effects
+  const fetchRef = useRef(fetchPage);
+  const keyRef = useRef(key);
+  const stateRef = useRef(state);
+  const controllerRef = useRef(null); // Aborts requests for the current key
+  fetchRef.current = fetchPage;
+  stateRef.current = state;
+
+  /**
+   * Persists grid state and the current scroll position for the current key
+   * @param {Object} next - State to save
+   */
+  const save = useCallback((next) => {
+    try {
+      sessionStorage.setItem(
+        STORAGE_PREFIX + keyRef.current,
+        JSON.stringify({ ...next, scrollY: window.scrollY })
+      );
+    } catch {
+      // Storage can be full or disabled; pagination still works without it
+    }
+  }, []);
+
+  // Load the first page (or restore saved pages) whenever the result set changes
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    keyRef.current = key;
+    setError(null);
+
+    const saved = readSaved(key);
+    if (saved?.movies?.length) {
+      const { scrollY, ...restored } = saved;
+      setState(restored);
+      setLoading(false);
+      // Wait for the restored cards to render before scrolling back
+      requestAnimationFrame(() => window.scrollTo(0, scrollY || 0));
+      return () => controller.abort();
+    }
+
+    const loadFirst = async () => {
+      setLoading(true);
+      setState({ movies: [], page: 0, totalPages: 0, totalResults: 0 });
+
+      try {
+        const data = await fetchRef.current(1, controller.signal);
+        if (controller.signal.aborted) return;
+
+        const next = {
+          movies: mergeUnique([], data?.results || []),
+          page: 1,
+          totalPages: data?.total_pages || 0,
+          totalResults: data?.total_results || 0,
+        };
+        setState(next);
+        save(next);
+      } catch (e) {
+        if (!isAbortError(e)) setError(e);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    loadFirst();
+
+    return () => controller.abort();
+  }, [key, save, attempt]);
+
+  // Remember scroll position as the user scrolls through the grid
+  useEffect(() => {
+    const onScroll = debounce(() => {
+      if (stateRef.current.page > 0) save(stateRef.current);
+    }, 200);
+
+    window.addEventListener("scroll", onScroll, { passive: true });
+    return () => window.removeEventListener("scroll", onScroll);
+  }, [save]);
+
+  const hasMore = state.page > 0 && state.page < state.totalPages;
+
+  /**
+   * Loads the next page and appends its unique results
+   * Ignores calls while a page is already loading or when no pages remain
+   */
+  const loadMore = useCallback(async () => {
+    const current = stateRef.current;
+    if (loading || loadingMore || !(current.page < current.totalPages)) return;
+
+    const requestKey = keyRef.current;
+    setLoadingMore(true);
+    setError(null);
+
+    try {
+      const data = await fetchRef.current(
+        current.page + 1,
+        controllerRef.current?.signal
+      );
+      // Drop the page if the result set changed while it was loading
+      if (requestKey !== keyRef.current) return;
+
+      const next = {
+        ...current,
+        movies: mergeUnique(current.movies, data?.results || []),
+        page: current.page + 1,
+        totalPages: data?.total_pages || current.totalPages,
+        totalResults: data?.total_results || current.totalResults,
+      };
+      setState(next);
+      save(next);
+    } catch (e) {
+      if (requestKey === keyRef.current && !isAbortError(e)) setError(e);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loading, loadingMore, save]);
+
+  /**
+   * Repeats the request that failed: the first page, or the next one
+   */
+  const retry = useCallback(() => {
+    if (stateRef.current.page > 0) loadMore();
+    else setAttempt((n) => n + 1);
+  }, [loadMore]);
+
+  return {
+    movies: state.movies,
+    totalResults: state.totalResults,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    retry,
+  };
+}
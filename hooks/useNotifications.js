@@ -0,0 +1,337 @@
+"use client";
+
+import { createContext, useContext, useEffect, useRef, useState } from "react";
+import { useAuth } from "@/components/auth/AuthProvider";
+import { useWatchlist } from "@/hooks/useWatchlist";
+import { useToast } from "@/hooks/use-toast";
+import { tmdbService } from "@/lib/tmdb";
+import { isAbortError } from "@/lib/tmdbErrors";
+import {
+  buildReleaseEvents,
+  loadReleaseData,
+  tracksReleases,
+} from "@/lib/releases";
+import { findOnServices } from "@/lib/watchProviders";
+import {
+  addNotifications,
+  arrivalNotification,
+  createReleaseScheduler,
+  releaseNotification,
+  serviceArrivals,
+  systemClock,
+} from "@/lib/releaseNotifications";
+
+// localStorage key prefix for notification state (one entry per account)
+const NOTIFICATIONS_KEY = "cinetracker-notifications";
+
+// How often streaming availability of the watchlist is re-checked
+const SERVICE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Notification state before anything has been stored
+const EMPTY_STORE = {
+  items: [], // In-app notifications, newest first
+  notified: [], // Release event IDs already announced
+  services: "", // Region and services the availability baseline belongs to
+  availability: null, // Provider IDs per movie ID from the last service check
+  checkedAt: 0, // Time of the last service check
+};
+
+// React context holding release events and notifications
+const NotificationsContext = createContext(null);
+
+/**
+ * Reads stored notification state
+ * @param {string} key - localStorage key
+ * @returns {Object} Stored state shaped like EMPTY_STORE
+ */
+function readStore(key) {
+  try {
+    const saved = localStorage.getItem(key);
+    return { ...EMPTY_STORE, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (error) {
+    console.error("Error reading notifications:", error);
+    return EMPTY_STORE;
+  }
+}
+
+/**
+ * Shows a system notification if the user allowed them
+ * @param {Object} item - In-app notification
+ */
+function showBrowserNotification(item) {
+  if (typeof Notification === "undefined") return;
+  if (Notification.permission !== "granted") return;
+  const notification = new Notification(item.title, {
+    body: item.body,
+    tag: item.id,
+  });
+  notification.onclick = () => {
+    window.focus();
+    window.location.href = item.href;
+  };
+}
+
+/**
+ * NotificationsProvider tracks release dates of watchlisted movies and
+ * announces them, in the app and as browser notifications, when they come
+ * out or arrive on one of the user's streaming services
+ * Release dates are only looked up for movies that are unreleased or came
+ * out recently (see tracksReleases); streaming is checked for the whole
+ * watchlist, since older titles arrive on services too. Notification state
+ * is kept per device in localStorage
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @param {Object} [props.clock] - Clock for the release scheduler (tests)
+ * @returns {JSX.Element} Context provider
+ */
+export function NotificationsProvider({ children, clock }) {
+  const { user } = useAuth();
+  const { watchlist, preferences, loading } = useWatchlist();
+  const { toast } = useToast();
+  const { region, providers } = preferences;
+
+  const storageKey = `${NOTIFICATIONS_KEY}-${user?.uid || "guest"}`;
+  const [store, setStore] = useState(EMPTY_STORE);
+  const storeRef = useRef(EMPTY_STORE); // Latest state for timer callbacks
+  const [events, setEvents] = useState([]);
+  const [eventsLoading, setEventsLoading] = useState(true);
+  const [permission, setPermission] = useState("unsupported");
+  // release_dates responses by movie ID, so watchlist changes only look up
+  // the movies that were added; they hold every region
+  const releaseDataRef = useRef({});
+
+  // Keys that change only when the inputs of a lookup change
+  const idsKey = watchlist.map((m) => m.id).join(",");
+  const servicesKey = `${region}:${providers.join(",")}`;
+
+  /**
+   * Reads the time from the same clock as the release scheduler
+   * @returns {number} Current time in milliseconds
+   */
+  const currentTime = () => (clock || systemClock).now();
+
+  /**
+   * Updates stored state and saves it
+   * @param {Function} fn - (state) => next state
+   */
+  const updateStore = (fn) => {
+    const next = fn(storeRef.current);
+    storeRef.current = next;
+    setStore(next);
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(next));
+    } catch (error) {
+      console.error("Error saving notifications:", error);
+    }
+  };
+
+  /**
+   * Adds notifications, showing each as a toast and a browser notification
+   * @param {Array<Object>} items - New notifications
+   * @param {Object} changes - Other state to store alongside
+   */
+  const announce = (items, changes = {}) => {
+    updateStore((state) => ({
+      ...state,
+      ...changes,
+      items: addNotifications(state.items, items),
+    }));
+    items.forEach((item) => {
+      toast({ title: item.title, description: item.body });
+      showBrowserNotification(item);
+    });
+  };
+
+  /**
+   * Compares current streaming availability with the last check and
+   * announces titles that arrived on the user's services
+   */
+  const checkServices = async () => {
+    if (!providers.length || !watchlist.length) return;
+    // The scheduler's clock, which onWake compares checkedAt against
+    const now = currentTime();
+    let found;
+    try {
+      found = await findOnServices(watchlist, region, providers, tmdbService);
+    } catch (error) {
+      // Keep the last baseline; a failed check would look like every title
+      // leaving the services. The next wake-up tries again.
+      console.warn("Streaming availability check failed:", error);
+      return;
+    }
+    const state = storeRef.current;
+    const previous = state.services === servicesKey ? state.availability : null;
+    const items = serviceArrivals(previous, found).map(
+      ({ movieId, provider }) =>
+        arrivalNotification(
+          watchlist.find((m) => m.id === movieId),
+          provider,
+          now
+        )
+    );
+    const changes = {
+      services: servicesKey,
+      checkedAt: now,
+      availability: Object.fromEntries(
+        Object.entries(found).map(([id, matches]) => [
+          id,
+          matches.map((p) => p.provider_id),
+        ])
+      ),
+    };
+    if (items.length) announce(items, changes);
+    else updateStore((s) => ({ ...s, ...changes }));
+  };
+
+  // Callbacks read from refs so the scheduler always sees the latest state
+  const announceRef = useRef(announce);
+  const checkServicesRef = useRef(checkServices);
+  announceRef.current = announce;
+  checkServicesRef.current = checkServices;
+
+  // One scheduler for the provider's lifetime
+  const schedulerRef = useRef(null);
+  useEffect(() => {
+    const scheduler = createReleaseScheduler({
+      clock,
+      onDue: (due, now) =>
+        announceRef.current(
+          due.map((event) => releaseNotification(event, now)),
+          {
+            notified: [
+              ...storeRef.current.notified,
+              ...due.map((event) => event.id),
+            ],
+          }
+        ),
+      onWake: (now) => {
+        if (now - storeRef.current.checkedAt >= SERVICE_CHECK_INTERVAL) {
+          checkServicesRef.current();
+        }
+      },
+    });
+    schedulerRef.current = scheduler;
+    return () => scheduler.stop();
+  }, [clock]);
+
+  // Load stored state for the signed-in account, and the permission state
+  useEffect(() => {
+    const saved = readStore(storageKey);
+    storeRef.current = saved;
+    setStore(saved);
+    if (typeof Notification !== "undefined") {
+      setPermission(Notification.permission);
+    }
+  }, [storageKey]);
+
+  // Rebuild events when the watchlist or region changes, looking up release
+  // dates of tracked movies not seen before
+  useEffect(() => {
+    if (!user || loading) return;
+    const now = currentTime();
+    const tracked = watchlist.filter((movie) => tracksReleases(movie, now));
+    const missing = tracked.filter(
+      (movie) => !(movie.id in releaseDataRef.current)
+    );
+    const build = () =>
+      setEvents(buildReleaseEvents(tracked, releaseDataRef.current, region));
+    if (!missing.length) {
+      build();
+      setEventsLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    setEventsLoading(true);
+    loadReleaseData(missing, tmdbService, { signal: controller.signal })
+      .then((data) => {
+        Object.assign(releaseDataRef.current, data);
+        if (!controller.signal.aborted) build();
+      })
+      .catch((error) => {
+        // Keep the previous events when TMDB can't be reached
+        if (!isAbortError(error)) {
+          console.warn("Release dates could not be loaded:", error);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setEventsLoading(false);
+      });
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, loading, idsKey, region]);
+
+  // Hand new events to the scheduler, which announces any that are due
+  useEffect(() => {
+    if (!user || eventsLoading) return;
+    schedulerRef.current?.update(events, storeRef.current.notified);
+  }, [user, events, eventsLoading, storageKey]);
+
+  // Re-check services right away when they change
+  useEffect(() => {
+    if (!user || loading) return;
+    if (storeRef.current.services !== servicesKey) checkServicesRef.current();
+  }, [user, loading, idsKey, servicesKey, storageKey]);
+
+  /**
+   * Asks the browser for permission to show notifications
+   * @returns {Promise<string>} Resulting permission
+   */
+  const requestPermission = async () => {
+    if (typeof Notification === "undefined") return "unsupported";
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    return result;
+  };
+
+  /**
+   * Marks every in-app notification as read
+   */
+  const markAllRead = () => {
+    updateStore((state) => ({
+      ...state,
+      items: state.items.map((item) => ({ ...item, read: true })),
+    }));
+  };
+
+  /**
+   * Removes every in-app notification
+   */
+  const clearNotifications = () => {
+    updateStore((state) => ({ ...state, items: [] }));
+  };
+
+  const value = {
+    releaseEvents: events, // Release events of watchlisted movies
+    releasesLoading: eventsLoading,
+    notifications: store.items,
+    unreadCount: store.items.filter((item) => !item.read).length,
+    permission, // Browser permission: default, granted, denied or unsupported
+    requestPermission,
+    markAllRead,
+    clearNotifications,
+  };
+
+  return (
+    <NotificationsContext.Provider value={value}>
+      {children}
+    </NotificationsContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for accessing release events and notifications
+ * Must be used within a NotificationsProvider component
+ *
+ * @returns {Object} Release events, notifications and notification actions
+ * @throws {Error} If used outside of NotificationsProvider
+ */
+export function useNotifications() {
+  const ctx = useContext(NotificationsContext);
+  if (!ctx)
+    throw new Error(
+      "useNotifications must be used within NotificationsProvider"
+    );
+  return ctx;
+}
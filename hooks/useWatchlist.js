@@ -1,84 +1,373 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { createContext, useContext, useState, useEffect, useRef } from "react";
 import { useAuth } from "@/components/auth/AuthProvider";
-import { doc, updateDoc, getDoc, setDoc } from "firebase/firestore";
+import {
+  doc,
+  getDoc,
+  onSnapshot,
+  setDoc,
+  updateDoc,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+} from "firebase/firestore";
 import { getDbInstance } from "@/lib/auth";
 import { useToast } from "@/hooks/use-toast";
+import { episodeKey } from "@/lib/tv";
+import { tmdbService } from "@/lib/tmdb";
+import { nullIfNotFound } from "@/lib/tmdbErrors";
+import {
+  toSnapshot,
+  normalizeEntry,
+  isSnapshotStale,
+  applySnapshot,
+} from "@/lib/snapshots";
+import {
+  createViewing,
+  getViewings,
+  localToday,
+  setViewings,
+} from "@/lib/diary";
+import { PREFERENCES_KEY, normalizePreferences } from "@/lib/preferences";
+import { formatRating } from "@/lib/ratings";
+import {
+  entryOp,
+  episodesOp,
+  unfollowOp,
+  listOp,
+  applyOp,
+  enqueueOp,
+  readQueue,
+  writeQueue,
+  dequeueOps,
+  newestUpdate,
+} from "@/lib/syncQueue";
+import { hasGuestData, planListMerge } from "@/lib/listMerge";
+import {
+  addListItem,
+  createList as buildList,
+  listsToArray,
+  moveItem,
+  LIST_DESCRIPTION_MAX,
+  LIST_NAME_MAX,
+} from "@/lib/customLists";
+import {
+  buildShare,
+  createShareToken,
+  shareKey,
+  shareSignature,
+} from "@/lib/shares";
+import { buildCalendarFeed } from "@/lib/calendarFeed";
+
+// Lists whose entries carry movie snapshots
+const MOVIE_LISTS = ["watchlist", "watched", "favorites"];
+
+// Number of snapshot refresh requests sent to TMDB at once
+const REFRESH_BATCH_SIZE = 4;
+
+// Operations per Firestore batch (each writes at most twice; batches cap at 500 writes)
+const OPS_PER_BATCH = 200;
+
+// Delay before edits to a shared list (or the calendar feed) are copied to
+// its public document
+const SHARE_SYNC_DELAY = 2000;
+
+// localStorage key for guest (and offline fallback) list data
+const LOCAL_KEY = "cinetracker-data";
+
+const EMPTY_DATA = {
+  watchlist: [],
+  watched: [],
+  favorites: [],
+  shows: [],
+  lists: [],
+};
+
+// Create React context so every component shares one copy of the lists
+const WatchlistContext = createContext(null);
 
 /**
- * Custom hook for managing user's movie lists (watchlist, watched, favorites)
- * Provides seamless sync between Firestore (authenticated users) and localStorage (offline/guest users)
- * Handles data persistence, loading states, and user feedback through toasts
+ * Keeps the last entry per movie ID
+ * Concurrent adds from two tabs can leave duplicates in a Firestore array;
+ * arrayUnion appends, so the last entry is the newest one
  *
- * @returns {Object} Object containing list data, loading state, and CRUD functions for all lists
+ * @param {Array<Object>} entries - Normalized list entries
+ * @returns {Array<Object>} Entries with unique IDs, in original order
  */
-export function useWatchlist() {
+function dedupeEntries(entries) {
+  const latest = new Map(entries.map((entry) => [entry.id, entry]));
+  return entries.filter((entry) => latest.get(entry.id) === entry);
+}
+
+/**
+ * Converts stored show progress into the array used by the UI
+ * Firestore keeps shows as a map keyed by show ID so single episodes can be
+ * updated atomically; localStorage and older documents use an array
+ *
+ * @param {Object|Array} shows - Stored show progress
+ * @returns {Array<Object>} Entries with id, episodes and dateFollowed
+ */
+function showsToArray(shows) {
+  if (Array.isArray(shows)) return shows;
+  return Object.entries(shows || {})
+    .map(([id, entry]) => ({
+      id: Number(id),
+      episodes: entry.episodes || [],
+      dateFollowed: entry.dateFollowed,
+    }))
+    .sort((a, b) => (a.dateFollowed || "").localeCompare(b.dateFollowed || ""));
+}
+
+/**
+ * Converts show progress entries into the Firestore map shape
+ * @param {Array<Object>} shows - Entries with id, episodes and dateFollowed
+ * @returns {Object} Map of show ID to { episodes, dateFollowed }
+ */
+function showsToMap(shows) {
+  return Object.fromEntries(
+    shows.map(({ id, episodes, dateFollowed }) => [
+      id,
+      { episodes: episodes || [], dateFollowed },
+    ])
+  );
+}
+
+/**
+ * Normalizes raw stored list data into the current document shape
+ * Converts legacy bare-ID entries into objects and fills in missing lists
+ *
+ * @param {Object} raw - Data read from Firestore or localStorage
+ * @returns {{data: Object, migrated: boolean}} Normalized data and whether any entry changed shape
+ */
+function normalizeData(raw = {}) {
+  let migrated = false;
+  const data = {
+    shows: showsToArray(raw.shows),
+    lists: listsToArray(raw.lists),
+  };
+
+  MOVIE_LISTS.forEach((list) => {
+    data[list] = dedupeEntries(
+      (raw[list] || []).map((entry) => {
+        if (typeof entry !== "object") migrated = true;
+        return normalizeEntry(entry);
+      })
+    );
+  });
+
+  return { data, migrated };
+}
+
+/**
+ * Builds a list entry from movie data or a bare ID
+ * Bare IDs get no snapshot and are filled in by the background refresh
+ *
+ * @param {Object|string|number} movie - Movie data or movie ID
+ * @returns {Object} List entry
+ */
+function toEntry(movie) {
+  return typeof movie === "object" ? toSnapshot(movie) : { id: movie };
+}
+
+/**
+ * WatchlistProvider owns the user's movie lists (watchlist, watched, favorites),
+ * custom lists and episode progress for followed TV shows
+ * Authenticated users get one shared Firestore onSnapshot subscription, so every
+ * component and every open tab sees changes as soon as they are written
+ * Guests use localStorage, kept consistent across tabs via the storage event
+ *
+ * Writes only touch the items that changed (arrayUnion/arrayRemove and
+ * per-show field paths) instead of rewriting whole lists, so edits made at
+ * the same time in another tab or device are not overwritten
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to wrap with list context
+ * @returns {JSX.Element} Context provider with list data and CRUD functions
+ */
+export function WatchlistProvider({ children }) {
   // State for storing all user list data
   const [data, setData] = useState({
-    watchlist: [], // Array of movie IDs user wants to watch
-    watched: [], // Array of objects with id, rating, dateWatched for movies user has seen
-    favorites: [], // Array of movie IDs user has favorited
+    watchlist: [], // Array of movie snapshots user wants to watch
+    watched: [], // Array of movie snapshots with viewings (diary), rating and dateWatched
+    favorites: [], // Array of movie snapshots user has favorited
+    shows: [], // Array of objects with id, episodes, dateFollowed for TV shows user follows
+    lists: [], // Custom lists with name, description and ordered items (snapshots with notes)
   });
-  const [loading, setLoading] = useState(true); // Loading state during initial data fetch
+  const [loading, setLoading] = useState(true); // Loading state until the first snapshot arrives
+  const [pendingCount, setPendingCount] = useState(0); // Changes queued but not yet in Firestore
+  const [guestData, setGuestData] = useState(null); // Lists saved while signed out, offered for import
+  const [preferences, setPreferences] = useState(normalizePreferences()); // Display settings such as the rating scale
+  const [shares, setShares] = useState({}); // Public links per share key: { token, signature }
+  const [calendarFeed, setCalendarFeed] = useState(null); // Calendar subscription: { token, signature }
+
+  // Latest data for async work (snapshot refresh, rapid clicks) that outlives a render
+  const dataRef = useRef(data);
+  // Entries exactly as stored in Firestore; arrayRemove needs exact values
+  const storedRef = useRef(EMPTY_DATA);
+  // Movie IDs already refreshed (or being refreshed) this session
+  const refreshedIds = useRef(new Set());
+  // Whether queued operations are currently being replayed
+  const flushing = useRef(false);
 
   // Get authentication state and toast notification system
   const { user, initialized } = useAuth();
   const { toast } = useToast();
 
-  // Load user data when authentication state changes
+  /**
+   * Replaces the in-memory lists
+   * @param {Object} next - Normalized list data
+   */
+  const replaceData = (next) => {
+    dataRef.current = next;
+    setData(next);
+  };
+
+  // Subscribe to the user's lists when authentication state changes
   useEffect(() => {
     if (!initialized) return; // Wait for auth to initialize
+    setLoading(true);
 
-    // Load from Firestore if authenticated, otherwise use localStorage
-    if (user) loadUserData();
-    else loadLocalData();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [user, initialized]);
+    const db = user ? getDbInstance() : null;
+    if (!db) {
+      // Guest (or Firebase unavailable): localStorage, synced across tabs
+      setPendingCount(0);
+      setShares({});
+      setCalendarFeed(null);
+      loadLocalData();
+      loadLocalPreferences();
+      const onStorage = (e) => {
+        if (e.key === LOCAL_KEY) loadLocalData();
+        if (e.key === PREFERENCES_KEY) loadLocalPreferences();
+      };
+      window.addEventListener("storage", onStorage);
+      return () => window.removeEventListener("storage", onStorage);
+    }
 
-  /**
-   * Loads user data from Firestore for authenticated users
-   * Creates default document structure if user document doesn't exist
-   * Falls back to local data if Firestore operation fails
-   */
-  const loadUserData = async () => {
-    if (!user) return;
+    const userDocRef = doc(db, "users", user.uid);
 
-    try {
-      const db = getDbInstance();
-      const userDocRef = doc(db, "users", user.uid);
-      const userDoc = await getDoc(userDocRef);
-
-      if (userDoc.exists()) {
-        // Load existing user data from Firestore
-        const userData = userDoc.data();
-        setData({
-          watchlist: userData.watchlist || [],
-          watched: userData.watched || [],
-          favorites: userData.favorites || [],
-        });
-      } else {
-        // Create new user document with default empty arrays
-        await setDoc(
-          userDocRef,
-          { watchlist: [], watched: [], favorites: [] },
-          { merge: true }
-        );
-        setData({ watchlist: [], watched: [], favorites: [] });
-      }
-    } catch (error) {
+    /**
+     * Falls back to local data when Firestore can't be read or written
+     * @param {Error} error - Firestore error
+     */
+    const onError = (error) => {
       console.error("Error loading user data:", error);
-      // Fallback to local data if Firestore fails
       loadLocalData();
       toast({
         title: "Using offline data",
         description: "Unable to sync with server, using local data.",
         variant: "destructive",
       });
-    } finally {
-      setLoading(false);
+    };
+
+    const unsubscribe = onSnapshot(
+      userDocRef,
+      async (snap) => {
+        if (!snap.exists()) {
+          // Create the document; the listener fires again once it exists
+          try {
+            await setDoc(
+              userDocRef,
+              { watchlist: [], watched: [], favorites: [], shows: {} },
+              { merge: true }
+            );
+          } catch (error) {
+            onError(error);
+          }
+          return;
+        }
+
+        const raw = snap.data();
+        const { data: userData, migrated } = normalizeData(raw);
+        storedRef.current = raw;
+        setPreferences(normalizePreferences(raw.preferences));
+        setShares(raw.shares || {});
+        setCalendarFeed(raw.calendarFeed || null);
+
+        // Keep queued changes visible on top of the server copy
+        const pending = readQueue(user.uid);
+        replaceData(pending.reduce(applyOp, userData));
+        setPendingCount(pending.length);
+        setLoading(false);
+
+        // Rewrite legacy ID-only lists and array-shaped show progress
+        if (migrated || Array.isArray(raw.shows)) {
+          try {
+            await updateDoc(userDocRef, {
+              watchlist: userData.watchlist,
+              watched: userData.watched,
+              favorites: userData.favorites,
+              shows: showsToMap(userData.shows),
+            });
+          } catch (error) {
+            // The lists shown are already migrated; the next snapshot of the
+            // legacy document tries the rewrite again
+            console.error("Error migrating user data:", error);
+          }
+        }
+      },
+      onError
+    );
+
+    return () => unsubscribe();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, initialized]);
+
+  // Replay queued changes once the session is established and whenever the
+  // browser comes back online
+  useEffect(() => {
+    if (!user || loading) return;
+
+    flushQueue();
+    const onOnline = () => flushQueue();
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, loading]);
+
+  // Offer to import lists saved while signed out once the account has loaded
+  useEffect(() => {
+    if (!user) {
+      setGuestData(null);
+      return;
     }
-  };
+    if (loading) return;
+
+    try {
+      const savedData = localStorage.getItem(LOCAL_KEY);
+      const { data: guest } = normalizeData(
+        savedData ? JSON.parse(savedData) : {}
+      );
+      setGuestData(hasGuestData(guest) ? guest : null);
+    } catch (error) {
+      console.error("Error reading guest data:", error);
+    }
+  }, [user, loading]);
+
+  // Refresh missing or outdated snapshots in the background once data is loaded
+  useEffect(() => {
+    if (!loading) refreshStaleSnapshots();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loading]);
+
+  // Keep public copies of shared lists up to date, a moment after edits settle
+  useEffect(() => {
+    if (!user || loading || Object.keys(shares).length === 0) return;
+
+    const timer = setTimeout(syncShares, SHARE_SYNC_DELAY);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, loading, data, shares]);
+
+  // Same for the calendar feed, which also follows region and rating scale
+  useEffect(() => {
+    if (!user || loading || !calendarFeed) return;
+
+    const timer = setTimeout(syncCalendarFeed, SHARE_SYNC_DELAY);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user, loading, data, preferences, calendarFeed]);
 
   /**
    * Loads user data from localStorage for offline/guest users
@@ -86,10 +375,13 @@ export function useWatchlist() {
    */
   const loadLocalData = () => {
     try {
-      const savedData = localStorage.getItem("cinetracker-data");
+      const savedData = localStorage.getItem(LOCAL_KEY);
       if (savedData) {
-        const parsed = JSON.parse(savedData);
-        setData(parsed);
+        const { data: parsed, migrated } = normalizeData(JSON.parse(savedData));
+        replaceData(parsed);
+        if (migrated) localStorage.setItem(LOCAL_KEY, JSON.stringify(parsed));
+      } else {
+        replaceData(EMPTY_DATA);
       }
     } catch (error) {
       console.error("Error parsing saved data:", error);
@@ -100,65 +392,394 @@ export function useWatchlist() {
   };
 
   /**
-   * Unified save function that handles both Firestore and localStorage persistence
-   * Prioritizes Firestore for authenticated users, falls back to localStorage on error
-   * @param {Object} newData - Updated data object to save
+   * Loads guest preferences from localStorage
    */
-  const saveData = async (newData) => {
-    setData(newData); // Update local state immediately for optimistic UI
+  const loadLocalPreferences = () => {
+    try {
+      const saved = localStorage.getItem(PREFERENCES_KEY);
+      setPreferences(normalizePreferences(saved ? JSON.parse(saved) : {}));
+    } catch (error) {
+      console.error("Error parsing saved preferences:", error);
+    }
+  };
 
-    if (user) {
-      // Authenticated user: save to Firestore
-      try {
-        const db = getDbInstance();
-        const userDocRef = doc(db, "users", user.uid);
-        await updateDoc(userDocRef, newData);
-      } catch (error) {
-        console.error("Error saving to Firestore:", error);
-        // Fallback to localStorage if Firestore fails
-        localStorage.setItem("cinetracker-data", JSON.stringify(newData));
-        toast({
-          title: "Saved locally",
-          description:
-            "Data saved locally, will sync when connection is restored.",
-          variant: "destructive",
+  /**
+   * Updates preferences optimistically and saves them
+   * Each preference is its own field on the user document, so changing one
+   * doesn't overwrite others changed elsewhere
+   *
+   * @param {Object} changes - Preference values to change
+   */
+  const updatePreferences = async (changes) => {
+    const next = normalizePreferences({ ...preferences, ...changes });
+    setPreferences(next);
+
+    const db = user ? getDbInstance() : null;
+    if (!db) {
+      localStorage.setItem(PREFERENCES_KEY, JSON.stringify(next));
+      return;
+    }
+
+    try {
+      await updateDoc(
+        doc(db, "users", user.uid),
+        Object.fromEntries(
+          Object.keys(changes).map((key) => [`preferences.${key}`, next[key]])
+        )
+      );
+    } catch (error) {
+      console.error("Error saving preferences:", error);
+      toast({
+        title: "Failed to save settings",
+        description: "Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  /**
+   * Applies changes optimistically, then persists them
+   * Authenticated users record each operation in a persistent queue before
+   * writing it to Firestore, so changes made offline (or lost with a closed
+   * tab) are replayed by flushQueue; the onSnapshot listener then delivers
+   * the authoritative result
+   * Guests save the whole state to localStorage
+   *
+   * @param {Array<Object>} ops - Operations from lib/syncQueue
+   */
+  const applyChanges = async (ops) => {
+    replaceData(ops.reduce(applyOp, dataRef.current)); // Optimistic UI
+
+    const db = user ? getDbInstance() : null;
+    if (!db) {
+      // Guest user: save to localStorage only
+      localStorage.setItem(LOCAL_KEY, JSON.stringify(dataRef.current));
+      return;
+    }
+
+    const queue = ops.reduce(enqueueOp, readQueue(user.uid));
+    writeQueue(user.uid, queue);
+    setPendingCount(queue.length);
+
+    // Offline: keep the operations queued until the online event
+    if (!navigator.onLine) return;
+
+    try {
+      await writeOps(doc(db, "users", user.uid), ops, storedRef.current);
+      const remaining = dequeueOps(
+        user.uid,
+        ops.map((op) => op.id)
+      );
+      setPendingCount(remaining.length);
+    } catch (error) {
+      console.error("Error saving to Firestore:", error);
+      toast({
+        title: "Saved offline",
+        description:
+          "Changes are kept on this device and will sync when the connection is restored.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  /**
+   * Writes queued operations to Firestore in atomic batches
+   * Movie entries are replaced by removing the stored values (exact values,
+   * as arrayRemove requires) and appending the new entry; show progress is
+   * updated per episode through field paths
+   * Conflicts are resolved per item by timestamp: if the stored item was
+   * changed after the operation was made (e.g. on another device while this
+   * one was offline), the stored version wins and the operation is dropped
+   *
+   * @param {Object} userDocRef - Firestore reference to the user document
+   * @param {Array<Object>} ops - Operations to write
+   * @param {Object} stored - Current document data as stored in Firestore
+   */
+  const writeOps = async (userDocRef, ops, stored) => {
+    // Large imports are split so each batch stays under Firestore's write limit
+    if (ops.length > OPS_PER_BATCH) {
+      for (let i = 0; i < ops.length; i += OPS_PER_BATCH) {
+        await writeOps(userDocRef, ops.slice(i, i + OPS_PER_BATCH), stored);
+      }
+      return;
+    }
+
+    const batch = writeBatch(userDocRef.firestore);
+    const storedShows = Array.isArray(stored.shows) ? {} : stored.shows || {};
+    let writes = 0;
+
+    ops.forEach((op) => {
+      if (op.kind === "entry") {
+        const existing = (stored[op.list] || []).filter(
+          (item) => normalizeEntry(item).id === op.itemId
+        );
+        if (newestUpdate(existing) > op.at) return; // Newer change on server
+
+        if (existing.length) {
+          batch.update(userDocRef, { [op.list]: arrayRemove(...existing) });
+          writes++;
+        }
+        if (op.entry) {
+          batch.update(userDocRef, { [op.list]: arrayUnion(op.entry) });
+          writes++;
+        }
+        return;
+      }
+
+      if (op.kind === "list") {
+        const existing = stored.lists?.[op.listId];
+        if (newestUpdate([existing]) > op.at) return; // Newer change on server
+
+        if (op.list || existing) {
+          batch.update(userDocRef, {
+            [`lists.${op.listId}`]: op.list || deleteField(),
+          });
+          writes++;
+        }
+        return;
+      }
+
+      const field = `shows.${op.showId}`;
+      const show = storedShows[op.showId];
+
+      if (op.kind === "unfollow") {
+        if (show && newestUpdate([show]) <= op.at) {
+          batch.update(userDocRef, { [field]: deleteField() });
+          writes++;
+        }
+        return;
+      }
+
+      // Episode changes are set operations, so they merge with changes made elsewhere
+      batch.update(userDocRef, {
+        [`${field}.dateFollowed`]: show?.dateFollowed || op.dateFollowed,
+        [`${field}.updatedAt`]: Math.max(op.at, show?.updatedAt || 0),
+        [`${field}.episodes`]: arrayUnion(...op.add),
+      });
+      if (op.remove.length) {
+        batch.update(userDocRef, {
+          [`${field}.episodes`]: arrayRemove(...op.remove),
         });
       }
-    } else {
-      // Guest user: save to localStorage only
-      localStorage.setItem("cinetracker-data", JSON.stringify(newData));
+      writes++;
+    });
+
+    if (writes) await batch.commit();
+  };
+
+  /**
+   * Replays queued operations against the latest server copy
+   * Runs when the connection comes back and when the user's session is
+   * (re-)established, e.g. after reopening the app
+   */
+  const flushQueue = async () => {
+    const db = user ? getDbInstance() : null;
+    if (!db || flushing.current || !navigator.onLine) return;
+
+    const ops = readQueue(user.uid);
+    if (ops.length === 0) return;
+
+    flushing.current = true;
+    try {
+      const userDocRef = doc(db, "users", user.uid);
+      const snap = await getDoc(userDocRef);
+      await writeOps(userDocRef, ops, snap.exists() ? snap.data() : {});
+      const remaining = dequeueOps(
+        user.uid,
+        ops.map((op) => op.id)
+      );
+      setPendingCount(remaining.length);
+      toast({
+        title: "Changes synced",
+        description: `${ops.length} offline ${
+          ops.length === 1 ? "change has" : "changes have"
+        } been saved.`,
+      });
+    } catch (error) {
+      console.error("Error syncing pending changes:", error);
+    } finally {
+      flushing.current = false;
+    }
+  };
+
+  /**
+   * Merges lists saved while signed out into the signed-in account
+   * Plans against the latest server copy so nothing is duplicated, and only
+   * clears the local copy once every batch has been written
+   *
+   * @returns {Promise<boolean>} True if the import succeeded
+   */
+  const importGuestData = async () => {
+    const db = user ? getDbInstance() : null;
+    if (!db || !guestData) return false;
+
+    try {
+      const userDocRef = doc(db, "users", user.uid);
+      const snap = await getDoc(userDocRef);
+      if (!snap.exists()) throw new Error("User document not found");
+
+      const stored = snap.data();
+      const { ops, total } = planListMerge(
+        normalizeData(stored).data,
+        guestData
+      );
+      await writeOps(userDocRef, ops, stored);
+
+      localStorage.removeItem(LOCAL_KEY);
+      setGuestData(null);
+      toast({
+        title: "Lists imported",
+        description: `${total} ${
+          total === 1 ? "item has" : "items have"
+        } been added to your account.`,
+      });
+      return true;
+    } catch (error) {
+      console.error("Error importing guest data:", error);
+      toast({
+        title: "Import failed",
+        description:
+          "Your lists are still saved on this device. Please try again.",
+        variant: "destructive",
+      });
+      return false;
     }
   };
 
+  /**
+   * Hides the import prompt for this session, keeping the local lists
+   * The prompt returns on the next sign-in
+   */
+  const dismissGuestImport = () => setGuestData(null);
+
+  /**
+   * Adds imported movies to the lists in one go
+   * Movies already in a list are skipped, except watched entries where the
+   * imported copy is newer
+   *
+   * @param {Object} lists - Entries per list ({ watchlist, watched, favorites, shows, lists })
+   * @returns {Promise<number>} Number of entries added or updated
+   */
+  const importEntries = async (lists) => {
+    const { ops, total } = planListMerge(dataRef.current, lists);
+    if (ops.length) await applyChanges(ops);
+    toast({
+      title: "Import complete",
+      description: `${total} ${
+        total === 1 ? "item was" : "items were"
+      } added to your lists.`,
+    });
+    return total;
+  };
+
+  /**
+   * Adds or replaces a movie entry in a list
+   * @param {string} list - List name
+   * @param {Object} entry - Entry to store
+   */
+  const putEntry = (list, entry) =>
+    applyChanges([entryOp(list, entry.id, entry)]);
+
+  /**
+   * Removes a movie entry from a list
+   * @param {string} list - List name
+   * @param {string|number} id - Movie ID to remove
+   */
+  const dropEntry = (list, id) => applyChanges([entryOp(list, id, null)]);
+
+  /**
+   * Refreshes stale movie snapshots from TMDB and saves the updated entries
+   * Uses the lightweight details endpoint in small batches, and merges into the
+   * latest data so edits made while the refresh runs are kept
+   */
+  const refreshStaleSnapshots = async () => {
+    const staleIds = [
+      ...new Set(
+        MOVIE_LISTS.flatMap((list) =>
+          dataRef.current[list]
+            .filter((entry) => isSnapshotStale(entry))
+            .map((entry) => entry.id)
+        )
+      ),
+    ].filter((id) => !refreshedIds.current.has(id));
+
+    if (staleIds.length === 0) return;
+    staleIds.forEach((id) => refreshedIds.current.add(id));
+
+    const fresh = new Map();
+    try {
+      for (let i = 0; i < staleIds.length; i += REFRESH_BATCH_SIZE) {
+        const batch = staleIds.slice(i, i + REFRESH_BATCH_SIZE);
+        const results = await Promise.all(
+          batch.map((id) => nullIfNotFound(tmdbService.getMovieSummary(id)))
+        );
+        results.forEach((movie, idx) => {
+          if (movie) fresh.set(batch[idx], toSnapshot(movie));
+        });
+      }
+    } catch (error) {
+      // TMDB is unavailable or throttling; save what was fetched and retry
+      // the rest on the next refresh
+      console.warn("Snapshot refresh stopped:", error);
+      staleIds
+        .filter((id) => !fresh.has(id))
+        .forEach((id) => refreshedIds.current.delete(id));
+    }
+
+    const ops = MOVIE_LISTS.flatMap((list) =>
+      dataRef.current[list]
+        .filter((entry) => fresh.has(entry.id))
+        .map((entry) =>
+          entryOp(list, entry.id, applySnapshot(entry, fresh.get(entry.id)))
+        )
+    );
+    if (ops.length) await applyChanges(ops);
+  };
+
   // ============ WATCHLIST FUNCTIONS ============
 
   /**
    * Adds a movie to the user's watchlist
-   * Prevents duplicates by filtering out existing entry before adding
-   * @param {string|number} id - Movie ID to add
+   * Replaces any existing entry for the same movie
+   * @param {Object|string|number} movie - Movie data (stored as a snapshot) or movie ID
    */
-  const addToWatchlist = async (id) => {
-    const newData = {
-      ...data,
-      watchlist: [...data.watchlist.filter((item) => item !== id), id],
-    };
-    await saveData(newData);
+  const addToWatchlist = async (movie) => {
+    await putEntry("watchlist", toEntry(movie));
     toast({
       title: "Added to watchlist",
       description: "Item has been added to your watchlist.",
     });
   };
 
+  /**
+   * Adds several movies to the watchlist in one go, skipping any already there
+   * @param {Array<Object>} movies - Movie data (stored as snapshots)
+   * @returns {Promise<number>} Number of movies added
+   */
+  const addManyToWatchlist = async (movies) => {
+    const listed = new Set(dataRef.current.watchlist.map((item) => item.id));
+    const ops = movies
+      .filter((movie) => !listed.has(movie.id))
+      .map((movie) => toEntry(movie))
+      .map((entry) => entryOp("watchlist", entry.id, entry));
+    if (ops.length === 0) return 0;
+
+    await applyChanges(ops);
+    toast({
+      title: "Added to watchlist",
+      description: `${ops.length} ${
+        ops.length === 1 ? "movie has" : "movies have"
+      } been added to your watchlist.`,
+    });
+    return ops.length;
+  };
+
   /**
    * Removes a movie from the user's watchlist
    * @param {string|number} id - Movie ID to remove
    */
   const removeFromWatchlist = async (id) => {
-    const newData = {
-      ...data,
-      watchlist: data.watchlist.filter((item) => item !== id),
-    };
-    await saveData(newData);
+    await dropEntry("watchlist", id);
     toast({
       title: "Removed from watchlist",
       description: "Item has been removed from your watchlist.",
@@ -170,45 +791,110 @@ export function useWatchlist() {
    * @param {string|number} id - Movie ID to check
    * @returns {boolean} True if movie is in watchlist
    */
-  const isInWatchlist = (id) => data.watchlist.includes(id);
+  const isInWatchlist = (id) => data.watchlist.some((item) => item.id === id);
 
   // ============ WATCHED FUNCTIONS ============
 
   /**
-   * Adds a movie to the user's watched list with optional rating
-   * Stores additional metadata: rating and watch date
-   * @param {string|number} id - Movie ID to add
-   * @param {number} rating - User rating (0-10, defaults to 0)
+   * Returns the watched entry for a movie
+   * @param {string|number} id - Movie ID
+   * @returns {Object|undefined} Watched entry with viewings
    */
-  const addToWatched = async (id, rating = 0) => {
-    const newData = {
-      ...data,
-      watched: [
-        ...data.watched.filter((item) => item.id !== id), // Remove existing entry
-        {
-          id,
-          rating,
-          dateWatched: new Date().toISOString().split("T")[0], // Store as YYYY-MM-DD
-        },
-      ],
-    };
-    await saveData(newData);
+  const getWatchedEntry = (id) =>
+    dataRef.current.watched.find((item) => item.id === id);
+
+  /**
+   * Saves a watched entry with new viewings, or removes the movie from the
+   * watched list when no viewings are left
+   * @param {Object} entry - Watched entry (snapshot fields)
+   * @param {Array<Object>} viewings - All viewings for the movie
+   */
+  const saveViewings = (entry, viewings) =>
+    viewings.length
+      ? putEntry("watched", setViewings(entry, viewings))
+      : dropEntry("watched", entry.id);
+
+  /**
+   * Logs a viewing in the watch diary, adding the movie to the watched list
+   * if needed; later viewings are flagged as rewatches unless told otherwise
+   * @param {Object|string|number} movie - Movie data (stored as a snapshot) or movie ID
+   * @param {Object} details - Viewing details: date, rating, note, rewatch, format
+   */
+  const logViewing = async (movie, details = {}) => {
+    const id = typeof movie === "object" ? movie.id : movie;
+    const existing = getWatchedEntry(id);
+    const viewings = getViewings(existing);
+
+    await saveViewings(
+      // Refresh the snapshot when full movie data is at hand
+      typeof movie === "object"
+        ? { ...existing, ...toSnapshot(movie) }
+        : existing || { id },
+      [...viewings, createViewing({ rewatch: viewings.length > 0, ...details })]
+    );
+    toast({
+      title: viewings.length ? "Viewing logged" : "Marked as watched",
+      description: viewings.length
+        ? "The viewing has been added to your diary."
+        : "Item has been added to your watched list.",
+    });
+  };
+
+  /**
+   * Changes a logged viewing (date, rating, note, rewatch flag or format)
+   * @param {string|number} id - Movie ID
+   * @param {string} viewingId - Viewing ID
+   * @param {Object} changes - Fields to update
+   */
+  const updateViewing = async (id, viewingId, changes) => {
+    const existing = getWatchedEntry(id);
+    if (!existing) return;
+
+    await saveViewings(
+      existing,
+      getViewings(existing).map((v) =>
+        v.id === viewingId ? { ...v, ...changes } : v
+      )
+    );
     toast({
-      title: "Marked as watched",
-      description: "Item has been added to your watched list.",
+      title: "Viewing updated",
+      description: "Your diary entry has been saved.",
     });
   };
 
+  /**
+   * Deletes a logged viewing; deleting the last one unmarks the movie as watched
+   * @param {string|number} id - Movie ID
+   * @param {string} viewingId - Viewing ID
+   */
+  const removeViewing = async (id, viewingId) => {
+    const existing = getWatchedEntry(id);
+    if (!existing) return;
+
+    await saveViewings(
+      existing,
+      getViewings(existing).filter((v) => v.id !== viewingId)
+    );
+    toast({
+      title: "Viewing deleted",
+      description: "The viewing has been removed from your diary.",
+    });
+  };
+
+  /**
+   * Adds a movie to the user's watched list with optional rating
+   * Logs a viewing dated today; use logViewing for other dates and details
+   * @param {Object|string|number} movie - Movie data (stored as a snapshot) or movie ID
+   * @param {number} rating - User rating (0-10, defaults to 0)
+   */
+  const addToWatched = (movie, rating = 0) => logViewing(movie, { rating });
+
   /**
    * Removes a movie from the user's watched list
    * @param {string|number} id - Movie ID to remove
    */
   const removeFromWatched = async (id) => {
-    const newData = {
-      ...data,
-      watched: data.watched.filter((item) => item.id !== id),
-    };
-    await saveData(newData);
+    await dropEntry("watched", id);
     toast({
       title: "Removed from watched",
       description: "Item has been removed from your watched list.",
@@ -218,19 +904,24 @@ export function useWatchlist() {
   /**
    * Updates the rating for a movie in the watched list
    * @param {string|number} id - Movie ID to update
-   * @param {number} rating - New rating value
+   * @param {number} rating - New rating (0-10, 0 clears it; see lib/ratings)
    */
   const updateWatchedRating = async (id, rating) => {
-    const newData = {
-      ...data,
-      watched: data.watched.map((item) =>
-        item.id === id ? { ...item, rating } : item
-      ),
-    };
-    await saveData(newData);
+    const existing = getWatchedEntry(id);
+    if (!existing) return;
+
+    // The rating belongs to the most recent viewing
+    const viewings = getViewings(existing);
+    const latest = viewings[viewings.length - 1];
+    await saveViewings(
+      existing,
+      viewings.map((v) => (v === latest ? { ...v, rating } : v))
+    );
     toast({
-      title: "Rating updated",
-      description: `Rating has been updated to ${rating} stars.`,
+      title: rating ? "Rating updated" : "Rating removed",
+      description: rating
+        ? `Rated ${formatRating(rating, preferences.ratingScale)}.`
+        : "The rating has been cleared.",
     });
   };
 
@@ -245,15 +936,11 @@ export function useWatchlist() {
 
   /**
    * Adds a movie to the user's favorites list
-   * Prevents duplicates by filtering out existing entry before adding
-   * @param {string|number} id - Movie ID to add
+   * Replaces any existing entry for the same movie
+   * @param {Object|string|number} movie - Movie data (stored as a snapshot) or movie ID
    */
-  const addToFavorites = async (id) => {
-    const newData = {
-      ...data,
-      favorites: [...data.favorites.filter((item) => item !== id), id],
-    };
-    await saveData(newData);
+  const addToFavorites = async (movie) => {
+    await putEntry("favorites", toEntry(movie));
     toast({
       title: "Added to favorites",
       description: "Item has been added to your favorites.",
@@ -265,11 +952,7 @@ export function useWatchlist() {
    * @param {string|number} id - Movie ID to remove
    */
   const removeFromFavorites = async (id) => {
-    const newData = {
-      ...data,
-      favorites: data.favorites.filter((item) => item !== id),
-    };
-    await saveData(newData);
+    await dropEntry("favorites", id);
     toast({
       title: "Removed from favorites",
       description: "Item has been removed from your favorites.",
@@ -281,30 +964,615 @@ export function useWatchlist() {
    * @param {string|number} id - Movie ID to check
    * @returns {boolean} True if movie is in favorites
    */
-  const isFavorite = (id) => data.favorites.includes(id);
+  const isFavorite = (id) => data.favorites.some((item) => item.id === id);
+
+  // ============ CUSTOM LIST FUNCTIONS ============
+
+  /**
+   * Returns a custom list by ID
+   * @param {string} listId - Custom list ID
+   * @returns {Object|undefined} List with name, description and items
+   */
+  const getList = (listId) =>
+    dataRef.current.lists.find((list) => list.id === listId);
+
+  /**
+   * Saves a whole custom list (or deletes it when list is null)
+   * @param {string} listId - Custom list ID
+   * @param {Object|null} list - New list contents
+   */
+  const saveList = (listId, list) => applyChanges([listOp(listId, list)]);
+
+  /**
+   * Creates a custom list at the end of the user's lists
+   * @param {string} name - List name
+   * @param {string} description - Optional description
+   * @param {Object} [movie] - Movie to add straight away
+   * @returns {Promise<string>} ID of the new list
+   */
+  const createList = async (name, description = "", movie) => {
+    const lists = dataRef.current.lists;
+    let list = buildList({
+      name,
+      description,
+      position: lists.length
+        ? Math.max(...lists.map((l) => l.position ?? 0)) + 1
+        : 0,
+    });
+    if (movie) list = addListItem(list, toEntry(movie));
+
+    await saveList(list.id, list);
+    toast({
+      title: "List created",
+      description: movie
+        ? `Added to "${list.name}".`
+        : `"${list.name}" is ready for movies.`,
+    });
+    return list.id;
+  };
+
+  /**
+   * Renames a custom list or changes its description
+   * @param {string} listId - Custom list ID
+   * @param {Object} changes - New name and/or description
+   */
+  const updateList = async (listId, { name, description }) => {
+    const list = getList(listId);
+    if (!list) return;
+
+    await saveList(listId, {
+      ...list,
+      name: (name ?? list.name).trim().slice(0, LIST_NAME_MAX),
+      description: (description ?? list.description)
+        .trim()
+        .slice(0, LIST_DESCRIPTION_MAX),
+    });
+  };
+
+  /**
+   * Deletes a custom list and its items
+   * @param {string} listId - Custom list ID
+   */
+  const deleteList = async (listId) => {
+    const list = getList(listId);
+    if (!list) return;
+
+    await saveList(listId, null);
+    toast({
+      title: "List deleted",
+      description: `"${list.name}" has been deleted.`,
+    });
+  };
+
+  /**
+   * Moves a custom list to a new position among the user's lists
+   * Only lists whose position changes are written
+   *
+   * @param {string} listId - Custom list ID
+   * @param {number} toIndex - New index
+   */
+  const moveList = async (listId, toIndex) => {
+    const lists = dataRef.current.lists;
+    const from = lists.findIndex((list) => list.id === listId);
+    const previous = new Map(lists.map((list) => [list.id, list.position]));
+    const ops = moveItem(lists, from, toIndex)
+      .map((list, position) => ({ ...list, position }))
+      .filter((list) => previous.get(list.id) !== list.position)
+      .map((list) => listOp(list.id, list));
+    if (ops.length) await applyChanges(ops);
+  };
+
+  /**
+   * Adds a movie to a custom list
+   * @param {string} listId - Custom list ID
+   * @param {Object|string|number} movie - Movie data (stored as a snapshot) or movie ID
+   * @param {string} note - Optional note for the item
+   */
+  const addToList = async (listId, movie, note = "") => {
+    const list = getList(listId);
+    if (!list) return;
+
+    await saveList(listId, addListItem(list, toEntry(movie), note));
+    toast({
+      title: "Added to list",
+      description: `Added to "${list.name}".`,
+    });
+  };
+
+  /**
+   * Removes a movie from a custom list
+   * @param {string} listId - Custom list ID
+   * @param {string|number} movieId - Movie ID
+   */
+  const removeFromList = async (listId, movieId) => {
+    const list = getList(listId);
+    if (!list) return;
+
+    await saveList(listId, {
+      ...list,
+      items: list.items.filter((item) => item.id !== movieId),
+    });
+    toast({
+      title: "Removed from list",
+      description: `Removed from "${list.name}".`,
+    });
+  };
+
+  /**
+   * Moves a movie to a new position within a custom list
+   * @param {string} listId - Custom list ID
+   * @param {string|number} movieId - Movie ID
+   * @param {number} toIndex - New index
+   */
+  const moveListItem = async (listId, movieId, toIndex) => {
+    const list = getList(listId);
+    if (!list) return;
+
+    const from = list.items.findIndex((item) => item.id === movieId);
+    const items = moveItem(list.items, from, toIndex);
+    if (items !== list.items) await saveList(listId, { ...list, items });
+  };
+
+  /**
+   * Sets the note on a movie in a custom list
+   * @param {string} listId - Custom list ID
+   * @param {string|number} movieId - Movie ID
+   * @param {string} note - Note text (empty to clear)
+   */
+  const setListItemNote = async (listId, movieId, note) => {
+    const list = getList(listId);
+    if (!list) return;
+
+    await saveList(listId, {
+      ...list,
+      items: list.items.map((item) =>
+        item.id === movieId ? { ...item, note: note.trim() } : item
+      ),
+    });
+  };
+
+  // ============ SHARING FUNCTIONS ============
+
+  /**
+   * Returns the public link token of a list, if it is shared
+   * @param {string} list - 'watchlist', 'favorites' or a custom list ID
+   * @returns {string|null} Share token
+   */
+  const getShareToken = (list) => shares[shareKey(list)]?.token || null;
+
+  /**
+   * Writes the public copy of a shared list and records its signature
+   * @param {Object} db - Firestore instance
+   * @param {string} key - Share key
+   * @param {string} token - Share token
+   * @param {Object} share - Share contents from buildShare
+   */
+  const writeShare = async (db, key, token, share) => {
+    const signature = shareSignature(share);
+    const batch = writeBatch(db);
+    // The owner is recorded privately under the profile, which is what the
+    // rules check, so the public copy doesn't reveal the account ID
+    batch.set(doc(db, "users", user.uid, "shares", token), {});
+    batch.set(doc(db, "shares", token), {
+      ...share,
+      updatedAt: new Date().toISOString(),
+    });
+    batch.update(doc(db, "users", user.uid), {
+      [`shares.${key}`]: { token, signature },
+    });
+    await batch.commit();
+  };
+
+  /**
+   * Removes the public copy of a list and forgets its link
+   * @param {Object} db - Firestore instance
+   * @param {string} key - Share key
+   */
+  const removeShare = async (db, key) => {
+    const token = shares[key]?.token;
+    const batch = writeBatch(db);
+    if (token) {
+      batch.delete(doc(db, "shares", token));
+      batch.delete(doc(db, "users", user.uid, "shares", token));
+    }
+    batch.update(doc(db, "users", user.uid), {
+      [`shares.${key}`]: deleteField(),
+    });
+    await batch.commit();
+  };
+
+  /**
+   * Copies changed shared lists to their public pages
+   * Lists that were deleted stop being shared
+   */
+  const syncShares = async () => {
+    const db = user ? getDbInstance() : null;
+    if (!db) return;
+
+    const ownerName = storedRef.current.displayName || "";
+    for (const [key, { token, signature }] of Object.entries(shares)) {
+      try {
+        const share = buildShare(dataRef.current, key, ownerName);
+        if (!share) await removeShare(db, key);
+        else if (shareSignature(share) !== signature) {
+          await writeShare(db, key, token, share);
+        }
+      } catch (error) {
+        console.error("Error updating shared list:", error);
+      }
+    }
+  };
+
+  /**
+   * Makes a list public and returns its link token
+   * Anyone with the link can view a read-only copy; the rest of the
+   * profile stays private
+   *
+   * @param {string} list - 'watchlist', 'favorites' or a custom list ID
+   * @returns {Promise<string|null>} Share token, or null if sharing failed
+   */
+  const shareList = async (list) => {
+    const db = user ? getDbInstance() : null;
+    if (!db) return null;
+
+    const key = shareKey(list);
+    const existing = shares[key]?.token;
+    const token = existing || createShareToken();
+    try {
+      const share = buildShare(
+        dataRef.current,
+        key,
+        storedRef.current.displayName || ""
+      );
+      if (!share) return null;
+      await writeShare(db, key, token, share);
+      if (!existing) {
+        toast({
+          title: "Link created",
+          description: `Anyone with the link can view "${share.title}".`,
+        });
+      }
+      return token;
+    } catch (error) {
+      console.error("Error sharing list:", error);
+      toast({
+        title: "Failed to create link",
+        description: "Please try again.",
+        variant: "destructive",
+      });
+      return null;
+    }
+  };
 
-  // Return all data and functions for consuming components
-  return {
+  /**
+   * Makes a shared list private again; its old link stops working
+   * @param {string} list - 'watchlist', 'favorites' or a custom list ID
+   */
+  const unshareList = async (list) => {
+    const db = user ? getDbInstance() : null;
+    if (!db) return;
+
+    try {
+      await removeShare(db, shareKey(list));
+      toast({
+        title: "Link disabled",
+        description: "The list is private again.",
+      });
+    } catch (error) {
+      console.error("Error unsharing list:", error);
+      toast({
+        title: "Failed to disable link",
+        description: "Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // ============ CALENDAR FEED FUNCTIONS ============
+
+  /**
+   * Writes the public data behind the calendar feed and records its signature
+   * @param {Object} db - Firestore instance
+   * @param {string} token - Feed token
+   */
+  const writeCalendarFeed = async (db, token) => {
+    const feed = buildCalendarFeed(dataRef.current, preferences);
+    const signature = shareSignature(feed);
+    if (calendarFeed?.token === token && calendarFeed.signature === signature) {
+      return;
+    }
+    const batch = writeBatch(db);
+    // Owner recorded privately, as for shared lists
+    batch.set(doc(db, "users", user.uid, "calendars", token), {});
+    batch.set(doc(db, "calendars", token), {
+      ...feed,
+      updatedAt: new Date().toISOString(),
+    });
+    batch.update(doc(db, "users", user.uid), {
+      calendarFeed: { token, signature },
+    });
+    await batch.commit();
+  };
+
+  /**
+   * Copies list and diary changes to the calendar feed
+   */
+  const syncCalendarFeed = async () => {
+    const db = user ? getDbInstance() : null;
+    if (!db || !calendarFeed) return;
+    try {
+      await writeCalendarFeed(db, calendarFeed.token);
+    } catch (error) {
+      console.error("Error updating calendar feed:", error);
+    }
+  };
+
+  /**
+   * Turns on the calendar subscription feed and returns its token
+   * The feed holds watchlisted titles and diary dates and ratings (not
+   * notes); anyone with the link can read it
+   *
+   * @returns {Promise<string|null>} Feed token, or null if it failed
+   */
+  const enableCalendarFeed = async () => {
+    const db = user ? getDbInstance() : null;
+    if (!db) return null;
+
+    const token = calendarFeed?.token || createShareToken();
+    try {
+      await writeCalendarFeed(db, token);
+      return token;
+    } catch (error) {
+      console.error("Error creating calendar feed:", error);
+      toast({
+        title: "Failed to create calendar link",
+        description: "Please try again.",
+        variant: "destructive",
+      });
+      return null;
+    }
+  };
+
+  /**
+   * Turns off the calendar feed; subscribed calendars stop updating
+   */
+  const disableCalendarFeed = async () => {
+    const db = user ? getDbInstance() : null;
+    if (!db || !calendarFeed) return;
+
+    try {
+      const batch = writeBatch(db);
+      batch.delete(doc(db, "calendars", calendarFeed.token));
+      batch.delete(doc(db, "users", user.uid, "calendars", calendarFeed.token));
+      batch.update(doc(db, "users", user.uid), {
+        calendarFeed: deleteField(),
+      });
+      await batch.commit();
+      toast({
+        title: "Calendar link disabled",
+        description: "Subscribed calendars will stop updating.",
+      });
+    } catch (error) {
+      console.error("Error disabling calendar feed:", error);
+      toast({
+        title: "Failed to disable calendar link",
+        description: "Please try again.",
+        variant: "destructive",
+      });
+    }
+  };
+
+  // ============ TV SHOW FUNCTIONS ============
+
+  /**
+   * Returns the progress entry for a followed show
+   * @param {string|number} id - TV show ID
+   * @returns {Object|undefined} Entry with id, episodes and dateFollowed
+   */
+  const getShowEntry = (id) => data.shows.find((item) => item.id === id);
+
+  /**
+   * Updates the watched episode keys for a show, following it if needed
+   * Episode changes are stored as per-episode set operations, so progress
+   * recorded elsewhere at the same time is kept
+   *
+   * @param {string|number} id - TV show ID
+   * @param {Array<string>} add - Episode keys to mark as watched
+   * @param {Array<string>} remove - Episode keys to mark as unwatched
+   */
+  const saveShowEpisodes = async (id, add = [], remove = []) => {
+    const existing = dataRef.current.shows.find((item) => item.id === id);
+    const dateFollowed = existing?.dateFollowed || localToday();
+
+    await applyChanges([episodesOp(id, dateFollowed, add, remove)]);
+  };
+
+  /**
+   * Starts following a TV show so its progress shows up in My Shows
+   * Keeps any episode progress already recorded for the show
+   * @param {string|number} id - TV show ID to follow
+   */
+  const followShow = async (id) => {
+    await saveShowEpisodes(id);
+    toast({
+      title: "Following show",
+      description: "Show has been added to My Shows.",
+    });
+  };
+
+  /**
+   * Stops following a TV show and discards its episode progress
+   * @param {string|number} id - TV show ID to unfollow
+   */
+  const unfollowShow = async (id) => {
+    await applyChanges([unfollowOp(id)]);
+    toast({
+      title: "Unfollowed show",
+      description: "Show has been removed from My Shows.",
+    });
+  };
+
+  /**
+   * Checks if the user follows a TV show
+   * @param {string|number} id - TV show ID to check
+   * @returns {boolean} True if show is followed
+   */
+  const isFollowing = (id) => data.shows.some((item) => item.id === id);
+
+  /**
+   * Returns the episode keys the user has watched for a show
+   * @param {string|number} id - TV show ID
+   * @returns {Array<string>} Episode keys like "1x3"
+   */
+  const getWatchedEpisodes = (id) => getShowEntry(id)?.episodes || [];
+
+  /**
+   * Checks if a specific episode has been watched
+   * @param {string|number} id - TV show ID
+   * @param {number} season - Season number
+   * @param {number} episode - Episode number
+   * @returns {boolean} True if episode is marked as watched
+   */
+  const isEpisodeWatched = (id, season, episode) =>
+    getWatchedEpisodes(id).includes(episodeKey(season, episode));
+
+  /**
+   * Toggles the watched state of a single episode
+   * Following the show happens implicitly on the first watched episode
+   * @param {string|number} id - TV show ID
+   * @param {number} season - Season number
+   * @param {number} episode - Episode number
+   */
+  const toggleEpisodeWatched = async (id, season, episode) => {
+    const key = episodeKey(season, episode);
+    if (isEpisodeWatched(id, season, episode)) {
+      await saveShowEpisodes(id, [], [key]);
+    } else {
+      await saveShowEpisodes(id, [key]);
+    }
+  };
+
+  /**
+   * Marks every given episode of a season as watched
+   * @param {string|number} id - TV show ID
+   * @param {number} season - Season number
+   * @param {Array<number>} episodeNumbers - Episode numbers in the season
+   */
+  const markSeasonWatched = async (id, season, episodeNumbers) => {
+    const keys = episodeNumbers.map((ep) => episodeKey(season, ep));
+    await saveShowEpisodes(id, keys);
+    toast({
+      title: "Season marked as watched",
+      description: `Season ${season} has been marked as watched.`,
+    });
+  };
+
+  /**
+   * Clears all watched episodes of a season
+   * @param {string|number} id - TV show ID
+   * @param {number} season - Season number
+   */
+  const unmarkSeasonWatched = async (id, season) => {
+    const keys = getWatchedEpisodes(id).filter((item) =>
+      item.startsWith(`${season}x`)
+    );
+    if (keys.length) await saveShowEpisodes(id, [], keys);
+    toast({
+      title: "Season unmarked",
+      description: `Season ${season} has been marked as unwatched.`,
+    });
+  };
+
+  // All data and functions for consuming components
+  const value = {
     // Current list data
     watchlist: data.watchlist,
     watched: data.watched,
     favorites: data.favorites,
+    shows: data.shows,
+    lists: data.lists,
     loading,
+    pendingCount, // Number of changes waiting to be written to Firestore
+    guestData, // Lists saved while signed out, or null if there's nothing to import
+    preferences, // User settings (rating scale)
+
+    // Preferences
+    updatePreferences,
+
+    // Guest data and file import
+    importGuestData,
+    dismissGuestImport,
+    importEntries,
 
     // Watchlist management
     addToWatchlist,
+    addManyToWatchlist,
     removeFromWatchlist,
     isInWatchlist,
 
-    // Watched list management
+    // Watched list and diary management
     addToWatched,
     removeFromWatched,
     updateWatchedRating,
     isInWatched,
+    logViewing,
+    updateViewing,
+    removeViewing,
 
     // Favorites management
     addToFavorites,
     removeFromFavorites,
     isFavorite,
+
+    // Custom lists
+    createList,
+    updateList,
+    deleteList,
+    moveList,
+    addToList,
+    removeFromList,
+    moveListItem,
+    setListItemNote,
+
+    // Public links
+    getShareToken,
+    shareList,
+    unshareList,
+
+    // Calendar subscription feed
+    calendarFeedToken: calendarFeed?.token || null,
+    enableCalendarFeed,
+    disableCalendarFeed,
+
+    // TV show progress management
+    followShow,
+    unfollowShow,
+    isFollowing,
+    getWatchedEpisodes,
+    isEpisodeWatched,
+    toggleEpisodeWatched,
+    markSeasonWatched,
+    unmarkSeasonWatched,
   };
+
+  return (
+    <WatchlistContext.Provider value={value}>
+      {children}
+    </WatchlistContext.Provider>
+  );
+}
+
+/**
+ * Custom hook for accessing the user's movie lists and TV show progress
+ * Every caller shares the state and Firestore subscription of WatchlistProvider
+ * Must be used within a WatchlistProvider component
+ *
+ * @returns {Object} Object containing list data, loading state, and CRUD functions for all lists
+ * @throws {Error} If used outside of WatchlistProvider
+ */
+export function useWatchlist() {
+  const ctx = useContext(WatchlistContext);
+  if (!ctx)
+    throw new Error("useWatchlist must be used within WatchlistProvider");
+  return ctx;
 }
@@ -1,7 +1,13 @@
-import { getAuth } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import { connectAuthEmulator, getAuth } from "firebase/auth";
+import { connectFirestoreEmulator, getFirestore } from "firebase/firestore";
 import app, { hasFirebaseConfig } from "./firebase";
 
+// Host of the local Firebase emulators (tests and offline development);
+// unset in production. Ports match the emulators block in firebase.json
+const EMULATOR_HOST = process.env.NEXT_PUBLIC_FIREBASE_EMULATOR_HOST;
+const AUTH_EMULATOR_PORT = 9099;
+const FIRESTORE_EMULATOR_PORT = 8080;
+
 // Initialize auth and db as null - they'll be lazily loaded when needed
 let auth = null;
 let db = null;
@@ -20,7 +26,13 @@ export const getAuthInstance = () => {
   }
 
   // Lazy initialization - only create auth instance when first requested
-  if (!auth) auth = getAuth(app);
+  if (!auth) {
+    auth = getAuth(app);
+    if (EMULATOR_HOST) {
+      const url = `http://${EMULATOR_HOST}:${AUTH_EMULATOR_PORT}`;
+      connectAuthEmulator(auth, url, { disableWarnings: true });
+    }
+  }
   return auth;
 };
 
@@ -38,7 +50,12 @@ export const getDbInstance = () => {
   }
 
   // Lazy initialization - only create db instance when first requested
-  if (!db) db = getFirestore(app);
+  if (!db) {
+    db = getFirestore(app);
+    if (EMULATOR_HOST) {
+      connectFirestoreEmulator(db, EMULATOR_HOST, FIRESTORE_EMULATOR_PORT);
+    }
+  }
   return db;
 };
 
@@ -0,0 +1,112 @@
+import { getViewings } from "./diary";
+import { formatRating } from "./ratings";
+
+// Most diary entries copied into a calendar feed (keeps the public document
+// well under Firestore's 1 MB limit)
+export const FEED_VIEWING_LIMIT = 2000;
+
+// Domain part of event UIDs; never change it or subscribers get duplicates
+const UID_DOMAIN = "cinetracker";
+
+// Releases that came out this many days ago still appear in the calendar
+const RELEASE_PAST_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the path of a calendar subscription feed
+ * @param {string} token - Feed token
+ * @returns {string} e.g. /api/calendar/3f2a….ics
+ */
+export function calendarPath(token) {
+  return `/api/calendar/${token}.ics`;
+}
+
+/**
+ * Builds the public copy of the data a calendar feed needs: watchlisted
+ * titles (to look up release dates) and the diary, without notes
+ * Release dates of the titles are kept so the feed only looks up movies that
+ * are still coming out (see tracksReleases)
+ *
+ * @param {Object} data - Normalized list data ({ watchlist, watched })
+ * @param {Object} preferences - User preferences (region, ratingScale)
+ * @returns {Object} Feed contents
+ */
+export function buildCalendarFeed(data, preferences) {
+  const watched = [];
+  let viewingCount = 0;
+  for (const entry of data.watched || []) {
+    const viewings = getViewings(entry)
+      .slice(0, FEED_VIEWING_LIMIT - viewingCount)
+      .map(({ id, date, rating }) => ({ id, date, rating: rating || 0 }));
+    if (!viewings.length) continue;
+    watched.push({ id: entry.id, title: entry.title || "", viewings });
+    viewingCount += viewings.length;
+  }
+
+  return {
+    region: preferences.region,
+    ratingScale: preferences.ratingScale,
+    watchlist: (data.watchlist || []).map((entry) => ({
+      id: entry.id,
+      title: entry.title || "",
+      release_date: entry.release_date || "",
+    })),
+    watched,
+  };
+}
+
+/**
+ * Turns release events and diary entries into calendar events
+ * UIDs only depend on the movie, the kind of release and the viewing, so
+ * they stay the same when dates or titles change
+ *
+ * @param {Object} options - Event sources
+ * @param {Array<Object>} options.releaseEvents - Release events of
+ *   watchlisted movies (see buildReleaseEvents)
+ * @param {Array<Object>} options.watched - Watched entries with viewings
+ * @param {string} options.ratingScale - Scale ratings are shown on
+ * @param {string} options.siteUrl - Origin used for links back to the app
+ * @param {number} [options.now] - Current time; older releases are left out
+ * @returns {Array<Object>} Events for buildCalendar
+ */
+export function calendarEvents({
+  releaseEvents,
+  watched,
+  ratingScale,
+  siteUrl,
+  now = Date.now(),
+}) {
+  const cutoff = new Date(now - RELEASE_PAST_DAYS * DAY)
+    .toISOString()
+    .slice(0, 10);
+
+  const releases = releaseEvents
+    .filter((event) => event.date >= cutoff)
+    .map((event) => ({
+      uid: `release-${event.movieId}-${event.kind}@${UID_DOMAIN}`,
+      date: event.date,
+      summary: `${event.title} (${event.label})`,
+      description: `${event.label} release of a movie on your watchlist.`,
+      url: `${siteUrl}/movie/${event.movieId}`,
+      categories: ["Release"],
+    }));
+
+  const viewings = watched.flatMap((entry) =>
+    getViewings(entry).map((viewing) => {
+      const rating = formatRating(viewing.rating, ratingScale);
+      return {
+        uid: `viewing-${entry.id}-${viewing.id}@${UID_DOMAIN}`,
+        date: viewing.date,
+        summary: `Watched ${entry.title}`,
+        description: rating ? `Your rating: ${rating}` : "",
+        url: `${siteUrl}/movie/${entry.id}`,
+        categories: ["Watched"],
+      };
+    })
+  );
+
+  return [...releases, ...viewings].sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+}
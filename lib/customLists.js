@@ -0,0 +1,94 @@
+// Longest allowed list name and description
+export const LIST_NAME_MAX = 80;
+export const LIST_DESCRIPTION_MAX = 500;
+
+/**
+ * Creates an empty custom list
+ * @param {Object} fields - List fields
+ * @param {string} fields.name - List name
+ * @param {string} fields.description - Optional description
+ * @param {number} fields.position - Position among the user's lists
+ * @returns {Object} List with a unique ID
+ */
+export function createList({ name, description = "", position = 0 }) {
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim().slice(0, LIST_NAME_MAX),
+    description: description.trim().slice(0, LIST_DESCRIPTION_MAX),
+    items: [],
+    position,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Sorts lists by their manual position (then creation time)
+ * @param {Array<Object>} lists - Custom lists
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortLists(lists) {
+  return [...lists].sort(
+    (a, b) =>
+      (a.position ?? 0) - (b.position ?? 0) ||
+      (a.createdAt || "").localeCompare(b.createdAt || "")
+  );
+}
+
+/**
+ * Converts stored custom lists into the sorted array used by the UI
+ * Firestore keeps lists as a map keyed by list ID so each list is written
+ * on its own; localStorage uses an array
+ *
+ * @param {Object|Array} lists - Stored lists
+ * @returns {Array<Object>} Lists with id, sorted by position
+ */
+export function listsToArray(lists) {
+  const array = Array.isArray(lists)
+    ? lists
+    : Object.entries(lists || {}).map(([id, list]) => ({ ...list, id }));
+  return sortLists(array.map((list) => ({ ...list, items: list.items || [] })));
+}
+
+/**
+ * Moves an array element to a new index
+ * @param {Array} array - Source array
+ * @param {number} from - Current index
+ * @param {number} to - New index (clamped to the array bounds)
+ * @returns {Array} Reordered copy
+ */
+export function moveItem(array, from, to) {
+  const target = Math.max(0, Math.min(array.length - 1, to));
+  if (from === target || from < 0 || from >= array.length) return array;
+  const next = [...array];
+  const [moved] = next.splice(from, 1);
+  next.splice(target, 0, moved);
+  return next;
+}
+
+/**
+ * Adds a movie to a list (at the end), or updates its note if already there
+ * @param {Object} list - Custom list
+ * @param {Object} snapshot - Movie snapshot (see lib/snapshots)
+ * @param {string} note - Optional note for this list item
+ * @returns {Object} Updated list
+ */
+export function addListItem(list, snapshot, note = "") {
+  if (list.items.some((item) => item.id === snapshot.id)) return list;
+  return {
+    ...list,
+    items: [
+      ...list.items,
+      { ...snapshot, note, addedAt: new Date().toISOString() },
+    ],
+  };
+}
+
+/**
+ * Returns the lists containing a movie
+ * @param {Array<Object>} lists - Custom lists
+ * @param {string|number} movieId - Movie ID
+ * @returns {Array<Object>} Lists that include the movie
+ */
+export function listsContaining(lists, movieId) {
+  return lists.filter((list) => list.items.some((item) => item.id === movieId));
+}
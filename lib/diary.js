@@ -0,0 +1,142 @@
+// Where a viewing happened; empty value means not specified
+export const VIEWING_FORMATS = [
+  { value: "", label: "Not specified" },
+  { value: "theater", label: "Theater" },
+  { value: "streaming", label: "Streaming" },
+  { value: "disc", label: "Disc" },
+];
+
+/**
+ * Returns today's date as YYYY-MM-DD in the user's time zone
+ * @returns {string} Local date
+ */
+export function localToday() {
+  const now = new Date();
+  const offset = now.getTimezoneOffset() * 60000;
+  return new Date(now.getTime() - offset).toISOString().split("T")[0];
+}
+
+/**
+ * Creates a diary viewing with a unique ID
+ * @param {Object} details - Viewing details
+ * @param {string} details.date - Date watched (YYYY-MM-DD, defaults to today)
+ * @param {number} details.rating - Rating for this viewing (0-10, 0 = unrated)
+ * @param {string} details.note - Free-text note
+ * @param {boolean} details.rewatch - Whether the user had seen the movie before
+ * @param {string} details.format - Location/format (see VIEWING_FORMATS)
+ * @returns {Object} Viewing
+ */
+export function createViewing({
+  date,
+  rating = 0,
+  note = "",
+  rewatch = false,
+  format = "",
+} = {}) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    date: date || localToday(),
+    rating,
+    note,
+    rewatch,
+    format,
+  };
+}
+
+/**
+ * Returns the viewings of a watched entry, oldest first
+ * Entries saved before the diary existed only have rating and dateWatched;
+ * they are presented as a single viewing
+ *
+ * @param {Object} entry - Watched list entry
+ * @returns {Array<Object>} Viewings
+ */
+export function getViewings(entry) {
+  if (entry?.viewings?.length) return entry.viewings;
+  if (!entry?.dateWatched) return [];
+  return [
+    {
+      id: `legacy-${entry.id}`,
+      date: entry.dateWatched,
+      rating: entry.rating || 0,
+      note: "",
+      rewatch: false,
+      format: "",
+    },
+  ];
+}
+
+/**
+ * Stores viewings on a watched entry and updates its summary fields
+ * dateWatched is the latest viewing date and rating the latest non-zero
+ * rating, so code that only reads the summary keeps working
+ *
+ * @param {Object} entry - Watched list entry
+ * @param {Array<Object>} viewings - Viewings in any order
+ * @returns {Object} Updated entry
+ */
+export function setViewings(entry, viewings) {
+  const sorted = [...viewings].sort((a, b) => a.date.localeCompare(b.date));
+  const rated = sorted.filter((v) => v.rating > 0);
+  return {
+    ...entry,
+    viewings: sorted,
+    dateWatched: sorted.length ? sorted[sorted.length - 1].date : "",
+    rating: rated.length ? rated[rated.length - 1].rating : 0,
+  };
+}
+
+/**
+ * Adds incoming viewings that aren't already logged
+ * A viewing on a date that already has one counts as the same viewing, so
+ * importing the same history twice doesn't duplicate it
+ *
+ * @param {Array<Object>} current - Viewings already logged
+ * @param {Array<Object>} incoming - Viewings to merge in
+ * @returns {Array<Object>} Combined viewings
+ */
+export function mergeViewings(current, incoming) {
+  const dates = new Set(current.map((v) => v.date));
+  return [
+    ...current,
+    ...incoming.filter((v) => !dates.has(v.date) && dates.add(v.date)),
+  ];
+}
+
+/**
+ * Formats a YYYY-MM month key as "October 2026"
+ * @param {string} month - Month key
+ * @returns {string} Month label
+ */
+export function formatMonth(month) {
+  const [year, m] = month.split("-").map(Number);
+  return new Date(year, m - 1, 1).toLocaleDateString("en-US", {
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Builds the diary: every viewing of every watched movie, newest first,
+ * grouped by month
+ *
+ * @param {Array<Object>} watched - Watched list entries
+ * @returns {Array<{month: string, label: string, items: Array<{entry: Object, viewing: Object}>}>}
+ *   Month groups, newest first
+ */
+export function buildDiary(watched) {
+  const items = watched
+    .flatMap((entry) =>
+      getViewings(entry).map((viewing) => ({ entry, viewing }))
+    )
+    .sort((a, b) => b.viewing.date.localeCompare(a.viewing.date));
+
+  const groups = [];
+  items.forEach((item) => {
+    const month = item.viewing.date.slice(0, 7);
+    const last = groups[groups.length - 1];
+    if (last?.month === month) last.items.push(item);
+    else groups.push({ month, label: formatMonth(month), items: [item] });
+  });
+  return groups;
+}
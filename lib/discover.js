@@ -0,0 +1,107 @@
+/**
+ * Default (inactive) discover filter values
+ * Empty strings mean "no constraint" so values map cleanly onto form inputs
+ */
+export const DEFAULT_FILTERS = {
+  genres: [], // Array of TMDB genre IDs, combined with AND
+  yearFrom: "", // Earliest primary release year
+  yearTo: "", // Latest primary release year
+  minRating: "", // Minimum TMDB vote average (0-10)
+  runtimeMin: "", // Minimum runtime in minutes
+  runtimeMax: "", // Maximum runtime in minutes
+  language: "", // ISO 639-1 original language code
+  sortBy: "popularity.desc", // TMDB sort_by value
+};
+
+/**
+ * Sort options supported by TMDB's /discover/movie endpoint
+ */
+export const SORT_OPTIONS = [
+  { value: "popularity.desc", label: "Most popular" },
+  { value: "vote_average.desc", label: "Highest rated" },
+  { value: "primary_release_date.desc", label: "Newest" },
+  { value: "primary_release_date.asc", label: "Oldest" },
+  { value: "revenue.desc", label: "Highest grossing" },
+];
+
+/**
+ * Short query-string keys for each filter, keeping shared URLs readable
+ */
+const URL_KEYS = {
+  genres: "genres",
+  yearFrom: "from",
+  yearTo: "to",
+  minRating: "rating",
+  runtimeMin: "rtmin",
+  runtimeMax: "rtmax",
+  language: "lang",
+  sortBy: "sort",
+};
+
+/**
+ * Reads discover filters from URL search params
+ * Unknown or malformed values fall back to the defaults
+ *
+ * @param {URLSearchParams} params - Search params from the current URL
+ * @returns {Object} Filter object shaped like DEFAULT_FILTERS
+ */
+export function filtersFromSearchParams(params) {
+  const filters = { ...DEFAULT_FILTERS };
+
+  const genres = params.get(URL_KEYS.genres);
+  if (genres) {
+    filters.genres = genres
+      .split(",")
+      .map((id) => parseInt(id, 10))
+      .filter((id) => !Number.isNaN(id));
+  }
+
+  ["yearFrom", "yearTo", "minRating", "runtimeMin", "runtimeMax"].forEach(
+    (key) => {
+      const value = params.get(URL_KEYS[key]);
+      if (value && !Number.isNaN(Number(value))) filters[key] = value;
+    }
+  );
+
+  const language = params.get(URL_KEYS.language);
+  if (language && /^[a-z]{2}$/.test(language)) filters.language = language;
+
+  const sortBy = params.get(URL_KEYS.sortBy);
+  if (SORT_OPTIONS.some((o) => o.value === sortBy)) filters.sortBy = sortBy;
+
+  return filters;
+}
+
+/**
+ * Writes discover filters into URL search params, omitting default values
+ *
+ * @param {Object} filters - Filter object shaped like DEFAULT_FILTERS
+ * @returns {URLSearchParams} Params ready to append to a URL
+ */
+export function filtersToSearchParams(filters) {
+  const params = new URLSearchParams();
+
+  if (filters.genres?.length) {
+    params.set(URL_KEYS.genres, filters.genres.join(","));
+  }
+
+  Object.entries(URL_KEYS).forEach(([key, urlKey]) => {
+    if (key === "genres") return;
+    const value = filters[key];
+    if (value !== "" && value !== undefined && value !== DEFAULT_FILTERS[key]) {
+      params.set(urlKey, value);
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Checks whether any filter differs from its default
+ *
+ * @param {Object} filters - Filter object shaped like DEFAULT_FILTERS
+ * @returns {boolean} True if the discover endpoint should be used
+ */
+export function hasActiveFilters(filters) {
+  return filtersToSearchParams(filters).toString().length > 0;
+}
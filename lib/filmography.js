@@ -0,0 +1,147 @@
+// Departments offered as filmography filters, in display order
+export const DEPARTMENTS = ["Acting", "Directing", "Writing"];
+
+// Sort options for the filmography
+export const FILMOGRAPHY_SORTS = [
+  { value: "year", label: "Year" },
+  { value: "rating", label: "Rating" },
+];
+
+// Number of titles shown under "Known for"
+const KNOWN_FOR_LIMIT = 8;
+
+// Roles of people appearing as themselves (talk shows, documentaries)
+const SELF_ROLE = /^(self|himself|herself|themselves)\b/i;
+
+// Minimum TMDB votes before a rating counts when sorting by rating
+const MIN_VOTES = 20;
+
+/**
+ * Builds a person's filmography from TMDB combined credits
+ * Cast credits count as Acting; a person with several jobs on one title in
+ * the same department (e.g. "Screenplay" and "Story") gets a single entry
+ *
+ * @param {Object} credits - TMDB combined_credits ({ cast, crew })
+ * @returns {Array<Object>} Entries with id, media_type, title, date, year,
+ *   vote_average, vote_count, poster_path, department and roles
+ */
+export function buildFilmography(credits) {
+  const entries = new Map();
+  const add = (credit, department, role) => {
+    const key = `${credit.media_type}-${credit.id}-${department}`;
+    const entry = entries.get(key);
+    if (entry) {
+      if (role && !entry.roles.includes(role)) entry.roles.push(role);
+      return;
+    }
+
+    const date = credit.release_date || credit.first_air_date || "";
+    entries.set(key, {
+      id: credit.id,
+      media_type: credit.media_type,
+      title: credit.title || credit.name || "Untitled",
+      date,
+      year: date ? Number(date.slice(0, 4)) : null,
+      vote_average: credit.vote_average || 0,
+      vote_count: credit.vote_count || 0,
+      poster_path: credit.poster_path || null,
+      overview: credit.overview || "",
+      genre_ids: credit.genre_ids || [],
+      department,
+      roles: role ? [role] : [],
+    });
+  };
+
+  (credits?.cast || []).forEach((credit) =>
+    add(credit, "Acting", credit.character)
+  );
+  (credits?.crew || []).forEach((credit) =>
+    add(credit, credit.department, credit.job)
+  );
+  return [...entries.values()];
+}
+
+/**
+ * Counts filmography entries per department
+ * @param {Array<Object>} entries - Filmography entries
+ * @returns {Object} Count per department name
+ */
+export function countByDepartment(entries) {
+  return entries.reduce((counts, entry) => {
+    counts[entry.department] = (counts[entry.department] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Filters and sorts a filmography
+ * Year sorting puts upcoming/undated titles first, then newest first; rating
+ * sorting puts titles with too few votes last
+ *
+ * @param {Array<Object>} entries - Filmography entries
+ * @param {Object} options - View options
+ * @param {string} options.department - Department to keep ("" for all)
+ * @param {string} options.sort - 'year' or 'rating'
+ * @returns {Array<Object>} Filtered, sorted copy
+ */
+export function filmographyView(entries, { department = "", sort = "year" }) {
+  const filtered = department
+    ? entries.filter((entry) => entry.department === department)
+    : entries;
+
+  const byDate = (a, b) => {
+    if (!a.date !== !b.date) return a.date ? 1 : -1;
+    return b.date.localeCompare(a.date);
+  };
+  const byRating = (a, b) => {
+    const aRated = a.vote_count >= MIN_VOTES;
+    const bRated = b.vote_count >= MIN_VOTES;
+    if (aRated !== bRated) return aRated ? -1 : 1;
+    return b.vote_average - a.vote_average || byDate(a, b);
+  };
+
+  return [...filtered].sort(sort === "rating" ? byRating : byDate);
+}
+
+/**
+ * Picks the titles a person is best known for: the most-voted titles in
+ * their main department, each title once, leaving out appearances as
+ * themselves
+ *
+ * @param {Array<Object>} entries - Filmography entries
+ * @param {string} department - Person's known_for_department
+ * @returns {Array<Object>} Up to 8 entries
+ */
+export function knownFor(entries, department) {
+  const seen = new Set();
+  return entries
+    .filter((entry) => !department || entry.department === department)
+    .filter((entry) => !entry.roles.some((role) => SELF_ROLE.test(role)))
+    .sort((a, b) => b.vote_count - a.vote_count)
+    .filter((entry) => {
+      const key = `${entry.media_type}-${entry.id}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, KNOWN_FOR_LIMIT);
+}
+
+/**
+ * Calculates a person's age, at death if they have died
+ * @param {string} birthday - Birth date (YYYY-MM-DD)
+ * @param {string} deathday - Death date (YYYY-MM-DD), if any
+ * @param {Date} now - Current date (injectable for tests)
+ * @returns {number|null} Age in whole years
+ */
+export function personAge(birthday, deathday, now = new Date()) {
+  if (!birthday) return null;
+  const end = deathday ? new Date(`${deathday}T00:00:00`) : now;
+  const start = new Date(`${birthday}T00:00:00`);
+  let age = end.getFullYear() - start.getFullYear();
+  const beforeBirthday =
+    end.getMonth() < start.getMonth() ||
+    (end.getMonth() === start.getMonth() && end.getDate() < start.getDate());
+  if (beforeBirthday) age--;
+  return age;
+}
@@ -0,0 +1,138 @@
+// Identifies the app that produced a calendar (RFC 5545 PRODID)
+const PRODID = "-//CineTracker//Movie Calendar//EN";
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line into chunks of at most 75 octets, continuing each
+ * chunk on a new line that starts with a space; multi-byte characters are
+ * never split
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF-separated)
+ */
+export function foldLine(line) {
+  const chunks = [];
+  let chunk = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = "";
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Formats a calendar date as a DATE value
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} e.g. 20250314
+ */
+export function formatDateValue(date) {
+  return date.slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * Formats a time as a UTC DATE-TIME value
+ * @param {number|Date} time - Time to format
+ * @returns {string} e.g. 20250314T093000Z
+ */
+export function formatTimestamp(time) {
+  return new Date(time)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Returns the day after a date (all-day events end on the next day)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Next date (YYYY-MM-DD)
+ */
+function nextDay(date) {
+  const next = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the lines of one all-day VEVENT
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Globally unique, stable ID
+ * @param {string} event.date - Day of the event (YYYY-MM-DD)
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Details
+ * @param {string} [event.url] - Link back to the app
+ * @param {Array<string>} [event.categories] - Category names
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Unfolded content lines
+ */
+function eventLines(event, stamp) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDateValue(event.date)}`,
+    `DTEND;VALUE=DATE:${formatDateValue(nextDay(event.date))}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories?.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(",")}`);
+  }
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  return lines;
+}
+
+/**
+ * Builds an iCalendar (RFC 5545) document of all-day events
+ * Events keep their UIDs between exports, so importing an updated file or
+ * refreshing a subscription updates events instead of duplicating them
+ *
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array<Object>} options.events - Events (see eventLines)
+ * @param {number|Date} [options.now] - Generation time, used for DTSTAMP
+ * @returns {string} Calendar text with CRLF line endings
+ */
+export function buildCalendar({ name, events, now = Date.now() }) {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => eventLines(event, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
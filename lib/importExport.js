@@ -0,0 +1,608 @@
+import { toSnapshot } from "./snapshots";
+import {
+  VIEWING_FORMATS,
+  createViewing,
+  getViewings,
+  mergeViewings,
+  setViewings,
+} from "./diary";
+import { nullIfNotFound } from "./tmdbErrors";
+
+// Identifies CineTracker JSON exports; bump the version when the shape changes
+export const EXPORT_FORMAT = "cinetracker";
+export const EXPORT_VERSION = 1;
+
+// Lists included in exports and accepted by imports
+const MOVIE_LISTS = ["watchlist", "watched", "favorites"];
+
+// Columns of the CineTracker CSV export (one row per list entry, or per
+// viewing for the watched list)
+const CSV_COLUMNS = [
+  "list",
+  "tmdb_id",
+  "title",
+  "year",
+  "rating",
+  "date_watched",
+  "rewatch",
+  "format",
+  "note",
+];
+
+// Number of TMDB lookups run at once while matching imported rows
+const MATCH_CONCURRENCY = 4;
+
+// Number of TMDB results offered when a row can't be matched exactly
+const CANDIDATE_LIMIT = 5;
+
+// IMDb title types that aren't movies (series, episodes, games)
+const NON_MOVIE_TYPES = /series|episode|game/i;
+
+/**
+ * Builds the versioned CineTracker JSON export
+ * @param {Object} lists - List data ({ watchlist, watched, favorites, shows, lists })
+ * @param {Date} now - Export time (injectable for tests)
+ * @returns {string} Pretty-printed JSON
+ */
+export function buildJsonExport(lists, now = new Date()) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: now.toISOString(),
+      watchlist: lists.watchlist || [],
+      watched: lists.watched || [],
+      favorites: lists.favorites || [],
+      shows: lists.shows || [],
+      lists: lists.lists || [],
+    },
+    null,
+    2
+  );
+}
+
+// Leading characters that make spreadsheet apps run a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV field when it contains separators, quotes or line breaks
+ * Text that would run as a spreadsheet formula (titles and notes are user
+ * data) gets a leading apostrophe, which spreadsheets show as plain text
+ *
+ * @param {any} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Removes the apostrophe csvField adds in front of formula-like text
+ * @param {string} value - Field from a CineTracker CSV export
+ * @returns {string} Original text
+ */
+function csvText(value) {
+  return value.startsWith("'") && FORMULA_START.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+}
+
+/**
+ * Builds a CSV export with one row per movie list entry; watched movies get
+ * one row per diary viewing
+ * TV show progress isn't included; use the JSON export for a full backup
+ *
+ * @param {Object} lists - List data ({ watchlist, watched, favorites })
+ * @returns {string} CSV text with a header row
+ */
+export function buildCsvExport(lists) {
+  const rows = MOVIE_LISTS.flatMap((list) =>
+    (lists[list] || []).flatMap((entry) => {
+      const base = [
+        list,
+        entry.id,
+        entry.title || "",
+        (entry.release_date || "").slice(0, 4),
+      ];
+      if (list !== "watched") return [[...base, "", "", "", "", ""]];
+      return getViewings(entry).map((v) => [
+        ...base,
+        v.rating || "",
+        v.date,
+        v.rewatch ? "true" : "",
+        v.format,
+        v.note,
+      ]);
+    })
+  );
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF)
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows of fields, blank lines skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  // Strip a UTF-8 byte order mark some spreadsheet apps add
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parses CSV text into objects keyed by the header row
+ * @param {string} text - CSV file contents
+ * @returns {{headers: Array<string>, records: Array<Object>}} Header names and records
+ */
+function parseCsvRecords(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  const names = headers.map((h) => h.trim());
+  const records = rows.map((row) =>
+    Object.fromEntries(names.map((name, i) => [name, (row[i] || "").trim()]))
+  );
+  return { headers: names, records };
+}
+
+/**
+ * Parses a year column, ignoring blanks and junk
+ * @param {string} value - Year text
+ * @returns {number|null} Four-digit year or null
+ */
+function parseYear(value) {
+  const year = parseInt(value, 10);
+  return year >= 1870 && year <= 2200 ? year : null;
+}
+
+/**
+ * Parses a date column into YYYY-MM-DD
+ * @param {string} value - Date text
+ * @returns {string} Date, or "" if missing/invalid
+ */
+function parseDate(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? "" : date.toISOString().split("T")[0];
+}
+
+/**
+ * Parses a rating column and converts it to CineTracker's 0-10 scale
+ * @param {string} value - Rating text
+ * @param {number} scale - Multiplier to reach 10 (2 for 5-star ratings)
+ * @returns {number} Rating from 0 to 10 (0 = unrated)
+ */
+function parseRating(value, scale = 1) {
+  const rating = parseFloat(value);
+  return isNaN(rating) ? 0 : Math.min(10, Math.max(0, rating * scale));
+}
+
+/**
+ * Parses a viewing format column, ignoring unknown values
+ * @param {string} value - Format text
+ * @returns {string} Format value from VIEWING_FORMATS, or ""
+ */
+function parseFormat(value) {
+  const format = (value || "").toLowerCase();
+  return VIEWING_FORMATS.some((f) => f.value === format) ? format : "";
+}
+
+/**
+ * Parses a CineTracker JSON export
+ * @param {string} text - File contents
+ * @returns {Object} Parsed import (see parseImportFile)
+ * @throws {Error} If the file isn't a supported CineTracker export
+ */
+function parseJsonExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file isn't valid JSON.");
+  }
+
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new Error("The JSON file isn't a CineTracker export.");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(
+      "This export was made by a newer version of CineTracker. Please update and try again."
+    );
+  }
+
+  let line = 0;
+  const rows = MOVIE_LISTS.flatMap((list) =>
+    (data[list] || [])
+      .filter((entry) => entry && entry.id)
+      .map((entry) => ({
+        line: ++line,
+        list,
+        title: entry.title || "",
+        year: parseYear((entry.release_date || "").slice(0, 4)),
+        rating: entry.rating || 0,
+        dateWatched: entry.dateWatched || "",
+        entry, // Already a snapshot, no TMDB lookup needed
+      }))
+  );
+  return {
+    format: "CineTracker JSON",
+    rows,
+    shows: Array.isArray(data.shows) ? data.shows : [],
+    lists: Array.isArray(data.lists)
+      ? data.lists.filter(
+          (list) => list && list.id && list.name && Array.isArray(list.items)
+        )
+      : [],
+  };
+}
+
+/**
+ * Parses an import file and maps its rows onto CineTracker lists
+ * Supported formats:
+ * - CineTracker JSON and CSV exports
+ * - Letterboxd diary.csv, watched.csv, ratings.csv and watchlist.csv (ratings are 0.5-5 stars)
+ * - IMDb ratings and watchlist CSV exports
+ * Letterboxd's watched and watchlist files share columns, so the file name decides
+ *
+ * @param {string} fileName - Original file name
+ * @param {string} text - File contents
+ * @returns {{format: string, rows: Array<Object>, shows: Array<Object>, lists: Array<Object>}}
+ *   Format label, rows of { line, list, title, year, rating, dateWatched, rewatch?,
+ *   format?, note?, imdbId?, tmdbId?, entry?, skipReason? }
+ *   and any TV show progress and custom lists (CineTracker JSON only)
+ * @throws {Error} If the format isn't recognized
+ */
+export function parseImportFile(fileName, text) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith(".json")) return parseJsonExport(text);
+
+  const { headers, records } = parseCsvRecords(text);
+  const has = (column) => headers.includes(column);
+  const row = (i, fields) => ({
+    line: i + 2, // 1-based, after the header row
+    rating: 0,
+    dateWatched: "",
+    ...fields,
+  });
+
+  // CineTracker CSV export
+  if (has("tmdb_id") && has("list")) {
+    return {
+      format: "CineTracker CSV",
+      shows: [],
+      lists: [],
+      rows: records.map((r, i) =>
+        row(i, {
+          list: MOVIE_LISTS.includes(r.list) ? r.list : "watchlist",
+          title: csvText(r.title),
+          year: parseYear(r.year),
+          tmdbId: parseInt(r.tmdb_id, 10) || null,
+          rating: parseRating(r.rating),
+          dateWatched: parseDate(r.date_watched),
+          rewatch: r.rewatch === "true",
+          format: parseFormat(r.format),
+          note: csvText(r.note || ""),
+        })
+      ),
+    };
+  }
+
+  // Letterboxd diary: one row per logged viewing
+  if (has("Letterboxd URI") && has("Name") && has("Watched Date")) {
+    return {
+      format: "Letterboxd diary",
+      shows: [],
+      lists: [],
+      rows: records.map((r, i) =>
+        row(i, {
+          list: "watched",
+          title: r.Name,
+          year: parseYear(r.Year),
+          rating: parseRating(r.Rating, 2),
+          dateWatched: parseDate(r["Watched Date"]),
+          rewatch: r.Rewatch === "Yes",
+        })
+      ),
+    };
+  }
+
+  // Other Letterboxd exports (all carry a Letterboxd URI column)
+  if (has("Letterboxd URI") && has("Name")) {
+    const isRatings = has("Rating");
+    const isWatchlist = !isRatings && name.includes("watchlist");
+    return {
+      format: isRatings
+        ? "Letterboxd ratings"
+        : isWatchlist
+          ? "Letterboxd watchlist"
+          : "Letterboxd watched",
+      shows: [],
+      lists: [],
+      rows: records.map((r, i) =>
+        row(i, {
+          list: isWatchlist ? "watchlist" : "watched",
+          title: r.Name,
+          year: parseYear(r.Year),
+          rating: isRatings ? parseRating(r.Rating, 2) : 0,
+          dateWatched: isWatchlist ? "" : parseDate(r.Date),
+        })
+      ),
+    };
+  }
+
+  // IMDb exports (ratings have "Your Rating"; watchlists don't)
+  if (has("Const") && has("Title")) {
+    const isRatings = has("Your Rating");
+    return {
+      format: isRatings ? "IMDb ratings" : "IMDb watchlist",
+      shows: [],
+      lists: [],
+      rows: records.map((r, i) =>
+        row(i, {
+          list: isRatings ? "watched" : "watchlist",
+          title: r.Title,
+          year: parseYear(r.Year),
+          imdbId: r.Const,
+          rating: isRatings ? parseRating(r["Your Rating"]) : 0,
+          dateWatched: isRatings ? parseDate(r["Date Rated"]) : "",
+          skipReason: NON_MOVIE_TYPES.test(r["Title Type"] || "")
+            ? `${r["Title Type"]} (not a movie)`
+            : undefined,
+        })
+      ),
+    };
+  }
+
+  throw new Error(
+    "Unrecognized file. Use a CineTracker export, a Letterboxd diary/watched/ratings/watchlist CSV, or an IMDb ratings CSV."
+  );
+}
+
+/**
+ * Normalizes a title for comparison (case, accents, punctuation, "&")
+ * @param {string} title - Movie title
+ * @returns {string} Comparable title
+ */
+function normalizeTitle(title = "") {
+  return title
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+/**
+ * Returns a TMDB movie's release year
+ * @param {Object} movie - TMDB movie
+ * @returns {number|null} Year or null
+ */
+function releaseYear(movie) {
+  return parseYear((movie.release_date || "").slice(0, 4));
+}
+
+/**
+ * Matches one imported row to a TMDB movie
+ * Tries the TMDB ID, then the IMDb ID via /find, then a title search
+ * restricted to the row's year; a single exact title + year hit is a match,
+ * anything else is returned as candidates for the user to pick from
+ *
+ * @param {Object} row - Row from parseImportFile
+ * @param {Object} service - TMDB service (tmdbService, or a stub in tests)
+ * @returns {Promise<Object>} Row with status ('matched' | 'ambiguous' |
+ *   'unmatched' | 'skipped'), movie (when matched) and candidates
+ * @throws {TMDBError} When a lookup fails for a reason other than "not found"
+ */
+export async function matchImportRow(row, service) {
+  const result = (status, movie = null, candidates = []) => ({
+    ...row,
+    status,
+    movie,
+    candidates,
+  });
+
+  if (row.skipReason) return result("skipped");
+  if (row.entry) return result("matched", row.entry);
+
+  if (row.tmdbId) {
+    const movie = await nullIfNotFound(service.getMovieSummary(row.tmdbId));
+    if (movie) return result("matched", movie);
+  }
+
+  if (row.imdbId) {
+    const found = await nullIfNotFound(
+      service.findByExternalId(row.imdbId, "imdb_id")
+    );
+    const movie = found?.movie_results?.[0];
+    if (movie) return result("matched", movie);
+  }
+
+  if (!row.title) return result("unmatched");
+
+  // Search within the year first; fall back to any year (IMDb years can be off by one)
+  let data = await service.searchMovies(row.title, 1, row.year);
+  if (!data?.results?.length && row.year) {
+    data = await service.searchMovies(row.title, 1);
+  }
+  const results = data?.results || [];
+
+  const title = normalizeTitle(row.title);
+  const exact = results.filter(
+    (movie) =>
+      [movie.title, movie.original_title].some(
+        (t) => normalizeTitle(t) === title
+      ) &&
+      (!row.year || releaseYear(movie) === row.year)
+  );
+
+  if (exact.length === 1) return result("matched", exact[0], exact);
+
+  const candidates = (exact.length ? exact : results).slice(0, CANDIDATE_LIMIT);
+  return result(
+    candidates.length ? "ambiguous" : "unmatched",
+    null,
+    candidates
+  );
+}
+
+/**
+ * Matches all imported rows, a few TMDB lookups at a time
+ * A row whose lookup fails (rate limit, outage, offline) gets status
+ * 'failed' and the error, and matching carries on with the other rows
+ *
+ * @param {Array<Object>} rows - Rows from parseImportFile
+ * @param {Object} service - TMDB service
+ * @param {Function} [onProgress] - Called with the number of rows done so far
+ * @returns {Promise<Array<Object>>} Match results in row order
+ */
+export async function matchImportRows(rows, service, onProgress) {
+  const results = [];
+  for (let i = 0; i < rows.length; i += MATCH_CONCURRENCY) {
+    const batch = rows.slice(i, i + MATCH_CONCURRENCY);
+    results.push(
+      ...(await Promise.all(
+        batch.map((row) =>
+          matchImportRow(row, service).catch((error) => ({
+            ...row,
+            status: "failed",
+            movie: null,
+            candidates: [],
+            error,
+          }))
+        )
+      ))
+    );
+    onProgress?.(results.length);
+  }
+  return results;
+}
+
+/**
+ * Matches the failed rows of a previous run again, keeping the other results
+ * @param {Array<Object>} results - Match results from matchImportRows
+ * @param {Object} service - TMDB service
+ * @param {Function} [onProgress] - Called with the number of retried rows done so far
+ * @returns {Promise<Array<Object>>} Updated match results in row order
+ */
+export async function retryFailedMatches(results, service, onProgress) {
+  const failed = results.filter((r) => r.status === "failed");
+  const rows = failed.map(
+    ({ status, movie, candidates, error, ...row }) => row
+  );
+  const retried = await matchImportRows(rows, service, onProgress);
+  return results.map((r) =>
+    r.status === "failed" ? retried[failed.indexOf(r)] : r
+  );
+}
+
+/**
+ * Turns reviewed match results into list entries ready for importEntries
+ * Rows without a chosen movie are left out; watched rows become diary
+ * viewings, combined per movie (one viewing per date), and other lists keep
+ * the first occurrence of a movie
+ *
+ * @param {Array<Object>} results - Match results, with movie set for rows to import
+ * @param {Array<Object>} shows - TV show progress to import (CineTracker JSON only)
+ * @param {Array<Object>} lists - Custom lists to import (CineTracker JSON only)
+ * @returns {Object} Entries per list ({ watchlist, watched, favorites, shows, lists })
+ */
+export function toImportLists(results, shows = [], lists = []) {
+  const byList = Object.fromEntries(MOVIE_LISTS.map((l) => [l, new Map()]));
+
+  results
+    .filter((r) => r.movie)
+    .forEach((r) => {
+      const snapshot = r.entry ? { ...r.entry } : toSnapshot(r.movie);
+      const existing = byList[r.list].get(snapshot.id);
+
+      if (r.list !== "watched") {
+        if (!existing) byList[r.list].set(snapshot.id, snapshot);
+        return;
+      }
+
+      // JSON entries carry their own viewings; other rows are one viewing each
+      const viewings = r.entry
+        ? getViewings(r.entry)
+        : [
+            createViewing({
+              date: r.dateWatched,
+              rating: r.rating || 0,
+              rewatch: r.rewatch,
+              format: r.format,
+              note: r.note,
+            }),
+          ];
+      byList.watched.set(
+        snapshot.id,
+        setViewings(
+          existing || snapshot,
+          mergeViewings(getViewings(existing), viewings)
+        )
+      );
+    });
+
+  return {
+    watchlist: [...byList.watchlist.values()],
+    watched: [...byList.watched.values()],
+    favorites: [...byList.favorites.values()],
+    shows,
+    lists,
+  };
+}
+
+/**
+ * Saves text as a file download in the browser
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,97 @@
+import { entryOp, episodesOp, listOp } from "./syncQueue";
+import { getViewings, mergeViewings, setViewings } from "./diary";
+
+// Lists whose entries carry movie snapshots
+const MOVIE_LISTS = ["watchlist", "watched", "favorites"];
+
+/**
+ * Checks whether guest list data contains anything worth importing
+ * @param {Object} guest - Normalized guest list data
+ * @returns {boolean} True if any list or show progress is non-empty
+ */
+export function hasGuestData(guest) {
+  if (!guest) return false;
+  return [...MOVIE_LISTS, "shows", "lists"].some(
+    (list) => guest[list]?.length > 0
+  );
+}
+
+/**
+ * Works out which incoming entries to merge into an account's lists
+ * Used for guest data on sign-in and for file imports
+ * Movies already on the account are skipped, except watched entries, whose
+ * diary viewings are merged (the latest viewing's rating and date become the
+ * entry's summary); show progress is merged episode by episode, and custom
+ * lists are added (or, when the account already has the list, get the
+ * movies it's missing)
+ *
+ * @param {Object} account - Normalized list data already on the account
+ * @param {Object} incoming - Normalized list data to merge in (lists may be omitted)
+ * @returns {{ops: Array<Object>, items: Object, total: number}} Sync queue
+ *   operations to write, the entries/shows they import per list (for a
+ *   preview), and the number of imported items
+ */
+export function planListMerge(account, incoming) {
+  const ops = [];
+  const items = {
+    watchlist: [],
+    watched: [],
+    favorites: [],
+    shows: [],
+    lists: [],
+  };
+
+  MOVIE_LISTS.forEach((list) => {
+    const existing = new Map(account[list].map((entry) => [entry.id, entry]));
+
+    (incoming[list] || []).forEach((entry) => {
+      const current = existing.get(entry.id);
+      let merged = entry;
+
+      if (current) {
+        if (list !== "watched") return;
+
+        const viewings = getViewings(current);
+        const combined = mergeViewings(viewings, getViewings(entry));
+        if (combined.length === viewings.length) return; // Nothing new
+        merged = setViewings(current, combined);
+      }
+
+      items[list].push(merged);
+      ops.push(entryOp(list, entry.id, merged));
+    });
+  });
+
+  (incoming.shows || []).forEach((show) => {
+    const current = account.shows.find((item) => item.id === show.id);
+    const watched = current?.episodes || [];
+    const add = (show.episodes || []).filter((key) => !watched.includes(key));
+    if (current && add.length === 0) return;
+
+    items.shows.push({ ...show, episodes: add });
+    const dateFollowed =
+      show.dateFollowed || new Date().toISOString().split("T")[0];
+    ops.push(episodesOp(show.id, dateFollowed, add));
+  });
+
+  const accountLists = account.lists || [];
+  let position = Math.max(-1, ...accountLists.map((l) => l.position ?? 0));
+  (incoming.lists || []).forEach((list) => {
+    const current = accountLists.find((item) => item.id === list.id);
+    const known = new Set((current?.items || []).map((item) => item.id));
+    const added = list.items.filter((item) => !known.has(item.id));
+    if (current && added.length === 0) return;
+
+    const merged = current
+      ? { ...current, items: [...current.items, ...added] }
+      : { ...list, position: ++position };
+    items.lists.push({ ...merged, items: added });
+    ops.push(listOp(list.id, merged));
+  });
+
+  const total = Object.values(items).reduce(
+    (sum, list) => sum + list.length,
+    0
+  );
+  return { ops, items, total };
+}
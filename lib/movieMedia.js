@@ -0,0 +1,120 @@
+// Crew departments in display order; others follow alphabetically
+const DEPARTMENT_ORDER = [
+  "Directing",
+  "Writing",
+  "Production",
+  "Camera",
+  "Editing",
+  "Sound",
+  "Art",
+  "Costume & Make-Up",
+  "Visual Effects",
+  "Lighting",
+  "Crew",
+];
+
+// Key crew roles summarized at the top of the detail page
+const KEY_CREW = [
+  { label: "Director", jobs: ["Director"] },
+  { label: "Writers", jobs: ["Screenplay", "Writer", "Story", "Novel"] },
+  { label: "Composer", jobs: ["Original Music Composer", "Music"] },
+  { label: "Cinematography", jobs: ["Director of Photography"] },
+];
+
+// Video types in order of preference for the main trailer
+const VIDEO_TYPES = ["Trailer", "Teaser", "Clip", "Featurette"];
+
+/**
+ * Groups a movie's crew by department, one entry per person with all their jobs
+ * @param {Array<Object>} crew - TMDB credits.crew
+ * @returns {Array<{department: string, people: Array<Object>}>} Departments in display order
+ */
+export function groupCrew(crew = []) {
+  const departments = new Map();
+  crew.forEach((member) => {
+    const people = departments.get(member.department) || new Map();
+    const person = people.get(member.id) || {
+      id: member.id,
+      name: member.name,
+      profile_path: member.profile_path || null,
+      jobs: [],
+    };
+    if (!person.jobs.includes(member.job)) person.jobs.push(member.job);
+    people.set(member.id, person);
+    departments.set(member.department, people);
+  });
+
+  const rank = (department) => {
+    const index = DEPARTMENT_ORDER.indexOf(department);
+    return index === -1 ? DEPARTMENT_ORDER.length : index;
+  };
+  return [...departments.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(([department, people]) => ({
+      department,
+      people: [...people.values()],
+    }));
+}
+
+/**
+ * Picks the director, writers, composer and cinematographer from the crew
+ * @param {Array<Object>} crew - TMDB credits.crew
+ * @returns {Array<{label: string, people: Array<{id: number, name: string}>}>}
+ *   Roles that have at least one person
+ */
+export function keyCrew(crew = []) {
+  return KEY_CREW.map(({ label, jobs }) => {
+    const people = new Map();
+    crew
+      .filter((member) => jobs.includes(member.job))
+      .forEach((member) =>
+        people.set(member.id, { id: member.id, name: member.name })
+      );
+    return { label, people: [...people.values()] };
+  }).filter((role) => role.people.length > 0);
+}
+
+/**
+ * Lists a movie's YouTube videos, best trailer first
+ * Official trailers come before unofficial ones and other video types;
+ * within a type, English and then newer videos win
+ *
+ * @param {Array<Object>} videos - TMDB videos.results
+ * @returns {Array<Object>} YouTube videos in order of preference
+ */
+export function rankVideos(videos = []) {
+  const typeRank = (video) => {
+    const index = VIDEO_TYPES.indexOf(video.type);
+    return index === -1 ? VIDEO_TYPES.length : index;
+  };
+  return videos
+    .filter((video) => video.site === "YouTube" && video.key)
+    .sort(
+      (a, b) =>
+        typeRank(a) - typeRank(b) ||
+        Number(Boolean(b.official)) - Number(Boolean(a.official)) ||
+        Number(b.iso_639_1 === "en") - Number(a.iso_639_1 === "en") ||
+        (b.published_at || "").localeCompare(a.published_at || "")
+    );
+}
+
+/**
+ * Returns the embed URL of a YouTube video (privacy-enhanced mode)
+ * @param {string} key - YouTube video key
+ * @param {boolean} autoplay - Start playing once loaded
+ * @returns {string} Embed URL
+ */
+export function youtubeEmbedUrl(key, autoplay = false) {
+  return `https://www.youtube-nocookie.com/embed/${encodeURIComponent(key)}${
+    autoplay ? "?autoplay=1" : ""
+  }`;
+}
+
+/**
+ * Returns the thumbnail URL of a YouTube video
+ * @param {string} key - YouTube video key
+ * @returns {string} Thumbnail URL
+ */
+export function youtubeThumbnailUrl(key) {
+  return `https://i.ytimg.com/vi/${encodeURIComponent(key)}/hqdefault.jpg`;
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_RATING_SCALE, RATING_SCALES } from "./ratings";
+import {
+  DEFAULT_REGION,
+  isValidRegion,
+  normalizeProviderIds,
+} from "./watchProviders";
+
+// Storage key for guest preferences
+export const PREFERENCES_KEY = "cinetracker-preferences";
+
+// Preferences every user starts with
+export const DEFAULT_PREFERENCES = {
+  ratingScale: DEFAULT_RATING_SCALE, // How ratings are shown and entered
+  region: DEFAULT_REGION, // Country used for streaming availability
+  providers: [], // TMDB IDs of the streaming services the user subscribes to
+};
+
+/**
+ * Fills in defaults and drops unknown or invalid preference values
+ * @param {Object} raw - Stored preferences (may be missing or partial)
+ * @returns {Object} Complete preferences
+ */
+export function normalizePreferences(raw) {
+  const prefs = { ...DEFAULT_PREFERENCES, ...(raw || {}) };
+  if (!RATING_SCALES.some((s) => s.value === prefs.ratingScale)) {
+    prefs.ratingScale = DEFAULT_RATING_SCALE;
+  }
+  if (!isValidRegion(prefs.region)) prefs.region = DEFAULT_REGION;
+  prefs.providers = normalizeProviderIds(prefs.providers);
+  return prefs;
+}
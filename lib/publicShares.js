@@ -0,0 +1,97 @@
+import { SHARE_TOKEN_PATTERN } from "./shares";
+
+// Seconds a public share page or feed is cached before it is fetched again
+const SHARE_REVALIDATE_SECONDS = 60;
+
+/**
+ * Converts a Firestore REST value into a plain JavaScript value
+ * @param {Object} value - Typed value, e.g. { stringValue: "Heat" }
+ * @returns {any} Plain value
+ */
+function fromFirestoreValue(value = {}) {
+  if ("stringValue" in value) return value.stringValue;
+  if ("integerValue" in value) return Number(value.integerValue);
+  if ("doubleValue" in value) return value.doubleValue;
+  if ("booleanValue" in value) return value.booleanValue;
+  if ("timestampValue" in value) return value.timestampValue;
+  if ("arrayValue" in value) {
+    return (value.arrayValue.values || []).map(fromFirestoreValue);
+  }
+  if ("mapValue" in value) return fromFirestoreFields(value.mapValue.fields);
+  return null;
+}
+
+/**
+ * Converts the fields of a Firestore REST document into an object
+ * @param {Object} fields - Typed fields
+ * @returns {Object} Plain object
+ */
+function fromFirestoreFields(fields = {}) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      fromFirestoreValue(value),
+    ])
+  );
+}
+
+/**
+ * Fetches a public document without signing in
+ * Runs on the server through Firestore's REST API, which the security rules
+ * allow for single public documents only; uses the local emulator when
+ * FIRESTORE_EMULATOR_HOST is set
+ *
+ * @param {string} collection - 'shares' or 'calendars'
+ * @param {string} token - Document token from the URL
+ * @returns {Promise<Object|null>} Document fields, or null if missing
+ * @throws {Error} If Firestore returns an error
+ */
+async function fetchPublicDocument(collection, token) {
+  const projectId = process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID;
+  if (!projectId || !SHARE_TOKEN_PATTERN.test(token || "")) return null;
+
+  const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+  const base = emulator
+    ? `http://${emulator}/v1`
+    : "https://firestore.googleapis.com/v1";
+  const url = `${base}/projects/${projectId}/databases/(default)/documents/${collection}/${token}`;
+
+  const res = await fetch(url, {
+    next: { revalidate: SHARE_REVALIDATE_SECONDS },
+  });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Firestore responded ${res.status}`);
+  return fromFirestoreFields((await res.json()).fields);
+}
+
+/**
+ * Fetches a public share without signing in
+ * Other failures are thrown rather than read as a missing share, so ISR keeps
+ * serving the last good render instead of caching a "not found" page
+ *
+ * @param {string} token - Share token from the URL
+ * @returns {Promise<Object|null>} Share contents, or null if the link is invalid or disabled
+ * @throws {Error} If Firestore can't be reached or returns an error
+ */
+export async function fetchPublicShare(token) {
+  const share = await fetchPublicDocument("shares", token);
+  return share && { ...share, items: share.items || [] };
+}
+
+/**
+ * Fetches the public data behind a calendar subscription feed
+ * @param {string} token - Feed token from the URL
+ * @returns {Promise<Object|null>} Feed contents (see buildCalendarFeed), or
+ *   null if the feed is invalid or disabled
+ * @throws {Error} If Firestore can't be reached or returns an error
+ */
+export async function fetchPublicCalendar(token) {
+  const feed = await fetchPublicDocument("calendars", token);
+  return (
+    feed && {
+      ...feed,
+      watchlist: feed.watchlist || [],
+      watched: feed.watched || [],
+    }
+  );
+}
@@ -0,0 +1,92 @@
+// Requests per minute the TMDB proxy allows from one IP unless
+// TMDB_PROXY_RATE_LIMIT says otherwise; roomy enough that browsing never
+// waits, while batch jobs (imports, release and stats lookups) are paced
+// by the client to stay under it
+export const DEFAULT_PROXY_RATE_LIMIT = 600;
+
+// Keys tracked before expired windows are swept, bounding memory use
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Creates an in-memory fixed-window rate limiter
+ * State lives in the server process, so each instance of a multi-instance
+ * deployment counts separately
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.limit - Requests allowed per window and key
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.now] - Clock (injectable for tests)
+ * @returns {Function} check(key) => { allowed, limit, remaining, resetAt }
+ */
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const windows = new Map(); // key => { count, resetAt }
+
+  const sweep = (time) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+  };
+
+  return function check(key) {
+    const time = now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= time) {
+      if (windows.size >= SWEEP_THRESHOLD) sweep(time);
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt,
+    };
+  };
+}
+
+/**
+ * Creates a client-side pacer that keeps requests under a rate limit
+ * Each call reserves the earliest start time that keeps at most `limit`
+ * starts in any window, so a batch of requests slows down instead of
+ * running into 429 responses
+ *
+ * @param {Object} options - Pacer options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.now] - Clock (injectable for tests)
+ * @returns {Function} reserve() => milliseconds to wait before starting
+ */
+export function createRequestPacer({ limit, windowMs, now = Date.now }) {
+  const starts = []; // Reserved start times, oldest first
+
+  return function reserve() {
+    const time = now();
+    while (starts.length && starts[0] <= time - windowMs) starts.shift();
+
+    const start =
+      starts.length < limit
+        ? time
+        : Math.max(time, starts[starts.length - limit] + windowMs);
+    starts.push(start);
+    return start - time;
+  };
+}
+
+/**
+ * Works out the client IP of a request behind a proxy or CDN
+ * Only trusts what the proxy in front of the app adds: x-real-ip (set by
+ * Vercel and typical nginx setups), else the last x-forwarded-for hop.
+ * Earlier x-forwarded-for values come from the client and can be forged
+ * to dodge the rate limit
+ *
+ * @param {Request} request - Incoming request
+ * @returns {string} Client IP, or "unknown"
+ */
+export function clientIp(request) {
+  const realIp = request.headers.get("x-real-ip")?.trim();
+  if (realIp) return realIp;
+  const forwarded = request.headers.get("x-forwarded-for");
+  const lastHop = forwarded?.split(",").at(-1).trim();
+  return lastHop || "unknown";
+}
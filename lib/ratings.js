@@ -0,0 +1,56 @@
+// Ratings are stored on a 0-10 scale (0 = unrated) whatever scale the user
+// picks, so stats, exports and imports don't depend on the display setting
+
+// Internal values a thumbs rating maps to; thumbs up covers 6 and above
+const THUMBS_UP = 8;
+const THUMBS_DOWN = 3;
+const THUMBS_THRESHOLD = 6;
+
+// Rating scales users can choose in their profile
+export const RATING_SCALES = [
+  { value: "stars", label: "5 stars (half stars allowed)" },
+  { value: "points", label: "10 points" },
+  { value: "thumbs", label: "Thumbs up / down" },
+];
+
+export const DEFAULT_RATING_SCALE = "stars";
+
+/**
+ * Converts a stored 0-10 rating to the value shown on a scale
+ * @param {number} rating - Stored rating (0-10, 0 = unrated)
+ * @param {string} scale - Rating scale (see RATING_SCALES)
+ * @returns {number} Stars (0-5 in halves), points (0-10) or thumbs (1 up, -1 down, 0 unrated)
+ */
+export function toScale(rating, scale) {
+  if (!rating) return 0;
+  if (scale === "thumbs") return rating >= THUMBS_THRESHOLD ? 1 : -1;
+  if (scale === "points") return Math.round(rating);
+  return Math.round(rating) / 2;
+}
+
+/**
+ * Converts a value picked on a scale to the stored 0-10 rating
+ * @param {number} value - Stars, points or thumbs (see toScale)
+ * @param {string} scale - Rating scale
+ * @returns {number} Stored rating (0-10, 0 = unrated)
+ */
+export function fromScale(value, scale) {
+  if (!value) return 0;
+  if (scale === "thumbs") return value > 0 ? THUMBS_UP : THUMBS_DOWN;
+  if (scale === "points") return Math.min(10, Math.max(1, Math.round(value)));
+  return Math.min(10, Math.max(1, Math.round(value * 2)));
+}
+
+/**
+ * Formats a stored rating for display on a scale
+ * @param {number} rating - Stored rating (0-10, 0 = unrated)
+ * @param {string} scale - Rating scale
+ * @returns {string} e.g. "4.5 stars", "9/10" or "Thumbs up"; "" when unrated
+ */
+export function formatRating(rating, scale) {
+  const value = toScale(rating, scale);
+  if (!value) return "";
+  if (scale === "thumbs") return value > 0 ? "Thumbs up" : "Thumbs down";
+  if (scale === "points") return `${value}/10`;
+  return `${value} ${value === 1 ? "star" : "stars"}`;
+}
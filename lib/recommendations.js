@@ -0,0 +1,276 @@
+import { formatRating } from "./ratings";
+import { nullIfNotFound } from "./tmdbErrors";
+
+// Stored rating (0-10) from which a watched film counts as "highly rated"
+export const HIGH_RATING = 7;
+
+// Number of seed titles whose recommendations are gathered
+const SEED_LIMIT = 10;
+
+// Number of top candidates whose credits are fetched for cast/crew overlap
+const CREDITS_LIMIT = 30;
+
+// Number of picks returned
+const RESULT_LIMIT = 40;
+
+// Number of TMDB requests run at once
+const BATCH_SIZE = 4;
+
+// Billing positions counted as a film's main cast
+const MAIN_CAST_SIZE = 5;
+
+// Weights of the score components (they add up to 1)
+const WEIGHTS = { seeds: 0.45, genres: 0.3, people: 0.15, recency: 0.1 };
+
+// Release age (years) after which a film gets no recency boost
+const RECENCY_YEARS = 40;
+
+/**
+ * Runs an async function over items a few at a time
+ * @param {Array} items - Items to process
+ * @param {Function} fn - Async function (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function inBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    results.push(
+      ...(await Promise.all(items.slice(i, i + BATCH_SIZE).map(fn)))
+    );
+  }
+  return results;
+}
+
+/**
+ * Picks the titles recommendations are gathered from: highly rated watched
+ * films and favorites, strongest and most recent first
+ *
+ * @param {Object} lists - User lists ({ watched, favorites })
+ * @returns {Array<{id: number, title: string, rating: number, favorite: boolean, weight: number}>}
+ *   Seeds with a 0-1 weight
+ */
+export function pickSeeds({ watched = [], favorites = [] }) {
+  const seeds = new Map();
+
+  watched
+    .filter((entry) => entry.rating >= HIGH_RATING)
+    .forEach((entry) =>
+      seeds.set(entry.id, {
+        id: entry.id,
+        title: entry.title,
+        rating: entry.rating,
+        favorite: false,
+        weight: entry.rating / 10,
+        date: entry.dateWatched || "",
+      })
+    );
+
+  favorites.forEach((entry) => {
+    const seed = seeds.get(entry.id);
+    seeds.set(entry.id, {
+      id: entry.id,
+      title: entry.title,
+      rating: seed?.rating || 0,
+      favorite: true,
+      weight: 1, // A favorite is as strong a signal as a 10/10
+      date: seed?.date || "",
+    });
+  });
+
+  return [...seeds.values()]
+    .sort((a, b) => b.weight - a.weight || b.date.localeCompare(a.date))
+    .slice(0, SEED_LIMIT);
+}
+
+/**
+ * Works out how much the user likes each genre from their watched films
+ * and favorites; higher-rated films count more
+ *
+ * @param {Object} lists - User lists ({ watched, favorites })
+ * @returns {Map<number, number>} Affinity per genre ID, 0-1 (1 = favorite genre)
+ */
+export function genreAffinity({ watched = [], favorites = [] }) {
+  const totals = new Map();
+  const add = (genreIds = [], weight) =>
+    genreIds.forEach((id) => totals.set(id, (totals.get(id) || 0) + weight));
+
+  // Unrated films count as mildly liked; low ratings count against a genre
+  watched.forEach((entry) =>
+    add(entry.genre_ids, entry.rating ? (entry.rating - 5) / 5 : 0.2)
+  );
+  favorites.forEach((entry) => add(entry.genre_ids, 1));
+
+  const max = Math.max(0, ...totals.values());
+  return new Map(
+    [...totals.entries()].map(([id, total]) => [
+      id,
+      max > 0 ? Math.max(0, total / max) : 0,
+    ])
+  );
+}
+
+/**
+ * Lists the directors and main cast of a film
+ * @param {Object} credits - TMDB credits ({ cast, crew })
+ * @returns {Array<{id: number, name: string, role: string}>} People with their role
+ */
+function keyPeople(credits) {
+  return [
+    ...(credits?.crew || [])
+      .filter((person) => person.job === "Director")
+      .map((person) => ({
+        id: person.id,
+        name: person.name,
+        role: "director",
+      })),
+    ...(credits?.cast || [])
+      .filter((person) => person.order < MAIN_CAST_SIZE)
+      .map((person) => ({ id: person.id, name: person.name, role: "cast" })),
+  ];
+}
+
+/**
+ * Explains why a film was picked
+ * @param {Object} seed - Strongest seed that recommended the film
+ * @param {Object|null} person - Favorite person in the film, if any
+ * @param {string} ratingScale - Scale used to show the seed's rating
+ * @returns {string} e.g. "Because you rated Heat 9/10 · Directed by Michael Mann"
+ */
+export function explainPick(seed, person, ratingScale) {
+  const because = seed.rating
+    ? `Because you rated ${seed.title} ${formatRating(seed.rating, ratingScale)}`
+    : `Because you favorited ${seed.title}`;
+  if (!person) return because;
+  return `${because} · ${
+    person.role === "director" ? "Directed by" : "With"
+  } ${person.name}`;
+}
+
+/**
+ * Scores a candidate film
+ * @param {Object} candidate - Candidate with movie, seeds and (optionally) people
+ * @param {Map<number, number>} genres - Genre affinity from genreAffinity
+ * @param {Map<number, number>} favoritePeople - Person ID -> number of seeds they appear in
+ * @param {number} year - Current year
+ * @returns {number} Score from 0 to 1
+ */
+export function scoreCandidate(candidate, genres, favoritePeople, year) {
+  const { movie, seeds, people = [] } = candidate;
+
+  // Several seeds recommending the same film is a strong signal
+  const seedScore = Math.min(
+    1,
+    seeds.reduce((sum, seed) => sum + seed.weight, 0) / 2
+  );
+
+  const genreIds = movie.genre_ids || [];
+  const genreScore = genreIds.length
+    ? genreIds.reduce((sum, id) => sum + (genres.get(id) || 0), 0) /
+      genreIds.length
+    : 0;
+
+  const overlap = people.filter((p) => favoritePeople.has(p.id)).length;
+  const peopleScore = Math.min(1, overlap / 2);
+
+  const released = parseInt((movie.release_date || "").slice(0, 4), 10);
+  const recencyScore = released
+    ? Math.max(0, 1 - (year - released) / RECENCY_YEARS)
+    : 0;
+
+  return (
+    WEIGHTS.seeds * seedScore +
+    WEIGHTS.genres * genreScore +
+    WEIGHTS.people * peopleScore +
+    WEIGHTS.recency * recencyScore
+  );
+}
+
+/**
+ * Builds "For You" picks from the user's lists
+ * Gathers TMDB recommendations for highly rated and favorited titles, drops
+ * anything already in a list, scores the rest by how many seeds suggested
+ * them, genre affinity, overlap with the cast/crew of the seeds and recency,
+ * and attaches an explanation to each pick
+ *
+ * @param {Object} lists - User lists ({ watchlist, watched, favorites })
+ * @param {Object} service - TMDB service (tmdbService, or a stub in tests)
+ * @param {Object} options - Options
+ * @param {string} options.ratingScale - Scale used in explanations
+ * @param {Date} options.now - Current date (injectable for tests)
+ * @param {AbortSignal} [options.signal] - Cancels the TMDB lookups
+ * @returns {Promise<Array<Object>>} TMDB movies, best first, each with reason and score
+ */
+export async function getRecommendations(
+  lists,
+  service,
+  { ratingScale, now = new Date(), signal } = {}
+) {
+  const seeds = pickSeeds(lists);
+  if (seeds.length === 0) return [];
+
+  const listed = new Set(
+    ["watchlist", "watched", "favorites"].flatMap((list) =>
+      (lists[list] || []).map((entry) => entry.id)
+    )
+  );
+
+  // Candidates from each seed, plus the people the user seems to like
+  const [recommendations, seedCredits] = await Promise.all([
+    inBatches(seeds, (seed) =>
+      nullIfNotFound(service.getMovieRecommendations(seed.id, 1, { signal }))
+    ),
+    inBatches(seeds, (seed) =>
+      nullIfNotFound(service.getMovieCredits(seed.id, { signal }))
+    ),
+  ]);
+
+  const favoritePeople = new Map();
+  seedCredits.forEach((credits) =>
+    new Set(keyPeople(credits).map((p) => p.id)).forEach((id) =>
+      favoritePeople.set(id, (favoritePeople.get(id) || 0) + 1)
+    )
+  );
+
+  const candidates = new Map();
+  recommendations.forEach((data, i) =>
+    (data?.results || [])
+      .filter((movie) => !listed.has(movie.id))
+      .forEach((movie) => {
+        const candidate = candidates.get(movie.id) || { movie, seeds: [] };
+        candidate.seeds.push(seeds[i]);
+        candidates.set(movie.id, candidate);
+      })
+  );
+
+  const genres = genreAffinity(lists);
+  const year = now.getFullYear();
+  const rank = (items) =>
+    items
+      .map((c) => ({
+        ...c,
+        score: scoreCandidate(c, genres, favoritePeople, year),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+  // Fetch credits only for the leading candidates, then rank again
+  const ranked = rank([...candidates.values()]);
+  const leaders = ranked.slice(0, CREDITS_LIMIT);
+  const credits = await inBatches(leaders, (c) =>
+    nullIfNotFound(service.getMovieCredits(c.movie.id, { signal }))
+  );
+  leaders.forEach((c, i) => {
+    c.people = keyPeople(credits[i]);
+  });
+
+  return rank(ranked)
+    .slice(0, RESULT_LIMIT)
+    .map((c) => {
+      const seed = [...c.seeds].sort((a, b) => b.weight - a.weight)[0];
+      const person = (c.people || []).find((p) => favoritePeople.has(p.id));
+      return {
+        ...c.movie,
+        reason: explainPick(seed, person || null, ratingScale),
+        score: Math.round(c.score * 100) / 100,
+      };
+    });
+}
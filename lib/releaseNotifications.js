@@ -0,0 +1,173 @@
+import { startOfDay } from "./releases";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Releases older than this when first seen are not announced (e.g. a
+// classic added to the watchlist years after it came out)
+export const ANNOUNCE_WINDOW = 7 * DAY;
+
+// Longest the scheduler sleeps, so it picks up clock changes and sleep/wake
+export const MAX_WAKE_DELAY = 6 * HOUR;
+
+// Notifications kept in the in-app list
+export const NOTIFICATION_LIMIT = 50;
+
+/**
+ * Real clock used outside tests; a fake with the same shape lets tests move
+ * time forward without waiting
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+/**
+ * Finds release events that should be announced now
+ * @param {Array<Object>} events - Release events (see buildReleaseEvents)
+ * @param {Set<string>} notified - IDs of events already announced
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} Events released within ANNOUNCE_WINDOW and not
+ *   yet announced
+ */
+export function dueEvents(events, notified, now) {
+  return events.filter((event) => {
+    if (notified.has(event.id)) return false;
+    const at = startOfDay(event.date);
+    return at <= now && now - at < ANNOUNCE_WINDOW;
+  });
+}
+
+/**
+ * Works out how long to wait before the next release is due
+ * @param {Array<Object>} events - Release events
+ * @param {Set<string>} notified - IDs of events already announced
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Delay in milliseconds, at most MAX_WAKE_DELAY
+ */
+export function nextWakeDelay(events, notified, now) {
+  const next = events
+    .filter((event) => !notified.has(event.id))
+    .map((event) => startOfDay(event.date))
+    .filter((at) => at > now)
+    .reduce((min, at) => Math.min(min, at), Infinity);
+  return Math.max(0, Math.min(next - now, MAX_WAKE_DELAY));
+}
+
+/**
+ * Creates a scheduler that announces releases as their day starts
+ * It checks immediately whenever events change, then sleeps until the next
+ * release (or MAX_WAKE_DELAY) and checks again
+ *
+ * @param {Object} options - Scheduler options
+ * @param {Function} options.onDue - Called with (events, now) for each batch
+ *   of releases that became due
+ * @param {Function} [options.onWake] - Called with (now) on every check
+ * @param {Object} [options.clock] - Clock (now/setTimeout/clearTimeout)
+ * @returns {{update: Function, stop: Function}} update(events, notifiedIds)
+ *   replaces the tracked events; stop() cancels the timer
+ */
+export function createReleaseScheduler({ onDue, onWake, clock = systemClock }) {
+  let events = [];
+  let notified = new Set();
+  let timer = null;
+
+  const check = () => {
+    timer = null;
+    const now = clock.now();
+    const due = dueEvents(events, notified, now);
+    due.forEach((event) => notified.add(event.id));
+    if (due.length) onDue(due, now);
+    if (onWake) onWake(now);
+    timer = clock.setTimeout(check, nextWakeDelay(events, notified, now));
+  };
+
+  const stop = () => {
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = null;
+  };
+
+  return {
+    update(nextEvents, notifiedIds = []) {
+      stop();
+      events = nextEvents;
+      notified = new Set(notifiedIds);
+      check();
+    },
+    stop,
+  };
+}
+
+/**
+ * Finds titles that newly arrived on the user's services since the last check
+ * Movies without a previous check only record a baseline, so turning the
+ * feature on doesn't announce everything already streaming
+ *
+ * @param {Object} previous - Provider IDs per movie ID from the last check
+ * @param {Object} current - Matching providers per movie ID (findOnServices)
+ * @returns {Array<{movieId: number, provider: Object}>} New arrivals
+ */
+export function serviceArrivals(previous, current) {
+  return Object.entries(current).flatMap(([movieId, providers]) => {
+    const before = previous?.[movieId];
+    if (!before) return [];
+    return providers
+      .filter((provider) => !before.includes(provider.provider_id))
+      .map((provider) => ({ movieId: Number(movieId), provider }));
+  });
+}
+
+/**
+ * Builds the in-app notification for a release event
+ * @param {Object} event - Release event
+ * @param {number} now - Time of the notification in milliseconds
+ * @returns {Object} Notification { id, title, body, href, at, read }
+ */
+export function releaseNotification(event, now) {
+  return {
+    id: `release:${event.id}`,
+    title: `${event.title} is out`,
+    body:
+      event.kind === "theatrical"
+        ? "Now showing in theaters."
+        : `${event.label} release is available now.`,
+    href: `/movie/${event.movieId}`,
+    at: now,
+    read: false,
+  };
+}
+
+/**
+ * Builds the in-app notification for a title arriving on a service
+ * @param {Object} movie - Movie snapshot (id, title)
+ * @param {Object} provider - TMDB provider (provider_id, provider_name)
+ * @param {number} now - Time of the notification in milliseconds
+ * @returns {Object} Notification { id, title, body, href, at, read }
+ */
+export function arrivalNotification(movie, provider, now) {
+  return {
+    id: `service:${movie.id}:${provider.provider_id}:${now}`,
+    title: `${movie.title} is on ${provider.provider_name}`,
+    body: "Now included with one of your streaming services.",
+    href: `/movie/${movie.id}`,
+    at: now,
+    read: false,
+  };
+}
+
+/**
+ * Adds notifications to the in-app list, newest first, dropping the oldest
+ * beyond NOTIFICATION_LIMIT
+ *
+ * @param {Array<Object>} items - Current notifications
+ * @param {Array<Object>} added - New notifications
+ * @returns {Array<Object>} Updated list
+ */
+export function addNotifications(items, added) {
+  const ids = new Set(added.map((item) => item.id));
+  return [...added, ...items.filter((item) => !ids.has(item.id))]
+    .sort((a, b) => b.at - a.at)
+    .slice(0, NOTIFICATION_LIMIT);
+}
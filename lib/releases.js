@@ -0,0 +1,206 @@
+import { nullIfNotFound } from "./tmdbErrors";
+
+// Kinds of release tracked, with the TMDB release types that count as each
+export const RELEASE_KINDS = [
+  { value: "theatrical", label: "In theaters", types: [2, 3] },
+  { value: "digital", label: "Digital", types: [4] },
+  { value: "physical", label: "Blu-ray & DVD", types: [5] },
+];
+
+// Release lookups run at once when loading a whole list
+const LOOKUP_BATCH_SIZE = 4;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How long after its first release a movie's releases are still tracked;
+// digital and disc releases follow theaters by months
+export const RELEASE_TRACKING_WINDOW = 365 * DAY;
+
+/**
+ * Lists a movie's releases in one region
+ * @param {Object} data - TMDB /movie/{id}/release_dates response ({ results })
+ * @param {string} region - ISO 3166-1 code
+ * @returns {Array<Object>} { kind, label, date (YYYY-MM-DD), note,
+ *   certification } sorted by date; other release types are left out
+ */
+export function regionReleases(data, region) {
+  const entry = data?.results?.find((r) => r.iso_3166_1 === region);
+  if (!entry) return [];
+  return (entry.release_dates || [])
+    .map((release) => {
+      const kind = RELEASE_KINDS.find((k) => k.types.includes(release.type));
+      if (!kind || !release.release_date) return null;
+      return {
+        kind: kind.value,
+        label: kind.label,
+        date: release.release_date.slice(0, 10),
+        note: release.note || "",
+        certification: release.certification || "",
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Picks the first date of each kind of release
+ * @param {Array<Object>} releases - Result of regionReleases
+ * @returns {Object} Date (YYYY-MM-DD) per kind, only for kinds that exist
+ */
+export function firstReleases(releases) {
+  const first = {};
+  releases.forEach((release) => {
+    if (!first[release.kind] || release.date < first[release.kind]) {
+      first[release.kind] = release.date;
+    }
+  });
+  return first;
+}
+
+/**
+ * Builds release events for a list of movies
+ * Each movie gets one event per kind of release, with an ID that stays the
+ * same if the date moves, so notifications and calendar entries don't repeat
+ *
+ * @param {Array<Object>} movies - Movie snapshots (id, title, poster_path)
+ * @param {Object} releaseData - release_dates responses keyed by movie ID
+ * @param {string} region - ISO 3166-1 code
+ * @returns {Array<Object>} { id, movieId, title, poster_path, kind, label,
+ *   date } sorted by date
+ */
+export function buildReleaseEvents(movies, releaseData, region) {
+  return movies
+    .flatMap((movie) => {
+      const first = firstReleases(
+        regionReleases(releaseData[movie.id], region)
+      );
+      return RELEASE_KINDS.filter((kind) => first[kind.value]).map((kind) => ({
+        id: `${movie.id}:${kind.value}`,
+        movieId: movie.id,
+        title: movie.title,
+        poster_path: movie.poster_path || null,
+        kind: kind.value,
+        label: kind.label,
+        date: first[kind.value],
+      }));
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Keeps the events on or after a day
+ * @param {Array<Object>} events - Release events
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {Array<Object>} Upcoming events in date order
+ */
+export function upcomingEvents(events, today) {
+  return events.filter((event) => event.date >= today);
+}
+
+/**
+ * Formats a Date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+export function toDateKey(date) {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+}
+
+/**
+ * Lays out a month as weeks of days for a calendar grid
+ * Weeks start on Sunday and include the trailing/leading days of the
+ * neighbouring months so every week is complete
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Array<Object>} events - Release events
+ * @returns {Array<Array<Object>>} Weeks of { date, day, inMonth, events }
+ */
+export function calendarMonth(year, month, events) {
+  const byDate = events.reduce((map, event) => {
+    (map[event.date] = map[event.date] || []).push(event);
+    return map;
+  }, {});
+
+  const first = new Date(year, month, 1);
+  const start = new Date(year, month, 1 - first.getDay());
+  const weeks = [];
+  for (let cursor = start; ;) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      const date = toDateKey(cursor);
+      week.push({
+        date,
+        day: cursor.getDate(),
+        inMonth: cursor.getMonth() === month,
+        events: byDate[date] || [],
+      });
+      cursor = new Date(
+        cursor.getFullYear(),
+        cursor.getMonth(),
+        cursor.getDate() + 1
+      );
+    }
+    weeks.push(week);
+    if (cursor.getMonth() !== month) break;
+  }
+  return weeks;
+}
+
+/**
+ * Returns the time at which a local calendar date starts
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {number} Milliseconds since the epoch at local midnight
+ */
+export function startOfDay(date) {
+  return new Date(`${date}T00:00:00`).getTime();
+}
+
+/**
+ * Counts whole days from today until a date
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} today - Local date (YYYY-MM-DD)
+ * @returns {number} Days until the date (0 = today)
+ */
+export function daysUntil(date, today) {
+  return Math.round((startOfDay(date) - startOfDay(today)) / DAY);
+}
+
+/**
+ * Checks whether a movie may still have releases to announce
+ * Uses the release date stored with the movie, so older titles need no
+ * lookup; movies without one are tracked until TMDB has a date
+ *
+ * @param {Object} movie - Movie snapshot (release_date)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the movie is unreleased or recently released
+ */
+export function tracksReleases(movie, now) {
+  if (!movie.release_date) return true;
+  return startOfDay(movie.release_date) > now - RELEASE_TRACKING_WINDOW;
+}
+
+/**
+ * Fetches release dates for every movie in a list
+ * @param {Array<Object>} movies - Movies to look up (only id is used)
+ * @param {Object} service - TMDB service (needs getReleaseDates)
+ * @param {Object} [options] - Request options ({ signal })
+ * @returns {Promise<Object>} release_dates responses keyed by movie ID;
+ *   null for movies TMDB no longer has
+ */
+export async function loadReleaseData(movies, service, options = {}) {
+  const data = {};
+  for (let i = 0; i < movies.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = movies.slice(i, i + LOOKUP_BATCH_SIZE);
+    const responses = await Promise.all(
+      batch.map((movie) =>
+        nullIfNotFound(service.getReleaseDates(movie.id, options))
+      )
+    );
+    batch.forEach((movie, j) => {
+      data[movie.id] = responses[j];
+    });
+  }
+  return data;
+}
@@ -0,0 +1,118 @@
+// Most movies copied into a public share (keeps the document well under
+// Firestore's 1 MB limit)
+export const SHARE_ITEM_LIMIT = 1000;
+
+// Share tokens are 32 lowercase hex characters
+export const SHARE_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+// Lists that can be shared besides custom lists
+const BUILT_IN_LISTS = { watchlist: "Watchlist", favorites: "Favorites" };
+
+// Prefix of the share key of a custom list
+const CUSTOM_LIST_PREFIX = "list_";
+
+/**
+ * Creates an unguessable share token
+ * @returns {string} 32 hex characters
+ */
+export function createShareToken() {
+  return crypto.randomUUID().replace(/-/g, "");
+}
+
+/**
+ * Returns the key a shared list is stored under in the user's `shares` map
+ * @param {string} list - 'watchlist', 'favorites' or a custom list ID
+ * @returns {string} Share key
+ */
+export function shareKey(list) {
+  return BUILT_IN_LISTS[list] ? list : `${CUSTOM_LIST_PREFIX}${list}`;
+}
+
+/**
+ * Returns the path of a public share page
+ * @param {string} token - Share token
+ * @returns {string} e.g. /share/3f2a…
+ */
+export function sharePath(token) {
+  return `/share/${token}`;
+}
+
+/**
+ * Copies only the public fields of a movie snapshot
+ * @param {Object} entry - List entry
+ * @returns {Object} Public movie fields (plus the note for custom list items)
+ */
+function publicItem(entry) {
+  const item = {
+    id: entry.id,
+    title: entry.title || "",
+    poster_path: entry.poster_path || null,
+    release_date: entry.release_date || "",
+    vote_average: entry.vote_average ?? null,
+  };
+  if (entry.note) item.note = entry.note;
+  return item;
+}
+
+/**
+ * Builds the public copy of a shared list from the user's data
+ * @param {Object} data - Normalized list data ({ watchlist, favorites, lists })
+ * @param {string} key - Share key (see shareKey)
+ * @param {string} ownerName - Display name shown on the page (may be empty)
+ * @returns {Object|null} Share contents, or null if the list no longer exists
+ */
+export function buildShare(data, key, ownerName = "") {
+  let share;
+  if (BUILT_IN_LISTS[key]) {
+    share = {
+      kind: key,
+      title: BUILT_IN_LISTS[key],
+      description: "",
+      items: data[key] || [],
+    };
+  } else {
+    const listId = key.slice(CUSTOM_LIST_PREFIX.length);
+    const list = (data.lists || []).find((item) => item.id === listId);
+    if (!list) return null;
+    share = {
+      kind: "list",
+      title: list.name,
+      description: list.description || "",
+      items: list.items,
+    };
+  }
+
+  return {
+    ...share,
+    ownerName,
+    count: share.items.length,
+    items: share.items.slice(0, SHARE_ITEM_LIMIT).map(publicItem),
+  };
+}
+
+/**
+ * Builds the heading of a public share page ("Sam's Watchlist")
+ * Custom lists keep their own name
+ *
+ * @param {Object} share - Share contents
+ * @returns {string} Heading
+ */
+export function shareHeading(share) {
+  return share.kind !== "list" && share.ownerName
+    ? `${share.ownerName}'s ${share.title}`
+    : share.title;
+}
+
+/**
+ * Hashes share contents so unchanged shares aren't rewritten
+ * @param {Object} share - Share contents from buildShare
+ * @returns {string} Short hash
+ */
+export function shareSignature(share) {
+  const text = JSON.stringify(share);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+}
@@ -0,0 +1,61 @@
+// How long a stored movie snapshot is trusted before it is refreshed from TMDB
+export const SNAPSHOT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Builds the compact movie snapshot stored in user lists
+ * Accepts either list results (genre_ids) or full details (genres, runtime)
+ * so list pages can render cards without a TMDB request per item
+ *
+ * @param {Object} movie - Movie data from any TMDB endpoint
+ * @returns {Object} Snapshot with id, display fields and a snapshotAt timestamp
+ */
+export function toSnapshot(movie) {
+  return {
+    id: movie.id,
+    title: movie.title || movie.name || "",
+    poster_path: movie.poster_path || null,
+    release_date: movie.release_date || "",
+    genre_ids: movie.genre_ids || (movie.genres || []).map((g) => g.id),
+    runtime: movie.runtime ?? null, // null until full details are fetched
+    vote_average: movie.vote_average ?? null,
+    snapshotAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Normalizes a stored list entry into object form
+ * Older documents stored bare movie IDs; those become { id } entries
+ * without snapshot data, which marks them stale
+ *
+ * @param {Object|number|string} entry - Stored list entry
+ * @returns {Object} Entry object with at least an id
+ */
+export function normalizeEntry(entry) {
+  return typeof entry === "object" && entry !== null ? entry : { id: entry };
+}
+
+/**
+ * Checks whether a list entry needs its snapshot refreshed
+ * Entries without snapshotAt (migrated IDs or title-less adds) are always
+ * stale, as are entries built from list results, which carry no runtime
+ *
+ * @param {Object} entry - Normalized list entry
+ * @param {number} now - Current time in milliseconds (injectable for tests)
+ * @returns {boolean} True if the snapshot is missing or too old
+ */
+export function isSnapshotStale(entry, now = Date.now()) {
+  if (!entry.snapshotAt || entry.runtime == null) return true;
+  return now - new Date(entry.snapshotAt).getTime() > SNAPSHOT_MAX_AGE_MS;
+}
+
+/**
+ * Merges a fresh snapshot into a list entry, keeping list-specific fields
+ * such as rating and dateWatched intact
+ *
+ * @param {Object} entry - Existing normalized entry
+ * @param {Object} snapshot - Fresh snapshot from toSnapshot
+ * @returns {Object} Updated entry
+ */
+export function applySnapshot(entry, snapshot) {
+  return { ...entry, ...snapshot, id: entry.id };
+}
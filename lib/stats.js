@@ -0,0 +1,144 @@
+import { getViewings } from "./diary";
+
+// Number of people/genres listed in "top" rankings
+const TOP_LIMIT = 5;
+
+// Billing positions counted as a film's main cast
+const MAIN_CAST_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts values and returns them sorted by count (then label)
+ * @param {Array<string|number>} values - Values to count
+ * @returns {Array<{key: string|number, count: number}>} Counts, most common first
+ */
+function countBy(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(b.key));
+}
+
+/**
+ * Averages numbers, ignoring an empty list
+ * @param {Array<number>} values - Numbers to average
+ * @returns {number|null} Average, or null when there are no values
+ */
+function average(values) {
+  return values.length
+    ? values.reduce((sum, v) => sum + v, 0) / values.length
+    : null;
+}
+
+/**
+ * Finds the longest run of consecutive days with at least one viewing
+ * @param {Array<string>} dates - Viewing dates (YYYY-MM-DD, any order, duplicates allowed)
+ * @returns {{days: number, start: string, end: string}} Longest streak (days is 0 when empty)
+ */
+export function longestStreak(dates) {
+  const days = [...new Set(dates)].sort();
+  let best = { days: 0, start: "", end: "" };
+  let start = 0;
+
+  days.forEach((day, i) => {
+    const gap = i ? (Date.parse(day) - Date.parse(days[i - 1])) / DAY_MS : 1;
+    if (gap !== 1) start = i;
+    if (i - start + 1 > best.days) {
+      best = { days: i - start + 1, start: days[start], end: day };
+    }
+  });
+  return best;
+}
+
+/**
+ * Counts viewings per month for the last 12 months, oldest first
+ * @param {Array<string>} dates - Viewing dates (YYYY-MM-DD)
+ * @param {Date} now - Current date (injectable for tests)
+ * @returns {Array<{key: string, count: number}>} 12 month buckets keyed YYYY-MM
+ */
+function lastTwelveMonths(dates, now) {
+  const months = Array.from({ length: 12 }, (_, i) => {
+    const d = new Date(now.getFullYear(), now.getMonth() - 11 + i, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+  });
+  const counts = new Map(
+    countBy(dates.map((d) => d.slice(0, 7))).map((c) => [c.key, c.count])
+  );
+  return months.map((key) => ({ key, count: counts.get(key) || 0 }));
+}
+
+/**
+ * Builds viewing statistics from the watched list
+ * Time and activity (hours, per month/year, streak) count every viewing, so
+ * rewatches add up; taste (genres, decades, ratings, people) counts each film once
+ *
+ * @param {Array<Object>} watched - Watched list entries (snapshots with viewings)
+ * @param {Object} options - Extra data
+ * @param {Map<number, Object>} options.credits - TMDB credits per movie ID ({ cast, crew }), may be partial
+ * @param {Map<number, string>} options.genreNames - Genre names per genre ID
+ * @param {Date} options.now - Current date (injectable for tests)
+ * @returns {Object} Stats: films, viewings, minutes, perMonth, perYear, genres,
+ *   decades, ratings, directors, actors, streak
+ */
+export function buildStats(
+  watched,
+  { credits = new Map(), genreNames = new Map(), now = new Date() } = {}
+) {
+  const viewings = watched.flatMap((entry) =>
+    getViewings(entry).map((viewing) => ({ entry, viewing }))
+  );
+  const dates = viewings.map(({ viewing }) => viewing.date).filter(Boolean);
+
+  // Ratings: the user's rating vs TMDB's, over films that have both
+  const rated = watched.filter((e) => e.rating > 0 && e.vote_average > 0);
+
+  // People from credits, counted once per film
+  const withCredits = watched.filter((e) => credits.has(e.id));
+  const directors = withCredits.flatMap((e) => [
+    ...new Set(
+      (credits.get(e.id).crew || [])
+        .filter((person) => person.job === "Director")
+        .map((person) => person.name)
+    ),
+  ]);
+  const actors = withCredits.flatMap((e) => [
+    ...new Set(
+      (credits.get(e.id).cast || [])
+        .filter((person) => person.order < MAIN_CAST_SIZE)
+        .map((person) => person.name)
+    ),
+  ]);
+
+  return {
+    films: watched.length,
+    viewings: viewings.length,
+    minutes: viewings.reduce((sum, { entry }) => sum + (entry.runtime || 0), 0),
+    // Films whose runtime isn't known yet (snapshot not refreshed)
+    missingRuntime: watched.filter((e) => !e.runtime).length,
+    perMonth: lastTwelveMonths(dates, now),
+    perYear: countBy(dates.map((d) => d.slice(0, 4))).sort((a, b) =>
+      a.key.localeCompare(b.key)
+    ),
+    genres: countBy(watched.flatMap((e) => e.genre_ids || []))
+      .slice(0, TOP_LIMIT * 2)
+      .map((g) => ({ ...g, label: genreNames.get(g.key) || `Genre ${g.key}` })),
+    decades: countBy(
+      watched
+        .filter((e) => e.release_date)
+        .map(
+          (e) => `${Math.floor(Number(e.release_date.slice(0, 4)) / 10) * 10}s`
+        )
+    ).sort((a, b) => a.key.localeCompare(b.key)),
+    ratings: {
+      count: rated.length,
+      user: average(rated.map((e) => e.rating)),
+      tmdb: average(rated.map((e) => e.vote_average)),
+    },
+    directors: countBy(directors).slice(0, TOP_LIMIT),
+    actors: countBy(actors).slice(0, TOP_LIMIT),
+    creditsLoaded: withCredits.length,
+    streak: longestStreak(dates),
+  };
+}
@@ -0,0 +1,102 @@
+import { tmdbService } from "./tmdb";
+import { formatYear, truncateText } from "./utils";
+
+// Cast members listed as actors in structured data
+const JSON_LD_ACTORS = 10;
+
+// Search engines cut meta descriptions at around this length
+const DESCRIPTION_LENGTH = 160;
+
+/**
+ * Title of a movie with its release year, e.g. "Heat (1995)"
+ * @param {Object} movie - TMDB movie details
+ * @returns {string} Display title
+ */
+export function movieTitleWithYear(movie) {
+  return movie.release_date
+    ? `${movie.title} (${formatYear(movie.release_date)})`
+    : movie.title;
+}
+
+/**
+ * Short description of a movie for meta tags and link previews
+ * @param {Object} movie - TMDB movie details
+ * @returns {string} Overview cut to meta description length
+ */
+export function movieDescription(movie) {
+  return movie.overview
+    ? truncateText(movie.overview, DESCRIPTION_LENGTH)
+    : `${movieTitleWithYear(movie)} on CineTracker: cast, crew, trailers and where to watch.`;
+}
+
+/**
+ * Converts a runtime in minutes to an ISO 8601 duration
+ * @param {number} minutes - Runtime in minutes
+ * @returns {string|undefined} e.g. "PT2H10M"
+ */
+function isoDuration(minutes) {
+  if (!minutes) return undefined;
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `PT${hours ? `${hours}H` : ""}${mins ? `${mins}M` : ""}`;
+}
+
+/**
+ * Builds schema.org Movie structured data for a detail page
+ * Fields TMDB doesn't have are left out rather than sent empty
+ *
+ * @param {Object} movie - TMDB movie details with appended credits
+ * @param {string} url - Absolute URL of the detail page
+ * @returns {Object} JSON-LD object
+ */
+export function movieJsonLd(movie, url) {
+  const person = ({ name, id }) => ({
+    "@type": "Person",
+    name,
+    url: new URL(`/person/${id}`, url).toString(),
+  });
+  const directors = (movie.credits?.crew || []).filter(
+    (member) => member.job === "Director"
+  );
+  const actors = (movie.credits?.cast || []).slice(0, JSON_LD_ACTORS);
+
+  const data = {
+    "@context": "https://schema.org",
+    "@type": "Movie",
+    name: movie.title,
+    url,
+    description: movie.overview || undefined,
+    image: tmdbService.getPosterUrl(movie.poster_path) || undefined,
+    datePublished: movie.release_date || undefined,
+    duration: isoDuration(movie.runtime),
+    genre: movie.genres?.map((g) => g.name),
+    director: directors.length ? directors.map(person) : undefined,
+    actor: actors.length ? actors.map(person) : undefined,
+    sameAs: movie.imdb_id
+      ? `https://www.imdb.com/title/${movie.imdb_id}/`
+      : undefined,
+  };
+
+  if (movie.vote_count > 0) {
+    data.aggregateRating = {
+      "@type": "AggregateRating",
+      ratingValue: Number(movie.vote_average.toFixed(1)),
+      ratingCount: movie.vote_count,
+      bestRating: 10,
+      worstRating: 0,
+    };
+  }
+
+  return data;
+}
+
+/**
+ * Serializes JSON-LD for an inline script tag
+ * "<" is escaped so text from TMDB can't close the script element
+ *
+ * @param {Object} data - JSON-LD object
+ * @returns {string} Script contents
+ */
+export function serializeJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
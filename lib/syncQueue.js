@@ -0,0 +1,214 @@
+import { sortLists } from "./customLists";
+
+// localStorage key prefix for each user's pending Firestore writes
+const QUEUE_PREFIX = "cinetracker-pending-ops:";
+
+/**
+ * Creates a timestamped operation with a unique ID
+ * @param {string} kind - Operation kind ('entry', 'episodes', 'unfollow' or 'list')
+ * @param {Object} fields - Operation-specific fields
+ * @returns {Object} Operation
+ */
+function createOp(kind, fields) {
+  const at = Date.now();
+  return {
+    id: `${at}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    at,
+    ...fields,
+  };
+}
+
+/**
+ * Creates a list operation that adds, replaces or removes one movie entry
+ * The entry is stamped with updatedAt so replays can detect newer server data
+ *
+ * @param {string} list - List name ('watchlist', 'watched' or 'favorites')
+ * @param {string|number} itemId - Movie ID
+ * @param {Object|null} entry - New entry, or null to remove the movie
+ * @returns {Object} Operation
+ */
+export function entryOp(list, itemId, entry) {
+  const op = createOp("entry", { list, itemId, entry: null });
+  if (entry) op.entry = { ...entry, updatedAt: op.at };
+  return op;
+}
+
+/**
+ * Creates an operation that marks episodes of a show watched or unwatched
+ * Following a show is an episodes operation with nothing to add or remove
+ *
+ * @param {string|number} showId - TV show ID
+ * @param {string} dateFollowed - Follow date (YYYY-MM-DD)
+ * @param {Array<string>} add - Episode keys to mark as watched
+ * @param {Array<string>} remove - Episode keys to mark as unwatched
+ * @returns {Object} Operation
+ */
+export function episodesOp(showId, dateFollowed, add = [], remove = []) {
+  return createOp("episodes", { showId, dateFollowed, add, remove });
+}
+
+/**
+ * Creates an operation that unfollows a show and drops its progress
+ * @param {string|number} showId - TV show ID
+ * @returns {Object} Operation
+ */
+export function unfollowOp(showId) {
+  return createOp("unfollow", { showId });
+}
+
+/**
+ * Creates an operation that saves or deletes a whole custom list
+ * Lists are written as one unit (name, description, ordered items), so the
+ * list is stamped with updatedAt for conflict checks like movie entries
+ *
+ * @param {string} listId - Custom list ID
+ * @param {Object|null} list - New list contents, or null to delete the list
+ * @returns {Object} Operation
+ */
+export function listOp(listId, list) {
+  const op = createOp("list", { listId, list: null });
+  if (list) op.list = { ...list, updatedAt: op.at };
+  return op;
+}
+
+/**
+ * Applies an operation to in-memory list data
+ * Used for optimistic updates and to keep queued changes visible on top of
+ * the server copy until they have been written
+ *
+ * @param {Object} data - Normalized list data
+ * @param {Object} op - Operation
+ * @returns {Object} Updated list data
+ */
+export function applyOp(data, op) {
+  if (op.kind === "entry") {
+    const list = data[op.list];
+    if (!op.entry) {
+      return {
+        ...data,
+        [op.list]: list.filter((item) => item.id !== op.itemId),
+      };
+    }
+    // Replace in place so edits (e.g. ratings) don't reorder the list
+    return {
+      ...data,
+      [op.list]: list.some((item) => item.id === op.itemId)
+        ? list.map((item) => (item.id === op.itemId ? op.entry : item))
+        : [...list, op.entry],
+    };
+  }
+
+  if (op.kind === "list") {
+    const others = data.lists.filter((list) => list.id !== op.listId);
+    return {
+      ...data,
+      lists: op.list
+        ? sortLists([...others, { ...op.list, id: op.listId }])
+        : others,
+    };
+  }
+
+  const rest = data.shows.filter((item) => item.id !== op.showId);
+  if (op.kind === "unfollow") return { ...data, shows: rest };
+
+  const existing = data.shows.find((item) => item.id === op.showId);
+  const episodes = (existing?.episodes || []).filter(
+    (key) => !op.remove.includes(key) && !op.add.includes(key)
+  );
+  return {
+    ...data,
+    shows: [
+      ...rest,
+      {
+        id: op.showId,
+        dateFollowed: existing?.dateFollowed || op.dateFollowed,
+        episodes: [...episodes, ...op.add],
+      },
+    ],
+  };
+}
+
+/**
+ * Adds an operation to the queue, collapsing superseded ones
+ * A later entry operation for the same movie (or list operation for the
+ * same custom list) replaces the earlier one, and unfollowing a show drops
+ * its queued episode changes
+ *
+ * @param {Array<Object>} ops - Queued operations, oldest first
+ * @param {Object} op - New operation
+ * @returns {Array<Object>} Updated queue
+ */
+export function enqueueOp(ops, op) {
+  const kept = ops.filter((queued) => {
+    if (op.kind === "entry") {
+      return !(
+        queued.kind === "entry" &&
+        queued.list === op.list &&
+        queued.itemId === op.itemId
+      );
+    }
+    if (op.kind === "list") {
+      return !(queued.kind === "list" && queued.listId === op.listId);
+    }
+    if (op.kind === "unfollow") return queued.showId !== op.showId;
+    return true;
+  });
+  return [...kept, op];
+}
+
+/**
+ * Reads a user's queued operations from localStorage
+ * @param {string} uid - Firebase user ID
+ * @returns {Array<Object>} Queued operations, oldest first
+ */
+export function readQueue(uid) {
+  try {
+    const saved = localStorage.getItem(QUEUE_PREFIX + uid);
+    return saved ? JSON.parse(saved) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves a user's queued operations to localStorage
+ * @param {string} uid - Firebase user ID
+ * @param {Array<Object>} ops - Operations to persist
+ */
+export function writeQueue(uid, ops) {
+  try {
+    if (ops.length) {
+      localStorage.setItem(QUEUE_PREFIX + uid, JSON.stringify(ops));
+    } else {
+      localStorage.removeItem(QUEUE_PREFIX + uid);
+    }
+  } catch (error) {
+    console.error("Error saving pending changes:", error);
+  }
+}
+
+/**
+ * Removes written operations from a user's queue
+ * Re-reads storage so operations queued meanwhile (or by another tab) are kept
+ *
+ * @param {string} uid - Firebase user ID
+ * @param {Array<string>} ids - IDs of operations that reached Firestore
+ * @returns {Array<Object>} Remaining operations
+ */
+export function dequeueOps(uid, ids) {
+  const remaining = readQueue(uid).filter((op) => !ids.includes(op.id));
+  writeQueue(uid, remaining);
+  return remaining;
+}
+
+/**
+ * Returns the newest updatedAt among stored items (0 if none are stamped)
+ * Items written before the queue existed have no timestamp and always lose
+ *
+ * @param {Array<Object>} items - Stored entries or show progress
+ * @returns {number} Timestamp in milliseconds
+ */
+export function newestUpdate(items) {
+  return Math.max(0, ...items.map((item) => item?.updatedAt || 0));
+}
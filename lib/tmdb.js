@@ -1,64 +1,279 @@
+import { DEFAULT_PROXY_RATE_LIMIT, createRequestPacer } from "./rateLimit";
+import { TMDBCache, buildCacheKey, getTTL } from "./tmdbCache";
+import {
+  TMDBError,
+  TMDB_ERROR_CODES,
+  backoffDelay,
+  errorCodeForStatus,
+  parseRetryAfter,
+} from "./tmdbErrors";
+
 // TMDB API base URLs - constants for consistent API access
 const TMDB_BASE_URL = "https://api.themoviedb.org/3"; // Main API endpoint for data requests
 const TMDB_IMAGE_BASE_URL = "https://image.tmdb.org/t/p"; // CDN endpoint for movie images/posters
+const TMDB_PROXY_URL = "/api/tmdb"; // App route that adds the key to browser requests
+
+// Retry and timeout defaults for TMDB requests
+const RETRY_DEFAULTS = {
+  retries: 3, // Extra attempts after the first failure
+  baseDelay: 500, // Wait before the first retry (ms), doubled each time
+  maxDelay: 8000, // Longest wait between attempts (ms), Retry-After included
+  timeout: 10000, // Per-attempt request timeout (ms)
+};
+
+// Share of the proxy's per-minute limit browsers use; the rest absorbs
+// latency shifting requests between the proxy's windows and other tabs
+const PROXY_PACE_SHARE = 0.9;
+
+/**
+ * Waits for a delay, stopping early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Resolves after the delay; rejects on abort
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
 
 /**
  * Service class for interacting with The Movie Database (TMDB) API
  * Provides methods for fetching movie data, images, and handling API responses
  * Includes error handling, parameter validation, and graceful fallbacks
+ *
+ * Data methods throw a TMDBError (see lib/tmdbErrors) when a request fails,
+ * and take an options object ({ signal }) as their last argument so
+ * components can cancel requests when they unmount
+ *
+ * In demo mode (no key, or DEMO_MODE set when building) responses come from
+ * the bundled fixtures in lib/fixtures/tmdb instead of TMDB
+ *
+ * The app uses the tmdbService singleton; the class is exported for tests
  */
-class TMDBService {
+export class TMDBService {
   constructor() {
-    // Load API key from environment variables
-    this.apiKey = process.env.NEXT_PUBLIC_TMDB_API_KEY;
-    this.baseURL = TMDB_BASE_URL;
+    // Browsers go through the proxy route so the API key never leaves the
+    // server; server code (route handlers, server components) calls TMDB
+    // directly with the server-only key
+    this.isBrowser = typeof window !== "undefined";
+    this.apiKey = this.isBrowser ? null : process.env.TMDB_API_KEY;
+    this.baseURL = this.isBrowser
+      ? TMDB_PROXY_URL
+      : process.env.TMDB_API_URL || TMDB_BASE_URL;
     this.imageBaseURL = TMDB_IMAGE_BASE_URL;
+    // Recorded by the build (see next.config.mjs)
+    this.demo = process.env.NEXT_PUBLIC_TMDB_DEMO === "true";
+    // Response cache with per-endpoint TTLs; tagged with the mode so fixture
+    // responses aren't served after switching to a real key (or back)
+    this.cache = new TMDBCache({ mode: this.demo ? "demo" : "live" });
+    this.retry = { ...RETRY_DEFAULTS }; // Adjustable in tests
+    // Browsers pace requests below the proxy's per-IP limit, so batch
+    // lookups (imports, release dates, stats) queue up instead of failing
+    // with "Too many requests"
+    const proxyLimit =
+      Number(process.env.NEXT_PUBLIC_TMDB_RATE_LIMIT) ||
+      DEFAULT_PROXY_RATE_LIMIT;
+    this.pace = this.isBrowser
+      ? createRequestPacer({
+          limit: Math.max(1, Math.floor(proxyLimit * PROXY_PACE_SHARE)),
+          windowMs: 60 * 1000,
+        })
+      : null;
   }
 
   /**
    * Core method for making requests to TMDB API with error handling
-   * Automatically appends API key and formats parameters
+   * Serves cached responses when fresh and shares one request between
+   * identical concurrent calls
    * @param {string} endpoint - API endpoint path (e.g., '/movie/popular')
    * @param {Object} params - Additional query parameters
-   * @returns {Promise<Object|null>} API response data or null on error
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. on unmount)
+   * @returns {Promise<Object>} API response data
+   * @throws {TMDBError} When the request fails
    */
-  async fetchFromTMDB(endpoint, params = {}) {
-    // Early return with warning if API key is missing
-    if (!this.apiKey) {
-      console.warn("TMDB API key not found. Using mock data.");
-      return null;
-    }
+  async fetchFromTMDB(endpoint, params = {}, { signal } = {}) {
+    // Browsers get demo fixtures through the proxy, like live data
+    const load =
+      this.demo && !this.isBrowser
+        ? () => this.requestFromDemo(endpoint, params)
+        : (requestSignal) =>
+            this.requestWithRetry(endpoint, params, requestSignal);
 
-    try {
-      // Construct URL with base endpoint
-      const url = new URL(`${this.baseURL}${endpoint}`);
+    return await this.cache.getOrLoad(
+      buildCacheKey(endpoint, params),
+      getTTL(endpoint),
+      load,
+      { signal }
+    );
+  }
 
-      // Always include API key in requests
-      url.searchParams.append("api_key", this.apiKey);
+  /**
+   * Checks whether responses come from the bundled demo fixtures
+   * @returns {boolean} True in demo mode
+   */
+  isDemo() {
+    return this.demo;
+  }
 
-      // Add additional parameters, filtering out null/undefined values
-      Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          url.searchParams.append(key, value.toString());
-        }
-      });
+  /**
+   * Answers a request from the demo fixtures
+   * Loaded on demand so the fixtures stay out of the browser bundle
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Additional query parameters
+   * @returns {Promise<Object>} Fixture response data
+   * @throws {TMDBError} With code not_found for anything not in the fixtures
+   */
+  async requestFromDemo(endpoint, params) {
+    const { demoResponse } = await import("./tmdbDemo");
+    return demoResponse(endpoint, params);
+  }
+
+  /**
+   * Runs a request, retrying rate limits, server errors, timeouts and
+   * network failures with exponential backoff
+   * In the browser every attempt first waits for a slot under the proxy's
+   * rate limit
+   * A Retry-After longer than the longest wait fails straight away rather
+   * than leaving the UI hanging
+   *
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Additional query parameters
+   * @param {AbortSignal} [signal] - Cancels the request and pending retries
+   * @returns {Promise<Object>} API response data
+   * @throws {TMDBError} Once retries are used up or for non-retryable errors
+   */
+  async requestWithRetry(endpoint, params, signal) {
+    const { retries, baseDelay, maxDelay } = this.retry;
 
-      // Make HTTP request to TMDB API
-      const response = await fetch(url.toString());
+    for (let attempt = 0; ; attempt++) {
+      // Waiting for a slot doesn't count towards the request timeout
+      const wait = this.pace ? this.pace() : 0;
+      if (wait > 0) await sleep(wait, signal);
+      try {
+        return await this.requestFromTMDB(endpoint, params, signal);
+      } catch (error) {
+        if (!(error instanceof TMDBError) || !error.retryable) throw error;
+        if (attempt >= retries) throw error;
 
-      // Check for HTTP errors and throw descriptive error
-      if (!response.ok) {
-        throw new Error(
-          `TMDB API error: ${response.status} ${response.statusText}`
-        );
+        const delay = backoffDelay(attempt, {
+          baseDelay,
+          maxDelay,
+          retryAfter: error.retryAfter,
+        });
+        if (delay > maxDelay) throw error;
+        await sleep(delay, signal);
       }
+    }
+  }
 
-      // Parse and return JSON response
-      return await response.json();
+  /**
+   * Performs the actual network request to TMDB (or the proxy route)
+   * Appends the API key on the server and formats parameters
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} params - Additional query parameters
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<Object>} API response data
+   * @throws {TMDBError} With the HTTP status, or code timeout/network when no
+   *   response arrived; an AbortError when cancelled
+   */
+  async requestFromTMDB(endpoint, params = {}, signal) {
+    // Construct URL with base endpoint (the proxy path is relative)
+    const url = new URL(
+      `${this.baseURL}${endpoint}`,
+      this.isBrowser ? window.location.origin : undefined
+    );
+
+    // The proxy adds the key itself
+    if (this.apiKey) url.searchParams.append("api_key", this.apiKey);
+
+    // Add additional parameters, filtering out null/undefined values
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, value.toString());
+      }
+    });
+
+    // Abort on the caller's signal or once the timeout passes
+    const controller = new AbortController();
+    const timedOut = new Error("TMDB request timed out");
+    const timer = setTimeout(
+      () => controller.abort(timedOut),
+      this.retry.timeout
+    );
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let response;
+    try {
+      // Make HTTP request to TMDB API; on the server, Next's data cache keeps
+      // responses as long as the client cache would (shared by ISR renders)
+      response = await fetch(url.toString(), {
+        signal: controller.signal,
+        ...(this.isBrowser
+          ? {}
+          : { next: { revalidate: Math.round(getTTL(endpoint) / 1000) } }),
+      });
     } catch (error) {
-      console.error("TMDB API Error:", error);
-      return null; // Return null to allow graceful fallback handling
+      if (controller.signal.reason === timedOut) {
+        throw new TMDBError(timedOut.message, {
+          code: TMDB_ERROR_CODES.TIMEOUT,
+          cause: error,
+        });
+      }
+      if (signal?.aborted) throw error; // Cancelled by the caller
+      throw new TMDBError("Couldn't reach TMDB", {
+        code: TMDB_ERROR_CODES.NETWORK,
+        cause: error,
+      });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
     }
+
+    if (!response.ok) {
+      // TMDB (and the proxy) explain errors in status_message
+      const body = await response.json().catch(() => null);
+      throw new TMDBError(
+        body?.status_message ||
+          `TMDB API error: ${response.status} ${response.statusText}`,
+        {
+          code: errorCodeForStatus(response.status),
+          status: response.status,
+          retryAfter: parseRetryAfter(response.headers.get("Retry-After")),
+        }
+      );
+    }
+
+    // Parse and return JSON response
+    return await response.json();
+  }
+
+  /**
+   * Returns response cache statistics (hits, misses, deduped requests, sizes)
+   * @returns {Object} Cache stats
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * Drops cached responses so the next request goes to the network
+   * @param {string} [endpoint] - Endpoint prefix to clear (e.g. '/movie/550'); clears everything if omitted
+   * @returns {Promise<void>}
+   */
+  async invalidateCache(endpoint) {
+    await this.cache.invalidate(endpoint);
   }
 
   /**
@@ -106,75 +321,331 @@ class TMDBService {
    * Fetch trending content across different media types and time windows
    * @param {string} mediaType - Content type: 'all', 'movie', 'tv', 'person'
    * @param {string} timeWindow - Time period: 'day' or 'week'
-   * @returns {Promise<Object|null>} Trending content data
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Trending content data
    */
-  async getTrending(mediaType = "all", timeWindow = "week") {
-    return await this.fetchFromTMDB(`/trending/${mediaType}/${timeWindow}`);
+  async getTrending(mediaType = "all", timeWindow = "week", options = {}) {
+    return await this.fetchFromTMDB(
+      `/trending/${mediaType}/${timeWindow}`,
+      {},
+      options
+    );
   }
 
   /**
    * Fetch popular movies with pagination support
    * @param {number} page - Page number for results (defaults to 1)
-   * @returns {Promise<Object|null>} Popular movies data with results array
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Popular movies data with results array
    */
-  async getPopularMovies(page = 1) {
-    return await this.fetchFromTMDB("/movie/popular", { page });
+  async getPopularMovies(page = 1, options = {}) {
+    return await this.fetchFromTMDB("/movie/popular", { page }, options);
   }
 
   /**
    * Fetch top-rated movies based on user ratings
    * @param {number} page - Page number for results
-   * @returns {Promise<Object|null>} Top-rated movies data
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Top-rated movies data
    */
-  async getTopRatedMovies(page = 1) {
-    return await this.fetchFromTMDB("/movie/top_rated", { page });
+  async getTopRatedMovies(page = 1, options = {}) {
+    return await this.fetchFromTMDB("/movie/top_rated", { page }, options);
   }
 
   /**
    * Fetch upcoming movie releases
    * @param {number} page - Page number for results
-   * @returns {Promise<Object|null>} Upcoming movies data
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Upcoming movies data
    */
-  async getUpcomingMovies(page = 1) {
-    return await this.fetchFromTMDB("/movie/upcoming", { page });
+  async getUpcomingMovies(page = 1, options = {}) {
+    return await this.fetchFromTMDB("/movie/upcoming", { page }, options);
   }
 
   /**
    * Fetch movies currently playing in theaters
    * @param {number} page - Page number for results
-   * @returns {Promise<Object|null>} Now playing movies data
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Now playing movies data
    */
-  async getNowPlayingMovies(page = 1) {
-    return await this.fetchFromTMDB("/movie/now_playing", { page });
+  async getNowPlayingMovies(page = 1, options = {}) {
+    return await this.fetchFromTMDB("/movie/now_playing", { page }, options);
   }
 
   /**
    * Fetch detailed information for a specific movie
-   * Includes additional data like cast, videos, reviews, and recommendations
+   * Includes additional data like cast, videos, images, reviews, and recommendations
    * @param {string|number} movieId - TMDB movie ID
-   * @returns {Promise<Object|null>} Detailed movie data with appended responses
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Detailed movie data with appended responses
    */
-  async getMovieDetails(movieId) {
-    return await this.fetchFromTMDB(`/movie/${movieId}`, {
-      // Request additional related data in single API call for efficiency
-      append_to_response: "credits,videos,reviews,similar,recommendations",
-    });
+  async getMovieDetails(movieId, options = {}) {
+    return await this.fetchFromTMDB(
+      `/movie/${movieId}`,
+      {
+        // Request additional related data in single API call for efficiency
+        append_to_response:
+          "credits,videos,reviews,similar,recommendations,images,release_dates",
+        // Keep English and text-free images so the gallery isn't flooded
+        include_image_language: "en,null",
+      },
+      options
+    );
+  }
+
+  /**
+   * Fetch core details for a specific movie without appended responses
+   * Much lighter than getMovieDetails; used to refresh list snapshots
+   * @param {string|number} movieId - TMDB movie ID
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Movie details (title, poster, genres, runtime, etc.)
+   */
+  async getMovieSummary(movieId, options = {}) {
+    return await this.fetchFromTMDB(`/movie/${movieId}`, {}, options);
+  }
+
+  /**
+   * Fetch the cast and crew of a specific movie
+   * @param {string|number} movieId - TMDB movie ID
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Credits with cast and crew arrays
+   */
+  async getMovieCredits(movieId, options = {}) {
+    return await this.fetchFromTMDB(`/movie/${movieId}/credits`, {}, options);
+  }
+
+  /**
+   * Fetch TMDB's recommendations for a specific movie
+   * @param {string|number} movieId - TMDB movie ID
+   * @param {number} page - Page number for paginated results
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Recommended movies data
+   */
+  async getMovieRecommendations(movieId, page = 1, options = {}) {
+    return await this.fetchFromTMDB(
+      `/movie/${movieId}/recommendations`,
+      { page },
+      options
+    );
+  }
+
+  /**
+   * Fetch a movie's release dates in every region
+   * Each region lists premieres, theatrical, digital, physical and TV releases
+   * @param {string|number} movieId - TMDB movie ID
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Release dates grouped by region in results
+   */
+  async getReleaseDates(movieId, options = {}) {
+    return await this.fetchFromTMDB(
+      `/movie/${movieId}/release_dates`,
+      {},
+      options
+    );
+  }
+
+  /**
+   * Fetch where a movie can be streamed, rented or bought, for every region
+   * Data comes from JustWatch via TMDB
+   * @param {string|number} movieId - TMDB movie ID
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Providers keyed by region in results
+   */
+  async getWatchProviders(movieId, options = {}) {
+    return await this.fetchFromTMDB(
+      `/movie/${movieId}/watch/providers`,
+      {},
+      options
+    );
+  }
+
+  /**
+   * Fetch the streaming services available in a region
+   * @param {string} region - ISO 3166-1 region code
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Providers (id, name, logo) in results
+   */
+  async getProviderList(region, options = {}) {
+    return await this.fetchFromTMDB(
+      "/watch/providers/movie",
+      { watch_region: region },
+      options
+    );
+  }
+
+  /**
+   * Fetch the regions that have watch provider data
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Regions (iso_3166_1, english_name) in results
+   */
+  async getProviderRegions(options = {}) {
+    return await this.fetchFromTMDB("/watch/providers/regions", {}, options);
+  }
+
+  /**
+   * Discover movies included with any of the given services in a region
+   * @param {Array<number>} providerIds - TMDB provider IDs
+   * @param {string} region - ISO 3166-1 region code
+   * @param {number} page - Page number for paginated results
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Paginated movie results
+   */
+  async discoverByProviders(providerIds, region, page = 1, options = {}) {
+    return await this.fetchFromTMDB(
+      "/discover/movie",
+      {
+        page,
+        sort_by: "popularity.desc",
+        with_watch_providers: providerIds.join("|"), // Pipe = any of the services
+        watch_region: region,
+        with_watch_monetization_types: "flatrate|free|ads",
+      },
+      options
+    );
+  }
+
+  /**
+   * Fetch a person's details with their combined movie and TV credits,
+   * profile images and external IDs
+   * @param {string|number} personId - TMDB person ID
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Person data with appended responses
+   */
+  async getPersonDetails(personId, options = {}) {
+    return await this.fetchFromTMDB(
+      `/person/${personId}`,
+      { append_to_response: "combined_credits,images,external_ids" },
+      options
+    );
+  }
+
+  /**
+   * Fetch detailed information for a specific TV show
+   * Includes season summaries (episode counts) used for progress tracking
+   * @param {string|number} tvId - TMDB TV show ID
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Detailed TV show data with appended responses
+   */
+  async getTvDetails(tvId, options = {}) {
+    return await this.fetchFromTMDB(
+      `/tv/${tvId}`,
+      { append_to_response: "credits,videos,similar,recommendations" },
+      options
+    );
+  }
+
+  /**
+   * Fetch a single season of a TV show, including its episode list
+   * @param {string|number} tvId - TMDB TV show ID
+   * @param {number} seasonNumber - Season number (0 is used by TMDB for specials)
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Season data with episodes array
+   */
+  async getTvSeason(tvId, seasonNumber, options = {}) {
+    return await this.fetchFromTMDB(
+      `/tv/${tvId}/season/${seasonNumber}`,
+      {},
+      options
+    );
+  }
+
+  /**
+   * Fetch a single episode of a TV show
+   * @param {string|number} tvId - TMDB TV show ID
+   * @param {number} seasonNumber - Season number
+   * @param {number} episodeNumber - Episode number within the season
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Episode data
+   */
+  async getTvEpisode(tvId, seasonNumber, episodeNumber, options = {}) {
+    return await this.fetchFromTMDB(
+      `/tv/${tvId}/season/${seasonNumber}/episode/${episodeNumber}`,
+      {},
+      options
+    );
+  }
+
+  /**
+   * Discover movies matching a set of filters
+   * Maps CineTracker filter fields onto TMDB's /discover/movie parameters
+   * @param {Object} filters - Filter values (see DEFAULT_FILTERS in lib/discover)
+   * @param {number} page - Page number for paginated results
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Discover results data
+   */
+  async discoverMovies(filters = {}, page = 1, options = {}) {
+    // Turn empty form values into undefined so fetchFromTMDB skips them
+    const value = (v) => (v === "" || v === null ? undefined : v);
+    const yearFrom = value(filters.yearFrom);
+    const yearTo = value(filters.yearTo);
+
+    return await this.fetchFromTMDB(
+      "/discover/movie",
+      {
+        page,
+        sort_by: value(filters.sortBy) || "popularity.desc",
+        with_genres: filters.genres?.length
+          ? filters.genres.join(",") // Comma = movie must have all genres
+          : undefined,
+        "primary_release_date.gte": yearFrom ? `${yearFrom}-01-01` : undefined,
+        "primary_release_date.lte": yearTo ? `${yearTo}-12-31` : undefined,
+        "vote_average.gte": value(filters.minRating),
+        "with_runtime.gte": value(filters.runtimeMin),
+        "with_runtime.lte": value(filters.runtimeMax),
+        with_original_language: value(filters.language),
+        // Avoid obscure titles dominating rating-sorted results
+        "vote_count.gte":
+          filters.sortBy === "vote_average.desc" ? 200 : undefined,
+      },
+      options
+    );
+  }
+
+  /**
+   * Fetch the list of official TMDB movie genres
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Genre data with genres array of {id, name}
+   */
+  async getMovieGenres(options = {}) {
+    return await this.fetchFromTMDB("/genre/movie/list", {}, options);
   }
 
   /**
    * Search for movies by query string
    * @param {string} query - Search term (movie title, keywords, etc.)
    * @param {number} page - Page number for paginated results
+   * @param {number} [year] - Only return movies first released in this year
+   * @param {Object} [options] - Request options ({ signal })
    * @returns {Promise<Object|null>} Search results or null if query is empty
    */
-  async searchMovies(query, page = 1) {
+  async searchMovies(query, page = 1, year, options = {}) {
     // Validate query before making API request
     if (!query.trim()) return null;
 
-    return await this.fetchFromTMDB("/search/movie", {
-      query: query.trim(), // Remove leading/trailing whitespace
-      page,
-    });
+    return await this.fetchFromTMDB(
+      "/search/movie",
+      {
+        query: query.trim(), // Remove leading/trailing whitespace
+        page,
+        primary_release_year: year || undefined,
+      },
+      options
+    );
+  }
+
+  /**
+   * Look up TMDB entries by an external ID (e.g. an IMDb "tt" ID)
+   * @param {string} externalId - ID on the external site
+   * @param {string} source - External source: 'imdb_id', 'tvdb_id', etc.
+   * @param {Object} [options] - Request options ({ signal })
+   * @returns {Promise<Object>} Matches grouped as movie_results, tv_results, etc.
+   */
+  async findByExternalId(externalId, source = "imdb_id", options = {}) {
+    return await this.fetchFromTMDB(
+      `/find/${externalId}`,
+      { external_source: source },
+      options
+    );
   }
 }
 
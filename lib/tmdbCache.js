@@ -0,0 +1,402 @@
+// IndexedDB database and object store used for persistent cache entries
+const DB_NAME = "cinetracker-tmdb-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "responses";
+const EXPIRES_INDEX = "expiresAt"; // Finds expired entries without reading them
+const META_STORE = "meta"; // Records which data source the responses came from
+
+// Maximum number of responses kept in memory before least recently used ones are evicted
+const MEMORY_LIMIT = 200;
+
+// Maximum number of responses kept in IndexedDB; sweeps delete expired
+// entries, then the ones closest to expiring
+const PERSISTENT_LIMIT = 1000;
+
+// Writes between IndexedDB sweeps (the store is also swept when opened)
+const SWEEP_INTERVAL = 100;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Time-to-live rules per endpoint, checked in order (first match wins)
+ * Lists that change during the day expire quickly; static data is kept longer
+ */
+const TTL_RULES = [
+  { pattern: /^\/movie\/now_playing/, ttl: 10 * MINUTE },
+  { pattern: /^\/search\//, ttl: 10 * MINUTE },
+  { pattern: /^\/trending\//, ttl: 30 * MINUTE },
+  { pattern: /^\/movie\/(popular|upcoming)/, ttl: HOUR },
+  { pattern: /^\/discover\//, ttl: HOUR },
+  { pattern: /^\/movie\/top_rated/, ttl: 6 * HOUR },
+  { pattern: /^\/genre\//, ttl: 7 * 24 * HOUR },
+  { pattern: /^\/watch\/providers\//, ttl: 7 * 24 * HOUR },
+  { pattern: /^\/movie\/\d+\/watch\/providers/, ttl: 6 * HOUR },
+  { pattern: /^\/(movie|tv|person)\/\d+/, ttl: 24 * HOUR },
+];
+
+// TTL for endpoints without a specific rule
+const DEFAULT_TTL = 15 * MINUTE;
+
+/**
+ * Returns the cache lifetime for an endpoint
+ * @param {string} endpoint - API endpoint path (e.g., '/movie/popular')
+ * @returns {number} Time-to-live in milliseconds
+ */
+export function getTTL(endpoint) {
+  const rule = TTL_RULES.find((r) => r.pattern.test(endpoint));
+  return rule ? rule.ttl : DEFAULT_TTL;
+}
+
+/**
+ * Builds a stable cache key from an endpoint and its query parameters
+ * Parameters are sorted so argument order doesn't create duplicate entries
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} params - Query parameters (null/undefined values are skipped)
+ * @returns {string} Cache key like "/movie/popular?page=2"
+ */
+export function buildCacheKey(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+/**
+ * Checks whether a cache key belongs to an endpoint prefix
+ * Matches on path boundaries so '/movie/550' doesn't also clear '/movie/5501'
+ * @param {string} key - Cache key
+ * @param {string} prefix - Endpoint prefix
+ * @returns {boolean} True if the key falls under the prefix
+ */
+function matchesPrefix(key, prefix) {
+  if (!prefix || key === prefix) return true;
+  if (!key.startsWith(prefix)) return false;
+  return prefix.endsWith("/") || ["/", "?"].includes(key[prefix.length]);
+}
+
+/**
+ * Two-level response cache for TMDB requests
+ * Keeps a bounded in-memory LRU backed by IndexedDB so cached responses
+ * survive reloads, and collapses identical in-flight requests into one
+ * The IndexedDB store is swept of expired entries and capped in size, and
+ * cleared when the data source (mode) differs from the one that filled it
+ * Falls back to memory only where IndexedDB is unavailable (server, private mode)
+ */
+export class TMDBCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.memoryLimit] - Responses kept in memory
+   * @param {number} [options.persistentLimit] - Responses kept in IndexedDB
+   * @param {string} [options.mode] - Data source, e.g. "live" or "demo";
+   *   persisted responses from another mode are dropped when the store opens
+   * @param {Function} [options.now] - Clock (injectable for tests)
+   */
+  constructor({
+    memoryLimit = MEMORY_LIMIT,
+    persistentLimit = PERSISTENT_LIMIT,
+    mode = "live",
+    now = () => Date.now(),
+  } = {}) {
+    this.memory = new Map(); // Insertion order doubles as LRU order
+    this.inFlight = new Map(); // Cache key -> pending request promise
+    this.memoryLimit = memoryLimit;
+    this.persistentLimit = persistentLimit;
+    this.mode = mode;
+    this.now = now; // Injectable clock for tests
+    this.dbPromise = null;
+    this.writesSinceSweep = 0;
+    this.stats = {
+      memoryHits: 0,
+      persistentHits: 0,
+      misses: 0,
+      dedupedRequests: 0,
+      evictions: 0,
+    };
+  }
+
+  /**
+   * Lazily opens the IndexedDB database, clears it if it was filled in
+   * another mode, and sweeps it
+   * @returns {Promise<IDBDatabase|null>} Database handle or null if unavailable
+   */
+  openDB() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore(STORE_NAME).createIndex(
+            EXPIRES_INDEX,
+            "expiresAt"
+          );
+          db.createObjectStore(META_STORE);
+        };
+        request.onsuccess = () =>
+          this.checkMode(request.result).then(resolve, () => resolve(null));
+        request.onerror = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+
+    // Runs before any lookup that waits on the database
+    this.dbPromise.then((db) => db && this.sweepDB(db));
+    return this.dbPromise;
+  }
+
+  /**
+   * Clears persisted responses cached in a different mode
+   * After a deployment switches from demo data to a real key (or back),
+   * cached responses from the old source would otherwise be served until
+   * they expire
+   *
+   * @param {IDBDatabase} db - Open database
+   * @returns {Promise<IDBDatabase>} The database, once checked
+   */
+  checkMode(db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_NAME, META_STORE], "readwrite");
+      const meta = tx.objectStore(META_STORE);
+      const stored = meta.get("mode");
+      stored.onsuccess = () => {
+        if (stored.result === this.mode) return;
+        tx.objectStore(STORE_NAME).clear();
+        meta.put(this.mode, "mode");
+      };
+      tx.oncomplete = () => resolve(db);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Deletes expired responses from IndexedDB, then the ones closest to
+   * expiring while the store holds more than the persistent limit
+   * Expired entries are otherwise only deleted when read again
+   *
+   * @param {IDBDatabase} [db] - Open database (opened if omitted)
+   * @returns {Promise<void>} Resolves once the sweep is written
+   */
+  async sweepDB(db) {
+    db ||= await this.openDB();
+    if (!db) return;
+    this.writesSinceSweep = 0;
+
+    await new Promise((resolve) => {
+      try {
+        const tx = db.transaction(STORE_NAME, "readwrite");
+        const store = tx.objectStore(STORE_NAME);
+        const byExpiry = store.index(EXPIRES_INDEX);
+        tx.oncomplete = tx.onerror = tx.onabort = () => resolve();
+
+        // Delete everything that has expired
+        const expired = byExpiry.openKeyCursor(
+          IDBKeyRange.upperBound(this.now())
+        );
+        expired.onsuccess = () => {
+          const cursor = expired.result;
+          if (cursor) {
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+            return;
+          }
+
+          // Then trim what's left down to the limit
+          const count = store.count();
+          count.onsuccess = () => {
+            let excess = count.result - this.persistentLimit;
+            if (excess <= 0) return;
+            const oldest = byExpiry.openKeyCursor();
+            oldest.onsuccess = () => {
+              const next = oldest.result;
+              if (!next || excess-- <= 0) return;
+              store.delete(next.primaryKey);
+              next.continue();
+            };
+          };
+        };
+      } catch {
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * Runs a single IndexedDB request against the response store
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<any>} Request result, or undefined on failure
+   */
+  async withStore(mode, operation) {
+    const db = await this.openDB();
+    if (!db) return undefined;
+
+    return new Promise((resolve) => {
+      try {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = operation(tx.objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(undefined);
+      } catch {
+        resolve(undefined);
+      }
+    });
+  }
+
+  /**
+   * Stores an entry in memory, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry with value and expiresAt
+   */
+  remember(key, entry) {
+    this.memory.delete(key); // Re-insert to mark as most recently used
+    this.memory.set(key, entry);
+
+    if (this.memory.size > this.memoryLimit) {
+      const oldest = this.memory.keys().next().value;
+      this.memory.delete(oldest);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Looks up a fresh cached response, checking memory first, then IndexedDB
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} Cached response or undefined on miss
+   */
+  async get(key) {
+    const entry = this.memory.get(key);
+    if (entry && entry.expiresAt > this.now()) {
+      this.remember(key, entry);
+      this.stats.memoryHits++;
+      return entry.value;
+    }
+    if (entry) this.memory.delete(key); // Expired
+
+    const stored = await this.withStore("readonly", (store) => store.get(key));
+    if (stored && stored.expiresAt > this.now()) {
+      this.remember(key, stored);
+      this.stats.persistentHits++;
+      return stored.value;
+    }
+    if (stored) this.withStore("readwrite", (store) => store.delete(key));
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Caches a response in memory and IndexedDB
+   * @param {string} key - Cache key
+   * @param {Object} value - Response data
+   * @param {number} ttl - Time-to-live in milliseconds
+   */
+  set(key, value, ttl) {
+    const entry = { value, expiresAt: this.now() + ttl };
+    this.remember(key, entry);
+    // Persist without blocking the caller
+    this.withStore("readwrite", (store) => store.put(entry, key));
+    if (++this.writesSinceSweep >= SWEEP_INTERVAL) this.sweepDB();
+  }
+
+  /**
+   * Returns a cached response, or runs the loader once for concurrent callers
+   * Only non-null results are cached so failures are retried next time
+   *
+   * A caller's signal only cancels that caller's wait; the shared request is
+   * aborted once every caller waiting on it has cancelled
+   *
+   * @param {string} key - Cache key
+   * @param {number} ttl - Time-to-live in milliseconds
+   * @param {Function} loader - Async function (signal) that fetches the response
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels this caller's wait
+   * @returns {Promise<Object|null>} Response data
+   */
+  async getOrLoad(key, ttl, loader, { signal } = {}) {
+    signal?.throwIfAborted();
+
+    let request = this.inFlight.get(key);
+    if (request) {
+      this.stats.dedupedRequests++;
+    } else {
+      const controller = new AbortController();
+      request = { controller, waiters: 0 };
+      request.promise = (async () => {
+        const cached = await this.get(key);
+        if (cached !== undefined) return cached;
+
+        const value = await loader(controller.signal);
+        if (value !== null && value !== undefined) this.set(key, value, ttl);
+        return value;
+      })().finally(() => {
+        if (this.inFlight.get(key) === request) this.inFlight.delete(key);
+      });
+      this.inFlight.set(key, request);
+    }
+
+    request.waiters++;
+    if (!signal) return request.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        if (--request.waiters > 0) return;
+        // Nobody wants the response any more; later callers start afresh
+        if (this.inFlight.get(key) === request) this.inFlight.delete(key);
+        request.controller.abort(signal.reason);
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      request.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Removes cached responses whose key starts with the given endpoint prefix
+   * Without a prefix, clears the whole cache
+   * @param {string} [prefix] - Endpoint prefix, e.g. '/movie/550' or '/search'
+   * @returns {Promise<void>}
+   */
+  async invalidate(prefix = "") {
+    [...this.memory.keys()]
+      .filter((key) => matchesPrefix(key, prefix))
+      .forEach((key) => this.memory.delete(key));
+
+    if (!prefix) {
+      await this.withStore("readwrite", (store) => store.clear());
+      return;
+    }
+
+    const keys =
+      (await this.withStore("readonly", (store) => store.getAllKeys())) || [];
+    await Promise.all(
+      keys
+        .filter((key) => matchesPrefix(key, prefix))
+        .map((key) => this.withStore("readwrite", (store) => store.delete(key)))
+    );
+  }
+
+  /**
+   * Returns cache counters and current sizes
+   * @returns {Object} Stats including hits, misses, hit rate and entry count
+   */
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.persistentHits;
+    const lookups = hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hits,
+      hitRate: lookups ? hits / lookups : 0,
+      memoryEntries: this.memory.size,
+      inFlight: this.inFlight.size,
+    };
+  }
+}
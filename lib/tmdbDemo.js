@@ -0,0 +1,364 @@
+import movies from "./fixtures/tmdb/movies.json";
+import lists from "./fixtures/tmdb/lists.json";
+import genres from "./fixtures/tmdb/genres.json";
+import { TMDBError, TMDB_ERROR_CODES } from "./tmdbErrors";
+
+// TMDB's page size for list endpoints
+const PAGE_SIZE = 20;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Regions that get release dates, so the release calendar works for most users
+const RELEASE_REGIONS = ["US", "GB", "CA", "AU", "IE", "NZ", "DE", "FR", "IN"];
+
+// Digital releases follow theatrical ones by this many days
+const DIGITAL_WINDOW_DAYS = 45;
+
+/**
+ * Returns a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves the fixture movies for a given day
+ * Upcoming and now playing titles store their release as a day offset
+ * (release_in_days) so they stay upcoming and in theaters whenever the
+ * demo runs
+ *
+ * @param {Date} now - Current date
+ * @returns {Map<number, Object>} Movie details keyed by ID
+ */
+function catalogue(now) {
+  return new Map(
+    movies.map(({ release_in_days: offset, ...movie }) => [
+      movie.id,
+      offset === undefined
+        ? movie
+        : {
+            ...movie,
+            release_date: isoDate(new Date(now.getTime() + offset * DAY)),
+          },
+    ])
+  );
+}
+
+/**
+ * Trims movie details to the fields TMDB list endpoints return
+ * @param {Object} movie - Movie details
+ * @returns {Object} List result
+ */
+function listResult(movie) {
+  return {
+    id: movie.id,
+    title: movie.title,
+    original_title: movie.original_title,
+    original_language: movie.original_language,
+    overview: movie.overview,
+    poster_path: movie.poster_path,
+    backdrop_path: movie.backdrop_path,
+    release_date: movie.release_date,
+    genre_ids: movie.genres.map((g) => g.id),
+    vote_average: movie.vote_average,
+    vote_count: movie.vote_count,
+    popularity: movie.popularity,
+    adult: false,
+    video: false,
+  };
+}
+
+/**
+ * Builds one page of a TMDB list response
+ * @param {Array<Object>} items - Every result, in order
+ * @param {number|string} [page] - Page number (query values are strings)
+ * @returns {Object} { page, results, total_pages, total_results }
+ */
+function paginate(items, page = 1) {
+  const current = Math.max(1, Number(page) || 1);
+  return {
+    page: current,
+    results: items.slice((current - 1) * PAGE_SIZE, current * PAGE_SIZE),
+    total_pages: Math.max(1, Math.ceil(items.length / PAGE_SIZE)),
+    total_results: items.length,
+  };
+}
+
+/**
+ * Other fixture movies sharing the most genres with a movie
+ * Stands in for TMDB's similar and recommendations lists
+ * @param {Object} movie - Movie details
+ * @param {Map<number, Object>} all - Catalogue
+ * @returns {Array<Object>} List results, closest first
+ */
+function relatedMovies(movie, all) {
+  const ids = new Set(movie.genres.map((g) => g.id));
+  return [...all.values()]
+    .filter((m) => m.id !== movie.id)
+    .map((m) => ({ m, shared: m.genres.filter((g) => ids.has(g.id)).length }))
+    .filter(({ shared }) => shared > 0)
+    .sort((a, b) => b.shared - a.shared || b.m.popularity - a.m.popularity)
+    .map(({ m }) => listResult(m));
+}
+
+/**
+ * Theatrical and digital release dates in each demo region
+ * @param {Object} movie - Movie details
+ * @returns {Object} /movie/{id}/release_dates response
+ */
+function releaseDates(movie) {
+  const theatrical = new Date(`${movie.release_date}T00:00:00.000Z`);
+  const digital = new Date(theatrical.getTime() + DIGITAL_WINDOW_DAYS * DAY);
+  const release = (date, type) => ({
+    certification: "",
+    note: "",
+    release_date: date.toISOString(),
+    type,
+  });
+  return {
+    id: movie.id,
+    results: RELEASE_REGIONS.map((region) => ({
+      iso_3166_1: region,
+      release_dates: [release(theatrical, 3), release(digital, 4)],
+    })),
+  };
+}
+
+/**
+ * Movie details with the sub-responses requested in append_to_response
+ * Without it, only the core details are returned (like getMovieSummary)
+ * @param {Object} movie - Movie details
+ * @param {Map<number, Object>} all - Catalogue
+ * @param {string} [append] - Comma-separated sub-responses
+ * @returns {Object} /movie/{id} response
+ */
+function movieDetails(movie, all, append = "") {
+  const { credits, videos, reviews, ...details } = movie;
+  const related = paginate(relatedMovies(movie, all));
+  const parts = {
+    credits: { id: movie.id, ...credits },
+    videos: { id: movie.id, ...videos },
+    reviews: { id: movie.id, ...reviews },
+    similar: related,
+    recommendations: related,
+    images: { id: movie.id, backdrops: [], logos: [], posters: [] },
+    release_dates: releaseDates(movie),
+  };
+  append
+    .split(",")
+    .filter((name) => parts[name])
+    .forEach((name) => (details[name] = parts[name]));
+  return details;
+}
+
+/**
+ * Builds a person from the fixture credits they appear in
+ * @param {number} personId - Person ID
+ * @param {Map<number, Object>} all - Catalogue
+ * @returns {Object|null} /person/{id} response, or null if nobody matches
+ */
+function personDetails(personId, all) {
+  const cast = [];
+  const crew = [];
+  let person = null;
+
+  all.forEach((movie) => {
+    const credit = { ...listResult(movie), media_type: "movie" };
+    movie.credits.cast
+      .filter((c) => c.id === personId)
+      .forEach((c) => {
+        person ||= c;
+        cast.push({ ...credit, character: c.character });
+      });
+    movie.credits.crew
+      .filter((c) => c.id === personId)
+      .forEach((c) => {
+        person ||= c;
+        crew.push({ ...credit, job: c.job, department: c.department });
+      });
+  });
+  if (!person) return null;
+
+  return {
+    id: personId,
+    name: person.name,
+    known_for_department: person.known_for_department,
+    biography: "",
+    birthday: null,
+    deathday: null,
+    place_of_birth: null,
+    profile_path: null,
+    combined_credits: { cast, crew },
+    images: { profiles: [] },
+    external_ids: {},
+  };
+}
+
+/**
+ * Applies the /discover/movie filters the app uses
+ * Provider filters match nothing, since the fixtures have no streaming data
+ * @param {Map<number, Object>} all - Catalogue
+ * @param {Object} params - Query parameters
+ * @returns {Array<Object>} Matching movies, sorted as requested
+ */
+function discover(all, params) {
+  if (params.with_watch_providers) return [];
+
+  const withGenres = params.with_genres
+    ? String(params.with_genres).split(",").map(Number)
+    : [];
+  const min = (key) => (params[key] != null ? Number(params[key]) : -Infinity);
+  const max = (key) => (params[key] != null ? Number(params[key]) : Infinity);
+  const [field, direction] = (params.sort_by || "popularity.desc").split(".");
+  const sortKey = field === "primary_release_date" ? "release_date" : field;
+
+  return [...all.values()]
+    .filter(
+      (m) =>
+        withGenres.every((id) => m.genres.some((g) => g.id === id)) &&
+        m.release_date >= (params["primary_release_date.gte"] || "") &&
+        m.release_date <= (params["primary_release_date.lte"] || "9999") &&
+        m.vote_average >= min("vote_average.gte") &&
+        m.vote_count >= min("vote_count.gte") &&
+        m.runtime >= min("with_runtime.gte") &&
+        m.runtime <= max("with_runtime.lte") &&
+        (!params.with_original_language ||
+          m.original_language === params.with_original_language)
+    )
+    .sort((a, b) => {
+      const order =
+        typeof a[sortKey] === "string"
+          ? a[sortKey].localeCompare(b[sortKey])
+          : (a[sortKey] ?? 0) - (b[sortKey] ?? 0);
+      return direction === "asc" ? order : -order;
+    });
+}
+
+/**
+ * Endpoint handlers, checked in order (first match wins)
+ * Each receives the regex match, query parameters and catalogue, and
+ * returns the response or null for "not found"
+ */
+const ROUTES = [
+  {
+    pattern: /^\/movie\/(popular|top_rated|upcoming|now_playing)$/,
+    handle: ([, list], params, all) =>
+      paginate(
+        lists[list].map((id) => listResult(all.get(id))),
+        params.page
+      ),
+  },
+  {
+    pattern: /^\/trending\/(all|movie)\/(day|week)$/,
+    handle: (match, params, all) =>
+      paginate(
+        lists.popular.map((id) => ({
+          ...listResult(all.get(id)),
+          media_type: "movie",
+        })),
+        params.page
+      ),
+  },
+  {
+    pattern: /^\/movie\/(\d+)$/,
+    handle: ([, id], params, all) =>
+      all.has(Number(id))
+        ? movieDetails(all.get(Number(id)), all, params.append_to_response)
+        : null,
+  },
+  {
+    pattern: /^\/movie\/(\d+)\/(credits|recommendations|release_dates)$/,
+    handle: ([, id, part], params, all) => {
+      const movie = all.get(Number(id));
+      if (!movie) return null;
+      if (part === "recommendations") {
+        return paginate(relatedMovies(movie, all), params.page);
+      }
+      return movieDetails(movie, all, part)[part];
+    },
+  },
+  {
+    pattern: /^\/movie\/(\d+)\/watch\/providers$/,
+    handle: ([, id], params, all) =>
+      all.has(Number(id)) ? { id: Number(id), results: {} } : null,
+  },
+  {
+    pattern: /^\/person\/(\d+)$/,
+    handle: ([, id], params, all) => personDetails(Number(id), all),
+  },
+  {
+    pattern: /^\/search\/movie$/,
+    handle: (match, params, all) => {
+      const query = String(params.query || "").toLowerCase();
+      const year = params.primary_release_year;
+      return paginate(
+        [...all.values()]
+          .filter(
+            (m) =>
+              (m.title.toLowerCase().includes(query) ||
+                m.original_title.toLowerCase().includes(query)) &&
+              (!year || m.release_date.startsWith(`${year}-`))
+          )
+          .sort((a, b) => b.popularity - a.popularity)
+          .map(listResult),
+        params.page
+      );
+    },
+  },
+  {
+    pattern: /^\/discover\/movie$/,
+    handle: (match, params, all) =>
+      paginate(discover(all, params).map(listResult), params.page),
+  },
+  {
+    pattern: /^\/genre\/movie\/list$/,
+    handle: () => genres,
+  },
+  {
+    pattern: /^\/find\/(tt\d+)$/,
+    handle: ([, imdbId], params, all) => ({
+      movie_results: [...all.values()]
+        .filter((m) => m.imdb_id === imdbId)
+        .map(listResult),
+      person_results: [],
+      tv_results: [],
+      tv_episode_results: [],
+      tv_season_results: [],
+    }),
+  },
+  {
+    pattern: /^\/watch\/providers\/(movie|regions)$/,
+    handle: () => ({ results: [] }),
+  },
+];
+
+/**
+ * Answers a TMDB API request from the bundled fixtures
+ * Covers the movie lists, search, discover, genres and movie/person details;
+ * TV shows and anything else not in the fixtures are "not found"
+ *
+ * @param {string} endpoint - API endpoint path (e.g. '/movie/popular')
+ * @param {Object} [params] - Query parameters
+ * @param {Date} [now] - Current date (injectable for tests)
+ * @returns {Object} Response data shaped like TMDB's
+ * @throws {TMDBError} With code not_found when the fixtures have no answer
+ */
+export function demoResponse(endpoint, params = {}, now = new Date()) {
+  const all = catalogue(now);
+  for (const { pattern, handle } of ROUTES) {
+    const match = endpoint.match(pattern);
+    if (!match) continue;
+
+    const data = handle(match, params, all);
+    // Callers may modify responses; keep the fixtures untouched
+    if (data) return structuredClone(data);
+    break;
+  }
+
+  throw new TMDBError("The resource you requested could not be found.", {
+    code: TMDB_ERROR_CODES.NOT_FOUND,
+    status: 404,
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * Error kinds a TMDB request can fail with
+ * UI code switches on these rather than on raw status codes
+ */
+export const TMDB_ERROR_CODES = {
+  UNAUTHORIZED: "unauthorized", // 401: key rejected
+  NOT_FOUND: "not_found", // 404: no such movie/person/show
+  RATE_LIMITED: "rate_limited", // 429: TMDB or the proxy throttled us
+  SERVER: "server", // 5xx from TMDB or the proxy
+  TIMEOUT: "timeout", // No response within the request timeout
+  NETWORK: "network", // Offline, DNS, CORS, connection reset...
+  REQUEST: "request", // Any other 4xx
+};
+
+// Failures worth another attempt; the rest will fail the same way again
+const RETRYABLE = new Set([
+  TMDB_ERROR_CODES.RATE_LIMITED,
+  TMDB_ERROR_CODES.SERVER,
+  TMDB_ERROR_CODES.TIMEOUT,
+  TMDB_ERROR_CODES.NETWORK,
+]);
+
+/**
+ * Error thrown by TMDBService when a request fails
+ * Carries the HTTP status (0 when no response arrived) and an error code
+ */
+export class TMDBError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - One of TMDB_ERROR_CODES
+   * @param {number} [details.status] - HTTP status, 0 without a response
+   * @param {number|null} [details.retryAfter] - Server-requested wait in ms
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { code, status = 0, retryAfter = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "TMDBError";
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Whether trying the request again could succeed
+   * @returns {boolean} True for rate limits, server errors and network failures
+   */
+  get retryable() {
+    return RETRYABLE.has(this.code);
+  }
+}
+
+/**
+ * Maps an HTTP status to an error code
+ * @param {number} status - HTTP status of a failed response
+ * @returns {string} One of TMDB_ERROR_CODES
+ */
+export function errorCodeForStatus(status) {
+  if (status === 401) return TMDB_ERROR_CODES.UNAUTHORIZED;
+  if (status === 404) return TMDB_ERROR_CODES.NOT_FOUND;
+  if (status === 429) return TMDB_ERROR_CODES.RATE_LIMITED;
+  if (status >= 500) return TMDB_ERROR_CODES.SERVER;
+  return TMDB_ERROR_CODES.REQUEST;
+}
+
+/**
+ * Parses a Retry-After header, which is either seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in ms (injectable for tests)
+ * @returns {number|null} Wait in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Works out how long to wait before retrying a failed request
+ * Uses the server's Retry-After when given, otherwise exponential backoff
+ * with jitter so throttled clients don't retry in lockstep
+ *
+ * @param {number} attempt - Retries made so far (0 for the first retry)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay before the first retry in ms
+ * @param {number} options.maxDelay - Upper bound for backoff delays in ms
+ * @param {number|null} [options.retryAfter] - Server-requested wait in ms
+ * @param {Function} [options.random] - Random source (injectable for tests)
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(
+  attempt,
+  { baseDelay, maxDelay, retryAfter = null, random = Math.random }
+) {
+  if (retryAfter !== null) return retryAfter;
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  // Full delay on average, spread between 50% and 150%
+  return Math.round(delay * (0.5 + random()));
+}
+
+/**
+ * Checks whether an error comes from an aborted request
+ * Aborts are deliberate (unmount, new search), so callers ignore them
+ *
+ * @param {unknown} error - Caught error
+ * @returns {boolean} True for AbortError
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+/**
+ * Resolves a lookup to null when TMDB has no such title
+ * Batch lookups use it so one deleted movie doesn't fail the whole batch;
+ * every other error still rejects
+ *
+ * @param {Promise<Object>} request - Pending TMDB request
+ * @returns {Promise<Object|null>} Response data, or null on a 404
+ */
+export async function nullIfNotFound(request) {
+  try {
+    return await request;
+  } catch (error) {
+    if (error?.code === TMDB_ERROR_CODES.NOT_FOUND) return null;
+    throw error;
+  }
+}
+
+/**
+ * User-facing title and description for a failed TMDB request
+ * @param {unknown} error - Caught error (TMDBError or anything else)
+ * @param {string} [subject] - What was being loaded, e.g. "movies"
+ * @returns {{title: string, description: string}} Message for an alert
+ */
+export function describeTMDBError(error, subject = "movies") {
+  switch (error?.code) {
+    case TMDB_ERROR_CODES.UNAUTHORIZED:
+      return {
+        title: "TMDB rejected the API key",
+        description:
+          "Check that TMDB_API_KEY is a valid v3 API key and restart the server.",
+      };
+    case TMDB_ERROR_CODES.NOT_FOUND:
+      return {
+        title: "Not found",
+        description:
+          "TMDB has nothing at this address. It may have been removed.",
+      };
+    case TMDB_ERROR_CODES.RATE_LIMITED:
+      return {
+        title: "Too many requests",
+        description: `TMDB is limiting requests right now. Wait a moment, then try loading ${subject} again.`,
+      };
+    case TMDB_ERROR_CODES.SERVER:
+      return {
+        title: "TMDB is having trouble",
+        description: `TMDB didn't respond properly (error ${error.status}). Try again in a few minutes.`,
+      };
+    case TMDB_ERROR_CODES.TIMEOUT:
+      return {
+        title: "TMDB is taking too long",
+        description: `Loading ${subject} timed out. Check your connection and try again.`,
+      };
+    case TMDB_ERROR_CODES.NETWORK:
+      return {
+        title: "You seem to be offline",
+        description: `Couldn't reach TMDB to load ${subject}. Check your connection and try again.`,
+      };
+    default:
+      return {
+        title: "Something went wrong",
+        description: `Couldn't load ${subject}${error?.message ? `: ${error.message}` : "."}`,
+      };
+  }
+}
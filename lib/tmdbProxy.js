@@ -0,0 +1,149 @@
+import { getTTL } from "./tmdbCache";
+import { demoResponse } from "./tmdbDemo";
+import { TMDB_ERROR_CODES } from "./tmdbErrors";
+
+// Upstream TMDB API; TMDB_API_URL points the proxy at a mock server in tests
+const DEFAULT_UPSTREAM = "https://api.themoviedb.org/3";
+
+/**
+ * Endpoints the app uses; anything else is rejected so the key can't be used
+ * for arbitrary TMDB calls (account, lists, ratings, ...)
+ */
+const ALLOWED_ENDPOINTS = [
+  /^\/trending\/(all|movie|tv|person)\/(day|week)$/,
+  /^\/movie\/(popular|top_rated|upcoming|now_playing)$/,
+  /^\/movie\/\d+$/,
+  /^\/movie\/\d+\/(credits|recommendations|release_dates|watch\/providers)$/,
+  /^\/person\/\d+$/,
+  /^\/tv\/\d+$/,
+  /^\/tv\/\d+\/season\/\d+$/,
+  /^\/tv\/\d+\/season\/\d+\/episode\/\d+$/,
+  /^\/discover\/movie$/,
+  /^\/genre\/movie\/list$/,
+  /^\/search\/movie$/,
+  /^\/find\/[A-Za-z0-9_-]+$/,
+  /^\/watch\/providers\/(movie|regions)$/,
+];
+
+/**
+ * Checks whether the proxy forwards an endpoint
+ * @param {string} endpoint - API endpoint path (e.g. '/movie/popular')
+ * @returns {boolean} True if the endpoint is on the allowlist
+ */
+export function isAllowedEndpoint(endpoint) {
+  return ALLOWED_ENDPOINTS.some((pattern) => pattern.test(endpoint));
+}
+
+/**
+ * Builds a JSON response in TMDB's error format
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra headers
+ * @returns {Response} Error response
+ */
+function errorResponse(status, message, headers = {}) {
+  return Response.json(
+    { success: false, status_message: message },
+    { status, headers: { "Cache-Control": "no-store", ...headers } }
+  );
+}
+
+/**
+ * Answers a request from the demo fixtures instead of TMDB
+ * Responses aren't cached by CDNs, so switching a deployment to a real key
+ * doesn't keep serving fixtures (browsers drop their cached fixture
+ * responses too, see TMDBCache)
+ *
+ * @param {Request} request - Incoming request
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} headers - Rate limit headers
+ * @returns {Response} Fixture response, or 404 when the fixtures have none
+ */
+function demoProxyResponse(request, endpoint, headers) {
+  const params = Object.fromEntries(new URL(request.url).searchParams);
+  try {
+    return Response.json(demoResponse(endpoint, params), {
+      headers: { ...headers, "Cache-Control": "no-store" },
+    });
+  } catch (error) {
+    if (error.code !== TMDB_ERROR_CODES.NOT_FOUND) throw error;
+    return errorResponse(404, error.message, headers);
+  }
+}
+
+/**
+ * Forwards a browser request to TMDB with the server-only API key
+ * Applies the endpoint allowlist and the per-IP rate limit, and marks
+ * successful responses cacheable for as long as the client cache keeps them
+ *
+ * @param {Request} request - Incoming request
+ * @param {string} endpoint - API endpoint path (e.g. '/movie/popular')
+ * @param {Object} options - Proxy options
+ * @param {string} options.apiKey - TMDB API key
+ * @param {string} options.ip - Client IP used for rate limiting
+ * @param {Function} options.limiter - Rate limiter (see createRateLimiter)
+ * @param {string} [options.upstream] - TMDB API base URL
+ * @param {boolean} [options.demo] - Serve the demo fixtures instead of TMDB
+ * @returns {Promise<Response>} Proxied response
+ */
+export async function proxyTMDBRequest(
+  request,
+  endpoint,
+  { apiKey, ip, limiter, upstream = DEFAULT_UPSTREAM, demo = false }
+) {
+  if (!apiKey && !demo) {
+    return errorResponse(503, "TMDB API key is not configured.");
+  }
+  if (!isAllowedEndpoint(endpoint)) {
+    return errorResponse(404, "Endpoint not available.");
+  }
+
+  const rate = limiter(ip);
+  const rateHeaders = {
+    "X-RateLimit-Limit": String(rate.limit),
+    "X-RateLimit-Remaining": String(rate.remaining),
+  };
+  if (!rate.allowed) {
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((rate.resetAt - Date.now()) / 1000)
+    );
+    return errorResponse(429, "Too many requests.", {
+      ...rateHeaders,
+      "Retry-After": String(retryAfter),
+    });
+  }
+
+  if (demo) return demoProxyResponse(request, endpoint, rateHeaders);
+
+  // Forward the query, minus any key the caller tried to supply
+  const url = new URL(`${upstream}${endpoint}`);
+  new URL(request.url).searchParams.forEach((value, key) => {
+    if (key !== "api_key") url.searchParams.append(key, value);
+  });
+  url.searchParams.set("api_key", apiKey);
+
+  const ttl = Math.round(getTTL(endpoint) / 1000);
+  let response;
+  try {
+    response = await fetch(url, { next: { revalidate: ttl } });
+  } catch (error) {
+    console.error("TMDB proxy error:", error);
+    return errorResponse(502, "TMDB could not be reached.", rateHeaders);
+  }
+
+  const headers = {
+    "Content-Type": "application/json",
+    ...rateHeaders,
+    "Cache-Control": response.ok
+      ? `public, max-age=0, s-maxage=${ttl}, stale-while-revalidate=${ttl}`
+      : "no-store",
+  };
+  const retryAfter = response.headers.get("Retry-After");
+  if (retryAfter) headers["Retry-After"] = retryAfter;
+
+  return new Response(await response.text(), {
+    status: response.status,
+    headers,
+  });
+}
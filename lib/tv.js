@@ -0,0 +1,103 @@
+/**
+ * Builds the key used to store a watched episode in a show's progress entry
+ * Keys are compact strings so they can live in Firestore arrays
+ *
+ * @param {number} seasonNumber - Season number
+ * @param {number} episodeNumber - Episode number within the season
+ * @returns {string} Episode key like "1x3"
+ */
+export function episodeKey(seasonNumber, episodeNumber) {
+  return `${seasonNumber}x${episodeNumber}`;
+}
+
+/**
+ * Returns the regular seasons of a show in airing order
+ * Skips season 0 (TMDB's "Specials") so they don't block progress
+ *
+ * @param {Object} show - TV show details from TMDB
+ * @returns {Array<Object>} Season summaries sorted by season number
+ */
+export function getRegularSeasons(show) {
+  return (show?.seasons || [])
+    .filter((s) => s.season_number > 0 && s.episode_count > 0)
+    .sort((a, b) => a.season_number - b.season_number);
+}
+
+/**
+ * Checks whether an episode has aired, based on the show's last aired episode
+ * Shows without last_episode_to_air info are treated as fully aired
+ *
+ * @param {Object} show - TV show details from TMDB
+ * @param {number} seasonNumber - Season number
+ * @param {number} episodeNumber - Episode number within the season
+ * @returns {boolean} True if the episode is out
+ */
+export function hasAired(show, seasonNumber, episodeNumber) {
+  const last = show?.last_episode_to_air;
+  if (!last) return true;
+  if (seasonNumber !== last.season_number) {
+    return seasonNumber < last.season_number;
+  }
+  return episodeNumber <= last.episode_number;
+}
+
+/**
+ * Finds the first aired episode the user hasn't watched yet
+ *
+ * @param {Object} show - TV show details from TMDB
+ * @param {Array<string>} watchedEpisodes - Episode keys the user has watched
+ * @returns {{season_number: number, episode_number: number}|null} Next episode or null if caught up
+ */
+export function getNextEpisode(show, watchedEpisodes = []) {
+  const watched = new Set(watchedEpisodes);
+
+  for (const season of getRegularSeasons(show)) {
+    for (let ep = 1; ep <= season.episode_count; ep++) {
+      if (!hasAired(show, season.season_number, ep)) return null;
+      if (!watched.has(episodeKey(season.season_number, ep))) {
+        return { season_number: season.season_number, episode_number: ep };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Summarizes how far the user is through a show's aired regular episodes
+ *
+ * @param {Object} show - TV show details from TMDB
+ * @param {Array<string>} watchedEpisodes - Episode keys the user has watched
+ * @returns {{watched: number, total: number, percent: number}} Progress summary
+ */
+export function getShowProgress(show, watchedEpisodes = []) {
+  const watched = new Set(watchedEpisodes);
+  let total = 0;
+  let seen = 0;
+
+  getRegularSeasons(show).forEach((season) => {
+    for (let ep = 1; ep <= season.episode_count; ep++) {
+      if (!hasAired(show, season.season_number, ep)) break;
+      total++;
+      if (watched.has(episodeKey(season.season_number, ep))) seen++;
+    }
+  });
+
+  return {
+    watched: seen,
+    total,
+    percent: total ? Math.round((seen / total) * 100) : 0,
+  };
+}
+
+/**
+ * Formats an episode reference for display
+ *
+ * @param {number} seasonNumber - Season number
+ * @param {number} episodeNumber - Episode number within the season
+ * @returns {string} Label like "S01E03"
+ */
+export function formatEpisodeCode(seasonNumber, episodeNumber) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `S${pad(seasonNumber)}E${pad(episodeNumber)}`;
+}
@@ -22,16 +22,14 @@ export function cn(...inputs) {
  */
 export function formatDate(dateString) {
   if (!dateString) return "Unknown";
-  try {
-    const date = new Date(dateString);
-    return date.toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-    });
-  } catch (error) {
-    return "Unknown";
-  }
+  const date = new Date(dateString);
+  // Unparseable strings give an Invalid Date rather than throwing
+  if (Number.isNaN(date.getTime())) return "Unknown";
+  return date.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
 }
 
 /**
@@ -43,12 +41,9 @@ export function formatDate(dateString) {
  */
 export function formatYear(dateString) {
   if (!dateString) return "Unknown";
-  try {
-    const date = new Date(dateString);
-    return date.getFullYear().toString();
-  } catch (error) {
-    return "Unknown";
-  }
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime())) return "Unknown";
+  return date.getFullYear().toString();
 }
 
 /**
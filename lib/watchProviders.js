@@ -0,0 +1,135 @@
+import { nullIfNotFound } from "./tmdbErrors";
+
+// Region used until the user picks one (ISO 3166-1 code)
+export const DEFAULT_REGION = "US";
+
+// Valid region codes
+const REGION_PATTERN = /^[A-Z]{2}$/;
+
+// Kinds of availability TMDB reports, in display order
+export const PROVIDER_KINDS = [
+  { value: "flatrate", label: "Stream" },
+  { value: "free", label: "Free" },
+  { value: "ads", label: "With ads" },
+  { value: "rent", label: "Rent" },
+  { value: "buy", label: "Buy" },
+];
+
+// Provider lookups run at once when checking a whole list
+const LOOKUP_BATCH_SIZE = 4;
+
+// Kinds that count as "included" with a service rather than paid per title
+export const INCLUDED_KINDS = ["flatrate", "free", "ads"];
+
+/**
+ * Checks whether a value is a valid region code
+ * @param {string} region - Candidate ISO 3166-1 code
+ * @returns {boolean} True if the code is well formed
+ */
+export function isValidRegion(region) {
+  return typeof region === "string" && REGION_PATTERN.test(region);
+}
+
+/**
+ * Cleans a saved list of provider IDs
+ * @param {Array} ids - Stored provider IDs (may be missing or malformed)
+ * @returns {Array<number>} Unique positive integer IDs
+ */
+export function normalizeProviderIds(ids) {
+  if (!Array.isArray(ids)) return [];
+  return [...new Set(ids.map(Number))].filter(
+    (id) => Number.isInteger(id) && id > 0
+  );
+}
+
+/**
+ * Picks one region's providers out of a /movie/{id}/watch/providers response
+ * @param {Object} data - TMDB watch providers response ({ results })
+ * @param {string} region - ISO 3166-1 code
+ * @returns {Object|null} { link, flatrate, free, ads, rent, buy } with
+ *   providers sorted by TMDB display priority, or null if none in the region
+ */
+export function providersForRegion(data, region) {
+  const entry = data?.results?.[region];
+  if (!entry) return null;
+  const result = { link: entry.link || null };
+  PROVIDER_KINDS.forEach(({ value }) => {
+    result[value] = [...(entry[value] || [])].sort(
+      (a, b) => (a.display_priority ?? 0) - (b.display_priority ?? 0)
+    );
+  });
+  return result;
+}
+
+/**
+ * Finds which of the user's services include a title
+ * @param {Object|null} regionProviders - Result of providersForRegion
+ * @param {Array<number>} providerIds - The user's subscribed services
+ * @returns {Array<Object>} Matching providers, each once
+ */
+export function matchingServices(regionProviders, providerIds) {
+  if (!regionProviders || !providerIds.length) return [];
+  const seen = new Set();
+  return INCLUDED_KINDS.flatMap((kind) => regionProviders[kind] || []).filter(
+    (provider) => {
+      if (!providerIds.includes(provider.provider_id)) return false;
+      if (seen.has(provider.provider_id)) return false;
+      seen.add(provider.provider_id);
+      return true;
+    }
+  );
+}
+
+/**
+ * Sorts the provider catalogue for a region, the user's services first
+ * @param {Array<Object>} providers - TMDB /watch/providers/movie results
+ * @param {string} region - ISO 3166-1 code
+ * @param {Array<number>} selected - The user's subscribed services
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortProviders(providers, region, selected = []) {
+  const priority = (provider) =>
+    provider.display_priorities?.[region] ?? provider.display_priority ?? 999;
+  return [...providers].sort(
+    (a, b) =>
+      Number(selected.includes(b.provider_id)) -
+        Number(selected.includes(a.provider_id)) ||
+      priority(a) - priority(b) ||
+      a.provider_name.localeCompare(b.provider_name)
+  );
+}
+
+/**
+ * Looks up which of the user's services include each movie in a list
+ * @param {Array<Object>} movies - Movies to check (only id is used)
+ * @param {string} region - ISO 3166-1 code
+ * @param {Array<number>} providerIds - The user's subscribed services
+ * @param {Object} service - TMDB service (needs getWatchProviders)
+ * @param {Object} [options] - Request options ({ signal })
+ * @returns {Promise<Object>} Matching providers keyed by movie ID; movies on
+ *   none of the services map to an empty array
+ */
+export async function findOnServices(
+  movies,
+  region,
+  providerIds,
+  service,
+  options = {}
+) {
+  const found = {};
+  for (let i = 0; i < movies.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = movies.slice(i, i + LOOKUP_BATCH_SIZE);
+    const responses = await Promise.all(
+      batch.map((movie) =>
+        nullIfNotFound(service.getWatchProviders(movie.id, options))
+      )
+    );
+    batch.forEach((movie, j) => {
+      found[movie.id] = matchingServices(
+        providersForRegion(responses[j], region),
+        providerIds
+      );
+    });
+  }
+  return found;
+}
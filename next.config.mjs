@@ -1,5 +1,18 @@
+// Demo mode serves bundled fixtures instead of TMDB: when asked for with
+// DEMO_MODE, or automatically when there's no key to call TMDB with
+const demoMode =
+  ["1", "true"].includes(process.env.DEMO_MODE) || !process.env.TMDB_API_KEY;
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  // The TMDB key stays on the server; the browser only learns the mode
+  // and the proxy's rate limit
+  env: {
+    NEXT_PUBLIC_TMDB_DEMO: demoMode ? "true" : "false",
+    // Requests per minute the proxy allows from one IP; browsers pace batch
+    // lookups to stay under it (blank means DEFAULT_PROXY_RATE_LIMIT)
+    NEXT_PUBLIC_TMDB_RATE_LIMIT: process.env.TMDB_PROXY_RATE_LIMIT || "",
+  },
   eslint: {
     ignoreDuringBuilds: true,
   },
@@ -16,6 +29,13 @@ const nextConfig = {
         pathname: "/t/p/**",
         search: "",
       },
+      {
+        protocol: "https",
+        hostname: "i.ytimg.com",
+        port: "",
+        pathname: "/vi/**",
+        search: "",
+      },
     ],
   },
 };
@@ -0,0 +1,38 @@
+import { defineConfig, devices } from "@playwright/test";
+
+// Port for the production server the tests run against
+const PORT = 3100;
+
+/**
+ * End-to-end tests run fully offline: TMDB data comes from the demo fixtures,
+ * auth and lists from the Firebase emulators (started by `npm run test:e2e`),
+ * and the browser blocks every request that leaves the machine (e2e/fixtures.js)
+ */
+export default defineConfig({
+  testDir: "./e2e",
+  // Accounts are unique per test, but one server and emulator pair is shared
+  workers: 1,
+  retries: process.env.CI ? 1 : 0,
+  reporter: process.env.CI ? "github" : "list",
+  use: {
+    baseURL: `http://localhost:${PORT}`,
+    trace: "retain-on-failure",
+  },
+  projects: [{ name: "chromium", use: { ...devices["Desktop Chrome"] } }],
+  webServer: {
+    // NEXT_PUBLIC_* values are inlined at build time, so build with them set
+    command: `npm run build && npm run start -- -p ${PORT}`,
+    url: `http://localhost:${PORT}`,
+    reuseExistingServer: !process.env.CI,
+    timeout: 300_000,
+    env: {
+      DEMO_MODE: "true",
+      TMDB_API_KEY: "",
+      NEXT_PUBLIC_FIREBASE_API_KEY: "demo-key",
+      NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN: "demo-cinetracker.firebaseapp.com",
+      NEXT_PUBLIC_FIREBASE_PROJECT_ID: "demo-cinetracker",
+      NEXT_PUBLIC_FIREBASE_APP_ID: "demo-app",
+      NEXT_PUBLIC_FIREBASE_EMULATOR_HOST: "127.0.0.1",
+    },
+  },
+});
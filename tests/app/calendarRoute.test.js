@@ -0,0 +1,73 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { GET } from "@/app/api/calendar/[token]/route";
+import { buildCalendarFeed } from "@/lib/calendarFeed";
+import { fetchPublicCalendar } from "@/lib/publicShares";
+import { tmdbService } from "@/lib/tmdb";
+
+vi.mock("@/lib/publicShares", () => ({ fetchPublicCalendar: vi.fn() }));
+vi.mock("@/lib/tmdb", () => ({ tmdbService: { getReleaseDates: vi.fn() } }));
+
+const TOKEN = "0123456789abcdef0123456789abcdef";
+
+const DUNE = { id: 1, title: "Dune", release_date: "2026-12-18" };
+const HEAT = { id: 949, title: "Heat", release_date: "1995-12-15" };
+const UNDATED = { id: 2, title: "Untitled Project" };
+
+/**
+ * Requests the feed as a calendar app would
+ * @returns {Promise<Response>} Route response
+ */
+const poll = () =>
+  GET(new Request(`http://localhost/api/calendar/${TOKEN}.ics`), {
+    params: Promise.resolve({ token: `${TOKEN}.ics` }),
+  });
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: new Date("2026-06-01T12:00:00"), toFake: ["Date"] });
+  fetchPublicCalendar.mockResolvedValue(
+    buildCalendarFeed(
+      { watchlist: [DUNE, HEAT, UNDATED], watched: [] },
+      { region: "GB", ratingScale: "stars" }
+    )
+  );
+  tmdbService.getReleaseDates.mockReset();
+  tmdbService.getReleaseDates.mockResolvedValue({
+    results: [
+      {
+        iso_3166_1: "GB",
+        release_dates: [{ type: 3, release_date: "2026-12-18T00:00:00.000Z" }],
+      },
+    ],
+  });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe("calendar feed route", () => {
+  it("only looks up release dates of movies still coming out", async () => {
+    const res = await poll();
+
+    expect(res.status).toBe(200);
+    expect(tmdbService.getReleaseDates.mock.calls.map(([id]) => id)).toEqual([
+      DUNE.id,
+      UNDATED.id,
+    ]);
+    const body = await res.text();
+    expect(body).toContain("Dune");
+    expect(body).not.toContain("Heat");
+  });
+
+  it("answers 503 while TMDB is unavailable", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    tmdbService.getReleaseDates.mockRejectedValue(new Error("timeout"));
+
+    const res = await poll();
+
+    expect(res.status).toBe(503);
+    expect(res.headers.get("Retry-After")).toBe("300");
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import WatchlistPage from "@/app/watchlist/page";
+import { tmdbService } from "@/lib/tmdb";
+
+const HEAT = { id: 949, title: "Heat", release_date: "1995-12-15" };
+
+vi.mock("next/navigation", () => ({
+  useRouter: () => ({ replace: vi.fn() }),
+}));
+vi.mock("@/components/auth/AuthProvider", () => {
+  const user = { uid: "user-1" };
+  return { useAuth: () => ({ user, initialized: true }) };
+});
+vi.mock("@/hooks/useWatchlist", () => ({
+  useWatchlist: () => ({
+    watchlist: [HEAT],
+    preferences: { region: "GB", providers: [8] },
+    loading: false,
+  }),
+}));
+vi.mock("@/lib/tmdb", () => ({
+  tmdbService: { getWatchProviders: vi.fn() },
+}));
+// The header, cards and share button are covered elsewhere
+vi.mock("@/components/layout/Header", () => ({ default: () => null }));
+vi.mock("@/components/lists/ShareButton", () => ({ default: () => null }));
+vi.mock("@/components/movie/MovieCard", () => ({
+  default: ({ movie }) => <div>{movie.title}</div>,
+}));
+
+describe("WatchlistPage services filter", () => {
+  it("stops checking when the filter is turned off mid-lookup", async () => {
+    // The lookup only ends by being cancelled
+    tmdbService.getWatchProviders.mockImplementation(
+      (id, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () => reject(signal.reason));
+        })
+    );
+    const user = userEvent.setup();
+    render(<WatchlistPage />);
+
+    await user.click(screen.getByRole("button", { name: "On my services" }));
+    const button = screen.getByRole("button", { name: "Checking…" });
+    await user.click(button);
+
+    await waitFor(() => expect(button).toHaveTextContent("On my services"));
+    expect(button).toHaveAttribute("aria-pressed", "false");
+    expect(screen.getByText("Heat")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import MovieCard from "@/components/movie/MovieCard";
+import { useWatchlist } from "@/hooks/useWatchlist";
+
+vi.mock("@/hooks/useWatchlist", () => ({ useWatchlist: vi.fn() }));
+
+const INCEPTION = {
+  id: 27205,
+  title: "Inception",
+  poster_path: "/inception.jpg",
+  release_date: "2010-07-15",
+  overview: "A thief who steals corporate secrets through dream-sharing.",
+  vote_average: 8.369,
+};
+
+/**
+ * Builds the useWatchlist value the card reads, with every action mocked
+ * @param {Object} [lists] - Which lists the movie is in
+ * @returns {Object} Hook value
+ */
+function watchlistState({
+  favorite = false,
+  inWatchlist = false,
+  watched = [],
+} = {}) {
+  return {
+    isFavorite: () => favorite,
+    addToFavorites: vi.fn(),
+    removeFromFavorites: vi.fn(),
+    isInWatchlist: () => inWatchlist,
+    addToWatchlist: vi.fn(),
+    removeFromWatchlist: vi.fn(),
+    isInWatched: (id) => watched.some((m) => m.id === id),
+    addToWatched: vi.fn(),
+    removeFromWatched: vi.fn(),
+    updateWatchedRating: vi.fn(),
+    watched,
+    preferences: { ratingScale: "stars" },
+    isFollowing: () => false,
+    followShow: vi.fn(),
+    unfollowShow: vi.fn(),
+    lists: [],
+  };
+}
+
+let state;
+
+beforeEach(() => {
+  state = watchlistState();
+  useWatchlist.mockImplementation(() => state);
+});
+
+describe("MovieCard", () => {
+  it("shows the title, release date, rating and poster", () => {
+    render(<MovieCard movie={INCEPTION} />);
+
+    expect(screen.getByTitle("Inception")).toHaveAttribute(
+      "href",
+      "/movie/27205"
+    );
+    expect(screen.getByText("2010-07-15")).toBeInTheDocument();
+    expect(screen.getByText("8.4")).toBeInTheDocument();
+    expect(screen.getByRole("img", { name: "Inception" })).toBeInTheDocument();
+  });
+
+  it("falls back to a placeholder without a poster", () => {
+    render(<MovieCard movie={{ id: 1, title: "Untitled draft" }} />);
+
+    expect(screen.getByAltText("Poster placeholder")).toBeInTheDocument();
+    expect(screen.getByText("Unknown date")).toBeInTheDocument();
+  });
+
+  it("adds the movie to each list", async () => {
+    const user = userEvent.setup();
+    render(<MovieCard movie={INCEPTION} />);
+
+    await user.click(screen.getByRole("button", { name: "Favorite" }));
+    await user.click(screen.getByTitle("Add to Watchlist"));
+    await user.click(screen.getByTitle("Mark as Watched"));
+
+    expect(state.addToFavorites).toHaveBeenCalledWith(INCEPTION);
+    expect(state.addToWatchlist).toHaveBeenCalledWith(INCEPTION);
+    expect(state.addToWatched).toHaveBeenCalledWith(INCEPTION);
+  });
+
+  it("removes the movie from lists it is already in", async () => {
+    state = watchlistState({
+      favorite: true,
+      inWatchlist: true,
+      watched: [{ id: 27205, rating: 8 }],
+    });
+    const user = userEvent.setup();
+    render(<MovieCard movie={INCEPTION} />);
+
+    await user.click(screen.getByRole("button", { name: "Favorited" }));
+    await user.click(screen.getByTitle("Remove from Watchlist"));
+    await user.click(screen.getByTitle("Unmark Watched"));
+
+    expect(state.removeFromFavorites).toHaveBeenCalledWith(27205);
+    expect(state.removeFromWatchlist).toHaveBeenCalledWith(27205);
+    expect(state.removeFromWatched).toHaveBeenCalledWith(27205);
+  });
+
+  it("rates watched movies", async () => {
+    state = watchlistState({ watched: [{ id: 27205, rating: 6 }] });
+    const user = userEvent.setup();
+    render(<MovieCard movie={INCEPTION} />);
+
+    await user.click(screen.getByRole("button", { name: "4.5 stars" }));
+
+    expect(state.updateWatchedRating).toHaveBeenCalledWith(27205, 9);
+  });
+
+  it("shows a follow toggle instead of list buttons for TV shows", async () => {
+    const user = userEvent.setup();
+    render(
+      <MovieCard
+        movie={{ id: 1399, name: "Game of Thrones", media_type: "tv" }}
+      />
+    );
+
+    expect(screen.queryByTitle("Add to Watchlist")).not.toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Follow show" }));
+
+    expect(state.followShow).toHaveBeenCalledWith(1399);
+  });
+});
@@ -0,0 +1,173 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import MovieGrid from "@/components/movie/MovieGrid";
+import { tmdbService } from "@/lib/tmdb";
+import { TMDBError, TMDB_ERROR_CODES } from "@/lib/tmdbErrors";
+
+vi.mock("@/lib/tmdb", () => ({
+  tmdbService: {
+    getPopularMovies: vi.fn(),
+    getTopRatedMovies: vi.fn(),
+    searchMovies: vi.fn(),
+    getPosterUrl: () => null,
+  },
+}));
+
+// Empty lists; the cards' own buttons are covered in MovieCard.test.js
+vi.mock("@/hooks/useWatchlist", () => ({
+  useWatchlist: () => ({
+    watchlist: [],
+    watched: [],
+    favorites: [],
+    lists: [],
+    preferences: { ratingScale: "stars", region: "US", providers: [] },
+    loading: false,
+    isFavorite: () => false,
+    isInWatchlist: () => false,
+    isInWatched: () => false,
+    isFollowing: () => false,
+  }),
+}));
+
+/**
+ * Builds a TMDB list response
+ * @param {Array<string>} titles - Movie titles, IDs follow their order
+ * @param {Object} [page] - Page fields to override
+ * @returns {Object} List response
+ */
+function listPage(titles, page = {}) {
+  return {
+    page: 1,
+    results: titles.map((title, i) => ({ id: i + 1, title })),
+    total_pages: 1,
+    total_results: titles.length,
+    ...page,
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  // jsdom has no IntersectionObserver; "Load more" still pages manually
+  vi.stubGlobal(
+    "IntersectionObserver",
+    class {
+      observe() {}
+      disconnect() {}
+    }
+  );
+});
+
+describe("MovieGrid", () => {
+  it("shows popular movies by default", async () => {
+    tmdbService.getPopularMovies.mockResolvedValue(
+      listPage(["Inception", "Heat"])
+    );
+
+    render(<MovieGrid />);
+
+    expect(await screen.findByTitle("Inception")).toBeInTheDocument();
+    expect(screen.getByTitle("Heat")).toBeInTheDocument();
+    expect(screen.getByText("2 results")).toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Show popular" })
+    ).toHaveAttribute("aria-pressed", "true");
+    expect(tmdbService.getPopularMovies).toHaveBeenCalledWith(1, {
+      signal: expect.any(AbortSignal),
+    });
+  });
+
+  it("searches instead of listing a category", async () => {
+    tmdbService.searchMovies.mockResolvedValue(listPage(["Heat"]));
+
+    render(<MovieGrid searchQuery="heat" />);
+
+    expect(await screen.findByTitle("Heat")).toBeInTheDocument();
+    expect(tmdbService.searchMovies).toHaveBeenCalledWith(
+      "heat",
+      1,
+      undefined,
+      expect.anything()
+    );
+    expect(tmdbService.getPopularMovies).not.toHaveBeenCalled();
+  });
+
+  it("switches category", async () => {
+    const user = userEvent.setup();
+    tmdbService.getPopularMovies.mockResolvedValue(listPage(["Inception"]));
+    tmdbService.getTopRatedMovies.mockResolvedValue(
+      listPage(["The Godfather"])
+    );
+
+    render(<MovieGrid />);
+    await screen.findByTitle("Inception");
+    await user.click(screen.getByRole("button", { name: "Show top rated" }));
+
+    expect(await screen.findByTitle("The Godfather")).toBeInTheDocument();
+    expect(screen.queryByTitle("Inception")).not.toBeInTheDocument();
+  });
+
+  it("loads the next page", async () => {
+    const user = userEvent.setup();
+    tmdbService.getPopularMovies
+      .mockResolvedValueOnce(listPage(["Inception"], { total_pages: 2 }))
+      // TMDB pages overlap as popularity shifts
+      .mockResolvedValueOnce(
+        listPage(["Inception", "Heat"], { page: 2, total_pages: 2 })
+      );
+
+    render(<MovieGrid />);
+    await user.click(await screen.findByRole("button", { name: "Load more" }));
+
+    expect(await screen.findByTitle("Heat")).toBeInTheDocument();
+    expect(screen.getAllByTitle("Inception")).toHaveLength(1);
+    expect(tmdbService.getPopularMovies).toHaveBeenLastCalledWith(
+      2,
+      expect.anything()
+    );
+  });
+
+  it("explains TMDB failures and retries", async () => {
+    const user = userEvent.setup();
+    tmdbService.getPopularMovies
+      .mockRejectedValueOnce(
+        new TMDBError("Service unavailable", {
+          code: TMDB_ERROR_CODES.SERVER,
+          status: 503,
+        })
+      )
+      .mockResolvedValueOnce(listPage(["Inception"]));
+
+    render(<MovieGrid />);
+
+    const alert = await screen.findByRole("alert");
+    expect(
+      within(alert).getByText("TMDB is having trouble")
+    ).toBeInTheDocument();
+    expect(within(alert).getByText(/error 503/)).toBeInTheDocument();
+
+    await user.click(within(alert).getByRole("button", { name: "Try again" }));
+
+    expect(await screen.findByTitle("Inception")).toBeInTheDocument();
+    await waitFor(() =>
+      expect(screen.queryByRole("alert")).not.toBeInTheDocument()
+    );
+  });
+
+  it("offers no retry for a rejected API key", async () => {
+    tmdbService.getPopularMovies.mockRejectedValue(
+      new TMDBError("Invalid API key", {
+        code: TMDB_ERROR_CODES.UNAUTHORIZED,
+        status: 401,
+      })
+    );
+
+    render(<MovieGrid />);
+
+    const alert = await screen.findByRole("alert");
+    expect(
+      within(alert).getByText("TMDB rejected the API key")
+    ).toBeInTheDocument();
+    expect(within(alert).queryByRole("button")).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,180 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import {
+  NotificationsProvider,
+  useNotifications,
+} from "@/hooks/useNotifications";
+import { startOfDay } from "@/lib/releases";
+import { tmdbService } from "@/lib/tmdb";
+
+const lists = vi.hoisted(() => ({
+  watchlist: [],
+  preferences: { region: "GB", providers: [8] },
+}));
+vi.mock("@/components/auth/AuthProvider", () => {
+  const user = { uid: "user-1" };
+  return { useAuth: () => ({ user }) };
+});
+vi.mock("@/hooks/useWatchlist", () => ({
+  useWatchlist: () => ({ ...lists, loading: false }),
+}));
+vi.mock("@/hooks/use-toast", () => ({
+  useToast: () => ({ toast: vi.fn() }),
+}));
+vi.mock("@/lib/tmdb", () => ({
+  tmdbService: { getReleaseDates: vi.fn(), getWatchProviders: vi.fn() },
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+let time;
+let timers;
+
+// Time only moves when a test calls advance(), which runs the scheduler's
+// timers that came due
+const clock = {
+  now: () => time,
+  setTimeout: (fn, ms) => {
+    const id = Symbol("timer");
+    timers.set(id, { fn, at: time + ms });
+    return id;
+  },
+  clearTimeout: (id) => timers.delete(id),
+};
+
+/**
+ * Moves the fake clock forward
+ * @param {number} ms - Milliseconds to advance
+ */
+const advance = (ms) =>
+  act(() => {
+    time += ms;
+    for (const [id, timer] of [...timers]) {
+      if (timer.at > time) continue;
+      timers.delete(id);
+      timer.fn();
+    }
+  });
+
+const DUNE = { id: 1, title: "Dune", release_date: "2026-12-18" };
+const HEAT = { id: 949, title: "Heat", release_date: "1995-12-15" };
+const ALIEN = { id: 348, title: "Alien", release_date: "" };
+
+/**
+ * Builds a release_dates response with one theatrical release in GB
+ * @param {string} date - Release date (YYYY-MM-DD)
+ * @returns {Object} TMDB response
+ */
+const theatrical = (date) => ({
+  results: [
+    {
+      iso_3166_1: "GB",
+      release_dates: [{ type: 3, release_date: `${date}T00:00:00.000Z` }],
+    },
+  ],
+});
+
+/**
+ * Renders the hook inside its provider
+ * @returns {Object} renderHook result
+ */
+const renderNotifications = () =>
+  renderHook(() => useNotifications(), {
+    wrapper: ({ children }) => (
+      <NotificationsProvider clock={clock}>{children}</NotificationsProvider>
+    ),
+  });
+
+beforeEach(() => {
+  time = startOfDay("2026-06-01");
+  timers = new Map();
+  localStorage.clear();
+  lists.watchlist = [DUNE, HEAT];
+  tmdbService.getReleaseDates.mockReset();
+  tmdbService.getReleaseDates.mockImplementation(async (id) =>
+    theatrical(id === DUNE.id ? "2026-12-18" : "2026-08-07")
+  );
+  tmdbService.getWatchProviders.mockReset();
+  tmdbService.getWatchProviders.mockResolvedValue({ results: {} });
+});
+
+describe("NotificationsProvider", () => {
+  it("looks up releases only for unreleased or recent movies", async () => {
+    const { result } = renderNotifications();
+
+    await waitFor(() => expect(result.current.releasesLoading).toBe(false));
+    expect(result.current.releaseEvents.map((e) => e.id)).toEqual([
+      "1:theatrical",
+    ]);
+    expect(tmdbService.getReleaseDates).toHaveBeenCalledTimes(1);
+    expect(tmdbService.getReleaseDates).toHaveBeenCalledWith(
+      DUNE.id,
+      expect.anything()
+    );
+  });
+
+  it("announces older titles arriving on the user's services", async () => {
+    localStorage.setItem(
+      "cinetracker-notifications-user-1",
+      JSON.stringify({
+        services: "GB:8",
+        availability: { [DUNE.id]: [], [HEAT.id]: [] },
+        checkedAt: 0,
+      })
+    );
+    tmdbService.getWatchProviders.mockImplementation(async (id) => ({
+      results:
+        id === HEAT.id
+          ? { GB: { flatrate: [{ provider_id: 8, provider_name: "Netflix" }] } }
+          : {},
+    }));
+
+    const { result } = renderNotifications();
+
+    await waitFor(() =>
+      expect(result.current.notifications.map((n) => n.title)).toEqual([
+        "Heat is on Netflix",
+      ])
+    );
+    expect(result.current.notifications[0].at).toBe(time);
+  });
+
+  it("only looks up movies added to the watchlist since the last lookup", async () => {
+    const { result, rerender } = renderNotifications();
+    await waitFor(() => expect(result.current.releasesLoading).toBe(false));
+
+    lists.watchlist = [DUNE, HEAT, ALIEN];
+    rerender();
+
+    await waitFor(() => expect(result.current.releaseEvents).toHaveLength(2));
+    expect(tmdbService.getReleaseDates.mock.calls.map(([id]) => id)).toEqual([
+      DUNE.id,
+      ALIEN.id,
+    ]);
+
+    lists.watchlist = [ALIEN];
+    rerender();
+
+    await waitFor(() => expect(result.current.releaseEvents).toHaveLength(1));
+    expect(tmdbService.getReleaseDates).toHaveBeenCalledTimes(2);
+  });
+
+  it("re-checks services on the scheduler's clock", async () => {
+    const { result } = renderNotifications();
+    await waitFor(() => expect(result.current.releasesLoading).toBe(false));
+    await waitFor(() =>
+      expect(tmdbService.getWatchProviders).toHaveBeenCalled()
+    );
+    const checks = tmdbService.getWatchProviders.mock.calls.length;
+
+    await advance(HOUR);
+    expect(tmdbService.getWatchProviders).toHaveBeenCalledTimes(checks);
+
+    // The scheduler wakes six hours after its last check, which looks up
+    // every watchlisted movie
+    await advance(5 * HOUR);
+    await waitFor(() =>
+      expect(tmdbService.getWatchProviders).toHaveBeenCalledTimes(checks + 2)
+    );
+  });
+});
@@ -0,0 +1,127 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+
+// Set by `firebase emulators:exec` (npm run test:emulator); without it the
+// suite is skipped
+const EMULATOR = process.env.FIRESTORE_EMULATOR_HOST;
+
+// lib/firebase reads its config on import, so point it at the emulators first
+vi.hoisted(() => {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) return;
+  Object.assign(process.env, {
+    NEXT_PUBLIC_FIREBASE_API_KEY: "demo-key",
+    NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN: "demo-cinetracker.firebaseapp.com",
+    NEXT_PUBLIC_FIREBASE_PROJECT_ID: "demo-cinetracker",
+    NEXT_PUBLIC_FIREBASE_APP_ID: "demo-app",
+    NEXT_PUBLIC_FIREBASE_EMULATOR_HOST: "127.0.0.1",
+  });
+});
+
+// The signed-in user is created in the auth emulator before each suite
+const session = vi.hoisted(() => ({ user: null, initialized: true }));
+vi.mock("@/components/auth/AuthProvider", () => ({
+  useAuth: () => session,
+}));
+vi.mock("@/hooks/use-toast", () => ({
+  useToast: () => ({ toast: vi.fn() }),
+}));
+
+const { createUserWithEmailAndPassword } = await import("firebase/auth");
+const { doc, getDoc } = await import("firebase/firestore");
+const { getAuthInstance, getDbInstance } = await import("@/lib/auth");
+const { WatchlistProvider, useWatchlist } =
+  await import("@/hooks/useWatchlist");
+
+const INCEPTION = {
+  id: 27205,
+  title: "Inception",
+  poster_path: "/inception.jpg",
+  release_date: "2010-07-15",
+  genre_ids: [28, 878],
+  runtime: 148,
+  vote_average: 8.4,
+};
+
+/**
+ * Reads the signed-in user's document straight from the emulator
+ * @returns {Promise<Object>} Document data
+ */
+async function storedLists() {
+  const snap = await getDoc(doc(getDbInstance(), "users", session.user.uid));
+  return snap.data();
+}
+
+/**
+ * Renders the hook inside its provider and waits for the first snapshot
+ * @returns {Promise<Object>} renderHook result
+ */
+async function renderWatchlist() {
+  const hook = renderHook(() => useWatchlist(), {
+    wrapper: WatchlistProvider,
+  });
+  await waitFor(() => expect(hook.result.current.loading).toBe(false), {
+    timeout: 5000,
+  });
+  return hook;
+}
+
+describe.skipIf(!EMULATOR)("useWatchlist with Firestore (emulator)", () => {
+  beforeAll(async () => {
+    const { user } = await createUserWithEmailAndPassword(
+      getAuthInstance(),
+      `watchlist-${Date.now()}@example.com`,
+      "password123"
+    );
+    session.user = user;
+  });
+
+  it("creates the user document on first load", async () => {
+    await renderWatchlist();
+
+    expect(await storedLists()).toMatchObject({
+      watchlist: [],
+      watched: [],
+      favorites: [],
+    });
+  });
+
+  it("adds and removes watchlist movies", async () => {
+    const { result } = await renderWatchlist();
+
+    await act(() => result.current.addToWatchlist(INCEPTION));
+    expect(result.current.isInWatchlist(27205)).toBe(true);
+    expect((await storedLists()).watchlist).toEqual([
+      expect.objectContaining({ id: 27205, title: "Inception" }),
+    ]);
+    expect(result.current.pendingCount).toBe(0);
+
+    await act(() => result.current.removeFromWatchlist(27205));
+    expect((await storedLists()).watchlist).toEqual([]);
+    await waitFor(() =>
+      expect(result.current.isInWatchlist(27205)).toBe(false)
+    );
+  });
+
+  it("rates watched movies", async () => {
+    const { result } = await renderWatchlist();
+
+    await act(() => result.current.addToWatched(INCEPTION, 7));
+    await act(() => result.current.updateWatchedRating(27205, 9));
+
+    const [entry] = (await storedLists()).watched;
+    expect(entry).toMatchObject({ id: 27205, rating: 9 });
+    expect(entry.viewings).toHaveLength(1);
+    await waitFor(() => expect(result.current.watched[0].rating).toBe(9));
+  });
+
+  it("shares changes between subscribers", async () => {
+    const first = await renderWatchlist();
+    const second = await renderWatchlist();
+
+    await act(() => first.result.current.addToFavorites(INCEPTION));
+
+    await waitFor(() =>
+      expect(second.result.current.isFavorite(27205)).toBe(true)
+    );
+  });
+});
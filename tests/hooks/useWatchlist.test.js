@@ -0,0 +1,206 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { WatchlistProvider, useWatchlist } from "@/hooks/useWatchlist";
+import { onSnapshot, setDoc, updateDoc } from "firebase/firestore";
+import { tmdbService } from "@/lib/tmdb";
+
+// Signed out unless a test sets a user, so lists live in localStorage
+const auth = vi.hoisted(() => ({ user: null }));
+vi.mock("@/components/auth/AuthProvider", () => ({
+  useAuth: () => ({ user: auth.user, initialized: true }),
+}));
+vi.mock("@/hooks/use-toast", () => ({
+  useToast: () => ({ toast: vi.fn() }),
+}));
+vi.mock("@/lib/auth", () => ({
+  getDbInstance: () => ({}),
+}));
+vi.mock("firebase/firestore", async (importOriginal) => ({
+  ...(await importOriginal()),
+  doc: vi.fn(() => ({})),
+  onSnapshot: vi.fn(),
+  setDoc: vi.fn(),
+  updateDoc: vi.fn(),
+}));
+vi.mock("@/lib/tmdb", () => ({
+  tmdbService: { getMovieSummary: vi.fn() },
+}));
+
+const LOCAL_KEY = "cinetracker-data";
+
+const INCEPTION = {
+  id: 27205,
+  title: "Inception",
+  poster_path: "/inception.jpg",
+  release_date: "2010-07-15",
+  genre_ids: [28, 878],
+  runtime: 148,
+  vote_average: 8.4,
+};
+
+/**
+ * Renders the hook inside its provider and waits for the lists to load
+ * @returns {Promise<Object>} renderHook result
+ */
+async function renderWatchlist() {
+  const hook = renderHook(() => useWatchlist(), {
+    wrapper: WatchlistProvider,
+  });
+  await waitFor(() => expect(hook.result.current.loading).toBe(false));
+  return hook;
+}
+
+/**
+ * Reads the lists saved for guests
+ * @returns {Object} Saved list data
+ */
+const saved = () => JSON.parse(localStorage.getItem(LOCAL_KEY));
+
+beforeEach(() => {
+  auth.user = null;
+  tmdbService.getMovieSummary.mockReset();
+});
+
+describe("useWatchlist for guests (localStorage)", () => {
+  it("adds and removes watchlist movies", async () => {
+    const { result } = await renderWatchlist();
+
+    await act(() => result.current.addToWatchlist(INCEPTION));
+    expect(result.current.isInWatchlist(27205)).toBe(true);
+    expect(result.current.watchlist[0]).toMatchObject({
+      id: 27205,
+      title: "Inception",
+      runtime: 148,
+    });
+    expect(saved().watchlist).toHaveLength(1);
+
+    await act(() => result.current.removeFromWatchlist(27205));
+    expect(result.current.isInWatchlist(27205)).toBe(false);
+    expect(saved().watchlist).toEqual([]);
+  });
+
+  it("doesn't add the same movie twice", async () => {
+    const { result } = await renderWatchlist();
+
+    await act(() => result.current.addToWatchlist(INCEPTION));
+    await act(() => result.current.addToWatchlist(INCEPTION));
+    const added = await act(() =>
+      result.current.addManyToWatchlist([INCEPTION, { ...INCEPTION, id: 603 }])
+    );
+
+    expect(added).toBe(1);
+    expect(result.current.watchlist.map((m) => m.id)).toEqual([27205, 603]);
+  });
+
+  it("marks movies as watched and rates them", async () => {
+    const { result } = await renderWatchlist();
+
+    await act(() => result.current.addToWatched(INCEPTION, 7));
+    expect(result.current.isInWatched(27205)).toBe(true);
+    expect(result.current.watched[0].rating).toBe(7);
+
+    await act(() => result.current.updateWatchedRating(27205, 9));
+    expect(result.current.watched[0].rating).toBe(9);
+    expect(saved().watched[0].rating).toBe(9);
+
+    await act(() => result.current.removeFromWatched(27205));
+    expect(result.current.watched).toEqual([]);
+  });
+
+  it("ignores ratings for movies that aren't watched", async () => {
+    const { result } = await renderWatchlist();
+
+    await act(() => result.current.updateWatchedRating(27205, 9));
+    expect(result.current.watched).toEqual([]);
+    expect(localStorage.getItem(LOCAL_KEY)).toBeNull();
+  });
+
+  it("toggles favorites", async () => {
+    const { result } = await renderWatchlist();
+
+    await act(() => result.current.addToFavorites(INCEPTION));
+    expect(result.current.isFavorite(27205)).toBe(true);
+
+    await act(() => result.current.removeFromFavorites(27205));
+    expect(result.current.isFavorite(27205)).toBe(false);
+  });
+
+  it("loads saved lists and migrates bare movie IDs", async () => {
+    localStorage.setItem(
+      LOCAL_KEY,
+      JSON.stringify({ watchlist: [27205], watched: [], favorites: [] })
+    );
+    tmdbService.getMovieSummary.mockResolvedValue(INCEPTION);
+
+    const { result } = await renderWatchlist();
+
+    expect(result.current.isInWatchlist(27205)).toBe(true);
+    // The bare ID has no snapshot, so it's filled in from TMDB
+    await waitFor(() =>
+      expect(result.current.watchlist[0].title).toBe("Inception")
+    );
+    expect(tmdbService.getMovieSummary).toHaveBeenCalledWith(27205);
+    expect(saved().watchlist[0]).toMatchObject({ id: 27205, runtime: 148 });
+  });
+
+  it("picks up changes made in another tab", async () => {
+    const { result } = await renderWatchlist();
+
+    localStorage.setItem(
+      LOCAL_KEY,
+      JSON.stringify({ watchlist: [], watched: [], favorites: [INCEPTION] })
+    );
+    act(() => {
+      window.dispatchEvent(new StorageEvent("storage", { key: LOCAL_KEY }));
+    });
+
+    await waitFor(() => expect(result.current.isFavorite(27205)).toBe(true));
+  });
+});
+
+describe("useWatchlist for signed-in users", () => {
+  /**
+   * Makes the Firestore listener deliver one snapshot
+   * @param {Object|null} stored - User document, or null if it doesn't exist
+   */
+  const deliverSnapshot = (stored) => {
+    onSnapshot.mockImplementation((ref, onNext) => {
+      onNext({ exists: () => stored !== null, data: () => stored });
+      return () => {};
+    });
+  };
+
+  beforeEach(() => {
+    auth.user = { uid: "user-1" };
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    localStorage.setItem(
+      LOCAL_KEY,
+      JSON.stringify({ watchlist: [INCEPTION], watched: [], favorites: [] })
+    );
+  });
+
+  it("falls back to local data when the user document can't be created", async () => {
+    deliverSnapshot(null);
+    setDoc.mockRejectedValue(new Error("permission-denied"));
+
+    const { result } = await renderWatchlist();
+
+    expect(result.current.isInWatchlist(27205)).toBe(true);
+  });
+
+  it("keeps the server lists when migrating legacy lists fails", async () => {
+    deliverSnapshot({ watchlist: [550], watched: [], favorites: [] });
+    updateDoc.mockRejectedValue(new Error("unavailable"));
+
+    const { result } = await renderWatchlist();
+
+    await waitFor(() =>
+      expect(console.error).toHaveBeenCalledWith(
+        "Error migrating user data:",
+        expect.any(Error)
+      )
+    );
+    expect(result.current.isInWatchlist(550)).toBe(true);
+    expect(result.current.isInWatchlist(27205)).toBe(false);
+  });
+});
@@ -0,0 +1,264 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  buildCsvExport,
+  matchImportRow,
+  matchImportRows,
+  parseCsv,
+  parseImportFile,
+  retryFailedMatches,
+} from "@/lib/importExport";
+import { createRateLimiter } from "@/lib/rateLimit";
+import { TMDBService } from "@/lib/tmdb";
+import { TMDBError, TMDB_ERROR_CODES } from "@/lib/tmdbErrors";
+import { proxyTMDBRequest } from "@/lib/tmdbProxy";
+
+const INCEPTION = {
+  id: 27205,
+  title: "Inception",
+  original_title: "Inception",
+  release_date: "2010-07-15",
+};
+const HEAT = {
+  id: 949,
+  title: "Heat",
+  original_title: "Heat",
+  release_date: "1995-12-15",
+};
+
+/**
+ * Builds a TMDB error
+ * @param {string} code - One of TMDB_ERROR_CODES
+ * @param {number} status - HTTP status
+ * @returns {TMDBError} Error
+ */
+const tmdbError = (code, status) =>
+  new TMDBError("TMDB request failed", { code, status });
+
+/**
+ * Stubs the TMDB service methods matching uses
+ * Searches answer from the given movies by exact title
+ * @param {Array<Object>} movies - Movies TMDB knows
+ * @returns {Object} Service stub
+ */
+function stubService(movies) {
+  return {
+    getMovieSummary: vi.fn(async (id) => {
+      const movie = movies.find((m) => m.id === id);
+      if (!movie) throw tmdbError(TMDB_ERROR_CODES.NOT_FOUND, 404);
+      return movie;
+    }),
+    findByExternalId: vi.fn(async () => ({ movie_results: [] })),
+    searchMovies: vi.fn(async (query) => ({
+      results: movies.filter((m) => m.title === query),
+    })),
+  };
+}
+
+/**
+ * Builds an import row
+ * @param {number} line - File line
+ * @param {Object} fields - Row fields
+ * @returns {Object} Import row
+ */
+const row = (line, fields) => ({ line, list: "watched", rating: 0, ...fields });
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+describe("buildCsvExport", () => {
+  const lists = {
+    watchlist: [
+      { id: 1, title: '=HYPERLINK("http://evil.example","Click")' },
+      { id: 2, title: "Heat", release_date: "1995-12-15" },
+    ],
+    watched: [
+      {
+        id: 27205,
+        title: "Inception",
+        release_date: "2010-07-15",
+        viewings: [
+          {
+            date: "2024-01-02",
+            rating: 9,
+            note: "@everyone +1, -ish",
+            rewatch: true,
+            format: "cinema",
+          },
+        ],
+      },
+    ],
+  };
+
+  it("stops titles and notes from running as spreadsheet formulas", () => {
+    const rows = parseCsv(buildCsvExport(lists));
+
+    expect(rows[1][2]).toBe('\'=HYPERLINK("http://evil.example","Click")');
+    expect(rows[2][2]).toBe("Heat");
+    expect(rows[3].at(-1)).toBe("'@everyone +1, -ish");
+    rows.flat().forEach((cell) => expect(cell).not.toMatch(/^[=+\-@]/));
+  });
+
+  it("reads its own export back unchanged", () => {
+    const { format, rows } = parseImportFile(
+      "cinetracker.csv",
+      buildCsvExport(lists)
+    );
+
+    expect(format).toBe("CineTracker CSV");
+    expect(rows.map((r) => r.title)).toEqual([
+      '=HYPERLINK("http://evil.example","Click")',
+      "Heat",
+      "Inception",
+    ]);
+    expect(rows[2]).toMatchObject({
+      list: "watched",
+      tmdbId: 27205,
+      rating: 9,
+      dateWatched: "2024-01-02",
+      rewatch: true,
+      note: "@everyone +1, -ish",
+    });
+  });
+});
+
+describe("matchImportRow", () => {
+  it("matches by TMDB ID first", async () => {
+    const service = stubService([INCEPTION]);
+
+    const result = await matchImportRow(
+      row(2, { title: "Inception", tmdbId: 27205 }),
+      service
+    );
+
+    expect(result).toMatchObject({ status: "matched", movie: INCEPTION });
+    expect(service.searchMovies).not.toHaveBeenCalled();
+  });
+
+  it("falls back to a title search within the year", async () => {
+    const service = stubService([INCEPTION]);
+
+    const result = await matchImportRow(
+      row(2, { title: "Inception", year: 2010, tmdbId: 1 }),
+      service
+    );
+
+    expect(result.status).toBe("matched");
+    expect(service.searchMovies).toHaveBeenCalledWith("Inception", 1, 2010);
+  });
+
+  it("offers candidates when the title matches nothing exactly", async () => {
+    const service = stubService([]);
+    service.searchMovies.mockResolvedValue({ results: [INCEPTION, HEAT] });
+
+    const result = await matchImportRow(row(2, { title: "Heet" }), service);
+
+    expect(result).toMatchObject({ status: "ambiguous", movie: null });
+    expect(result.candidates).toEqual([INCEPTION, HEAT]);
+  });
+});
+
+describe("matchImportRows", () => {
+  it("keeps matching when one row's lookup fails", async () => {
+    const service = stubService([INCEPTION, HEAT]);
+    const outage = tmdbError(TMDB_ERROR_CODES.SERVER, 503);
+    service.searchMovies.mockImplementation(async (query) => {
+      if (query === "Alien") throw outage;
+      return { results: [INCEPTION, HEAT].filter((m) => m.title === query) };
+    });
+    const onProgress = vi.fn();
+
+    const results = await matchImportRows(
+      [
+        row(2, { title: "Inception" }),
+        row(3, { title: "Alien" }),
+        row(4, { title: "Heat" }),
+      ],
+      service,
+      onProgress
+    );
+
+    expect(results.map((r) => r.status)).toEqual([
+      "matched",
+      "failed",
+      "matched",
+    ]);
+    expect(results[1]).toMatchObject({ line: 3, movie: null, error: outage });
+    expect(onProgress).toHaveBeenLastCalledWith(3);
+  });
+
+  it("retries only the failed rows", async () => {
+    const service = stubService([INCEPTION, HEAT]);
+    service.searchMovies.mockRejectedValueOnce(
+      tmdbError(TMDB_ERROR_CODES.RATE_LIMITED, 429)
+    );
+    const first = await matchImportRows(
+      [row(2, { title: "Heat" }), row(3, { title: "Inception" })],
+      service
+    );
+    expect(first.map((r) => r.status)).toEqual(["failed", "matched"]);
+    service.searchMovies.mockClear();
+
+    const results = await retryFailedMatches(first, service);
+
+    expect(results.map((r) => r.status)).toEqual(["matched", "matched"]);
+    expect(results[0]).toMatchObject({ line: 2, movie: HEAT });
+    expect(results[0]).not.toHaveProperty("error");
+    expect(results[1]).toBe(first[1]);
+    expect(service.searchMovies).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("matchImportRows through the TMDB proxy", () => {
+  // Small so the test stays quick; the import is several times larger
+  const LIMIT = 20;
+  let responses;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubEnv("NEXT_PUBLIC_TMDB_DEMO", "true");
+    vi.stubEnv("NEXT_PUBLIC_TMDB_RATE_LIMIT", String(LIMIT));
+
+    // Browser requests go through the real proxy handler (with demo data),
+    // rate limited like one visitor
+    const limiter = createRateLimiter({ limit: LIMIT, windowMs: 60 * 1000 });
+    responses = [];
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url) => {
+        const endpoint = new URL(url).pathname.replace(/^\/api\/tmdb/, "");
+        const response = await proxyTMDBRequest(new Request(url), endpoint, {
+          ip: "203.0.113.7",
+          limiter,
+          demo: true,
+        });
+        responses.push(response.status);
+        return response;
+      })
+    );
+  });
+
+  it("finishes an import larger than the proxy's rate limit", async () => {
+    // Unknown IMDb IDs make every row look up /find, then fall back to search
+    const rows = Array.from({ length: LIMIT * 3 }, (_, i) => ({
+      line: i + 2,
+      list: "watched",
+      title: "Inception",
+      year: 2010,
+      imdbId: `tt99${String(i).padStart(5, "0")}`,
+    }));
+
+    const run = matchImportRows(rows, new TMDBService());
+    await vi.runAllTimersAsync();
+    const results = await run;
+
+    expect(responses.length).toBeGreaterThan(LIMIT * 3);
+    expect(responses.every((status) => status === 200)).toBe(true);
+    expect(results).toHaveLength(rows.length);
+    expect(
+      results.every((r) => r.status === "matched" && r.movie.id === 27205)
+    ).toBe(true);
+  });
+});
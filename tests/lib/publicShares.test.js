@@ -0,0 +1,94 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { fetchPublicCalendar, fetchPublicShare } from "@/lib/publicShares";
+
+const TOKEN = "0123456789abcdef0123456789abcdef";
+
+/**
+ * Makes fetch answer with a Firestore REST response
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - JSON body
+ */
+const respond = (status, body = {}) => {
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => new Response(JSON.stringify(body), { status }))
+  );
+};
+
+beforeEach(() => {
+  vi.stubEnv("NEXT_PUBLIC_FIREBASE_PROJECT_ID", "cinetracker-test");
+  vi.stubEnv("FIRESTORE_EMULATOR_HOST", "");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+describe("fetchPublicShare", () => {
+  it("reads the share's fields", async () => {
+    respond(200, {
+      fields: {
+        title: { stringValue: "Heists" },
+        count: { integerValue: "1" },
+        items: {
+          arrayValue: {
+            values: [{ mapValue: { fields: { id: { integerValue: "949" } } } }],
+          },
+        },
+      },
+    });
+
+    expect(await fetchPublicShare(TOKEN)).toEqual({
+      title: "Heists",
+      count: 1,
+      items: [{ id: 949 }],
+    });
+  });
+
+  it("returns null for disabled links and malformed tokens", async () => {
+    respond(404);
+
+    expect(await fetchPublicShare(TOKEN)).toBeNull();
+    expect(await fetchPublicShare("not-a-token")).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("throws when Firestore fails instead of reporting the share missing", async () => {
+    respond(503);
+
+    await expect(fetchPublicShare(TOKEN)).rejects.toThrow("503");
+  });
+
+  it("throws when Firestore can't be reached", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => {
+        throw new TypeError("fetch failed");
+      })
+    );
+
+    await expect(fetchPublicShare(TOKEN)).rejects.toThrow("fetch failed");
+  });
+});
+
+describe("fetchPublicCalendar", () => {
+  it("fills in missing lists", async () => {
+    respond(200, { fields: { region: { stringValue: "GB" } } });
+
+    expect(await fetchPublicCalendar(TOKEN)).toEqual({
+      region: "GB",
+      watchlist: [],
+      watched: [],
+    });
+  });
+
+  it("returns null for disabled feeds and throws on other errors", async () => {
+    respond(404);
+    expect(await fetchPublicCalendar(TOKEN)).toBeNull();
+
+    respond(500);
+    await expect(fetchPublicCalendar(TOKEN)).rejects.toThrow("500");
+  });
+});
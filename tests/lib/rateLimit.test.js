@@ -0,0 +1,105 @@
+// @vitest-environment node
+import { describe, expect, it } from "vitest";
+import {
+  clientIp,
+  createRateLimiter,
+  createRequestPacer,
+} from "@/lib/rateLimit";
+
+/**
+ * Builds a request with the given headers
+ * @param {Object} headers - Request headers
+ * @returns {Request} Request
+ */
+const request = (headers) =>
+  new Request("http://localhost/api/tmdb/movie/popular", { headers });
+
+describe("createRateLimiter", () => {
+  it("allows up to the limit per window, then resets", () => {
+    let time = 0;
+    const check = createRateLimiter({
+      limit: 2,
+      windowMs: 1000,
+      now: () => time,
+    });
+
+    expect(check("a")).toMatchObject({ allowed: true, remaining: 1 });
+    expect(check("a")).toMatchObject({ allowed: true, remaining: 0 });
+    expect(check("a")).toMatchObject({ allowed: false, resetAt: 1000 });
+    expect(check("b").allowed).toBe(true);
+
+    time = 1000;
+    expect(check("a")).toMatchObject({ allowed: true, remaining: 1 });
+  });
+});
+
+describe("createRequestPacer", () => {
+  it("starts requests at once until the limit, then waits for the window", () => {
+    let time = 0;
+    const reserve = createRequestPacer({
+      limit: 2,
+      windowMs: 1000,
+      now: () => time,
+    });
+
+    expect([reserve(), reserve(), reserve(), reserve(), reserve()]).toEqual([
+      0, 0, 1000, 1000, 2000,
+    ]);
+
+    time = 1500;
+    expect(reserve()).toBe(500);
+  });
+
+  it("never lets a limiter's window see more than the limit", () => {
+    let time = 0;
+    const reserve = createRequestPacer({
+      limit: 3,
+      windowMs: 1000,
+      now: () => time,
+    });
+    const check = createRateLimiter({
+      limit: 3,
+      windowMs: 1000,
+      now: () => time,
+    });
+
+    const starts = Array.from({ length: 10 }, () => reserve()).sort(
+      (a, b) => a - b
+    );
+    const allowed = starts.map((start) => {
+      time = start;
+      return check("client").allowed;
+    });
+
+    expect(allowed.every(Boolean)).toBe(true);
+  });
+});
+
+describe("clientIp", () => {
+  it("prefers x-real-ip from the platform", () => {
+    expect(
+      clientIp(
+        request({ "x-real-ip": "203.0.113.7", "x-forwarded-for": "1.2.3.4" })
+      )
+    ).toBe("203.0.113.7");
+  });
+
+  it("uses the hop the proxy appended, not client-supplied values", () => {
+    expect(
+      clientIp(request({ "x-forwarded-for": "6.6.6.6, 10.0.0.1, 203.0.113.7" }))
+    ).toBe("203.0.113.7");
+  });
+
+  it("can't be dodged by changing a forged x-forwarded-for", () => {
+    const check = createRateLimiter({ limit: 1, windowMs: 60000 });
+    const forged = (value) =>
+      request({ "x-forwarded-for": `${value}, 203.0.113.7` });
+
+    expect(check(clientIp(forged("1.1.1.1"))).allowed).toBe(true);
+    expect(check(clientIp(forged("2.2.2.2"))).allowed).toBe(false);
+  });
+
+  it("falls back to unknown without proxy headers", () => {
+    expect(clientIp(request({}))).toBe("unknown");
+  });
+});
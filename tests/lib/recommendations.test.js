@@ -0,0 +1,150 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  explainPick,
+  genreAffinity,
+  getRecommendations,
+  pickSeeds,
+} from "@/lib/recommendations";
+import { TMDBError, TMDB_ERROR_CODES } from "@/lib/tmdbErrors";
+
+const NOW = new Date("2026-06-01T12:00:00");
+
+const HEAT = { id: 949, title: "Heat", genre_ids: [80, 18], rating: 9 };
+const ALIEN = { id: 348, title: "Alien", genre_ids: [27, 878], rating: 4 };
+const INCEPTION = { id: 27205, title: "Inception", genre_ids: [28, 878] };
+
+// Michael Mann, who directed Heat and Collateral
+const MANN = { id: 638, name: "Michael Mann", job: "Director" };
+
+/**
+ * Stubs the TMDB service methods getRecommendations uses
+ * @param {Object} recommendations - Seed ID -> recommended movies
+ * @param {Object} credits - Movie ID -> credits
+ * @returns {Object} Service stub
+ */
+function stubService(recommendations, credits = {}) {
+  return {
+    getMovieRecommendations: vi.fn(async (id) => {
+      if (!recommendations[id]) {
+        throw new TMDBError("Not found", {
+          code: TMDB_ERROR_CODES.NOT_FOUND,
+          status: 404,
+        });
+      }
+      return { results: recommendations[id] };
+    }),
+    getMovieCredits: vi.fn(async (id) => credits[id] || { cast: [], crew: [] }),
+  };
+}
+
+describe("pickSeeds", () => {
+  it("uses highly rated watched films and favorites, strongest first", () => {
+    const seeds = pickSeeds({
+      watched: [HEAT, ALIEN],
+      favorites: [INCEPTION],
+    });
+
+    expect(seeds.map((s) => [s.title, s.weight])).toEqual([
+      ["Inception", 1],
+      ["Heat", 0.9],
+    ]);
+  });
+});
+
+describe("genreAffinity", () => {
+  it("scores genres of liked films up and disliked films down", () => {
+    const genres = genreAffinity({ watched: [HEAT, ALIEN], favorites: [] });
+
+    expect(genres.get(80)).toBe(1);
+    expect(genres.get(27)).toBe(0);
+  });
+});
+
+describe("explainPick", () => {
+  it("names the seed and a favorite person", () => {
+    expect(
+      explainPick(HEAT, { name: "Michael Mann", role: "director" }, "points")
+    ).toBe("Because you rated Heat 9/10 · Directed by Michael Mann");
+    expect(explainPick({ title: "Inception" }, null, "points")).toBe(
+      "Because you favorited Inception"
+    );
+  });
+});
+
+describe("getRecommendations", () => {
+  it("returns nothing without seeds, without calling TMDB", async () => {
+    const service = stubService({});
+
+    expect(
+      await getRecommendations({ watched: [ALIEN] }, service, { now: NOW })
+    ).toEqual([]);
+    expect(service.getMovieRecommendations).not.toHaveBeenCalled();
+  });
+
+  it("ranks recommendations of the user's seeds and explains them", async () => {
+    const collateral = {
+      id: 1538,
+      title: "Collateral",
+      genre_ids: [80, 18],
+      release_date: "2004-08-05",
+    };
+    const thief = {
+      id: 11524,
+      title: "Thief",
+      genre_ids: [80],
+      release_date: "1981-03-27",
+    };
+    const service = stubService(
+      {
+        [HEAT.id]: [collateral, thief, INCEPTION],
+        [INCEPTION.id]: [collateral],
+      },
+      {
+        [HEAT.id]: { cast: [], crew: [MANN] },
+        [collateral.id]: { cast: [], crew: [MANN] },
+      }
+    );
+
+    const picks = await getRecommendations(
+      { watchlist: [], watched: [HEAT], favorites: [INCEPTION] },
+      service,
+      { ratingScale: "points", now: NOW }
+    );
+
+    // Already-listed Inception is left out; two seeds put Collateral first
+    expect(picks.map((p) => p.title)).toEqual(["Collateral", "Thief"]);
+    expect(picks[0].reason).toBe(
+      "Because you favorited Inception · Directed by Michael Mann"
+    );
+    expect(picks[1].reason).toBe("Because you rated Heat 9/10");
+    expect(picks[0].score).toBeGreaterThan(picks[1].score);
+  });
+
+  it("skips seeds TMDB no longer knows", async () => {
+    const thief = { id: 11524, title: "Thief", genre_ids: [80] };
+    const service = stubService({ [HEAT.id]: [thief] });
+
+    const picks = await getRecommendations(
+      { watched: [HEAT], favorites: [INCEPTION] },
+      service,
+      { ratingScale: "points", now: NOW }
+    );
+
+    expect(picks.map((p) => p.title)).toEqual(["Thief"]);
+  });
+
+  it("passes the signal to every TMDB lookup", async () => {
+    const service = stubService({ [HEAT.id]: [] });
+    const { signal } = new AbortController();
+
+    await getRecommendations({ watched: [HEAT] }, service, {
+      now: NOW,
+      signal,
+    });
+
+    expect(service.getMovieRecommendations).toHaveBeenCalledWith(949, 1, {
+      signal,
+    });
+    expect(service.getMovieCredits).toHaveBeenCalledWith(949, { signal });
+  });
+});
@@ -0,0 +1,155 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  ANNOUNCE_WINDOW,
+  MAX_WAKE_DELAY,
+  createReleaseScheduler,
+  serviceArrivals,
+} from "@/lib/releaseNotifications";
+import { startOfDay } from "@/lib/releases";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+let time;
+let timers;
+let lastTimer;
+
+// Clock whose time only moves when a test calls advance()
+const clock = {
+  now: () => time,
+  setTimeout: (fn, ms) => {
+    timers.set(++lastTimer, { fn, at: time + ms });
+    return lastTimer;
+  },
+  clearTimeout: (id) => timers.delete(id),
+};
+
+/**
+ * Moves the fake clock forward, running timers as they come due
+ * @param {number} ms - Milliseconds to advance
+ */
+function advance(ms) {
+  const end = time + ms;
+  for (;;) {
+    const [id, next] =
+      [...timers]
+        .sort(([, a], [, b]) => a.at - b.at)
+        .find(([, timer]) => timer.at <= end) || [];
+    if (!next) break;
+    timers.delete(id);
+    time = next.at;
+    next.fn();
+  }
+  time = end;
+}
+
+/**
+ * Builds a release event
+ * @param {number} movieId - Movie ID
+ * @param {string} date - Release date (YYYY-MM-DD)
+ * @returns {Object} Theatrical release event
+ */
+const release = (movieId, date) => ({
+  id: `${movieId}:theatrical`,
+  movieId,
+  title: `Movie ${movieId}`,
+  kind: "theatrical",
+  label: "In theaters",
+  date,
+});
+
+beforeEach(() => {
+  time = startOfDay("2026-06-01") + 9 * HOUR;
+  timers = new Map();
+  lastTimer = 0;
+});
+
+describe("createReleaseScheduler", () => {
+  it("announces releases that are already due once", () => {
+    const onDue = vi.fn();
+    const scheduler = createReleaseScheduler({ onDue, clock });
+
+    scheduler.update([release(1, "2026-06-01"), release(2, "2026-07-01")]);
+    advance(MAX_WAKE_DELAY);
+
+    expect(onDue).toHaveBeenCalledTimes(1);
+    expect(onDue).toHaveBeenCalledWith(
+      [release(1, "2026-06-01")],
+      time - MAX_WAKE_DELAY
+    );
+  });
+
+  it("wakes when the next release's day starts", () => {
+    const onDue = vi.fn();
+    const scheduler = createReleaseScheduler({ onDue, clock });
+
+    time = startOfDay("2026-06-01") + 23 * HOUR;
+    scheduler.update([release(1, "2026-06-02")]);
+    advance(HOUR - 1);
+    expect(onDue).not.toHaveBeenCalled();
+
+    advance(1);
+    expect(onDue).toHaveBeenCalledWith(
+      [release(1, "2026-06-02")],
+      startOfDay("2026-06-02")
+    );
+  });
+
+  it("skips old releases and ones already announced", () => {
+    const onDue = vi.fn();
+    const scheduler = createReleaseScheduler({ onDue, clock });
+
+    scheduler.update(
+      [release(1, "2026-05-01"), release(2, "2026-05-30")],
+      ["2:theatrical"]
+    );
+
+    expect(time - startOfDay("2026-05-01")).toBeGreaterThan(ANNOUNCE_WINDOW);
+    expect(onDue).not.toHaveBeenCalled();
+  });
+
+  it("reports the clock's time on every wake, at least every MAX_WAKE_DELAY", () => {
+    const onWake = vi.fn();
+    const start = time;
+    const scheduler = createReleaseScheduler({ onDue: vi.fn(), onWake, clock });
+
+    scheduler.update([release(1, "2026-12-18")]);
+    advance(DAY);
+
+    expect(onWake.mock.calls.map(([now]) => now - start)).toEqual([
+      0,
+      MAX_WAKE_DELAY,
+      2 * MAX_WAKE_DELAY,
+      3 * MAX_WAKE_DELAY,
+      4 * MAX_WAKE_DELAY,
+    ]);
+  });
+
+  it("stops waking once stopped", () => {
+    const onWake = vi.fn();
+    const scheduler = createReleaseScheduler({ onDue: vi.fn(), onWake, clock });
+
+    scheduler.update([]);
+    scheduler.stop();
+    advance(DAY);
+
+    expect(onWake).toHaveBeenCalledTimes(1);
+    expect(timers.size).toBe(0);
+  });
+});
+
+describe("serviceArrivals", () => {
+  const NETFLIX = { provider_id: 8, provider_name: "Netflix" };
+  const MUBI = { provider_id: 11, provider_name: "MUBI" };
+
+  it("reports providers a movie wasn't on at the last check", () => {
+    expect(serviceArrivals({ 1: [8] }, { 1: [NETFLIX, MUBI] })).toEqual([
+      { movieId: 1, provider: MUBI },
+    ]);
+  });
+
+  it("only records a baseline for movies not checked before", () => {
+    expect(serviceArrivals(null, { 1: [NETFLIX] })).toEqual([]);
+    expect(serviceArrivals({ 2: [] }, { 1: [NETFLIX] })).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import {
+  RELEASE_TRACKING_WINDOW,
+  buildReleaseEvents,
+  startOfDay,
+  tracksReleases,
+} from "@/lib/releases";
+
+const NOW = startOfDay("2026-06-01");
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("tracksReleases", () => {
+  it("tracks unreleased, recent and undated movies", () => {
+    expect(tracksReleases({ release_date: "2026-12-18" }, NOW)).toBe(true);
+    expect(tracksReleases({ release_date: "2026-03-06" }, NOW)).toBe(true);
+    expect(tracksReleases({ release_date: "" }, NOW)).toBe(true);
+    expect(tracksReleases({}, NOW)).toBe(true);
+  });
+
+  it("stops tracking movies released longer ago than the window", () => {
+    expect(tracksReleases({ release_date: "2010-07-15" }, NOW)).toBe(false);
+    expect(tracksReleases({ release_date: "2025-06-01" }, NOW + DAY)).toBe(
+      false
+    );
+    expect(
+      tracksReleases(
+        { release_date: "2025-06-02" },
+        startOfDay("2025-06-02") + RELEASE_TRACKING_WINDOW - 1
+      )
+    ).toBe(true);
+  });
+});
+
+describe("buildReleaseEvents", () => {
+  it("makes one event per kind from the region's first dates", () => {
+    const data = {
+      1: {
+        results: [
+          {
+            iso_3166_1: "GB",
+            release_dates: [
+              { type: 3, release_date: "2026-07-10T00:00:00.000Z" },
+              { type: 4, release_date: "2026-09-01T00:00:00.000Z" },
+              { type: 3, release_date: "2026-07-24T00:00:00.000Z" },
+            ],
+          },
+          {
+            iso_3166_1: "US",
+            release_dates: [
+              { type: 3, release_date: "2026-07-03T00:00:00.000Z" },
+            ],
+          },
+        ],
+      },
+    };
+
+    const events = buildReleaseEvents([{ id: 1, title: "Dune" }], data, "GB");
+
+    expect(events.map(({ id, date }) => ({ id, date }))).toEqual([
+      { id: "1:theatrical", date: "2026-07-10" },
+      { id: "1:digital", date: "2026-09-01" },
+    ]);
+  });
+});
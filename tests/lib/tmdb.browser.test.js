@@ -0,0 +1,23 @@
+import { afterEach, expect, it, vi } from "vitest";
+import { TMDBService } from "@/lib/tmdb";
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+it("goes through the proxy route without a key in the browser", async () => {
+  vi.stubEnv("TMDB_API_KEY", "test-key");
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => Response.json({ page: 1, results: [] }))
+  );
+
+  await new TMDBService().getUpcomingMovies(4);
+
+  const url = new URL(fetch.mock.calls[0][0]);
+  expect(url.origin).toBe(window.location.origin);
+  expect(url.pathname).toBe("/api/tmdb/movie/upcoming");
+  expect(url.searchParams.get("page")).toBe("4");
+  expect(url.searchParams.has("api_key")).toBe(false);
+});
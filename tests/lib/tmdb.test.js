@@ -0,0 +1,194 @@
+// @vitest-environment node
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { TMDBService } from "@/lib/tmdb";
+import { TMDBError, TMDB_ERROR_CODES } from "@/lib/tmdbErrors";
+
+/**
+ * Builds a fetch Response with a JSON body
+ * @param {Object} body - Response body
+ * @param {number} [status] - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Response} Response
+ */
+const jsonResponse = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+/**
+ * Returns the URL of a fetch call as a URL object
+ * @param {number} [call] - Call index
+ * @returns {URL} Requested URL
+ */
+const requestedUrl = (call = 0) => new URL(fetch.mock.calls[call][0]);
+
+let service;
+
+beforeEach(() => {
+  vi.stubEnv("TMDB_API_KEY", "test-key");
+  vi.stubEnv("TMDB_API_URL", "");
+  vi.stubEnv("NEXT_PUBLIC_TMDB_DEMO", "false");
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async () => jsonResponse({ page: 1, results: [] }))
+  );
+  service = new TMDBService();
+  // No waiting between retries in tests
+  service.retry = { ...service.retry, baseDelay: 0, maxDelay: 0 };
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.unstubAllGlobals();
+});
+
+describe("TMDBService URL building", () => {
+  it("calls TMDB directly with the server key on the server", async () => {
+    await service.getPopularMovies(2);
+
+    const url = requestedUrl();
+    expect(url.origin + url.pathname).toBe(
+      "https://api.themoviedb.org/3/movie/popular"
+    );
+    expect(url.searchParams.get("api_key")).toBe("test-key");
+    expect(url.searchParams.get("page")).toBe("2");
+  });
+
+  it("uses TMDB_API_URL when set", async () => {
+    vi.stubEnv("TMDB_API_URL", "http://127.0.0.1:8090/3");
+    await new TMDBService().getTopRatedMovies();
+
+    expect(requestedUrl().href).toBe(
+      "http://127.0.0.1:8090/3/movie/top_rated?api_key=test-key&page=1"
+    );
+  });
+
+  it("appends related data to movie details", async () => {
+    await service.getMovieDetails(27205);
+
+    const url = requestedUrl();
+    expect(url.pathname).toBe("/3/movie/27205");
+    expect(url.searchParams.get("append_to_response")).toBe(
+      "credits,videos,reviews,similar,recommendations,images,release_dates"
+    );
+    expect(url.searchParams.get("include_image_language")).toBe("en,null");
+  });
+
+  it("trims search queries and skips empty ones", async () => {
+    await service.searchMovies("  inception ", 1, 2010);
+    expect(await service.searchMovies("   ")).toBeNull();
+
+    expect(fetch).toHaveBeenCalledOnce();
+    const url = requestedUrl();
+    expect(url.pathname).toBe("/3/search/movie");
+    expect(url.searchParams.get("query")).toBe("inception");
+    expect(url.searchParams.get("primary_release_year")).toBe("2010");
+  });
+
+  it("maps discover filters and leaves out empty values", async () => {
+    await service.discoverMovies(
+      {
+        genres: [28, 878],
+        yearFrom: "1990",
+        yearTo: "",
+        minRating: "7",
+        sortBy: "vote_average.desc",
+        language: null,
+      },
+      3
+    );
+
+    const params = Object.fromEntries(requestedUrl().searchParams);
+    expect(params).toEqual({
+      api_key: "test-key",
+      page: "3",
+      sort_by: "vote_average.desc",
+      with_genres: "28,878",
+      "primary_release_date.gte": "1990-01-01",
+      "vote_average.gte": "7",
+      "vote_count.gte": "200",
+    });
+  });
+
+  it("joins provider IDs for any-of matching", async () => {
+    await service.discoverByProviders([8, 337], "GB");
+
+    const params = requestedUrl().searchParams;
+    expect(params.get("with_watch_providers")).toBe("8|337");
+    expect(params.get("watch_region")).toBe("GB");
+  });
+
+  it("builds image URLs without a request", () => {
+    expect(service.getPosterUrl("/p.jpg", "w342")).toBe(
+      "https://image.tmdb.org/t/p/w342/p.jpg"
+    );
+    expect(service.getBackdropUrl("/b.jpg")).toBe(
+      "https://image.tmdb.org/t/p/w1280/b.jpg"
+    );
+    expect(service.getProfileUrl(null)).toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("TMDBService requests", () => {
+  it("serves repeated requests from the cache", async () => {
+    await Promise.all([service.getMovieGenres(), service.getMovieGenres()]);
+    await service.getMovieGenres();
+
+    expect(fetch).toHaveBeenCalledOnce();
+  });
+
+  it("throws a not found error without retrying", async () => {
+    fetch.mockResolvedValue(
+      jsonResponse({ status_message: "Not found." }, 404)
+    );
+
+    const error = await service.getMovieSummary(1).catch((e) => e);
+    expect(error).toBeInstanceOf(TMDBError);
+    expect(error.code).toBe(TMDB_ERROR_CODES.NOT_FOUND);
+    expect(error.message).toBe("Not found.");
+    expect(fetch).toHaveBeenCalledOnce();
+  });
+
+  it("retries server errors, then succeeds", async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({}, 503))
+      .mockResolvedValueOnce(jsonResponse({}, 429, { "Retry-After": "0" }))
+      .mockResolvedValueOnce(jsonResponse({ id: 550 }));
+
+    await expect(service.getMovieSummary(550)).resolves.toEqual({ id: 550 });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives up once retries are used up", async () => {
+    fetch.mockResolvedValue(jsonResponse({}, 500));
+
+    await expect(service.getMovieSummary(550)).rejects.toMatchObject({
+      code: TMDB_ERROR_CODES.SERVER,
+      status: 500,
+    });
+    expect(fetch).toHaveBeenCalledTimes(service.retry.retries + 1);
+  });
+
+  it("reports network failures", async () => {
+    fetch.mockRejectedValue(new TypeError("fetch failed"));
+
+    await expect(service.getMovieSummary(550)).rejects.toMatchObject({
+      code: TMDB_ERROR_CODES.NETWORK,
+    });
+  });
+
+  it("serves demo fixtures without calling TMDB in demo mode", async () => {
+    vi.stubEnv("NEXT_PUBLIC_TMDB_DEMO", "true");
+    const demo = new TMDBService();
+
+    const data = await demo.getPopularMovies();
+    expect(demo.isDemo()).toBe(true);
+    expect(data.results.length).toBeGreaterThan(0);
+    await expect(demo.getTvDetails(1399)).rejects.toMatchObject({
+      code: TMDB_ERROR_CODES.NOT_FOUND,
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { TMDBCache, buildCacheKey, getTTL } from "@/lib/tmdbCache";
+
+const MINUTE = 60 * 1000;
+
+let time;
+
+/**
+ * Creates a cache on the shared fake clock
+ * @param {Object} [options] - TMDBCache options
+ * @returns {TMDBCache} Cache
+ */
+const createCache = (options) => new TMDBCache({ now: () => time, ...options });
+
+/**
+ * Lists the keys stored in IndexedDB
+ * Queued after any pending writes, so it sees their results
+ * @param {TMDBCache} cache - Cache
+ * @returns {Promise<Array<string>>} Stored keys, sorted
+ */
+const storedKeys = async (cache) =>
+  (await cache.withStore("readonly", (store) => store.getAllKeys())).sort();
+
+beforeEach(() => {
+  // A fresh database per test
+  vi.stubGlobal("indexedDB", new IDBFactory());
+  time = 0;
+});
+
+describe("buildCacheKey and getTTL", () => {
+  it("sorts parameters and skips empty ones", () => {
+    expect(
+      buildCacheKey("/search/movie", { query: "heat", page: 1, year: null })
+    ).toBe("/search/movie?page=1&query=heat");
+  });
+
+  it("keeps static data longer than changing lists", () => {
+    expect(getTTL("/genre/movie/list")).toBeGreaterThan(
+      getTTL("/movie/now_playing")
+    );
+  });
+});
+
+describe("TMDBCache persistence", () => {
+  it("serves responses saved by an earlier session", async () => {
+    const first = createCache();
+    first.set("/movie/550", { id: 550 }, 10 * MINUTE);
+    await storedKeys(first);
+
+    const second = createCache();
+    expect(await second.get("/movie/550")).toEqual({ id: 550 });
+    expect(second.getStats().persistentHits).toBe(1);
+  });
+
+  it("sweeps expired responses when the store opens", async () => {
+    const first = createCache();
+    first.set("/movie/now_playing", { page: 1 }, 10 * MINUTE);
+    first.set("/genre/movie/list", { genres: [] }, 60 * MINUTE);
+    await storedKeys(first);
+
+    time = 30 * MINUTE;
+    const second = createCache();
+
+    expect(await storedKeys(second)).toEqual(["/genre/movie/list"]);
+  });
+
+  it("keeps the store under its limit, dropping the soonest to expire", async () => {
+    const first = createCache();
+    for (let i = 1; i <= 5; i++)
+      first.set(`/movie/${i}`, { id: i }, i * MINUTE);
+    await storedKeys(first);
+
+    const second = createCache({ persistentLimit: 3 });
+
+    expect(await storedKeys(second)).toEqual([
+      "/movie/3",
+      "/movie/4",
+      "/movie/5",
+    ]);
+  });
+
+  it("sweeps again after many writes in one session", async () => {
+    const cache = createCache({ persistentLimit: 10 });
+    for (let i = 1; i <= 100; i++)
+      cache.set(`/movie/${i}`, { id: i }, i * MINUTE);
+
+    const keys = await storedKeys(cache);
+    expect(keys).toHaveLength(10);
+    expect(keys).toContain("/movie/100");
+    expect(keys).not.toContain("/movie/1");
+  });
+});
+
+describe("TMDBCache modes", () => {
+  it("drops responses cached in another mode", async () => {
+    const demo = createCache({ mode: "demo" });
+    demo.set("/movie/popular?page=1", { results: ["fixture"] }, 60 * MINUTE);
+    await storedKeys(demo);
+
+    const live = createCache({ mode: "live" });
+
+    expect(await live.get("/movie/popular?page=1")).toBeUndefined();
+    expect(await storedKeys(live)).toEqual([]);
+  });
+
+  it("keeps responses while the mode stays the same", async () => {
+    const first = createCache({ mode: "demo" });
+    first.set("/genre/movie/list", { genres: [] }, 60 * MINUTE);
+    await storedKeys(first);
+
+    const second = createCache({ mode: "demo" });
+
+    expect(await second.get("/genre/movie/list")).toEqual({ genres: [] });
+  });
+});
+
+describe("TMDBCache.getOrLoad", () => {
+  it("shares one request between concurrent callers", async () => {
+    const cache = createCache();
+    const loader = vi.fn(async () => ({ id: 550 }));
+
+    const results = await Promise.all([
+      cache.getOrLoad("/movie/550", MINUTE, loader),
+      cache.getOrLoad("/movie/550", MINUTE, loader),
+    ]);
+
+    expect(results).toEqual([{ id: 550 }, { id: 550 }]);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.getStats().dedupedRequests).toBe(1);
+  });
+});
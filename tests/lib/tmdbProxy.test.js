@@ -0,0 +1,211 @@
+// @vitest-environment node
+import { createServer } from "node:http";
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest";
+import { createRateLimiter } from "@/lib/rateLimit";
+import { getTTL } from "@/lib/tmdbCache";
+import { isAllowedEndpoint, proxyTMDBRequest } from "@/lib/tmdbProxy";
+
+const API_KEY = "server-key";
+
+let server;
+let upstream;
+let received; // URLs the mock TMDB server was asked for
+let reply; // (url) => { status, body, headers } for the next requests
+
+beforeAll(async () => {
+  // Local stand-in for TMDB
+  server = createServer((req, res) => {
+    const url = new URL(req.url, upstream);
+    received.push(url);
+    const { status = 200, body = {}, headers = {} } = reply(url);
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  upstream = `http://127.0.0.1:${server.address().port}/3`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  reply = () => ({ body: { page: 1, results: [{ id: 949 }] } });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  vi.resetModules();
+});
+
+/**
+ * Calls the proxy as the route handler would
+ * @param {string} path - Endpoint and query, e.g. '/movie/popular?page=2'
+ * @param {Object} [options] - Proxy options to override
+ * @returns {Promise<Response>} Proxy response
+ */
+const proxy = (path, options = {}) => {
+  const request = new Request(`http://localhost/api/tmdb${path}`);
+  return proxyTMDBRequest(request, new URL(request.url).pathname.slice(9), {
+    apiKey: API_KEY,
+    ip: "203.0.113.7",
+    limiter: createRateLimiter({ limit: 100, windowMs: 60 * 1000 }),
+    upstream,
+    ...options,
+  });
+};
+
+describe("isAllowedEndpoint", () => {
+  it("allows the read-only endpoints the app uses", () => {
+    expect(isAllowedEndpoint("/movie/popular")).toBe(true);
+    expect(isAllowedEndpoint("/movie/949/watch/providers")).toBe(true);
+    expect(isAllowedEndpoint("/tv/1399/season/1/episode/2")).toBe(true);
+    expect(isAllowedEndpoint("/search/movie")).toBe(true);
+  });
+
+  it("rejects account, write and malformed endpoints", () => {
+    expect(isAllowedEndpoint("/account")).toBe(false);
+    expect(isAllowedEndpoint("/movie/949/rating")).toBe(false);
+    expect(isAllowedEndpoint("/movie/949/account_states")).toBe(false);
+    expect(isAllowedEndpoint("/movie/../account")).toBe(false);
+    expect(isAllowedEndpoint("/movie/popular/")).toBe(false);
+  });
+});
+
+describe("proxyTMDBRequest", () => {
+  it("forwards the query with the server's key instead of the caller's", async () => {
+    const res = await proxy("/search/movie?query=heat&api_key=stolen&page=2");
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ page: 1, results: [{ id: 949 }] });
+    expect(received).toHaveLength(1);
+    expect(received[0].pathname).toBe("/3/search/movie");
+    expect(received[0].searchParams.getAll("api_key")).toEqual([API_KEY]);
+    expect(received[0].searchParams.get("query")).toBe("heat");
+    expect(received[0].searchParams.get("page")).toBe("2");
+  });
+
+  it("lets CDNs cache successful responses for the endpoint's TTL", async () => {
+    const res = await proxy("/genre/movie/list");
+    const ttl = Math.round(getTTL("/genre/movie/list") / 1000);
+
+    expect(res.headers.get("Cache-Control")).toBe(
+      `public, max-age=0, s-maxage=${ttl}, stale-while-revalidate=${ttl}`
+    );
+    expect(res.headers.get("X-RateLimit-Limit")).toBe("100");
+    expect(res.headers.get("X-RateLimit-Remaining")).toBe("99");
+  });
+
+  it("passes TMDB errors through uncached, with their Retry-After", async () => {
+    reply = () => ({
+      status: 429,
+      body: { status_code: 25, status_message: "Slow down" },
+      headers: { "Retry-After": "7" },
+    });
+
+    const res = await proxy("/movie/949");
+
+    expect(res.status).toBe(429);
+    expect(res.headers.get("Cache-Control")).toBe("no-store");
+    expect(res.headers.get("Retry-After")).toBe("7");
+    expect((await res.json()).status_message).toBe("Slow down");
+  });
+
+  it("rejects endpoints off the allowlist without calling TMDB", async () => {
+    const res = await proxy("/account");
+
+    expect(res.status).toBe(404);
+    expect(res.headers.get("Cache-Control")).toBe("no-store");
+    expect(received).toHaveLength(0);
+  });
+
+  it("answers 503 when no API key is configured", async () => {
+    const res = await proxy("/movie/popular", { apiKey: "" });
+
+    expect(res.status).toBe(503);
+    expect(received).toHaveLength(0);
+  });
+
+  it("answers 502 when TMDB can't be reached", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const res = await proxy("/movie/popular", {
+      upstream: "http://127.0.0.1:1/3",
+    });
+
+    expect(res.status).toBe(502);
+    expect(res.headers.get("Cache-Control")).toBe("no-store");
+  });
+
+  it("limits each IP with 429 and Retry-After", async () => {
+    let time = 0;
+    const limiter = createRateLimiter({
+      limit: 2,
+      windowMs: 60 * 1000,
+      now: () => time,
+    });
+    vi.spyOn(Date, "now").mockImplementation(() => time);
+
+    await proxy("/movie/popular", { limiter });
+    time = 15 * 1000;
+    await proxy("/movie/popular", { limiter });
+    const limited = await proxy("/movie/popular", { limiter });
+    const other = await proxy("/movie/popular", {
+      limiter,
+      ip: "198.51.100.2",
+    });
+
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get("Retry-After")).toBe("45");
+    expect(limited.headers.get("X-RateLimit-Remaining")).toBe("0");
+    expect(limited.headers.get("Cache-Control")).toBe("no-store");
+    expect(other.status).toBe(200);
+    expect(received).toHaveLength(3);
+  });
+});
+
+describe("TMDB proxy route", () => {
+  it("reaches the server set by TMDB_API_URL and limits by client IP", async () => {
+    vi.stubEnv("TMDB_API_KEY", API_KEY);
+    vi.stubEnv("TMDB_API_URL", upstream);
+    vi.stubEnv("NEXT_PUBLIC_TMDB_DEMO", "");
+    vi.stubEnv("NEXT_PUBLIC_TMDB_RATE_LIMIT", "1");
+    const { GET } = await import("@/app/api/tmdb/[...path]/route");
+
+    /**
+     * Requests a movie from the route as a client
+     * @param {string} ip - Address the hosting proxy reports
+     * @returns {Promise<Response>} Route response
+     */
+    const get = (ip) =>
+      GET(
+        new Request("http://localhost/api/tmdb/movie/949?api_key=stolen", {
+          headers: { "x-real-ip": ip },
+        }),
+        { params: Promise.resolve({ path: ["movie", "949"] }) }
+      );
+
+    const first = await get("203.0.113.7");
+    const second = await get("203.0.113.7");
+    const otherClient = await get("198.51.100.2");
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(429);
+    expect(second.headers.get("Retry-After")).toBeTruthy();
+    expect(otherClient.status).toBe(200);
+    expect(received.map((url) => url.pathname)).toEqual([
+      "/3/movie/949",
+      "/3/movie/949",
+    ]);
+    expect(received[0].searchParams.getAll("api_key")).toEqual([API_KEY]);
+  });
+});
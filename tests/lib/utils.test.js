@@ -0,0 +1,120 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  debounce,
+  formatDate,
+  formatRating,
+  formatRuntime,
+  formatVoteCount,
+  formatYear,
+  generateSlug,
+  getImageUrl,
+  truncateText,
+} from "@/lib/utils";
+
+describe("formatDate", () => {
+  it("formats dates as Month Day, Year", () => {
+    expect(formatDate("2010-07-15T12:00:00")).toBe("July 15, 2010");
+  });
+
+  it("falls back to Unknown for missing or invalid dates", () => {
+    expect(formatDate("")).toBe("Unknown");
+    expect(formatDate(null)).toBe("Unknown");
+    expect(formatDate("not a date")).toBe("Unknown");
+  });
+});
+
+describe("formatYear", () => {
+  it("returns the four-digit year", () => {
+    expect(formatYear("1999-03-31T12:00:00")).toBe("1999");
+  });
+
+  it("falls back to Unknown for missing or invalid dates", () => {
+    expect(formatYear(undefined)).toBe("Unknown");
+    expect(formatYear("soon")).toBe("Unknown");
+  });
+});
+
+describe("formatRuntime", () => {
+  it.each([
+    [148, "2h 28m"],
+    [120, "2h"],
+    [45, "45m"],
+    [0, "Unknown"],
+    [null, "Unknown"],
+  ])("formats %s minutes as %s", (minutes, expected) => {
+    expect(formatRuntime(minutes)).toBe(expected);
+  });
+});
+
+describe("formatRating", () => {
+  it("rounds to one decimal place", () => {
+    expect(formatRating(8.364)).toBe("8.4");
+    expect(formatRating(7)).toBe("7.0");
+  });
+
+  it("shows N/A without a rating", () => {
+    expect(formatRating(0)).toBe("N/A");
+    expect(formatRating(null)).toBe("N/A");
+  });
+});
+
+describe("formatVoteCount", () => {
+  it.each([
+    [0, "0"],
+    [999, "999"],
+    [1234, "1.2K"],
+    [3456789, "3.5M"],
+  ])("formats %s as %s", (count, expected) => {
+    expect(formatVoteCount(count)).toBe(expected);
+  });
+});
+
+describe("truncateText", () => {
+  it("keeps short text as is", () => {
+    expect(truncateText("Short", 10)).toBe("Short");
+  });
+
+  it("cuts long text and trims before the ellipsis", () => {
+    expect(truncateText("A thief who steals secrets", 8)).toBe("A thief...");
+  });
+
+  it("returns an empty string without text", () => {
+    expect(truncateText(null)).toBe("");
+  });
+});
+
+describe("generateSlug", () => {
+  it("builds URL-safe slugs", () => {
+    expect(generateSlug("The Lord of the Rings: The Fellowship")).toBe(
+      "the-lord-of-the-rings-the-fellowship"
+    );
+    expect(generateSlug("  --Se7en__ ")).toBe("se7en");
+  });
+});
+
+describe("getImageUrl", () => {
+  it("builds TMDB image URLs", () => {
+    expect(getImageUrl("/poster.jpg", "w342")).toBe(
+      "https://image.tmdb.org/t/p/w342/poster.jpg"
+    );
+    expect(getImageUrl(null)).toBeNull();
+  });
+});
+
+describe("debounce", () => {
+  it("runs once with the last arguments after the wait", () => {
+    vi.useFakeTimers();
+    const fn = vi.fn();
+    const debounced = debounce(fn, 200);
+
+    debounced("a");
+    debounced("b");
+    vi.advanceTimersByTime(199);
+    expect(fn).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(fn).toHaveBeenCalledOnce();
+    expect(fn).toHaveBeenCalledWith("b");
+    vi.useRealTimers();
+  });
+});
@@ -0,0 +1,12 @@
+import "@testing-library/jest-dom/vitest";
+import { afterEach } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+// Unmount rendered components and start every test with empty storage
+afterEach(() => {
+  cleanup();
+  if (typeof window !== "undefined") {
+    localStorage.clear();
+    sessionStorage.clear();
+  }
+});
@@ -0,0 +1,17 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+import react from "@vitejs/plugin-react";
+
+export default defineConfig({
+  plugins: [react()],
+  // Components use JSX in .js files, like Next allows
+  esbuild: { loader: "jsx", include: /\.jsx?$/, exclude: [] },
+  resolve: {
+    alias: { "@": fileURLToPath(new URL(".", import.meta.url)) },
+  },
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./tests/setup.js"],
+    include: ["tests/**/*.test.js"],
+  },
+});